@@ -4,6 +4,12 @@ const express = require('express')
 const cors = require('cors')
 const app = express()
 const router = require('./src/routes')
+const childTrashService = require('./src/services/childTrashService')
+const jobQueueService = require('./src/services/jobQueueService')
+const rescoringService = require('./src/services/rescoringService')
+
+// Di belakang reverse proxy (nginx), supaya req.ip berisi IP asli untuk rate limit
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY)
 
 // Middleware
 const corsOptions = {
@@ -34,3 +40,11 @@ const server = app.listen(port, () => {
     console.log(`✅ Server running on http://localhost:${port}`)
 })
 
+// Hapus permanen anak yang sudah terlalu lama di tempat sampah (CHILD_RETENTION_DAYS)
+childTrashService.startPurgeSchedule()
+
+// Worker job queue (penilaian jawaban rekaman di latar belakang)
+jobQueueService.startWorker()
+
+// Nilai ulang jawaban bernilai sementara setelah server AI hidup kembali
+rescoringService.startRescoreSchedule()
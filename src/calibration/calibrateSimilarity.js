@@ -0,0 +1,48 @@
+/**
+ * @file Calibration of the similarity algorithms against example child answers.
+ * @description Every example in `similarityExamples.json` holds an answer a child could give, with the score band
+ * a teacher would accept. The script scores each example with the algorithm configured for its method
+ * (see {@link module:SimilarityConfig}) and fails when a score falls outside its band. The other algorithms are
+ * listed for comparison, so the effect of switching the algorithm of a method is visible before changing it.
+ * This is a manual check, not a test suite: run it by hand after changing the similarity config or algorithms.
+ *
+ * Usage: `npm run calibrate:similarity -- [--verbose]`
+ * @module CalibrateSimilarity
+ */
+const examples = require('./similarityExamples.json')
+const { ALGORITHMS, similarityScore } = require('../helpers/similarity')
+const { algorithmOf } = require('../services/scoringService')
+
+const verbose = process.argv.includes('--verbose')
+const inBand = (score, [min, max]) => score >= min && score <= max
+
+const totals = Object.fromEntries(Object.keys(ALGORITHMS).map(name => [name, { passed: 0, failed: 0 }]))
+const failures = []
+
+for (const example of examples) {
+    const configured = algorithmOf(example.method)
+    const scores = {}
+
+    for (const name of Object.keys(ALGORITHMS)) {
+        scores[name] = Math.round(similarityScore(example.key, example.answer, name))
+        totals[name][inBand(scores[name], example.expected) ? 'passed' : 'failed']++
+    }
+
+    const passed = inBand(scores[configured], example.expected)
+    if (!passed) failures.push({ ...example, algorithm: configured, score: scores[configured] })
+
+    if (verbose) {
+        console.log(`${passed ? 'ok  ' : 'FAIL'} [${example.method}] "${example.key}" / "${example.answer}" ${configured}=${scores[configured]} expected ${example.expected.join('-')} (${example.note})`)
+    }
+}
+
+console.log('Examples within their band per algorithm (all methods):')
+console.table(totals)
+
+if (failures.length > 0) {
+    console.error(`${failures.length} of ${examples.length} examples are outside their band with the configured algorithm:`)
+    console.table(failures.map(({ method, key, answer, algorithm, score, expected }) => ({ method, key, answer, algorithm, score, expected: expected.join('-') })))
+    process.exitCode = 1
+} else {
+    console.log(`All ${examples.length} examples are within their band with the configured algorithms.`)
+}
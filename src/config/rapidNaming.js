@@ -0,0 +1,54 @@
+/**
+ * @file Age norms and percentile bands for rapid automatized naming (method 5) exercises.
+ * @description Rapid naming is scored on speed: the number of correctly named items per second over the quiz.
+ * The medians follow `rapidNamingMsPerItem` of the screening norms (see ScreeningConfig); replace the
+ * percentiles with locally collected norms once enough sessions are available.
+ * @module RapidNamingConfig
+ */
+
+/**
+ * @constant {object[]} AGE_NORMS
+ * @memberof module:RapidNamingConfig
+ * @description Correctly named items per second at the 10th, 25th, 50th, 75th and 90th percentile per age band.
+ * Children outside every band are compared with the nearest band.
+ */
+const AGE_NORMS = [
+    { minMonths: 60, maxMonths: 83, percentiles: { 10: 0.25, 25: 0.32, 50: 0.40, 75: 0.50, 90: 0.60 } }, // 5 - 6 tahun
+    { minMonths: 84, maxMonths: 107, percentiles: { 10: 0.36, 25: 0.45, 50: 0.56, 75: 0.68, 90: 0.80 } }, // 7 - 8 tahun
+    { minMonths: 108, maxMonths: 131, percentiles: { 10: 0.46, 25: 0.58, 50: 0.71, 75: 0.85, 90: 1.00 } }, // 9 - 10 tahun
+    { minMonths: 132, maxMonths: 216, percentiles: { 10: 0.58, 25: 0.74, 50: 0.91, 75: 1.08, 90: 1.25 } }, // 11 tahun ke atas
+];
+
+/**
+ * @constant {Array<{band: string, minPercentile: number, label: string}>} BANDS
+ * @memberof module:RapidNamingConfig
+ * @description Percentile bands, fastest first.
+ */
+const BANDS = [
+    { band: 'very_fast', minPercentile: 90, label: 'Sangat cepat' },
+    { band: 'fast', minPercentile: 75, label: 'Cepat' },
+    { band: 'average', minPercentile: 25, label: 'Rata-rata' },
+    { band: 'slow', minPercentile: 10, label: 'Lambat' },
+    { band: 'very_slow', minPercentile: 0, label: 'Sangat lambat' },
+];
+
+/**
+ * @constant {number} CORRECT_SCORE - Items with at least this `similarityPoint` count as named correctly.
+ * @memberof module:RapidNamingConfig
+ */
+const CORRECT_SCORE = parseInt(process.env.RAPID_NAMING_CORRECT_SCORE) || 80;
+
+/**
+ * @constant {number} SPEED_WEIGHT - Share of the speed percentile in the score of a rapid naming quiz without a rubric
+ * (0 - 1), the rest is the accuracy. From `RAPID_NAMING_SPEED_WEIGHT`.
+ * @memberof module:RapidNamingConfig
+ */
+const speedWeight = parseFloat(process.env.RAPID_NAMING_SPEED_WEIGHT);
+const SPEED_WEIGHT = Number.isNaN(speedWeight) ? 0.5 : Math.min(1, Math.max(0, speedWeight));
+
+module.exports = {
+    AGE_NORMS,
+    BANDS,
+    CORRECT_SCORE,
+    SPEED_WEIGHT,
+};
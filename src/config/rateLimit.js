@@ -0,0 +1,51 @@
+/**
+ * @file Rate limiting and login lockout configuration.
+ * @description Every value can be overridden with an environment variable.
+ * @module RateLimitConfig
+ */
+
+const number = (value, fallback) => {
+    const parsed = parseInt(value)
+    return Number.isNaN(parsed) ? fallback : parsed
+}
+
+/**
+ * @constant {object} rateLimitConfig
+ * @memberof module:RateLimitConfig
+ * @property {boolean} enabled - `RATE_LIMIT_ENABLED`, set to `false` to switch rate limiting off.
+ * @property {string} store - `RATE_LIMIT_STORE`: `memory` (default, single process) or `mongo` (shared between processes).
+ * @property {object} groups - Limits per route group. `keyBy` is `ip` or `user` (falls back to IP for anonymous requests).
+ * @property {object} groups.api - Every `/v1` request, per IP (`RATE_LIMIT_API_MAX` per `RATE_LIMIT_API_WINDOW_MS`).
+ * @property {object} groups.auth - Login, register and password routes, per IP (`RATE_LIMIT_AUTH_MAX` per `RATE_LIMIT_AUTH_WINDOW_MS`).
+ * @property {object} groups.ai - LLM generation routes, per user (`RATE_LIMIT_AI_MAX` per `RATE_LIMIT_AI_WINDOW_MS`).
+ * @property {object} lockout - Progressive account lockout after failed logins.
+ * @property {number} lockout.threshold - `LOGIN_LOCKOUT_THRESHOLD`, consecutive failures before the account is locked.
+ * @property {number} lockout.baseMinutes - `LOGIN_LOCKOUT_BASE_MINUTES`, length of the first lock. Every next lock is twice as long.
+ * @property {number} lockout.maxMinutes - `LOGIN_LOCKOUT_MAX_MINUTES`, upper bound of a lock.
+ */
+module.exports = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    groups: {
+        api: {
+            keyBy: 'ip',
+            windowMs: number(process.env.RATE_LIMIT_API_WINDOW_MS, 60 * 1000),
+            max: number(process.env.RATE_LIMIT_API_MAX, 300),
+        },
+        auth: {
+            keyBy: 'ip',
+            windowMs: number(process.env.RATE_LIMIT_AUTH_WINDOW_MS, 15 * 60 * 1000),
+            max: number(process.env.RATE_LIMIT_AUTH_MAX, 100),
+        },
+        ai: {
+            keyBy: 'user',
+            windowMs: number(process.env.RATE_LIMIT_AI_WINDOW_MS, 60 * 60 * 1000),
+            max: number(process.env.RATE_LIMIT_AI_MAX, 30),
+        },
+    },
+    lockout: {
+        threshold: number(process.env.LOGIN_LOCKOUT_THRESHOLD, 5),
+        baseMinutes: number(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 1),
+        maxMinutes: number(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 60),
+    },
+}
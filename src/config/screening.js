@@ -0,0 +1,161 @@
+/**
+ * @file Dyslexia screening battery and age norms.
+ * @description The battery is the same for every child so results can be compared between children and over time.
+ * Change `version` whenever items or norms change; every session records the version it was scored with.
+ * @module ScreeningConfig
+ */
+
+/**
+ * @constant {Array<{skill: string, method: number, label: string}>} SKILLS
+ * @memberof module:ScreeningConfig
+ * @description Skills measured by the screening, one per exercise method (methods as in the exercise prompt).
+ * * 1 reading: Membaca nyaring (jawaban rekaman suara).
+ * * 2 writing: Menyalin kata (jawaban foto tulisan).
+ * * 3 listening: Dikte, anak menulis kata yang didengar (jawaban foto tulisan).
+ * * 4 wordOrder: Mengurutkan kata menjadi kalimat (jawaban teks).
+ * * 5 rapidNaming: Menyebut warna secepatnya (jawaban rekaman suara, kecepatan ikut dinilai).
+ * * 6 numeracy: Berhitung sederhana (jawaban teks).
+ */
+const SKILLS = [
+    { skill: 'listening', method: 3, label: 'Mendengar' },
+    { skill: 'writing', method: 2, label: 'Menulis' },
+    { skill: 'reading', method: 1, label: 'Membaca' },
+    { skill: 'wordOrder', method: 4, label: 'Mengurutkan kata' },
+    { skill: 'rapidNaming', method: 5, label: 'Menamai cepat' },
+    { skill: 'numeracy', method: 6, label: 'Berhitung' },
+];
+
+const item = (code, method, type, value, key) => ({ code, method, question: { type, value }, key });
+
+/**
+ * @constant {object[]} BATTERY
+ * @memberof module:ScreeningConfig
+ * @description Screening items in presentation order. `code` identifies an item across sessions.
+ */
+const BATTERY = [
+    item('L1', 3, 'text', 'buku', 'buku'),
+    item('L2', 3, 'text', 'meja', 'meja'),
+    item('L3', 3, 'text', 'kapal', 'kapal'),
+    item('L4', 3, 'text', 'jendela', 'jendela'),
+
+    item('W1', 2, 'text', 'ibu', 'ibu'),
+    item('W2', 2, 'text', 'bola', 'bola'),
+    item('W3', 2, 'text', 'sepatu', 'sepatu'),
+    item('W4', 2, 'text', 'kupu-kupu', 'kupu-kupu'),
+
+    item('R1', 1, 'text', 'dua', 'dua'),
+    item('R2', 1, 'text', 'rumah', 'rumah'),
+    item('R3', 1, 'text', 'adik minum susu', 'adik minum susu'),
+    item('R4', 1, 'text', 'kakak pergi ke sekolah', 'kakak pergi ke sekolah'),
+
+    item('O1', 4, 'text', 'makan aku', 'aku makan'),
+    item('O2', 4, 'text', 'bola adik main', 'adik main bola'),
+    item('O3', 4, 'text', 'membaca ayah koran', 'ayah membaca koran'),
+    item('O4', 4, 'text', 'ke ibu pasar pergi', 'ibu pergi ke pasar'),
+
+    item('N1', 5, 'hex', '#FF0000', 'merah'),
+    item('N2', 5, 'hex', '#0000FF', 'biru'),
+    item('N3', 5, 'hex', '#FFFF00', 'kuning'),
+    item('N4', 5, 'hex', '#008000', 'hijau'),
+
+    item('A1', 6, 'text', '2 + 1', '3'),
+    item('A2', 6, 'text', '4 + 3', '7'),
+    item('A3', 6, 'text', '9 - 4', '5'),
+    item('A4', 6, 'text', '6 + 7', '13'),
+];
+
+/**
+ * @constant {object[]} AGE_NORMS
+ * @memberof module:ScreeningConfig
+ * @description Expected skill scores (0 - 100) per age band, as mean and standard deviation.
+ * `rapidNamingMsPerItem` is the expected naming time of one item; slower naming lowers the rapid naming score.
+ * Children outside every band are scored with the nearest band.
+ */
+const AGE_NORMS = [
+    {
+        minMonths: 60, maxMonths: 83, // 5 - 6 tahun
+        rapidNamingMsPerItem: 2500,
+        skills: {
+            listening: { mean: 45, sd: 20 },
+            writing: { mean: 55, sd: 20 },
+            reading: { mean: 45, sd: 22 },
+            wordOrder: { mean: 40, sd: 25 },
+            rapidNaming: { mean: 60, sd: 20 },
+            numeracy: { mean: 50, sd: 25 },
+        }
+    },
+    {
+        minMonths: 84, maxMonths: 107, // 7 - 8 tahun
+        rapidNamingMsPerItem: 1800,
+        skills: {
+            listening: { mean: 65, sd: 18 },
+            writing: { mean: 72, sd: 16 },
+            reading: { mean: 68, sd: 18 },
+            wordOrder: { mean: 65, sd: 22 },
+            rapidNaming: { mean: 72, sd: 16 },
+            numeracy: { mean: 72, sd: 20 },
+        }
+    },
+    {
+        minMonths: 108, maxMonths: 131, // 9 - 10 tahun
+        rapidNamingMsPerItem: 1400,
+        skills: {
+            listening: { mean: 80, sd: 14 },
+            writing: { mean: 84, sd: 12 },
+            reading: { mean: 82, sd: 14 },
+            wordOrder: { mean: 80, sd: 18 },
+            rapidNaming: { mean: 80, sd: 14 },
+            numeracy: { mean: 85, sd: 15 },
+        }
+    },
+    {
+        minMonths: 132, maxMonths: 216, // 11 tahun ke atas
+        rapidNamingMsPerItem: 1100,
+        skills: {
+            listening: { mean: 88, sd: 10 },
+            writing: { mean: 90, sd: 9 },
+            reading: { mean: 90, sd: 10 },
+            wordOrder: { mean: 88, sd: 12 },
+            rapidNaming: { mean: 86, sd: 12 },
+            numeracy: { mean: 92, sd: 10 },
+        }
+    },
+];
+
+/**
+ * @constant {Array<{level: number, minZ: number, label: string}>} LEVELS
+ * @memberof module:ScreeningConfig
+ * @description Level written to the child from the composite z-score (average over the skills), highest first.
+ * The level matches the difficulty of materials and questions: level 1 needs the most support.
+ */
+const LEVELS = [
+    { level: 3, minZ: -0.5, label: 'Risiko rendah' },
+    { level: 2, minZ: -1.5, label: 'Perlu dukungan' },
+    { level: 1, minZ: -Infinity, label: 'Perlu dukungan intensif' },
+];
+
+/**
+ * @constant {number} AT_RISK_Z - A skill with a z-score below this value is reported as an area of difficulty.
+ * @memberof module:ScreeningConfig
+ */
+const AT_RISK_Z = -1;
+
+/**
+ * @constant {Object<number, Object<string, number>>} LEGACY_SKILL_METHODS
+ * @memberof module:ScreeningConfig
+ * @description Methods of skills that differ in older battery versions, by version. Version 1 had listening on
+ * method 1 and reading on method 3; its sessions keep those methods in their items and are scored with them.
+ */
+const LEGACY_SKILL_METHODS = {
+    1: { listening: 1, reading: 3 },
+};
+
+module.exports = {
+    version: 2,
+    SKILLS,
+    BATTERY,
+    AGE_NORMS,
+    LEVELS,
+    AT_RISK_Z,
+    LEGACY_SKILL_METHODS,
+};
@@ -0,0 +1,43 @@
+/**
+ * @file Similarity algorithm per exercise method, used to score typed and transcribed answers of text methods.
+ * @description Algorithms are defined in helpers/similarity: `edit` (Levenshtein), `jaroWinkler`, `token`
+ * (word by word, for sentences) and `phonetic` (Indonesian sound-alike spelling). Word ordering (4) and
+ * numeracy (6) have exact scorers and do not use these. Method numbers follow the method rules of the exercise
+ * prompt (helpers/promptHelpers). Check changes with `npm run calibrate:similarity`, a manual script that prints
+ * the scores of the calibration examples; it is not a test suite and nothing runs it automatically.
+ * @module SimilarityConfig
+ */
+
+/**
+ * Parses `SIMILARITY_METHODS`, e.g. `3:phonetic,5:jaroWinkler`.
+ *
+ * @private
+ * @param {string} [value] - Comma separated `method:algorithm` pairs.
+ * @returns {Object<number, string>}
+ */
+const parseMethods = (value) => Object.fromEntries(String(value || '')
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([method, algorithm]) => method && algorithm)
+    .map(([method, algorithm]) => [Number(method), algorithm]))
+
+/**
+ * @constant {object} similarityConfig
+ * @memberof module:SimilarityConfig
+ * @property {string} default - `SIMILARITY_DEFAULT`, algorithm of methods without their own (default `edit`).
+ * @property {Object<number, string>} methods - Algorithm per method, overridden with `SIMILARITY_METHODS`.
+ * * 1 reading (sentences the child reads aloud, transcribed): `token`.
+ * * 2 writing (text the child copies): `edit`.
+ * * 3 audio (dictation of the text converted to audio, single words): `edit`.
+ * * 5 rapid naming (objects and colours named aloud, single words): `phonetic`.
+ */
+module.exports = {
+    default: process.env.SIMILARITY_DEFAULT || 'edit',
+    methods: {
+        1: 'token',
+        2: 'edit',
+        3: 'edit',
+        5: 'phonetic',
+        ...parseMethods(process.env.SIMILARITY_METHODS),
+    },
+}
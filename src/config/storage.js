@@ -0,0 +1,43 @@
+/**
+ * @file Storage configuration for uploaded answer media (recordings and photos).
+ * @description Every value can be overridden with an environment variable.
+ * @module StorageConfig
+ */
+
+const number = (value, fallback) => {
+    const parsed = parseInt(value)
+    return Number.isNaN(parsed) ? fallback : parsed
+}
+
+/**
+ * @constant {object} storageConfig
+ * @memberof module:StorageConfig
+ * @property {string} driver - `STORAGE_DRIVER`: `local` (default, files on disk) or `s3` (S3 compatible object storage).
+ * @property {number} maxBytes - `STORAGE_MAX_BYTES`, largest accepted file (default 10 MB).
+ * @property {object} local - Local disk driver.
+ * @property {string} local.root - `STORAGE_LOCAL_ROOT`, directory of the files (default `storage/media`).
+ * @property {object} s3 - S3 driver, also for MinIO, DigitalOcean Spaces, Cloudflare R2, ...
+ * @property {string} s3.bucket - `S3_BUCKET`.
+ * @property {string} s3.region - `S3_REGION` (default `us-east-1`).
+ * @property {string} [s3.endpoint] - `S3_ENDPOINT`, only for non-AWS providers.
+ * @property {boolean} s3.forcePathStyle - `S3_FORCE_PATH_STYLE`, `true` for MinIO.
+ * @property {string} [s3.accessKeyId] - `S3_ACCESS_KEY_ID`, falls back to the default AWS credential chain.
+ * @property {string} [s3.secretAccessKey] - `S3_SECRET_ACCESS_KEY`.
+ * @property {string} s3.prefix - `S3_PREFIX`, prepended to every object key (default `media/`).
+ */
+module.exports = {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    maxBytes: number(process.env.STORAGE_MAX_BYTES, 10 * 1024 * 1024),
+    local: {
+        root: process.env.STORAGE_LOCAL_ROOT || 'storage/media',
+    },
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX ?? 'media/',
+    },
+}
@@ -1,28 +1,94 @@
 const bcryptjs = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const userModel = require('../models/userModel');
+const schoolModel = require('../models/schoolModel');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
+const loginLockout = require('../services/loginLockoutService');
+const invitationService = require('../services/invitationService');
 const { errorHandling } = require('../helpers/errorHandling');
+const { generateUniqueCode } = require('../helpers/codeGenerator');
+const { isObjectIdString } = require('../helpers/objectId');
+const { passwordResetMail, emailVerificationMail } = require('../helpers/mailTemplates');
+const { AVATARS, PICTURES, PIN_LENGTH, CLASS_CODE_LENGTH, comparePin } = require('../helpers/pictureLogin');
+const { ROLES } = require('../policies/roles');
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = '7d';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
 
 /**
  * Controller module for user authentication.
  * @module AuthController
  */
 
+/**
+ * Creates an email verification token and sends it to the user.
+ *
+ * @private
+ * @async
+ * @function sendVerificationEmail
+ * @memberof module:AuthController
+ * @param {object} user - User document.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await tokenService.createUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+    await mailService.sendMail({
+        to: user.email,
+        ...emailVerificationMail({ fullName: user.fullName, token, ttlMinutes: EMAIL_VERIFICATION_TTL_MINUTES })
+    });
+};
+
+/**
+ * Sends the response for a locked account.
+ *
+ * @private
+ * @function lockedResponse
+ * @memberof module:AuthController
+ * @param {object} res - Express response object.
+ * @param {number} retryAfter - Remaining lock time in seconds.
+ * @returns {object} Express response with status 423.
+ */
+const lockedResponse = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(423).json({
+        success: false,
+        message: 'Akun dikunci sementara karena terlalu banyak percobaan login',
+        retryAfter: retryAfter
+    });
+};
+
+/**
+ * Assigns a unique class code to a teacher.
+ *
+ * @private
+ * @async
+ * @function assignClassCode
+ * @memberof module:AuthController
+ * @param {object} teacher - Teacher user document (not saved by this function).
+ * @returns {Promise<string>} The new class code.
+ */
+const assignClassCode = async (teacher) => {
+    const code = await generateUniqueCode(userModel, 'classCode', CLASS_CODE_LENGTH);
+
+    teacher.classCode = code;
+    return code;
+};
+
 // ----------------------------------------------------------------------
 // LOGIN
 // ----------------------------------------------------------------------
 
 /**
  * Handles user login authentication.
+ * Repeated failures lock the account for a growing period of time.
  * * @async
  * @function login
  * @memberof module:AuthController
  * @param {object} req - Express request object containing email and password.
  * @param {object} res - Express response object.
- * @returns {Promise<void>} Returns JSON with JWT token on success.
+ * @returns {Promise<void>} Returns JSON with the access token (`token`), `refreshToken` and `expiresIn` on success.
+ * @throws {401} If the username or password is wrong.
+ * @throws {423} If the account is locked after too many failed logins.
  */
 exports.login = async (req, res) => {
     try {
@@ -46,24 +112,29 @@ exports.login = async (req, res) => {
         let user
         if (userEmail) user = userEmail
         else user = userUsername
+        // Locked account: refuse without checking the password
+        const remaining = loginLockout.lockRemaining(user);
+        if (remaining > 0) return lockedResponse(res, remaining);
+
         // Check user existence and password match
         if (!user || !(await bcryptjs.compare(password, user.password))) {
+            if (user) {
+                const lockedFor = await loginLockout.registerFailure(user);
+                if (lockedFor > 0) return lockedResponse(res, lockedFor);
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
             });
         }
 
-        const token = jwt.sign(
-            { userId: user._id, fullName: user.fullName, role: user.role },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        await loginLockout.registerSuccess(user);
+        const tokens = await tokenService.issueTokens(user, req);
 
         return res.status(200).json({
             success: true,
             message: 'User logged in successfully',
-            token: token
+            ...tokens
         });
 
     } catch (error) {
@@ -77,12 +148,13 @@ exports.login = async (req, res) => {
 
 /**
  * Handles new user registration.
+ * Sends an email verification link to the registered address.
  * * @async
  * @function register
  * @memberof module:AuthController
  * @param {object} req - Express request object containing user details.
  * @param {object} res - Express response object.
- * @returns {Promise<void>} Returns JSON with JWT token on success.
+ * @returns {Promise<void>} Returns JSON with the access token (`token`), `refreshToken` and `expiresIn` on success.
  */
 exports.register = async (req, res) => {
     try {
@@ -124,19 +196,429 @@ exports.register = async (req, res) => {
         // Validate Mongoose schema constraints before hashing
         await newUser.validate();
 
+        await assignClassCode(newUser);
+
+        newUser.password = await bcryptjs.hash(password, 10);
+        await newUser.save();
+
+        // Gagal kirim email tidak menggagalkan registrasi, user bisa minta kirim ulang
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError.message);
+        }
+
+        const tokens = await tokenService.issueTokens(newUser, req);
+
+        return res.status(201).json({
+            success: true,
+            message: "User registered successfully",
+            ...tokens
+        });
+
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// SCHOOL ACCOUNTS
+// ----------------------------------------------------------------------
+
+/**
+ * Registers a new school together with its first School Admin account.
+ * Teachers join the school afterwards with the returned join code.
+ * * @async
+ * @function registerSchool
+ * @memberof module:AuthController
+ * @param {object} req - Express request object containing the admin's user details.
+ * @param {string} req.body.schoolName - Name of the school.
+ * @param {string} [req.body.schoolAddress] - Address of the school.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON with `token`, `refreshToken`, `expiresIn` and the school (including `joinCode`).
+ * @throws {422} If a field fails validation.
+ * @throws {409} If the email or username is already used.
+ */
+exports.registerSchool = async (req, res) => {
+    try {
+        const { fullName, username, email, phone, password, schoolName, schoolAddress } = req.body;
+
+        if (await userModel.findOne({ email: email })) {
+            return res.status(409).json({
+                success: false,
+                message: "Registration error",
+                errors: { email: 'Email sudah pernah digunakkan' }
+            });
+        }
+
+        if (await userModel.findOne({ username: username })) {
+            return res.status(409).json({
+                success: false,
+                message: "Registration error",
+                errors: { username: 'Username sudah pernah digunakkan' }
+            });
+        }
+
+        const school = new schoolModel({
+            name: schoolName,
+            address: schoolAddress,
+            phone: phone,
+            joinCode: await generateUniqueCode(schoolModel, 'joinCode', 8)
+        });
+
+        const newUser = new userModel({
+            fullName,
+            username,
+            email,
+            phone,
+            password,
+            role: ROLES.SCHOOL_ADMIN,
+            schoolId: school._id
+        });
+
+        await school.validate();
+        await newUser.validate();
+
+        newUser.password = await bcryptjs.hash(password, 10);
+        await school.save();
+        await newUser.save();
+
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError.message);
+        }
+
+        const tokens = await tokenService.issueTokens(newUser, req);
+
+        return res.status(201).json({
+            success: true,
+            message: "School registered successfully",
+            ...tokens,
+            data: { school: { _id: school._id, name: school.name, joinCode: school.joinCode } }
+        });
+
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// PARENT ACCOUNTS (Invitation code)
+// ----------------------------------------------------------------------
+
+/**
+ * Registers a parent account with an invitation code created by the child's teacher.
+ * The new account is linked to the child right away.
+ * * @async
+ * @function registerParent
+ * @memberof module:AuthController
+ * @param {object} req - Express request object containing user details.
+ * @param {string} req.body.invitationCode - Invitation code from the teacher.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON with `token`, `refreshToken` and `expiresIn` on success.
+ * @throws {422} If the invitation code is invalid or a field fails validation.
+ * @throws {409} If the email or username is already used.
+ */
+exports.registerParent = async (req, res) => {
+    try {
+        const { fullName, username, email, phone, password, invitationCode } = req.body;
+
+        if (!invitationCode || !(await invitationService.findRedeemable(invitationCode))) {
+            return res.status(422).json({
+                success: false,
+                message: "Validation error",
+                errors: { invitationCode: 'Kode undangan tidak valid atau sudah kadaluarsa' }
+            });
+        }
+
+        if (await userModel.findOne({ email: email })) {
+            return res.status(409).json({
+                success: false,
+                message: "Registration error",
+                errors: { email: 'Email sudah pernah digunakkan' }
+            });
+        }
+
+        if (await userModel.findOne({ username: username })) {
+            return res.status(409).json({
+                success: false,
+                message: "Registration error",
+                errors: { username: 'Username sudah pernah digunakkan' }
+            });
+        }
+
+        const newUser = new userModel({
+            fullName,
+            username,
+            email,
+            phone,
+            password,
+            role: ROLES.PARENT
+        });
+
+        await newUser.validate();
+
         newUser.password = await bcryptjs.hash(password, 10);
         await newUser.save();
 
-        const token = jwt.sign(
-            { userId: newUser._id, fullName: newUser.fullName, role: newUser.role },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        const child = await invitationService.redeemInvitation(invitationCode, newUser);
+
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError.message);
+        }
+
+        const tokens = await tokenService.issueTokens(newUser, req);
 
         return res.status(201).json({
             success: true,
             message: "User registered successfully",
-            token: token
+            ...tokens,
+            data: { child: child ? { _id: child._id, fullName: child.fullName } : null }
+        });
+
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Links the authenticated parent to another child with an invitation code.
+ * * @async
+ * @function redeemInvitation
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.code - Invitation code from the teacher.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns the linked child.
+ * @throws {422} If the code is missing, invalid, used or expired.
+ */
+exports.redeemInvitation = async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        const parent = await userModel.findById(req.user.userId);
+        const child = code ? await invitationService.redeemInvitation(code, parent) : null;
+
+        if (!child) {
+            return res.status(422).json({
+                success: false,
+                message: "Validation error",
+                errors: { code: 'Kode undangan tidak valid atau sudah kadaluarsa' }
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Child successfully linked',
+            data: { child: { _id: child._id, fullName: child.fullName } }
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// STUDENT LOGIN (Class code + avatar + picture password)
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the children of a class for the student login screen.
+ * Only children with a picture password are listed, with their first name and avatar.
+ * * @async
+ * @function studentClass
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {string} req.params.classCode - Class code of the teacher.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns the teacher name, the children and the available pictures.
+ * @throws {404} If no teacher has the class code.
+ */
+exports.studentClass = async (req, res) => {
+    try {
+        const classCode = (req.params.classCode || '').toUpperCase();
+        const teacher = await userModel.findOne({ classCode: classCode, role: 1 });
+
+        if (!teacher) {
+            return res.status(404).json({ success: false, message: 'Kode kelas tidak ditemukan' });
+        }
+
+        const children = await userModel
+            .find({ teacherId: teacher._id, role: 2, picturePin: { $exists: true } })
+            .select('fullName avatar')
+            .sort({ fullName: 1 });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: {
+                teacherName: teacher.fullName,
+                childs: children.map(child => ({
+                    _id: child._id,
+                    // Hanya nama depan yang ditampilkan di layar login
+                    name: child.fullName.split(' ')[0],
+                    avatar: AVATARS.find(a => a.id === child.avatar) || null
+                })),
+                pictures: PICTURES,
+                pinLength: PIN_LENGTH
+            }
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Logs a child in with their class code, the avatar they tapped and their picture password.
+ * The issued token has the restricted `student` scope.
+ * * @async
+ * @function studentLogin
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.classCode - Class code of the teacher.
+ * @param {string} req.body.childId - ID of the child whose avatar was tapped.
+ * @param {string[]} req.body.pin - Sequence of picture ids.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON with `token`, `refreshToken` and `expiresIn` on success.
+ * @throws {422} If a field is missing or `childId` is not a valid ID.
+ * @throws {401} If the class code, child or picture password does not match.
+ * @throws {423} If the child's account is locked after too many failed logins.
+ */
+exports.studentLogin = async (req, res) => {
+    try {
+        const { classCode, childId, pin } = req.body || {};
+
+        if (!classCode || !isObjectIdString(childId) || !Array.isArray(pin)) {
+            return res.status(422).json({
+                success: false,
+                message: "Validation error",
+                errors: {
+                    classCode: !classCode ? 'Class code is required' : null,
+                    childId: !childId ? 'Child is required' : !isObjectIdString(childId) ? 'Child is invalid' : null,
+                    pin: !Array.isArray(pin) ? 'Picture password is required' : null,
+                }
+            });
+        }
+
+        const teacher = await userModel.findOne({ classCode: String(classCode).toUpperCase(), role: 1 });
+        const child = teacher
+            ? await userModel.findOne({ _id: childId, teacherId: teacher._id, role: 2 }).select('+picturePin')
+            : null;
+
+        const remaining = loginLockout.lockRemaining(child);
+        if (remaining > 0) return lockedResponse(res, remaining);
+
+        if (!child || !(await comparePin(pin, child.picturePin))) {
+            if (child) {
+                const lockedFor = await loginLockout.registerFailure(child);
+                if (lockedFor > 0) return lockedResponse(res, lockedFor);
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Password gambar salah'
+            });
+        }
+
+        await loginLockout.registerSuccess(child);
+        const tokens = await tokenService.issueTokens(child, req, { scope: 'student' });
+
+        return res.status(200).json({
+            success: true,
+            message: 'User logged in successfully',
+            ...tokens
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Retrieves the class code of the authenticated teacher, creating one if the teacher has none yet.
+ * * @async
+ * @function classCode
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns `{ classCode }`.
+ */
+exports.classCode = async (req, res) => {
+    try {
+        const teacher = await userModel.findById(req.user.userId);
+        if (!teacher.classCode) {
+            await assignClassCode(teacher);
+            await teacher.save({ validateBeforeSave: false });
+        }
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: { classCode: teacher.classCode } });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Replaces the class code of the authenticated teacher, e.g. when the old one was shared outside the class.
+ * * @async
+ * @function regenerateClassCode
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns the new `{ classCode }`.
+ */
+exports.regenerateClassCode = async (req, res) => {
+    try {
+        const teacher = await userModel.findById(req.user.userId);
+        await assignClassCode(teacher);
+        await teacher.save({ validateBeforeSave: false });
+
+        return res.status(200).json({ success: true, message: 'Class code successfully updated', data: { classCode: teacher.classCode } });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// REFRESH
+// ----------------------------------------------------------------------
+
+/**
+ * Exchanges a refresh token for a new access token.
+ * The refresh token is rotated: the one sent is revoked and a new one is returned.
+ * * @async
+ * @function refresh
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.refreshToken - Refresh token received from login, register or a previous refresh.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON with the new `token`, `refreshToken` and `expiresIn`.
+ * @throws {422} If `refreshToken` is missing.
+ * @throws {401} If the refresh token is unknown, expired or already used.
+ */
+exports.refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(422).json({
+                success: false,
+                message: "Validation error",
+                errors: { refreshToken: 'Refresh token is required' }
+            });
+        }
+
+        const tokens = await tokenService.rotateRefreshToken(refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            ...tokens
         });
 
     } catch (error) {
@@ -150,15 +632,228 @@ exports.register = async (req, res) => {
 
 /**
  * Handles user logout.
- * Note: In JWT (stateless), actual logout is handled client-side by clearing the token.
- * * @function logout
+ * Revokes the current access token and every refresh token of the current session (device).
+ * * @async
+ * @function logout
  * @memberof module:AuthController
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
+ * @returns {Promise<void>}
  */
-exports.logout = (req, res) => {
-    return res.status(200).json({
-        success: true,
-        message: "User logged out successfully"
-    });
-};
\ No newline at end of file
+exports.logout = async (req, res) => {
+    try {
+        await tokenService.revokeAccessToken(req.user);
+        await tokenService.revokeSession(req.user.userId, req.user.sid);
+
+        return res.status(200).json({
+            success: true,
+            message: "User logged out successfully"
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Logs the user out from all devices.
+ * Revokes every refresh token and invalidates every access token issued so far.
+ * * @async
+ * @function logoutAll
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>}
+ */
+exports.logoutAll = async (req, res) => {
+    try {
+        await tokenService.revokeAllSessions(req.user.userId);
+
+        return res.status(200).json({
+            success: true,
+            message: "User logged out from all devices successfully"
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// PASSWORD RESET
+// ----------------------------------------------------------------------
+
+/**
+ * Sends a one-time password reset link to the user's email.
+ * Always responds with success so the endpoint cannot be used to find out which emails are registered,
+ * also when sending the email fails (the failure is logged).
+ * * @async
+ * @function forgotPassword
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.email - Email address of the account.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>}
+ * @throws {422} If `email` is missing.
+ */
+exports.forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return res.status(422).json({
+                success: false,
+                message: "Validation error",
+                errors: { email: 'Email is required' }
+            });
+        }
+
+        const user = await userModel.findOne({ email: email });
+        if (user) {
+            const token = await tokenService.createUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+            try {
+                await mailService.sendMail({
+                    to: user.email,
+                    ...passwordResetMail({ fullName: user.fullName, token, ttlMinutes: PASSWORD_RESET_TTL_MINUTES })
+                });
+            } catch (error) {
+                // Jawaban tetap sama, supaya gagal kirim tidak membocorkan email yang terdaftar
+                console.error('Failed to send password reset email:', error.message);
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'If the email is registered, a password reset link has been sent'
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Sets a new password using a password reset token.
+ * The token can only be used once. Every existing session of the user is ended.
+ * * @async
+ * @function resetPassword
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.token - Token from the password reset email.
+ * @param {string} req.body.password - The new password (minimum 6 characters).
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>}
+ * @throws {422} If `token` or `password` is missing or the password is too short.
+ * @throws {400} If the token is invalid, expired or already used.
+ */
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+
+        const errors = {};
+        if (!token) errors.token = 'Token is required';
+        if (!password) errors.password = 'Password is required';
+        else if (password.length < 6) errors.password = 'Password minimal 6 karater';
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({ success: false, message: "Validation error", errors: errors });
+        }
+
+        const userToken = await tokenService.consumeUserToken(token, 'password_reset');
+        if (!userToken) {
+            return res.status(400).json({ success: false, message: 'Invalid or expired token' });
+        }
+
+        const user = await userModel.findById(userToken.userId);
+        if (!user) {
+            return res.status(400).json({ success: false, message: 'Invalid or expired token' });
+        }
+
+        user.password = await bcryptjs.hash(password, 10);
+        // Link reset terkirim ke email, berarti email terbukti milik user
+        if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+        await user.save({ validateBeforeSave: false });
+
+        await tokenService.revokeAllSessions(user._id);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Password has been reset successfully'
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// EMAIL VERIFICATION
+// ----------------------------------------------------------------------
+
+/**
+ * Verifies the user's email address using the token sent on registration.
+ * * @async
+ * @function verifyEmail
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.token - Token from the verification email.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>}
+ * @throws {422} If `token` is missing.
+ * @throws {400} If the token is invalid, expired or already used.
+ */
+exports.verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body || {};
+
+        if (!token) {
+            return res.status(422).json({
+                success: false,
+                message: "Validation error",
+                errors: { token: 'Token is required' }
+            });
+        }
+
+        const userToken = await tokenService.consumeUserToken(token, 'email_verification');
+        if (!userToken) {
+            return res.status(400).json({ success: false, message: 'Invalid or expired token' });
+        }
+
+        await userModel.updateOne({ _id: userToken.userId }, { $set: { emailVerifiedAt: new Date() } });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Sends a new email verification link to the authenticated user.
+ * * @async
+ * @function resendVerification
+ * @memberof module:AuthController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>}
+ * @throws {400} If the email is already verified or the user has no email.
+ */
+exports.resendVerification = async (req, res) => {
+    try {
+        const user = await userModel.findById(req.user.userId);
+        if (!user || !user.email) {
+            return res.status(400).json({ success: false, message: 'User has no email address' });
+        }
+
+        if (user.emailVerifiedAt) {
+            return res.status(400).json({ success: false, message: 'Email already verified' });
+        }
+
+        await sendVerificationEmail(user);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Verification email has been sent'
+        });
+    } catch (error) {
+        return errorHandling(error, req, res);
+    }
+};
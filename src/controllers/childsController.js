@@ -1,8 +1,25 @@
 const { errorHandling } = require("../helpers/errorHandling");
+const crypto = require('crypto');
 const bcryptjs = require('bcryptjs');
 const userModel = require("../models/userModel");
 const materialModel = require("../models/materialModel");
 const exerciseModel = require("../models/exerciseModel");
+const tokenService = require("../services/tokenService");
+const invitationService = require("../services/invitationService");
+const coTeachingService = require("../services/coTeachingService");
+const childTrashService = require("../services/childTrashService");
+const rosterService = require("../services/rosterService");
+const errorProfileService = require("../services/errorProfileService");
+const adaptiveService = require("../services/adaptiveService");
+const invitationModel = require("../models/invitationModel");
+const classModel = require("../models/classModel");
+const { ROLES } = require("../policies/roles");
+const { CO_TEACHER_PERMISSIONS } = require("../policies/childPolicy");
+const { childScope } = require("../helpers/tenant");
+const { isObjectIdString } = require("../helpers/objectId");
+const { formatOf, parseRoster, buildRoster, ROSTER_FORMATS } = require("../helpers/roster");
+const { baseUsername, uniqueUsername } = require("../helpers/username");
+const { generatePin, hashPin, describePin, isValidPin, isValidAvatar, randomAvatar } = require("../helpers/pictureLogin");
 
 /**
  * Controller module for Child (Student) management.
@@ -15,28 +32,101 @@ const exerciseModel = require("../models/exerciseModel");
  * @module ChildsController
  */
 
+/**
+ * Lists what the authenticated teacher may do with a child: every permission for the responsible
+ * teacher, the shared permissions for a co-teacher, none for other users.
+ *
+ * @private
+ * @function permissionsOf
+ * @param {object} user - Token payload.
+ * @param {object} child - Child user document.
+ * @returns {string[]} Co-teacher permissions.
+ */
+const permissionsOf = (user, child) => {
+    if (child.teacherId?.toString() === user.userId) return [...CO_TEACHER_PERMISSIONS];
+
+    const entry = (child.coTeachers || []).find(co => co.teacherId.toString() === user.userId);
+    return entry ? [...entry.permissions] : [];
+};
+
+/**
+ * Validates how the request names a teacher: `teacherId` must be one ObjectId, `username` a string.
+ *
+ * @private
+ * @function teacherLookupError
+ * @param {object} body - Request body with `teacherId` or `username`.
+ * @returns {string|null} Error message, or null if the values can be used in a query.
+ */
+const teacherLookupError = ({ teacherId, username } = {}) => {
+    if (teacherId !== undefined && teacherId !== null && teacherId !== '') {
+        return isObjectIdString(teacherId) ? null : 'ID guru tidak valid';
+    }
+    if (username !== undefined && username !== null && typeof username !== 'string') return 'Username guru tidak valid';
+    return null;
+};
+
+/**
+ * Finds a teacher by ID, or by username / email. Check the body with `teacherLookupError` first.
+ *
+ * @private
+ * @async
+ * @function findTeacher
+ * @param {object} body - Request body with `teacherId` or `username`.
+ * @returns {Promise<object|null>} Teacher user document.
+ */
+const findTeacher = async ({ teacherId, username } = {}) => {
+    if (teacherId) return userModel.findOne({ _id: teacherId, role: ROLES.TEACHER });
+    if (username) return userModel.findOne({ $or: [{ username: username }, { email: username }], role: ROLES.TEACHER });
+    return null;
+};
+
+/**
+ * Checks whether a teacher belongs to the school of a child, so the child's data never leaves its school.
+ *
+ * @private
+ * @function sameSchool
+ * @param {object} teacher - Teacher user document.
+ * @param {object} child - Child user document.
+ * @returns {boolean}
+ */
+const sameSchool = (teacher, child) => (teacher.schoolId?.toString() || null) === (child.schoolId?.toString() || null);
+
 // ----------------------------------------------------------------------
 // INDEX: List Children
 // ----------------------------------------------------------------------
 
 /**
- * Retrieves a list of children associated with the authenticated Parent.
+ * Retrieves a list of children associated with the authenticated Parent or Teacher,
+ * or every child of the school for a School Admin.
  *
  * @async
  * @function index
  * @param {object} req - Express request object. Expects `req.user.userId`.
+ * @param {string} [req.query.classId] - Only children enrolled in this class.
  * @param {object} res - Express response object.
  * @returns {Promise<void>} Responds with an array of child objects including parent names.
  */
 exports.index = async (req, res) => {
     try {
-        const user = await userModel.findById(req.user.userId);
         const childs = [];
+        const classId = req.query?.classId;
+
+        // Admin sekolah melihat semua anak di sekolahnya, guru & orang tua memakai childIds
+        let childIdList;
+        if (req.user.role === ROLES.SCHOOL_ADMIN) {
+            childIdList = await userModel.find(childScope(req.user)).distinct('_id');
+        } else {
+            const user = await userModel.findById(req.user.userId);
+            childIdList = user.childIds;
+        }
 
         // Iterate through the parent's array of child IDs
-        for (const childId of user.childIds) {
+        for (const childId of childIdList) {
             let childData = await userModel.findById(childId);
 
+            // Filter per kelas
+            if (childData && classId && childData.classId?.toString() !== classId) continue;
+
             if (childData) {
                 // Fetch parent details to append the name
                 const teacher = await userModel.findById(childData.teacherId);
@@ -48,6 +138,7 @@ exports.index = async (req, res) => {
                 let finalChildData = {
                     child,
                     teacherName: teacher ? teacher.fullName : '-',
+                    permissions: permissionsOf(req.user, childData),
                 };
                 childs.push(finalChildData);
             }
@@ -70,6 +161,7 @@ exports.index = async (req, res) => {
 /**
  * Creates a new child account.
  * Access restricted to Parents (Role 2). Generates a unique 5-char code for the child.
+ * The child gets an avatar and a random picture password for the student login, returned only in this response.
  *
  * @async
  * @function store
@@ -77,6 +169,8 @@ exports.index = async (req, res) => {
  * @param {string} req.body.fullName - Child's full name.
  * @param {boolean} req.body.isScreening - Dyslexia screening status.
  * @param {string} req.body.level - Current learning level.
+ * @param {string} [req.body.avatar] - Avatar id, a random one is chosen if empty.
+ * @param {string} [req.body.classId] - Class to enroll the child in, must be taught by the teacher.
  * @param {object} res - Express response object.
  * @returns {Promise<void>} Responds with the created child object.
  */
@@ -85,18 +179,30 @@ exports.store = async (req, res) => {
         const teacher = await userModel.findById(req.user.userId)
         if (!teacher) return res.status(400).json({ success: false, message: 'Teacher not found' })
 
-        const username = req.body.fullName.toLowerCase().split(' ').join('')
-        const generatedPassword = await bcryptjs.hash('123456', 10)
+        // Kelas harus kelas yang diajar guru di sekolahnya
+        if (req.body.classId) {
+            const kelas = await classModel.findOne({ _id: req.body.classId, schoolId: teacher.schoolId, teacherIds: teacher._id })
+            if (!kelas) return res.status(422).json({ success: false, message: 'Validation error', errors: { classId: 'Kelas tidak ditemukan' } })
+        }
+
+        const username = req.body.fullName ? await uniqueUsername(baseUsername(req.body.fullName)) : undefined
+        // Anak login memakai password gambar, password teks dibuat acak
+        const generatedPassword = await bcryptjs.hash(crypto.randomBytes(24).toString('hex'), 10)
+        const picturePin = generatePin()
         const newChild = new userModel({
             fullName: req.body.fullName,
             username: username,
             password: generatedPassword,
+            avatar: isValidAvatar(req.body.avatar) ? req.body.avatar : randomAvatar(),
+            picturePin: await hashPin(picturePin),
             deafness: req.body.deafness,
             dateOfBirth: req.body.dateOfBirth,
             parent: {
                 fullName: req.body.parentName,
             },
-            teacherId: teacher._id
+            teacherId: teacher._id,
+            schoolId: teacher.schoolId,
+            classId: req.body.classId || undefined
         });
 
         newChild.role = 2; // Set role to Child
@@ -111,14 +217,100 @@ exports.store = async (req, res) => {
         teacher.childIds.push(newChild._id);
         await teacher.save({ validateBeforeSave: false })
 
-        const { childIds, deleted, role, password, ...childObj } = newChild.toObject();
+        const { childIds, deleted, role, password, picturePin: pinHash, ...childObj } = newChild.toObject();
 
         res.status(201).json({
             success: true,
             message: "Successfully added new child",
-            data: childObj
+            // Password gambar hanya ditampilkan sekali, berikan ke anak
+            data: { ...childObj, picturePin: describePin(picturePin) }
+        });
+
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// ROSTER: Bulk import / export (CSV, XLSX)
+// ----------------------------------------------------------------------
+
+/**
+ * Creates many children at once from a CSV or XLSX roster.
+ * Every row is validated with the same rules as `store`; if any row fails nothing is created and the
+ * errors are reported per row. Usernames are generated from the names when the column is empty.
+ *
+ * @async
+ * @function importRoster
+ * @param {object} req - Express request object.
+ * @param {object} req.file - Uploaded roster (`file` field), see `ROSTER_COLUMNS` for the columns.
+ * @param {string} [req.query.dryRun] - `true` to only validate the file.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the created children and their picture passwords (shown once).
+ * @throws {422} If the file is missing, unreadable, too large, or a row is invalid.
+ */
+exports.importRoster = async (req, res) => {
+    try {
+        const format = formatOf(req.file?.originalname);
+        if (!req.file || !format) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { file: `File wajib berformat ${ROSTER_FORMATS.join(' atau ')}` } });
+        }
+
+        let roster;
+        try {
+            roster = await parseRoster(req.file.buffer, format);
+        } catch (parseError) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { file: 'File tidak dapat dibaca' } });
+        }
+
+        if (!roster.columns.includes('fullName')) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { file: 'Kolom "Nama Lengkap" tidak ditemukan' } });
+        }
+        if (roster.rows.length === 0 || roster.rows.length > rosterService.ROSTER_MAX_ROWS) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { file: `Jumlah siswa harus 1 - ${rosterService.ROSTER_MAX_ROWS}` } });
+        }
+
+        const teacher = await userModel.findById(req.user.userId);
+        const dryRun = req.query?.dryRun === 'true';
+        const result = await rosterService.importRoster(teacher, roster.rows, { dryRun });
+
+        if (result.errors.length > 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { rows: result.errors } });
+        }
+
+        return res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun ? 'Roster is valid' : `Successfully added ${result.childs.length} children`,
+            data: { childs: result.childs }
         });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
 
+/**
+ * Downloads the roster of the children the user may list, in the same columns the import accepts.
+ *
+ * @async
+ * @function exportRoster
+ * @param {object} req - Express request object.
+ * @param {string} [req.query.format=xlsx] - `csv` or `xlsx`.
+ * @param {string} [req.query.classId] - Only children enrolled in this class.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Sends the roster file as an attachment.
+ */
+exports.exportRoster = async (req, res) => {
+    try {
+        const format = ROSTER_FORMATS.includes(req.query?.format) ? req.query.format : 'xlsx';
+
+        const rows = await rosterService.exportRoster(req.user, { classId: req.query?.classId });
+        const file = await buildRoster(rows, format);
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`siswa-${date}.${format}`);
+        res.type(format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+        return res.status(200).send(Buffer.from(file));
     } catch (error) {
         errorHandling(error, req, res);
     }
@@ -130,12 +322,15 @@ exports.store = async (req, res) => {
 
 /**
  * Updates a child's profile information.
- * Access restricted to Parents (Role 2).
+ * Access restricted to Parents (Role 2). Changing the password or picture password ends every session of the child.
  *
  * @async
  * @function update
  * @param {object} req - Express request object.
  * @param {string} req.params.id - The Child's ID.
+ * @param {string} [req.body.avatar] - New avatar id.
+ * @param {string[]} [req.body.picturePin] - New picture password (sequence of picture ids).
+ * @param {boolean} [req.body.resetPicturePin] - Generate a new random picture password, returned in the response.
  * @param {object} res - Express response object.
  * @returns {Promise<void>} Responds with updated child data.
  */
@@ -150,10 +345,30 @@ exports.update = async (req, res) => {
             child.username = data.username.toLowerCase().replace(/\s+/g, '');
         }
 
-        if (data.password && data.password.trim() !== "") {
+        const isPasswordChanged = data.password && data.password.trim() !== "";
+        if (isPasswordChanged) {
             child.password = await bcryptjs.hash(data.password, 10);
         }
 
+        if (data.avatar !== undefined) {
+            if (!isValidAvatar(data.avatar)) {
+                return res.status(422).json({ success: false, message: "Validation error", errors: { avatar: 'Avatar tidak valid' } });
+            }
+            child.avatar = data.avatar;
+        }
+
+        // Password gambar baru: dari guru, atau dibuat acak jika resetPicturePin dikirim
+        let newPicturePin = null;
+        if (data.picturePin !== undefined) {
+            if (!isValidPin(data.picturePin)) {
+                return res.status(422).json({ success: false, message: "Validation error", errors: { picturePin: 'Password gambar tidak valid' } });
+            }
+            newPicturePin = data.picturePin;
+        } else if (data.resetPicturePin) {
+            newPicturePin = generatePin();
+        }
+        if (newPicturePin) child.picturePin = await hashPin(newPicturePin);
+
         const fields = ['fullName', 'phone', 'address', 'email', 'deafness', 'dateOfBirth'];
         fields.forEach(field => {
             if (data[field] !== undefined) {
@@ -182,10 +397,15 @@ exports.update = async (req, res) => {
 
         await child.save();
 
+        // Password berubah: akhiri semua sesi login anak di perangkat lain
+        if (isPasswordChanged || newPicturePin) await tokenService.revokeAllSessions(child._id);
+
         // 5. Response (Hapus data sensitif)
         const result = child.toObject();
         delete result.password;
         delete result.role;
+        delete result.picturePin;
+        if (newPicturePin) result.picturePin = describePin(newPicturePin);
 
         res.status(200).json({
             success: true,
@@ -281,12 +501,63 @@ exports.show = async (req, res) => {
     }
 };
 
+/**
+ * Retrieves the error profile of a child: reading and writing errors typical of dyslexia (letter reversals,
+ * omissions, insertions, transpositions, substitutions) summed over quiz and screening answers.
+ *
+ * @async
+ * @function errorProfile
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {string} [req.query.since] - Only answers given from this date on (ISO date).
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the error profile (see ErrorProfileService).
+ * @throws {422} If `since` is not a valid date.
+ */
+exports.errorProfile = async (req, res) => {
+    try {
+        let since;
+        if (req.query?.since) {
+            since = new Date(req.query.since);
+            if (Number.isNaN(since.getTime())) {
+                return res.status(422).json({ success: false, message: 'Validation error', errors: { since: 'Tanggal tidak valid' } });
+            }
+        }
+
+        const data = await errorProfileService.childErrorProfile(req.params.id, { since });
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: data });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Retrieves the ability of a child per exercise method, as rated by the adaptive engine, with the level and
+ * question difficulty the next generated quiz will aim for.
+ *
+ * @async
+ * @function abilities
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the abilities (see AdaptiveService).
+ */
+exports.abilities = async (req, res) => {
+    try {
+        const data = await adaptiveService.abilitiesOf(req.params.id);
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: data });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
 // ----------------------------------------------------------------------
 // DESTROY: Delete or Unlink
 // ----------------------------------------------------------------------
 
 /**
  * Deletes a child account or unlinks them from a teacher.
+ * The child stays in the trash and can be restored until it is purged.
  * Behavior depends on the role of the requester.
  *
  * - If Teacher (Role 1): Unlinks the child from the teacher's class.
@@ -309,6 +580,10 @@ exports.destroy = async (req, res) => {
             await teacher.save({ validateBeforeSave: false });
         }
 
+        // Lepas juga dari co-teacher dan orang tua
+        const linkedIds = [...child.coTeachers.map(co => co.teacherId), ...(child.parentIds || [])];
+        await userModel.updateMany({ _id: { $in: linkedIds } }, { $pull: { childIds: child._id } });
+
         // Perform Soft Delete
         await userModel.delete({ _id: child._id });
 
@@ -319,4 +594,370 @@ exports.destroy = async (req, res) => {
     } catch (error) {
         errorHandling(error, req, res);
     }
-};
\ No newline at end of file
+};
+
+// ----------------------------------------------------------------------
+// TRASH: Restore and purge deleted children
+// ----------------------------------------------------------------------
+
+/**
+ * Lists the deleted children of the authenticated teacher, or of the school for a School Admin,
+ * with the date the scheduled purge removes them.
+ *
+ * @async
+ * @function trash
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the deleted children and the retention period.
+ */
+exports.trash = async (req, res) => {
+    try {
+        const query = req.user.role === ROLES.SCHOOL_ADMIN
+            ? { schoolId: req.user.schoolId, role: ROLES.CHILD }
+            : { teacherId: req.user.userId, role: ROLES.CHILD };
+
+        const deleted = await userModel.findDeleted(query)
+            .select('fullName avatar dateOfBirth level classId teacherId deletedAt')
+            .sort({ deletedAt: -1 });
+
+        const childs = deleted.map(child => ({
+            ...child.toObject(),
+            purgeAt: childTrashService.purgeDate(child)
+        }));
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: { childs: childs, retentionDays: childTrashService.CHILD_RETENTION_DAYS }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Restores a deleted child and links it again to its teacher, co-teachers and parents.
+ *
+ * @async
+ * @function restore
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the restored child.
+ */
+exports.restore = async (req, res) => {
+    try {
+        const child = await userModel.findOneDeleted({ _id: req.params.id, role: ROLES.CHILD });
+        if (!child) return res.status(404).json({ success: false, message: 'Deleted child not found' });
+
+        const restored = await childTrashService.restoreChild(child);
+        const { childIds, deleted, role, password, ...childData } = restored.toObject();
+
+        return res.status(200).json({ success: true, message: 'Child successfully restored', data: childData });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Permanently deletes a child from the trash, with its exercises, materials and uploaded files.
+ *
+ * @async
+ * @function purge
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the number of removed records and files.
+ */
+exports.purge = async (req, res) => {
+    try {
+        const child = await userModel.findOneDeleted({ _id: req.params.id, role: ROLES.CHILD });
+        if (!child) return res.status(404).json({ success: false, message: 'Deleted child not found' });
+
+        const removed = await childTrashService.purgeChild(child);
+
+        return res.status(200).json({ success: true, message: 'Child permanently deleted', data: removed });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// INVITATIONS: Parent access codes
+// ----------------------------------------------------------------------
+
+/**
+ * Lists the parent invitation codes of a child and the linked parents.
+ *
+ * @async
+ * @function invitations
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the invitations and linked parents.
+ */
+exports.invitations = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        const invitations = await invitationModel.find({ childId: child._id }).sort({ createdAt: -1 });
+        const parents = await userModel.find({ _id: { $in: child.parentIds || [] } }).select('fullName email phone');
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: { invitations: invitations, parents: parents }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Creates an invitation code a parent can redeem to get read-only access to the child.
+ *
+ * @async
+ * @function storeInvitation
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the created invitation (code and expiry).
+ */
+exports.storeInvitation = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        const invitation = await invitationService.createInvitation(child, req.user.userId);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Successfully created invitation',
+            data: invitation
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Revokes an unused invitation code.
+ *
+ * @async
+ * @function destroyInvitation
+ * @param {object} req - Express request object. Expects `req.params.id` and `req.params.invitationId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.destroyInvitation = async (req, res) => {
+    try {
+        const invitation = await invitationModel.findOne({ _id: req.params.invitationId, childId: req.params.id });
+        if (!invitation) return res.status(404).json({ success: false, message: 'Invitation not found' });
+
+        if (invitation.redeemedAt) {
+            return res.status(400).json({ success: false, message: 'Invitation has already been redeemed' });
+        }
+
+        invitation.revokedAt = new Date();
+        await invitation.save();
+
+        return res.status(200).json({ success: true, message: 'Invitation successfully revoked' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Removes a parent's access to a child.
+ *
+ * @async
+ * @function destroyParent
+ * @param {object} req - Express request object. Expects `req.params.id` and `req.params.parentId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.destroyParent = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        await userModel.updateOne({ _id: child._id }, { $pull: { parentIds: req.params.parentId } });
+        await userModel.updateOne({ _id: req.params.parentId }, { $pull: { childIds: child._id } });
+
+        return res.status(200).json({ success: true, message: 'Parent successfully unlinked' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// CO-TEACHERS: Sharing and transfer
+// ----------------------------------------------------------------------
+
+/**
+ * Lists the responsible teacher and the co-teachers of a child with their permissions.
+ *
+ * @async
+ * @function teachers
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with `{ teacher, coTeachers, permissions }`.
+ */
+exports.teachers = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        const teacher = await userModel.findById(child.teacherId).select('fullName email phone');
+        const coTeacherUsers = await userModel.find({ _id: { $in: child.coTeachers.map(co => co.teacherId) } }).select('fullName email phone');
+
+        const coTeachers = child.coTeachers.map(co => ({
+            teacher: coTeacherUsers.find(u => u._id.toString() === co.teacherId.toString()) || { _id: co.teacherId },
+            permissions: co.permissions,
+            addedAt: co.addedAt
+        }));
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: { teacher: teacher, coTeachers: coTeachers, permissions: CO_TEACHER_PERMISSIONS }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Shares a child with another teacher (e.g. a therapist) of the child's school, or changes the permissions of an existing co-teacher.
+ *
+ * @async
+ * @function storeTeacher
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {string} [req.body.teacherId] - Teacher to share with.
+ * @param {string} [req.body.username] - Username or email of the teacher to share with, if `teacherId` is empty.
+ * @param {string[]} req.body.permissions - Subset of `update`, `assign`, `invite`. Viewing is always allowed.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the co-teacher entry.
+ * @throws {422} If the teacher is invalid, unknown, the responsible teacher or outside the child's school, or the permissions are invalid.
+ */
+exports.storeTeacher = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        const errors = {};
+        const lookupError = teacherLookupError(req.body);
+        const teacher = lookupError ? null : await findTeacher(req.body);
+        const permissions = coTeachingService.normalizePermissions(req.body.permissions || []);
+
+        if (lookupError) errors.teacherId = lookupError;
+        else if (!teacher) errors.teacherId = 'Guru tidak ditemukan';
+        else if (teacher._id.toString() === child.teacherId?.toString()) errors.teacherId = 'Guru sudah menjadi penanggung jawab siswa';
+        // Data siswa tidak boleh dibagikan ke sekolah lain
+        else if (!sameSchool(teacher, child)) errors.teacherId = 'Guru tidak terdaftar di sekolah siswa';
+        if (!permissions) errors.permissions = `Izin harus berupa daftar dari: ${CO_TEACHER_PERMISSIONS.join(', ')}`;
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: errors });
+        }
+
+        const entry = await coTeachingService.shareChild(child, teacher, permissions, req.user.userId);
+
+        return res.status(201).json({ success: true, message: 'Child successfully shared', data: entry });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Removes a co-teacher from a child.
+ *
+ * @async
+ * @function destroyTeacher
+ * @param {object} req - Express request object. Expects `req.params.id` and `req.params.teacherId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.destroyTeacher = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        if (!(await coTeachingService.unshareChild(child, req.params.teacherId))) {
+            return res.status(404).json({ success: false, message: 'Co-teacher not found' });
+        }
+
+        return res.status(200).json({ success: true, message: 'Co-teacher successfully removed' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Lets the authenticated co-teacher stop teaching a child.
+ *
+ * @async
+ * @function leave
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.leave = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        await coTeachingService.unshareChild(child, req.user.userId);
+
+        return res.status(200).json({ success: true, message: 'Successfully left the child' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Transfers a child to another teacher, together with the exercises and materials of the previous teacher.
+ * The new teacher must belong to the school of the child, so the child's data never leaves its school;
+ * a School Admin can moreover only transfer children of their own school.
+ *
+ * @async
+ * @function transfer
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {string} [req.body.teacherId] - New responsible teacher.
+ * @param {string} [req.body.username] - Username or email of the new teacher, if `teacherId` is empty.
+ * @param {boolean} [req.body.keepAccess=false] - Keep the previous teacher as a co-teacher.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the number of moved exercises and materials.
+ * @throws {422} If the new teacher is invalid, unknown, already responsible, or outside the admin's or the child's school.
+ */
+exports.transfer = async (req, res) => {
+    try {
+        const child = await userModel.findById(req.params.id);
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        const lookupError = teacherLookupError(req.body);
+        const teacher = lookupError ? null : await findTeacher(req.body);
+
+        let error = null;
+        if (lookupError) error = lookupError;
+        else if (!teacher) error = 'Guru tidak ditemukan';
+        else if (teacher._id.toString() === child.teacherId?.toString()) error = 'Guru sudah menjadi penanggung jawab siswa';
+        else if (req.user.role === ROLES.SCHOOL_ADMIN && teacher.schoolId?.toString() !== req.user.schoolId) error = 'Guru tidak terdaftar di sekolah ini';
+        // Data siswa tidak boleh pindah ke sekolah lain
+        else if (!sameSchool(teacher, child)) error = 'Guru tidak terdaftar di sekolah siswa';
+
+        if (error) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { teacherId: error } });
+        }
+
+        const moved = await coTeachingService.transferChild(child, teacher, {
+            keepAccess: req.body.keepAccess === true,
+            by: req.user.userId
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Child successfully transferred',
+            data: { teacherId: teacher._id, ...moved }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
@@ -0,0 +1,271 @@
+const classModel = require("../models/classModel");
+const userModel = require("../models/userModel");
+const { errorHandling } = require("../helpers/errorHandling");
+const { ROLES } = require("../policies/roles");
+
+/**
+ * Controller module for Classes inside a school.
+ *
+ * Roles:
+ * 1: Teacher (classes they teach)
+ * 4: School Admin (every class of the school)
+ *
+ * @module ClassesController
+ */
+
+/**
+ * Keeps only the teacher IDs that belong to the given school.
+ *
+ * @private
+ * @async
+ * @function schoolTeacherIds
+ * @memberof module:ClassesController
+ * @param {string[]} teacherIds - Requested teacher IDs.
+ * @param {string} schoolId - School of the class.
+ * @returns {Promise<mongoose.Types.ObjectId[]>} Teacher IDs of the school.
+ */
+const schoolTeacherIds = async (teacherIds, schoolId) => {
+    if (!Array.isArray(teacherIds) || teacherIds.length === 0) return [];
+    return userModel.find({ _id: { $in: teacherIds }, schoolId: schoolId, role: ROLES.TEACHER }).distinct('_id');
+};
+
+// ----------------------------------------------------------------------
+// INDEX
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the classes of the school (School Admin) or the classes the teacher teaches (Teacher),
+ * with the number of enrolled children.
+ *
+ * @async
+ * @function index
+ * @memberof module:ClassesController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with an array of classes.
+ */
+exports.index = async (req, res) => {
+    try {
+        const query = { schoolId: req.user.schoolId };
+        if (req.user.role === ROLES.TEACHER) query.teacherIds = req.user.userId;
+
+        const classes = await classModel.find(query).sort({ name: 1 }).lean();
+
+        for (const kelas of classes) {
+            kelas.childTotal = await userModel.countDocuments({ classId: kelas._id, role: ROLES.CHILD });
+        }
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: classes });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// STORE
+// ----------------------------------------------------------------------
+
+/**
+ * Creates a class in the school of the authenticated user.
+ * A teacher creating a class becomes one of its teachers.
+ *
+ * @async
+ * @function store
+ * @memberof module:ClassesController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.name - Name of the class.
+ * @param {string} [req.body.description] - Description.
+ * @param {string} [req.body.academicYear] - Academic year.
+ * @param {string[]} [req.body.teacherIds] - Teachers of the class (must belong to the school).
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the created class.
+ */
+exports.store = async (req, res) => {
+    try {
+        const { name, description, academicYear, teacherIds } = req.body;
+
+        const teachers = await schoolTeacherIds(teacherIds, req.user.schoolId);
+        if (req.user.role === ROLES.TEACHER && !teachers.some(id => id.toString() === req.user.userId)) {
+            teachers.push(req.user.userId);
+        }
+
+        const kelas = new classModel({
+            schoolId: req.user.schoolId,
+            name,
+            description,
+            academicYear,
+            teacherIds: teachers
+        });
+
+        await kelas.save();
+
+        return res.status(201).json({ success: true, message: 'Successfully added new class', data: kelas });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// SHOW
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves a class with its teachers and enrolled children.
+ *
+ * @async
+ * @function show
+ * @memberof module:ClassesController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the class, teachers and children.
+ */
+exports.show = async (req, res) => {
+    try {
+        const kelas = await classModel.findById(req.params.id);
+        if (!kelas) return res.status(404).json({ success: false, message: 'Class not found' });
+
+        const teachers = await userModel.find({ _id: { $in: kelas.teacherIds } }).select('fullName email phone');
+        const childs = await userModel.find({ classId: kelas._id, role: ROLES.CHILD }).select('fullName avatar level dateOfBirth teacherId');
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: { class: kelas, teachers, childs }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// UPDATE
+// ----------------------------------------------------------------------
+
+/**
+ * Updates a class. Teachers can only be assigned by a School Admin.
+ *
+ * @async
+ * @function update
+ * @memberof module:ClassesController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the updated class.
+ */
+exports.update = async (req, res) => {
+    try {
+        const kelas = await classModel.findById(req.params.id);
+        if (!kelas) return res.status(404).json({ success: false, message: 'Class not found' });
+
+        const fields = ['name', 'description', 'academicYear'];
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) kelas[field] = req.body[field];
+        });
+
+        if (req.body.teacherIds !== undefined && req.user.role === ROLES.SCHOOL_ADMIN) {
+            kelas.teacherIds = await schoolTeacherIds(req.body.teacherIds, kelas.schoolId);
+        }
+
+        await kelas.save();
+
+        return res.status(200).json({ success: true, message: 'Class successfully updated', data: kelas });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// DESTROY
+// ----------------------------------------------------------------------
+
+/**
+ * Deletes a class. Enrolled children stay in the school without a class.
+ *
+ * @async
+ * @function destroy
+ * @memberof module:ClassesController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.destroy = async (req, res) => {
+    try {
+        const kelas = await classModel.findById(req.params.id);
+        if (!kelas) return res.status(404).json({ success: false, message: 'Class not found' });
+
+        await userModel.updateMany({ classId: kelas._id }, { $unset: { classId: 1 } });
+        await kelas.deleteOne();
+
+        return res.status(200).json({ success: true, message: 'Class successfully deleted' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// ENROLLMENT
+// ----------------------------------------------------------------------
+
+/**
+ * Enrolls children in a class. A child can only be in one class at a time, so enrolling
+ * moves the child out of their previous class.
+ * Teachers can only enroll their own children, School Admins any child of the school.
+ *
+ * @async
+ * @function enroll
+ * @memberof module:ClassesController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {string[]} req.body.childIds - Children to enroll.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the number of enrolled children.
+ * @throws {422} If `childIds` is empty or contains children that cannot be enrolled.
+ */
+exports.enroll = async (req, res) => {
+    try {
+        const kelas = await classModel.findById(req.params.id);
+        if (!kelas) return res.status(404).json({ success: false, message: 'Class not found' });
+
+        const { childIds } = req.body;
+        if (!Array.isArray(childIds) || childIds.length === 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { childIds: 'Pilih minimal satu siswa' } });
+        }
+
+        const query = { _id: { $in: childIds }, schoolId: kelas.schoolId, role: ROLES.CHILD };
+        if (req.user.role === ROLES.TEACHER) query.teacherId = req.user.userId;
+
+        const allowedIds = await userModel.find(query).distinct('_id');
+        if (allowedIds.length !== childIds.length) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { childIds: 'Sebagian siswa tidak ditemukan di sekolah ini' } });
+        }
+
+        await userModel.updateMany({ _id: { $in: allowedIds } }, { $set: { classId: kelas._id } });
+
+        return res.status(200).json({ success: true, message: 'Successfully enrolled children', data: { total: allowedIds.length } });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Removes a child from a class. The child stays in the school.
+ *
+ * @async
+ * @function unenroll
+ * @memberof module:ClassesController
+ * @param {object} req - Express request object. Expects `req.params.id` and `req.params.childId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.unenroll = async (req, res) => {
+    try {
+        const result = await userModel.updateOne(
+            { _id: req.params.childId, classId: req.params.id, role: ROLES.CHILD },
+            { $unset: { classId: 1 } }
+        );
+
+        if (result.matchedCount === 0) return res.status(404).json({ success: false, message: 'Child not found in this class' });
+
+        return res.status(200).json({ success: true, message: 'Child successfully removed from class' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
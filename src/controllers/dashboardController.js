@@ -1,12 +1,15 @@
 const { errorHandling } = require("../helpers/errorHandling")
 const exerciseModel = require("../models/exerciseModel")
 const userModel = require("../models/userModel")
+const classModel = require("../models/classModel")
+const { ROLES } = require("../policies/roles")
+const { childScope } = require("../helpers/tenant")
 
 exports.index = async (req, res) => {
     try {
         let data = {}
 
-        if (req.user.role === 1) {
+        if (req.user.role === ROLES.TEACHER || req.user.role === ROLES.SCHOOL_ADMIN) {
             // Total Score
             data.score = {
                 highest: 0,
@@ -23,8 +26,8 @@ exports.index = async (req, res) => {
 
             // Child with Score
             data.scoreList = []
-            // find child
-            const childs = await userModel.find({ teacherId: req.user.userId, role: 3 })
+            // find child (guru: anak miliknya, admin sekolah: semua anak di sekolah), bisa difilter per kelas
+            const childs = await userModel.find(childScope(req.user, { classId: req.query?.classId }))
 
             for (const d of childs) {
                 // calculate child by level
@@ -52,6 +55,7 @@ exports.index = async (req, res) => {
                 // calculate scoreList
                 data.scoreList.push({
                     childId: d._id,
+                    classId: d.classId ?? null,
                     name: d.fullName,
                     level: d.level,
                     point: point
@@ -67,12 +71,28 @@ exports.index = async (req, res) => {
                     data.score.lowest = d.point
                 }
             })
-        } else if (req.user.role === 2) {
+
+            // Admin sekolah: ringkasan per kelas
+            if (req.user.role === ROLES.SCHOOL_ADMIN) {
+                const classes = await classModel.find({ schoolId: req.user.schoolId })
+                data.classes = classes.map(c => {
+                    const members = data.scoreList.filter(d => d.classId?.toString() === c._id.toString())
+                    const total = members.reduce((sum, d) => sum + d.point, 0)
+                    return {
+                        classId: c._id,
+                        name: c.name,
+                        childTotal: members.length,
+                        averagePoint: members.length ? Math.round(total / members.length) : 0
+                    }
+                })
+            }
+        } else if (req.user.role === ROLES.PARENT) {
             data.childs = []
 
-            const childs = await userModel.find({ parentsId: req.user.userId, role: 3 })
+            // Anak yang terhubung dengan orang tua lewat kode undangan
+            const childs = await userModel.find(childScope(req.user))
 
-            for (c of childs) {
+            for (const c of childs) {
 
                 const teacher = await userModel.findById(c.teacherId)
 
@@ -92,7 +112,7 @@ exports.index = async (req, res) => {
                     exerciseList.push({
                         exerciseId: e._id,
                         name: e.name,
-                        point: 80//point
+                        point: point
                     })
                 })
 
@@ -5,8 +5,21 @@ const userModel = require("../models/userModel");
 const exerciseModel = require("../models/exerciseModel");
 const questionBankModel = require("../models/questionBankModel");
 const aiService = require("../services/aiService");
+const attemptService = require("../services/attemptService");
+const scoringService = require("../services/scoringService");
+const answerScoringService = require("../services/answerScoringService");
+const jobQueueService = require("../services/jobQueueService");
+const storageService = require("../services/storageService");
+const reviewService = require("../services/reviewService");
+const rubricService = require("../services/rubricService");
+const rapidNamingService = require("../services/rapidNamingService");
+const adaptiveService = require("../services/adaptiveService");
+const spacedRepetitionService = require("../services/spacedRepetitionService");
+const { answerDuration } = require("../helpers/duration");
+const { childScope } = require("../helpers/tenant");
+const rubricModel = require("../models/rubricModel");
+const rubricPolicy = require("../policies/rubricPolicy");
 const { errorHandling } = require("../helpers/errorHandling");
-const { calculateCharacterMatchScore } = require("../helpers/similarity");
 const { exercisePrompt } = require('../helpers/promptHelpers');
 const removeFile = require('../utils/removeFile');
 
@@ -58,7 +71,7 @@ const saveBase64Image = (base64String) => {
  * @param {object} res - Express response object.
  * @returns {Promise<void>} List of exercise objects.
  * @throws {422} If `children` query param is missing.
- * @throws {400} If Child ID is invalid or not a student.
+ * @throws {400} If Child ID is invalid, not a student, or outside the scope of the user.
  */
 exports.index = async (req, res) => {
     try {
@@ -68,7 +81,8 @@ exports.index = async (req, res) => {
             return res.status(422).json({ success: false, message: 'Validation error', errors: { children: 'Please select the child first' } });
         }
 
-        if (!await userModel.findOne({ _id: childrenId, role: 2 })) {
+        // Hanya anak dalam lingkup pengguna (sekolah, kelas, anak sendiri)
+        if (!await userModel.findOne({ $and: [childScope(req.user), { _id: childrenId }] })) {
             return res.status(400).json({ success: false, message: 'Child not found' });
         }
 
@@ -102,8 +116,6 @@ exports.index = async (req, res) => {
  */
 exports.storeExercise = async (req, res) => {
     try {
-        if (req.user.role !== 1) return res.status(403).json({ success: false, message: 'Forbidden access' });
-
         const { childrenId, name, description } = req.body;
         const child = await userModel.findById(childrenId);
 
@@ -139,23 +151,26 @@ exports.storeExercise = async (req, res) => {
  * @param {object} req - Express request object.
  * @param {string} req.body.exerciseId - Parent Exercise ID.
  * @param {string} req.body.name - Quiz title.
- * @param {Array} req.body.questions - List of questions.
+ * @param {Array} req.body.questions - List of questions. `level` (1 - 3) is optional.
+ * @param {string} [req.body.scoringPolicy] - Which attempt counts toward `quizPoint`: `best`, `latest` or `average`.
  * @example 
  * // questions example:
  * [
- * { "method": 3, "question": "Apple", "key": "Apple" },
+ * { "method": 3, "question": "Apple", "key": "Apple", "level": 2 },
  * { "method": 5, "question": "data:image/png;base64...", "key": "Ball" }
  * ]
  * @returns {Promise<void>} Updated Exercise document.
  */
 exports.storeExerciseQuiz = async (req, res) => {
     try {
-        if (req.user.role !== 1) return res.status(403).json({ success: false, message: 'Forbidden access' });
-
-        const { exerciseId, name, description, questions } = req.body;
+        const { exerciseId, name, description, questions, scoringPolicy } = req.body;
 
         let errors = {};
 
+        if (scoringPolicy && !attemptService.SCORING_POLICIES.includes(scoringPolicy)) {
+            errors.scoringPolicy = "Aturan penilaian tidak valid";
+        }
+
         if (!exerciseId) {
             errors.exerciseId = "Exercise ID wajib diisi";
         }
@@ -224,18 +239,21 @@ exports.storeExerciseQuiz = async (req, res) => {
             if (!qInBank) {
                 await new questionBankModel({
                     method, code, key: item.key,
-                    question: { type: questionType, value: qVal }
+                    question: { type: questionType, value: qVal },
+                    rating: adaptiveService.difficultyOfLevel(item.level) // tingkat kesulitan awal dari level soal
                 }).save();
             }
 
             return {
                 method, code, key: item.key,
-                question: { type: questionType, value: qSave }
+                question: { type: questionType, value: qSave },
+                level: [1, 2, 3].includes(Number(item.level)) ? Number(item.level) : undefined
             };
         }));
 
         exercise.quiz.push({
             name, description,
+            scoringPolicy: scoringPolicy || undefined,
             date: new Date(),
             questions: questionsArr
         });
@@ -252,6 +270,72 @@ exports.storeExerciseQuiz = async (req, res) => {
     }
 };
 
+/**
+ * Builds the daily review quiz of the child of an exercise from the items due for spaced repetition
+ * (see SpacedRepetitionService) and adds it to the exercise, like `storeExerciseQuiz`.
+ * The questions are copied as the child last saw them. One review quiz per exercise per day.
+ * * @async
+ * @function storeReviewQuiz
+ * @memberof module:ExerciseController
+ * @param {string} req.params.id - Exercise ID.
+ * @param {string} [req.body.name] - Quiz title. Defaults to "Pengulangan" with the date.
+ * @param {number} [req.body.quantity] - Most questions in the quiz. Defaults to `SPACED_REVIEW_QUANTITY`.
+ * @returns {Promise<void>} Updated Exercise document, or no data when no item is due.
+ * @throws {409} If the exercise already has a review quiz today.
+ * @throws {422} If the quantity is not a positive number.
+ */
+exports.storeReviewQuiz = async (req, res) => {
+    try {
+        const { name, description } = req.body || {};
+        const quantity = req.body?.quantity !== undefined ? parseInt(req.body.quantity) : spacedRepetitionService.REVIEW_QUANTITY;
+
+        if (!quantity || quantity < 1) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { quantity: 'Jumlah soal harus lebih dari 0' } });
+        }
+
+        const exercise = await exerciseModel.findById(req.params.id);
+        if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
+
+        const today = new Date().toDateString();
+        if (exercise.quiz.some(q => q.reviewDate && new Date(q.reviewDate).toDateString() === today)) {
+            return res.status(409).json({ success: false, message: 'Review quiz for today already exists' });
+        }
+
+        // Jawaban baru anak memperbarui jadwal pengulangan
+        await spacedRepetitionService.scheduleChildAnswers(exercise.childrenId);
+        const due = await spacedRepetitionService.dueItems(exercise.childrenId, { quantity });
+
+        if (due.length === 0) {
+            return res.status(200).json({ success: true, message: 'No items are due for review', data: null });
+        }
+
+        const date = new Date();
+        exercise.quiz.push({
+            name: name || `Pengulangan ${date.toLocaleDateString('id-ID')}`,
+            description: description || 'Soal yang perlu diulang hari ini',
+            date,
+            reviewDate: date,
+            questions: due.map(item => ({
+                method: item.method,
+                code: item.code,
+                key: item.key,
+                question: { type: item.question.type, value: item.question.value },
+                level: item.level
+            }))
+        });
+
+        await exercise.save({ validateBeforeSave: false });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Successfully added review quiz',
+            data: exercise
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
 // ----------------------------------------------------------------------
 // SHOW (Retrieve Details)
 // ----------------------------------------------------------------------
@@ -337,8 +421,6 @@ exports.quiz = async (req, res) => {
  */
 exports.updateExercise = async (req, res) => {
     try {
-        if (req.user.role !== 1) return res.status(403).json({ success: false, message: 'Forbidden access' });
-
         const { name, description } = req.body;
 
         if (!name) return res.status(422).json({ success: false, errors: { name: 'Masukkan nama terlebih dahulu' } });
@@ -360,26 +442,29 @@ exports.updateExercise = async (req, res) => {
 /**
  * Updates questions within a Quiz.
  * Re-evaluates Question Bank codes for edited questions.
+ * Changing `scoringPolicy` recomputes `quizPoint` from the stored attempts.
  * * @async
  * @function updateExerciseQuiz
  * @memberof module:ExerciseController
+ * @param {string} [req.body.scoringPolicy] - `best`, `latest` or `average`; empty string resets to the default.
  */
 exports.updateExerciseQuiz = async (req, res) => {
     try {
-        // 1. Cek Role
-        if (req.user.role !== 1) {
-            return res.status(403).json({ success: false, message: 'Forbidden access' });
-        }
+        // 1. Role & kepemilikan dicek oleh policy di router
 
         // 2. Ambil Data dari Params dan Body
         // Asumsi: URL endpoint adalah /exercise/:id/quiz/:quizId
 
-        const { exerciseId, quizId, name, description, questions } = req.body;
+        const { exerciseId, quizId, name, description, questions, scoringPolicy } = req.body;
 
         let errors = {};
 
         // --- VALIDASI INPUT ---
 
+        if (scoringPolicy && !attemptService.SCORING_POLICIES.includes(scoringPolicy)) {
+            errors.scoringPolicy = "Aturan penilaian tidak valid";
+        }
+
         if (!name || name.trim() === "") {
             errors.name = "Nama Quiz wajib diisi";
         }
@@ -458,13 +543,15 @@ exports.updateExerciseQuiz = async (req, res) => {
             if (!qInBank) {
                 await new questionBankModel({
                     method, code, key: item.key,
-                    question: { type: questionType, value: qVal }
+                    question: { type: questionType, value: qVal },
+                    rating: adaptiveService.difficultyOfLevel(item.level) // tingkat kesulitan awal dari level soal
                 }).save();
             }
 
             return {
                 method, code, key: item.key,
-                question: { type: questionType, value: qSave }
+                question: { type: questionType, value: qSave },
+                level: [1, 2, 3].includes(Number(item.level)) ? Number(item.level) : undefined
             };
         }));
 
@@ -472,6 +559,11 @@ exports.updateExerciseQuiz = async (req, res) => {
         currentQuiz.name = name;
         currentQuiz.description = description;
         currentQuiz.questions = questionsArr;
+        if (scoringPolicy !== undefined) {
+            // Nilai kuis dihitung ulang dari percobaan yang sudah ada
+            currentQuiz.scoringPolicy = scoringPolicy || undefined;
+            attemptService.applyPolicy(currentQuiz);
+        }
         // Opsi: Update tanggal jika diperlukan
         // currentQuiz.date = new Date(); 
 
@@ -494,15 +586,24 @@ exports.updateExerciseQuiz = async (req, res) => {
 // ----------------------------------------------------------------------
 
 /**
- * Processes student answers using AI Service.
- * Calculates similarity score between Student Answer (Audio/Image) and Key.
+ * Receives student answers of a quiz as a new attempt.
+ * Typed answers are scored right away; recorded answers (Audio/Image) are written to the storage
+ * (see StorageService), queued as `pending` and transcribed and scored by the AI service in the
+ * background (see AnswerScoringService). If the AI service is down, a recording gets a provisional score from
+ * the optional device `transcript` and is re-scored once the service is back.
+ * Reading aloud answers also get fluency metrics (words correct per minute from `duration`, pauses, self-corrections).
+ * `duration` is stored in milliseconds, measured from `timeOpened` to `timeAnswered` when both are sent; rapid naming
+ * attempts are scored on naming speed against the age norms of the child.
+ * `quizPoint` follows the quiz's scoring policy once the attempt is fully scored.
  * * @async
  * @function answer
  * @memberof module:ExerciseController
  * @param {string} req.body.exerciseId - Exercise ID.
  * @param {string} req.body.quizId - Quiz ID.
- * @param {Array} req.body.answers - Array of answer objects (base64 file, duration, etc).
- * @returns {Promise<void>} Updated exercise with scored answers.
+ * @param {Array} req.body.answers - Array of answer objects (base64 file, fileType, transcript, duration, etc).
+ * @throws {422} If a recording is not a valid audio / image file or is too large.
+ * @returns {Promise<void>} 202 with the exercise, the attempt number and the scoring jobs to poll
+ * (`GET /v1/jobs/:id`), or 200 when nothing had to be queued.
  */
 exports.answer = async (req, res) => {
     try {
@@ -514,46 +615,81 @@ exports.answer = async (req, res) => {
         const quiz = exercise.quiz.find(d => d._id == quizId);
         if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
 
-        let totalPoints = 0;
-        quiz.answers = [];
-
-        for (const ans of answers) {
-            const originalQuestion = quiz.questions.find(q => q._id.toString() === ans.questionId);
-            if (!originalQuestion) continue;
+        if (!Array.isArray(answers) || answers.length === 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { answers: 'Jawaban wajib diisi' } });
+        }
 
-            const base64Content = ans.answer.split(',')[1] || ans.answer;
-            let responseFromAI = { text: '', similarity: 0 };
+        let errors = {};
+        answers.forEach((ans, index) => {
+            if (!answerScoringService.isRecording(ans)) return;
+            const message = storageService.validateUpload(ans.answer, ans.fileType);
+            if (message) errors[`answers[${index}].answer`] = message;
+        });
 
-            // 1. Process AI Transcription
-            console.log(ans.fileType)
-            if (ans.fileType.startsWith('image/')) {
-                responseFromAI = await aiService.processImageToText(ans.answer, originalQuestion.key);
-            } else if (ans.fileType.startsWith('audio/')) {
-                responseFromAI = await aiService.processAudioToText(base64Content, originalQuestion.key);
-            }
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: errors });
+        }
 
-            // 2. Scoring Logic
-            let score = responseFromAI.similarity || 0;
+        const submittedAnswers = [];
 
-            totalPoints += score;
+        for (const ans of answers) {
+            const originalQuestion = quiz.questions.find(q => q._id.toString() === ans.questionId);
+            if (!originalQuestion) continue;
 
-            // 3. Save Answer Data
-            quiz.answers.push({
+            const submitted = {
                 questionId: ans.questionId,
-                answer: { file: ans.answer, text: responseFromAI.text },
-                similarityPoint: score,
+                answer: {},
+                fileType: ans.fileType,
                 timeOpened: ans.timeOpened,
                 timeAnswered: ans.timeAnswered,
-                duration: ans.duration
-            });
+                duration: answerDuration(ans) ?? undefined
+            };
+
+            // 1. Rekaman disimpan ke storage lalu dinilai di latar belakang, jawaban ketik langsung dinilai
+            if (answerScoringService.isRecording(ans)) {
+                const media = await storageService.saveUpload(ans.answer, ans.fileType, {
+                    childId: exercise.childrenId,
+                    uploadedBy: req.user.userId
+                });
+                submitted.answer.mediaId = media._id;
+                // Transkrip dari perangkat, dipakai untuk nilai sementara jika server AI mati
+                if (ans.transcript) submitted.answer.text = String(ans.transcript);
+                submitted.scoringStatus = 'pending';
+            } else {
+                const scored = await scoringService.scoreAnswer(originalQuestion, { ...ans, duration: submitted.duration });
+                submitted.answer.text = scored.text;
+                submitted.similarityPoint = scored.score;
+                submitted.errorAnalysis = scored.errorAnalysis;
+                submitted.fluency = scored.fluency;
+                submitted.confidence = scored.confidence;
+                submitted.needsReview = reviewService.needsReview(submitted);
+            }
+
+            submittedAnswers.push(submitted);
         }
 
-        if (quiz.questions.length > 0) totalPoints = totalPoints / quiz.questions.length;
-        quiz.quizPoint = parseInt(totalPoints);
+        // 2. Simpan sebagai percobaan baru, percobaan sebelumnya tetap tersimpan
+        const attempt = attemptService.recordAttempt(quiz, submittedAnswers, {
+            ageMonths: await rapidNamingService.childAgeMonths(exercise.childrenId)
+        });
 
         await exercise.save();
 
-        return res.json({ success: true, message: 'Answers processed successfully', data: exercise });
+        // 3. Antrekan penilaian rekaman setelah percobaan tersimpan
+        const jobs = await answerScoringService.queueAttempt(exercise, quiz, attempt);
+
+        // 4. Percobaan yang langsung dinilai memperbarui rating dan jadwal pengulangan anak
+        if (jobs.length === 0) await answerScoringService.applySettled(exercise.childrenId);
+
+        return res.status(jobs.length > 0 ? 202 : 200).json({
+            success: true,
+            message: jobs.length > 0 ? 'Answers received, scoring in progress' : 'Answers processed successfully',
+            data: {
+                exercise,
+                attempt: attempt.number,
+                jobs: jobs.map(jobQueueService.statusOf)
+            }
+        });
     } catch (error) {
         errorHandling(error, req, res);
     }
@@ -565,6 +701,7 @@ exports.answer = async (req, res) => {
 
 /**
  * Updates Attitude Score for a student's quiz.
+ * With a rubric that weighs attitude, the attempts are scored again.
  * Access: Teacher only.
  * * @async
  * @function attitude
@@ -574,8 +711,6 @@ exports.answer = async (req, res) => {
  */
 exports.attitude = async (req, res) => {
     try {
-        if (req.user.role !== 1) return res.status(403).json({ success: false, message: 'Forbidden access' });
-
         const { exerciseId, quizId, note, point } = req.body;
         const exercise = await exerciseModel.findById(exerciseId);
 
@@ -587,6 +722,7 @@ exports.attitude = async (req, res) => {
         if (!note || !point) return res.status(422).json({ success: false, message: 'Validation error', errors: { note: "Catatan & Nilai wajib" } });
 
         quiz.attitudePoint = { note, point };
+        if (quiz.rubric?.rubricId) attemptService.rescoreAttempts(quiz);
         await exercise.save();
 
         res.status(200).json({ success: true, message: 'Successfully save attitude point' });
@@ -595,6 +731,52 @@ exports.attitude = async (req, res) => {
     }
 };
 
+/**
+ * Sets the teacher's rubric a quiz is scored with, or removes it (`rubricId: null`) to score by accuracy only.
+ * The quiz keeps a copy of the rubric and every attempt is scored again.
+ * Access: Teacher only.
+ * * @async
+ * @function rubric
+ * @memberof module:ExerciseController
+ * @param {object} req.params.id - Exercise ID.
+ * @param {object} req.params.quizId - Quiz ID.
+ * @param {string|null} req.body.rubricId - Rubric of the teacher, null to remove.
+ * @returns {Promise<void>} The rubric copy, the attempts and the quiz point.
+ * @throws {403} If the rubric belongs to another teacher.
+ * @throws {404} If the rubric does not exist.
+ */
+exports.rubric = async (req, res) => {
+    try {
+        const exercise = await exerciseModel.findById(req.params.id);
+        if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
+
+        const quiz = exercise.quiz.id(req.params.quizId);
+        if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
+
+        const { rubricId } = req.body || {};
+        if (rubricId === undefined) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { rubricId: 'Pilih rubrik terlebih dahulu' } });
+        }
+
+        if (rubricId) {
+            const rubric = await rubricModel.findById(rubricId);
+            if (!rubric) return res.status(404).json({ success: false, message: 'Rubric not found' });
+            if (!rubricPolicy.view(req.user, rubric)) return res.status(403).json({ success: false, message: 'Forbidden access' });
+
+            quiz.rubric = rubricService.snapshotOf(rubric);
+        } else {
+            quiz.rubric = undefined;
+        }
+
+        attemptService.rescoreAttempts(quiz);
+        await exercise.save({ validateBeforeSave: false });
+
+        return res.status(200).json({ success: true, message: 'Successfully updating rubric', data: attemptService.summarizeAttempts(quiz) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
 /**
  * Toggles visibility of a Quiz (Show/Hide from student).
  * Access: Teacher only.
@@ -604,8 +786,6 @@ exports.attitude = async (req, res) => {
  */
 exports.visibilty = async (req, res) => {
     try {
-        if (req.user.role !== 1) return res.status(403).json({ success: false, message: 'Forbidden access' });
-
         const exercise = await exerciseModel.findById(req.params.id);
         if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
 
@@ -621,116 +801,283 @@ exports.visibilty = async (req, res) => {
     }
 };
 
+// ----------------------------------------------------------------------
+// ATTEMPTS
+// ----------------------------------------------------------------------
 
-// Generate exercise
-exports.generate = async (req, res) => {
+/**
+ * Lists the attempts of a quiz with their scores and which attempt counts under the scoring policy.
+ * * @async
+ * @function attempts
+ * @memberof module:ExerciseController
+ * @param {object} req.params.id - Exercise ID.
+ * @param {object} req.params.quizId - Quiz ID.
+ * @returns {Promise<void>} `{ policy, quizPoint, counted, attempts }`.
+ */
+exports.attempts = async (req, res) => {
     try {
-        const { quantity, method, exerciseId } = req.body;
-
-        const quizHistory = await questionBankModel.find();
-
-        const childrenId = await exerciseModel.findById(exerciseId)
-        // console.log(childrenId.childrenId);
-
-        const exercises = await exerciseModel.find({ childrenId: childrenId.childrenId });
-        let assessment = [] // dari jawaban anak
-        exercises.forEach(element => {
-            element.quiz.forEach((item) => {
-                item.questions.forEach(q => {
-                    const answer = item.answers.find(a => a.questionId.toString() === q._id.toString());
-
-                    if (answer) {
-                        assessment.push({
-                            method: q.method,
-                            question: q.question,
-                            key: q.key,
-                            answer: {
-                                text: answer.answer.text,
-                                duration: answer.duration,
-                                similarityPoint: answer.similarityPoint
-                            }
-                        })
-                    }
-                })
-            })
-        });
-        assessment = assessment.slice(-10)
-
-        const listImages = [
-            'anjing',
-            'buku',
-            'gunting',
-            'kucing',
-            'kursi',
-            'meja',
-            'mobil',
-            'motor',
-            'pensil',
-            'pesawat',
-            'singa',
-            'ular',
-        ]
-
-        const prompt = exercisePrompt({
-            quantity,
-            method,
-            quizHistory,
-            assessment,
-            listImages
-        });
+        const exercise = await exerciseModel.findById(req.params.id);
+        if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
 
-        const model = "gpt-oss:20b-cloud" // sweet spot for now
-        const result = await aiService.generateLLM({
-            prompt,
-            model: model,
-            retries: 3
-        });
+        const quiz = exercise.quiz.id(req.params.quizId);
+        if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
 
-        // --- FILTERING & VALIDATION LOGIC ---
+        return res.json({ success: true, message: 'Success retrieved data', data: attemptService.summarizeAttempts(quiz) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
 
-        // 1. Pastikan result adalah object/array (jika string, parse dulu)
-        let parsedQuestions = typeof result === 'string' ? JSON.parse(result.replace(/```json|```/g, "")) : result;
+/**
+ * Retrieves one attempt of a quiz with its answers and transcripts.
+ * * @async
+ * @function attempt
+ * @memberof module:ExerciseController
+ * @param {object} req.params.id - Exercise ID.
+ * @param {object} req.params.quizId - Quiz ID.
+ * @param {object} req.params.number - Attempt number.
+ */
+exports.attempt = async (req, res) => {
+    try {
+        const exercise = await exerciseModel.findById(req.params.id);
+        if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
 
-        // 2. Lakukan Filter Berdasarkan Kriteria
-        const filteredQuestions = parsedQuestions.filter((item) => {
-            // A. Filter Method (Hanya 1 - 6)
-            const isValidMethod = item.method >= 1 && item.method <= 6;
+        const quiz = exercise.quiz.id(req.params.quizId);
+        if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
 
-            // B. Jika user minta method spesifik (method != 0), pastikan hanya method itu yang lolos
-            const matchesRequestedMethod = method == 0 ? true : item.method == method;
+        const attempt = attemptService.findAttempt(quiz, parseInt(req.params.number));
+        if (!attempt) return res.status(404).json({ success: false, message: 'Attempt not found' });
 
-            // C. Validasi Khusus Aritmatika (Method 6): Tidak boleh ada path/gambar
-            if (item.method === 6 && item.question.type === 'path') return false;
+        return res.json({ success: true, message: 'Success retrieved data', data: attempt });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
 
-            // D. Validasi Gambar (Method 5): Harus ada di listImages (cek nama file murni tanpa path)
-            if (item.question.type === 'path') {
-                const imageName = item.question.value.replace('storage/exercise/', ''); // bersihkan path jika AI terlanjur nambahin
-                if (!listImages.includes(imageName)) return false;
-            }
+/**
+ * Compares two attempts of a quiz question by question.
+ * Without query parameters the first and the latest attempt are compared.
+ * * @async
+ * @function compareAttempts
+ * @memberof module:ExerciseController
+ * @param {object} req.params.id - Exercise ID.
+ * @param {object} req.params.quizId - Quiz ID.
+ * @param {string} [req.query.from] - Number of the earlier attempt.
+ * @param {string} [req.query.to] - Number of the later attempt.
+ * @returns {Promise<void>} Scores of both attempts, the change, and per question text, score and change.
+ * @throws {422} If the quiz has fewer than two attempts.
+ * @throws {404} If one of the attempts does not exist.
+ */
+exports.compareAttempts = async (req, res) => {
+    try {
+        const exercise = await exerciseModel.findById(req.params.id);
+        if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
 
-            return isValidMethod && matchesRequestedMethod;
-        });
+        const quiz = exercise.quiz.id(req.params.quizId);
+        if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
 
-        // 3. Map untuk menambahkan path 'storage/exercise/' dan extensi .png jika belum ada
-        const finalQuestions = filteredQuestions.map(item => {
-            if (item.question.type === 'path') {
-                // Pastikan nama file bersih dari path lama, lalu tambahkan path yang diinginkan
-                const fileName = item.question.value.split('/').pop(); // ambil 'kucing' saja
-                const formattedFileName = fileName.endsWith('.png') ? fileName : `${fileName}.png`;
-
-                return {
-                    ...item,
-                    question: {
-                        ...item.question,
-                        value: `image/exercise/${formattedFileName}`
-                    }
-                };
-            }
-            return item;
-        }).slice(0, quantity); // Ambil sesuai quantity yang diminta
+        const { attempts } = attemptService.summarizeAttempts(quiz);
+        if (attempts.length < 2) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { attempts: 'Minimal harus ada dua percobaan untuk dibandingkan' } });
+        }
+
+        const from = parseInt(req.query.from) || attempts[0].number;
+        const to = parseInt(req.query.to) || attempts[attempts.length - 1].number;
+
+        const data = attemptService.compareAttempts(quiz, from, to);
+        if (!data) return res.status(404).json({ success: false, message: 'Attempt not found' });
+
+        return res.json({ success: true, message: 'Success retrieved data', data });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Asks the LLM for new questions, with the last 10 answers of the child and the question bank as context.
+ *
+ * @private
+ * @async
+ * @function generateWithLLM
+ * @memberof module:ExerciseController
+ * @param {object} options
+ * @param {string} options.childrenId - Child ID.
+ * @param {number} options.quantity - Number of questions.
+ * @param {number} options.method - Exercise method, 0 for every method.
+ * @param {number} [options.level] - Question level 1 - 3 the questions should have.
+ * @returns {Promise<object[]>} Valid generated questions `{ question, method, key, level }`.
+ */
+const generateWithLLM = async ({ childrenId, quantity, method, level }) => {
+    const quizHistory = await questionBankModel.find();
+
+    const exercises = await exerciseModel.find({ childrenId });
+    let assessment = [] // dari jawaban anak
+    exercises.forEach(element => {
+        element.quiz.forEach((item) => {
+            item.questions.forEach(q => {
+                const answer = item.answers.find(a => a.questionId.toString() === q._id.toString());
+
+                if (answer) {
+                    assessment.push({
+                        method: q.method,
+                        question: q.question,
+                        key: q.key,
+                        answer: {
+                            text: answer.answer.text,
+                            duration: answer.duration,
+                            similarityPoint: answer.similarityPoint
+                        }
+                    })
+                }
+            })
+        })
+    });
+    assessment = assessment.slice(-10)
+
+    const listImages = [
+        'anjing',
+        'buku',
+        'gunting',
+        'kucing',
+        'kursi',
+        'meja',
+        'mobil',
+        'motor',
+        'pensil',
+        'pesawat',
+        'singa',
+        'ular',
+    ]
+
+    const prompt = exercisePrompt({
+        quantity,
+        method,
+        quizHistory,
+        assessment,
+        listImages,
+        level
+    });
+
+    const model = "gpt-oss:20b-cloud" // sweet spot for now
+    const result = await aiService.generateLLM({
+        prompt,
+        model: model,
+        retries: 3
+    });
+
+    // --- FILTERING & VALIDATION LOGIC ---
+
+    // 1. Pastikan result adalah object/array (jika string, parse dulu)
+    let parsedQuestions = typeof result === 'string' ? JSON.parse(result.replace(/```json|```/g, "")) : result;
+
+    // 2. Lakukan Filter Berdasarkan Kriteria
+    const filteredQuestions = parsedQuestions.filter((item) => {
+        // A. Filter Method (Hanya 1 - 6)
+        const isValidMethod = item.method >= 1 && item.method <= 6;
+
+        // B. Jika user minta method spesifik (method != 0), pastikan hanya method itu yang lolos
+        const matchesRequestedMethod = method == 0 ? true : item.method == method;
+
+        // C. Validasi Khusus Aritmatika (Method 6): Tidak boleh ada path/gambar
+        if (item.method === 6 && item.question.type === 'path') return false;
+
+        // D. Validasi Gambar (Method 5): Harus ada di listImages (cek nama file murni tanpa path)
+        if (item.question.type === 'path') {
+            const imageName = item.question.value.replace('storage/exercise/', ''); // bersihkan path jika AI terlanjur nambahin
+            if (!listImages.includes(imageName)) return false;
+        }
+
+        return isValidMethod && matchesRequestedMethod;
+    });
+
+    // 3. Map untuk menambahkan path 'storage/exercise/' dan extensi .png jika belum ada
+    const finalQuestions = filteredQuestions.map(item => {
+        if (item.question.type === 'path') {
+            // Pastikan nama file bersih dari path lama, lalu tambahkan path yang diinginkan
+            const fileName = item.question.value.split('/').pop(); // ambil 'kucing' saja
+            const formattedFileName = fileName.endsWith('.png') ? fileName : `${fileName}.png`;
+
+            return {
+                ...item,
+                question: {
+                    ...item.question,
+                    value: `image/exercise/${formattedFileName}`
+                }
+            };
+        }
+        return item;
+    }).slice(0, quantity); // Ambil sesuai quantity yang diminta
 
-        return res.status(200).json({ success: true, message: 'Success generating questions', data: { questions: finalQuestions } })
+    return finalQuestions.map(item => ({ ...item, level: level || item.level, source: 'generated' }));
+};
+
+/**
+ * Generates quiz questions for the child of an exercise with the adaptive engine (see AdaptiveService):
+ * the child's new answers update the ratings, question bank items at the child's target difficulty are picked
+ * first, and only the remaining questions are generated by the LLM at the matching level.
+ * * @async
+ * @function generate
+ * @memberof module:ExerciseController
+ * @param {string} req.body.exerciseId - Exercise ID.
+ * @param {number} req.body.quantity - Number of questions.
+ * @param {number} req.body.method - Exercise method, 0 for every method.
+ * @returns {Promise<void>} The questions (`source` is `bank` or `generated`, bank questions with their `difficulty`
+ * and `expectedScore`) and the ability of the child per method.
+ * @throws {422} If the quantity is missing.
+ */
+exports.generate = async (req, res) => {
+    try {
+        const { exerciseId } = req.body;
+        const quantity = parseInt(req.body.quantity);
+        const method = Number(req.body.method) || 0;
 
+        if (!quantity || quantity < 1) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { quantity: 'Jumlah soal wajib diisi' } });
+        }
+
+        const exercise = await exerciseModel.findById(exerciseId);
+        if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
+
+        // 1. Jawaban baru anak memperbarui rating kemampuan dan tingkat kesulitan soal
+        await adaptiveService.rateChildAnswers(exercise.childrenId);
+
+        // 2. Soal dari bank sesuai tingkat kesulitan target
+        const selection = await adaptiveService.selectQuestions(exercise.childrenId, { method, quantity });
+        const bankQuestions = selection.questions.map(item => ({
+            question: {
+                type: item.question.type === 'hex' ? 'text' : item.question.type,
+                value: item.question.type === 'path' ? 'image/exercise/' + item.question.value.split('/').pop() : item.question.value
+            },
+            method: item.method,
+            key: item.key,
+            level: adaptiveService.levelOf(item.difficulty),
+            code: item.code,
+            difficulty: item.difficulty,
+            expectedScore: item.expectedScore,
+            source: 'bank'
+        }));
+
+        // 3. LLM hanya mengisi kekurangan
+        let generated = [];
+        if (selection.gap > 0) {
+            const targets = selection.abilities.map(a => a.targetDifficulty);
+            const target = targets.length ? targets.reduce((sum, t) => sum + t, 0) / targets.length : adaptiveService.targetDifficulty(0);
+            generated = await generateWithLLM({
+                childrenId: exercise.childrenId,
+                quantity: selection.gap,
+                method,
+                level: adaptiveService.levelOf(target)
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Success generating questions',
+            data: {
+                questions: [...bankQuestions, ...generated],
+                abilities: selection.abilities
+            }
+        });
     } catch (err) {
         errorHandling(err, req, res)
     }
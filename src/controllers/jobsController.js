@@ -0,0 +1,34 @@
+const jobModel = require("../models/jobModel");
+const jobQueueService = require("../services/jobQueueService");
+const { errorHandling } = require("../helpers/errorHandling");
+
+/**
+ * Controller module for polling the status of background jobs.
+ *
+ * @module JobsController
+ */
+
+// ----------------------------------------------------------------------
+// SHOW
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the status of a job: `queued`, `running`, `completed` or `failed`, with its attempts and result.
+ *
+ * @async
+ * @function show
+ * @memberof module:JobsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the job status.
+ */
+exports.show = async (req, res) => {
+    try {
+        const job = await jobModel.findById(req.params.id);
+        if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: jobQueueService.statusOf(job) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
@@ -0,0 +1,207 @@
+const userModel = require("../models/userModel");
+const learningPlanModel = require("../models/learningPlanModel");
+const learningPlanService = require("../services/learningPlanService");
+const { errorHandling } = require("../helpers/errorHandling");
+const { ROLES } = require("../policies/roles");
+
+/**
+ * Controller module for the individual learning plans of a child.
+ * All routes are nested under `/v1/childs/:id/plans`, access follows access to the child.
+ *
+ * @module LearningPlansController
+ */
+
+const PLAN_FIELDS = ['title', 'notes', 'startDate', 'endDate', 'status', 'goals'];
+
+// ----------------------------------------------------------------------
+// INDEX
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the learning plans of a child with the progress of every goal, newest first.
+ *
+ * @async
+ * @function index
+ * @memberof module:LearningPlansController
+ * @param {object} req - Express request object. Expects `req.params.id` (child).
+ * @param {string} [req.query.status] - Only plans with this status.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the plans.
+ */
+exports.index = async (req, res) => {
+    try {
+        const query = { childId: req.params.id };
+        if (req.query?.status) query.status = req.query.status;
+
+        const plans = await learningPlanModel.find(query).sort({ startDate: -1 });
+
+        // Jawaban anak cukup diambil sekali untuk semua rencana
+        const answers = await learningPlanService.collectAnswers(req.params.id);
+        const data = [];
+        for (const plan of plans) {
+            data.push(await learningPlanService.withProgress(plan, answers));
+        }
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: data });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// STORE
+// ----------------------------------------------------------------------
+
+/**
+ * Creates a learning plan for a child.
+ *
+ * @async
+ * @function store
+ * @memberof module:LearningPlansController
+ * @param {object} req - Express request object. Expects `req.params.id` (child).
+ * @param {string} req.body.title - Title of the plan.
+ * @param {string} [req.body.notes] - Notes.
+ * @param {Date} [req.body.startDate] - Defaults to today.
+ * @param {Date} [req.body.endDate] - End of the plan period.
+ * @param {object[]} req.body.goals - Goals: `{ description, method, level?, targetScore, window?, minAnswers?, targetDate? }`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the created plan and its progress.
+ * @throws {422} If a field or goal fails validation.
+ */
+exports.store = async (req, res) => {
+    try {
+        const child = await userModel.findOne({ _id: req.params.id, role: ROLES.CHILD });
+        if (!child) return res.status(400).json({ success: false, message: 'Child not found' });
+
+        const { title, notes, startDate, endDate, goals } = req.body || {};
+
+        if (!Array.isArray(goals) || goals.length === 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { goals: 'Minimal harus ada satu target' } });
+        }
+
+        const plan = new learningPlanModel({
+            childId: child._id,
+            teacherId: req.user.userId,
+            title,
+            notes,
+            startDate: startDate || new Date(),
+            endDate,
+            goals
+        });
+
+        await plan.save();
+
+        return res.status(201).json({
+            success: true,
+            message: 'Successfully added new learning plan',
+            data: await learningPlanService.withProgress(plan)
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// SHOW
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves one learning plan with the progress of every goal.
+ *
+ * @async
+ * @function show
+ * @memberof module:LearningPlansController
+ * @param {object} req - Express request object. Expects `req.params.id` (child) and `req.params.planId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the plan.
+ */
+exports.show = async (req, res) => {
+    try {
+        const plan = await learningPlanModel.findOne({ _id: req.params.planId, childId: req.params.id });
+        if (!plan) return res.status(404).json({ success: false, message: 'Learning plan not found' });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: await learningPlanService.withProgress(plan)
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// UPDATE
+// ----------------------------------------------------------------------
+
+/**
+ * Updates a learning plan. Sending `goals` replaces the goals; keep the `_id` of a goal to keep its `achievedAt`.
+ *
+ * @async
+ * @function update
+ * @memberof module:LearningPlansController
+ * @param {object} req - Express request object. Expects `req.params.id` (child) and `req.params.planId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the updated plan.
+ * @throws {422} If a field or goal fails validation.
+ */
+exports.update = async (req, res) => {
+    try {
+        const plan = await learningPlanModel.findOne({ _id: req.params.planId, childId: req.params.id });
+        if (!plan) return res.status(404).json({ success: false, message: 'Learning plan not found' });
+
+        const data = req.body || {};
+
+        if (data.goals !== undefined && (!Array.isArray(data.goals) || data.goals.length === 0)) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { goals: 'Minimal harus ada satu target' } });
+        }
+
+        PLAN_FIELDS.forEach(field => {
+            if (data[field] === undefined) return;
+
+            if (field === 'goals') {
+                plan.goals = data.goals.map(goal => {
+                    const previous = goal._id ? plan.goals.id(goal._id) : null;
+                    return { ...goal, achievedAt: previous?.achievedAt };
+                });
+            } else {
+                plan[field] = data[field];
+            }
+        });
+
+        await plan.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Learning plan successfully updated',
+            data: await learningPlanService.withProgress(plan)
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// DESTROY
+// ----------------------------------------------------------------------
+
+/**
+ * Deletes a learning plan.
+ *
+ * @async
+ * @function destroy
+ * @memberof module:LearningPlansController
+ * @param {object} req - Express request object. Expects `req.params.id` (child) and `req.params.planId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.destroy = async (req, res) => {
+    try {
+        const result = await learningPlanModel.deleteOne({ _id: req.params.planId, childId: req.params.id });
+        if (result.deletedCount === 0) return res.status(404).json({ success: false, message: 'Learning plan not found' });
+
+        return res.status(200).json({ success: true, message: 'Learning plan successfully deleted' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
@@ -2,6 +2,7 @@ const materialModel = require("../models/materialModel")
 const userModel = require("../models/userModel")
 const aiService = require("../services/aiService");
 const { errorHandling } = require('../helpers/errorHandling')
+const { childScope } = require('../helpers/tenant')
 const { materialPrompt } = require('../helpers/promptHelpers');
 const removeFile = require("../utils/removeFile")
 const path = require('path');
@@ -27,7 +28,7 @@ const path = require('path');
  * @returns {Promise<void>} - Sends a JSON response containing an array of material objects.
  * @returns {object} data - Array of material data objects.
  * @throws {422} If the `children` query parameter is missing.
- * @throws {400} If the specified child ID does not correspond to an existing student (Role 3).
+ * @throws {400} If the specified child ID does not correspond to an existing student (Role 3) in the scope of the user.
  * @throws {500} If a server or database error occurs.
  */
 exports.index = async (req, res) => {
@@ -39,8 +40,8 @@ exports.index = async (req, res) => {
             return res.status(422).json({ success: false, message: 'Validation error', errors: { children: 'Harap memilih siswa terlebih dahulu' } })
         }
 
-        // Check if child 
-        if (!await userModel.findOne({ _id: childrenId, role: 2 })) return res.status(400).json({ success: false, message: 'Siswa tidak ditemukan' })
+        // Check if child, hanya anak dalam lingkup pengguna (sekolah, kelas, anak sendiri)
+        if (!await userModel.findOne({ $and: [childScope(req.user), { _id: childrenId }] })) return res.status(400).json({ success: false, message: 'Siswa tidak ditemukan' })
 
         const query = {
             childrenId: childrenId,
@@ -265,10 +266,6 @@ exports.update = async (req, res) => {
  * @throws {500} If a server or database error occurs.
 */
 exports.visibilty = async (req, res) => {
-    if (req.user.role != 1) {
-        return res.status(403).json({ success: false, message: 'Forbidden access' })
-    }
-
     const data = await materialModel.findById(req.params.id)
 
     if (!data) return res.status(400).json({ success: false, message: 'Material not found' })
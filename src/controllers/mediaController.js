@@ -0,0 +1,92 @@
+const mediaModel = require("../models/mediaModel");
+const storageService = require("../services/storageService");
+const { errorHandling } = require("../helpers/errorHandling");
+
+/**
+ * Controller module for streaming stored media files (answer recordings and photos).
+ *
+ * @module MediaController
+ */
+
+/**
+ * Parses a single byte range header (`bytes=start-end`, `bytes=start-` or `bytes=-suffix`).
+ *
+ * @private
+ * @function parseRange
+ * @memberof module:MediaController
+ * @param {string} header - Value of the `Range` header.
+ * @param {number} size - File size in bytes.
+ * @returns {{start: number, end: number}|null|false} The range, null without a usable header, false if not satisfiable.
+ */
+const parseRange = (header, size) => {
+    const matches = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!matches || (matches[1] === '' && matches[2] === '')) return null;
+
+    let start, end;
+    if (matches[1] === '') {
+        start = Math.max(size - parseInt(matches[2]), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(matches[1]);
+        end = matches[2] === '' ? size - 1 : Math.min(parseInt(matches[2]), size - 1);
+    }
+
+    return start <= end && start < size ? { start, end } : false;
+};
+
+// ----------------------------------------------------------------------
+// SHOW (Stream)
+// ----------------------------------------------------------------------
+
+/**
+ * Streams a stored file. Supports byte ranges so audio can be seeked in the browser.
+ * The file is sent with `nosniff` and a CSP that blocks scripts; a type outside `MEDIA_TYPES` is sent as a download.
+ *
+ * @async
+ * @function show
+ * @memberof module:MediaController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {string} [req.headers.range] - Requested byte range.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Streams the file (200, or 206 for a range).
+ * @throws {404} If the media does not exist.
+ * @throws {416} If the range cannot be satisfied.
+ */
+exports.show = async (req, res) => {
+    try {
+        const media = await mediaModel.findById(req.params.id);
+        if (!media) return res.status(404).json({ success: false, message: 'Media not found' });
+
+        const range = parseRange(req.headers.range, media.size);
+        if (range === false) {
+            res.set('Content-Range', `bytes */${media.size}`);
+            return res.status(416).json({ success: false, message: 'Range not satisfiable' });
+        }
+
+        const stream = await storageService.openMedia(media, range || undefined);
+
+        // Jenis lama di luar daftar (mis. SVG) diunduh sebagai file biasa, tidak ditampilkan
+        const allowed = storageService.isMediaType(media.contentType);
+
+        res.set({
+            'Content-Type': allowed ? media.contentType : 'application/octet-stream',
+            'Content-Disposition': allowed ? 'inline' : 'attachment',
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': "default-src 'none'; sandbox",
+            'Content-Length': range ? range.end - range.start + 1 : media.size,
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=86400',
+            'ETag': `"${media.checksum}"`
+        });
+        if (range) res.set('Content-Range', `bytes ${range.start}-${range.end}/${media.size}`);
+        res.status(range ? 206 : 200);
+
+        stream.on('error', (error) => {
+            console.error(`Failed to stream media ${media._id}:`, error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
@@ -0,0 +1,302 @@
+const exerciseModel = require("../models/exerciseModel");
+const quizSessionModel = require("../models/quizSessionModel");
+const quizSessionService = require("../services/quizSessionService");
+const answerScoringService = require("../services/answerScoringService");
+const storageService = require("../services/storageService");
+const { errorHandling } = require("../helpers/errorHandling");
+const { answerDuration } = require("../helpers/duration");
+
+/**
+ * Controller module for quiz sessions.
+ * A session is started (or resumed) for a quiz, every question is answered and scored on its own request,
+ * and completing the session stores the answers as a new attempt and computes `quizPoint`.
+ *
+ * @module QuizSessionsController
+ */
+
+/**
+ * Loads the exercise and quiz of a session.
+ *
+ * @private
+ * @async
+ * @function quizOf
+ * @memberof module:QuizSessionsController
+ * @param {object} session - Quiz session document.
+ * @returns {Promise<{exercise: object|null, quiz: object|null}>}
+ */
+const quizOf = async (session) => {
+    const exercise = await exerciseModel.findById(session.exerciseId);
+    return { exercise, quiz: exercise ? exercise.quiz.id(session.quizId) : null };
+};
+
+/**
+ * Formats a session for the response with its progress.
+ *
+ * @private
+ * @function present
+ * @memberof module:QuizSessionsController
+ * @param {object} session - Quiz session document.
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {object}
+ */
+const present = (session, quiz) => {
+    const data = session.toObject();
+    data.progress = quiz ? quizSessionService.progressOf(session, quiz) : null;
+    return data;
+};
+
+// ----------------------------------------------------------------------
+// INDEX
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the sessions of an exercise, newest first.
+ *
+ * @async
+ * @function index
+ * @memberof module:QuizSessionsController
+ * @param {object} req - Express request object.
+ * @param {string} req.query.exerciseId - Exercise ID.
+ * @param {string} [req.query.quizId] - Only sessions of this quiz.
+ * @param {string} [req.query.status] - Only sessions with this status, e.g. `in_progress` to find one to resume.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the sessions (without answers).
+ * @throws {422} If `exerciseId` is missing.
+ */
+exports.index = async (req, res) => {
+    try {
+        const { exerciseId, quizId, status } = req.query || {};
+        if (!exerciseId) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { exerciseId: 'Exercise ID wajib diisi' } });
+        }
+
+        const query = { exerciseId };
+        if (quizId) query.quizId = quizId;
+        if (status) query.status = status;
+
+        const sessions = await quizSessionModel.find(query).select('-answers').sort({ createdAt: -1 });
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: sessions });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// STORE: Start or resume session
+// ----------------------------------------------------------------------
+
+/**
+ * Starts a session for a quiz, or resumes the unfinished session of the quiz.
+ *
+ * @async
+ * @function store
+ * @memberof module:QuizSessionsController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.exerciseId - Exercise ID.
+ * @param {string} req.body.quizId - Quiz ID.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} 201 with a new session, 200 with a resumed one.
+ */
+exports.store = async (req, res) => {
+    try {
+        const { exerciseId, quizId } = req.body || {};
+
+        const exercise = await exerciseModel.findById(exerciseId);
+        if (!exercise) return res.status(400).json({ success: false, message: 'Exercise not found' });
+
+        const quiz = exercise.quiz.id(quizId);
+        if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
+
+        const { session, resumed } = await quizSessionService.startSession(exercise, quiz, req.user.userId);
+
+        return res.status(resumed ? 200 : 201).json({
+            success: true,
+            message: resumed ? 'Quiz session resumed' : 'Quiz session started',
+            data: present(session, quiz)
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// SHOW
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves a session with its answers and progress.
+ *
+ * @async
+ * @function show
+ * @memberof module:QuizSessionsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the session.
+ */
+exports.show = async (req, res) => {
+    try {
+        const session = await quizSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Quiz session not found' });
+
+        const { quiz } = await quizOf(session);
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: present(session, quiz) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// ANSWER
+// ----------------------------------------------------------------------
+
+/**
+ * Scores and stores the answer to one question. Answering a question again replaces the previous answer.
+ * If the AI service is down, a recording gets a provisional score from the optional device `transcript`.
+ *
+ * @async
+ * @function answer
+ * @memberof module:QuizSessionsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {string} req.body.questionId - Question ID.
+ * @param {string} req.body.answer - Base64 data URL of the recording, or the typed answer.
+ * @param {string} [req.body.fileType] - MIME type of the recording.
+ * @param {string} [req.body.transcript] - Transcript of the recording made on the device.
+ * @param {number|string} [req.body.duration] - Time taken to answer in milliseconds, required without `timeOpened`.
+ * @param {Date} [req.body.timeOpened] - Timestamp when the question was opened.
+ * @param {Date} [req.body.timeAnswered] - Timestamp when the question was answered.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the scored answer and the progress of the session.
+ * @throws {422} If the question is not in the quiz, or the answer is missing or not a valid recording.
+ * @throws {409} If the session is not in progress.
+ */
+exports.answer = async (req, res) => {
+    try {
+        const session = await quizSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Quiz session not found' });
+
+        if (session.status !== 'in_progress') {
+            return res.status(409).json({ success: false, message: 'Quiz session is no longer in progress' });
+        }
+
+        const { quiz } = await quizOf(session);
+        if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
+
+        const input = req.body || {};
+        let errors = {};
+
+        const question = input.questionId ? quiz.questions.find(q => q._id.toString() === input.questionId) : null;
+        if (!question) errors.questionId = 'Soal tidak ditemukan';
+        if (!input.answer) {
+            errors.answer = 'Jawaban wajib diisi';
+        } else if (answerScoringService.isRecording(input)) {
+            const message = storageService.validateUpload(input.answer, input.fileType);
+            if (message) errors.answer = message;
+        }
+        if (answerDuration({ ...input, timeAnswered: input.timeAnswered || new Date() }) === null) errors.duration = 'Durasi wajib diisi';
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: errors });
+        }
+
+        const answer = await quizSessionService.answerQuestion(session, question, input, req.user.userId);
+
+        return res.status(200).json({
+            success: true,
+            message: {
+                scored: 'Answer processed successfully',
+                provisional: 'Answer saved with a provisional score, it will be re-scored when the AI service is back',
+                failed: 'Answer saved, scoring failed and will be retried'
+            }[answer.scoringStatus],
+            data: { answer: answer, progress: quizSessionService.progressOf(session, quiz) }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// COMPLETE / CANCEL
+// ----------------------------------------------------------------------
+
+/**
+ * Completes a session: stores its answers as a new attempt and computes `quizPoint`.
+ * Unanswered questions count as 0.
+ *
+ * @async
+ * @function complete
+ * @memberof module:QuizSessionsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the completed session and the updated exercise.
+ * @throws {409} If the session is not in progress, or some answers still cannot be scored.
+ */
+exports.complete = async (req, res) => {
+    try {
+        const session = await quizSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Quiz session not found' });
+
+        if (session.status !== 'in_progress') {
+            return res.status(409).json({ success: false, message: 'Quiz session is no longer in progress' });
+        }
+
+        const { exercise, quiz } = await quizOf(session);
+        if (!quiz) return res.status(400).json({ success: false, message: 'Quiz not found' });
+
+        const completed = await quizSessionService.completeSession(session, exercise, quiz);
+        // Permintaan lain sedang atau sudah menyelesaikan sesi ini
+        if (!completed) {
+            return res.status(409).json({ success: false, message: 'Quiz session is no longer in progress' });
+        }
+
+        const { failed } = completed;
+        if (failed.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some answers could not be scored yet, answer them again or retry later',
+                data: { failed }
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Quiz session completed',
+            data: { session: present(session, quiz), exercise }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Cancels an unfinished session. Its answers are not counted.
+ *
+ * @async
+ * @function destroy
+ * @memberof module:QuizSessionsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ * @throws {409} If the session is already completed or being completed.
+ */
+exports.destroy = async (req, res) => {
+    try {
+        const session = await quizSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Quiz session not found' });
+
+        if (session.status === 'completed') {
+            return res.status(409).json({ success: false, message: 'Completed quiz session cannot be cancelled' });
+        }
+        if (session.status === 'completing') {
+            return res.status(409).json({ success: false, message: 'Quiz session is being completed' });
+        }
+
+        session.status = 'cancelled';
+        await session.save();
+
+        return res.status(200).json({ success: true, message: 'Quiz session cancelled' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
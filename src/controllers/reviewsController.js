@@ -0,0 +1,119 @@
+const exerciseModel = require("../models/exerciseModel");
+const attemptService = require("../services/attemptService");
+const reviewService = require("../services/reviewService");
+const { errorHandling } = require("../helpers/errorHandling");
+
+/**
+ * Controller module for the teacher review queue of doubtful answer scores.
+ *
+ * @module ReviewsController
+ */
+
+// ----------------------------------------------------------------------
+// INDEX (Queue)
+// ----------------------------------------------------------------------
+
+/**
+ * Lists the answers waiting for review: low-confidence, provisional and failed scores of the children the teacher
+ * teaches, oldest first.
+ *
+ * @async
+ * @function index
+ * @memberof module:ReviewsController
+ * @param {object} req - Express request object. Accepts `req.query.childId` and `req.query.classId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the queue items.
+ */
+exports.index = async (req, res) => {
+    try {
+        const items = await reviewService.reviewQueue(req.user, { childId: req.query.childId, classId: req.query.classId });
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: items });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// UPDATE (Confirm / Override)
+// ----------------------------------------------------------------------
+
+/**
+ * Confirms or overrides the score of one attempt answer. The original and new score, the reason and the reviewer
+ * are kept in `answer.reviews`; the quiz point of the attempt and the quiz are recomputed.
+ *
+ * @async
+ * @function update
+ * @memberof module:ReviewsController
+ * @param {object} req.params.id - Exercise ID.
+ * @param {object} req.params.quizId - Quiz ID.
+ * @param {object} req.params.number - Attempt number.
+ * @param {object} req.params.answerId - Answer ID.
+ * @param {string} req.body.action - `override` or `confirm`.
+ * @param {number} [req.body.point] - New score (0 - 100), required for `override`.
+ * @param {string} [req.body.reason] - Reason, required for `override`.
+ * @returns {Promise<void>} The review with the new quiz point of the attempt and the quiz.
+ * @throws {422} If the action, point or reason is invalid.
+ * @throws {404} If the attempt or answer does not exist.
+ * @throws {409} If the answer is still being scored.
+ */
+exports.update = async (req, res) => {
+    try {
+        const { action, point, reason } = req.body;
+        const errors = {};
+
+        if (!['override', 'confirm'].includes(action)) {
+            errors.action = 'Pilih konfirmasi atau ubah nilai';
+        }
+        if (action === 'override') {
+            const value = Number(point);
+            if (point === undefined || point === null || point === '' || Number.isNaN(value) || value < 0 || value > 100) {
+                errors.point = 'Nilai harus di antara 0 dan 100';
+            }
+            if (!String(reason || '').trim()) {
+                errors.reason = 'Alasan perubahan nilai wajib diisi';
+            }
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors });
+        }
+
+        const exercise = await exerciseModel.findById(req.params.id);
+        if (!exercise) return res.status(404).json({ success: false, message: 'Exercise not found' });
+
+        const quiz = exercise.quiz.id(req.params.quizId);
+        if (!quiz) return res.status(404).json({ success: false, message: 'Quiz not found' });
+
+        const attempt = attemptService.findAttempt(quiz, parseInt(req.params.number));
+        if (!attempt) return res.status(404).json({ success: false, message: 'Attempt not found' });
+
+        const answer = attempt.answers.id(req.params.answerId);
+        if (!answer) return res.status(404).json({ success: false, message: 'Answer not found' });
+
+        if (answer.scoringStatus === 'pending') {
+            return res.status(409).json({ success: false, message: 'Answer is still being scored' });
+        }
+
+        const review = await reviewService.reviewAnswer(exercise, quiz, attempt, answer, {
+            action,
+            point: action === 'override' ? Number(point) : undefined,
+            reason: reason ? String(reason).trim() : undefined,
+            reviewedBy: req.user.userId
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Score reviewed',
+            data: {
+                review,
+                answerId: answer._id,
+                similarityPoint: answer.similarityPoint,
+                attemptQuizPoint: attempt.quizPoint,
+                quizPoint: quiz.quizPoint
+            }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
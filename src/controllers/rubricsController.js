@@ -0,0 +1,131 @@
+const rubricModel = require("../models/rubricModel");
+const { errorHandling } = require("../helpers/errorHandling");
+
+/**
+ * Controller module for the scoring rubrics of a teacher. A rubric weighs accuracy, reading speed and attitude
+ * into the quiz score once it is set on a quiz (see `ExerciseController.rubric`).
+ *
+ * @module RubricsController
+ */
+
+const RUBRIC_FIELDS = ['name', 'description', 'weights', 'targetWcpm'];
+
+// ----------------------------------------------------------------------
+// INDEX
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the rubrics of the authenticated teacher, by name.
+ *
+ * @async
+ * @function index
+ * @memberof module:RubricsController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the rubrics.
+ */
+exports.index = async (req, res) => {
+    try {
+        const rubrics = await rubricModel.find({ teacherId: req.user.userId }).sort({ name: 1 });
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: rubrics });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// STORE
+// ----------------------------------------------------------------------
+
+/**
+ * Creates a rubric.
+ *
+ * @async
+ * @function store
+ * @memberof module:RubricsController
+ * @param {string} req.body.name - Name of the rubric.
+ * @param {string} [req.body.description] - Description.
+ * @param {object} req.body.weights - Relative weights `{ accuracy, speed, attitude }`, at least one above 0.
+ * @param {number} [req.body.targetWcpm=60] - Words correct per minute for the full speed score.
+ * @returns {Promise<void>} Responds with the created rubric.
+ * @throws {422} If a field fails validation.
+ */
+exports.store = async (req, res) => {
+    try {
+        const { name, description, weights, targetWcpm } = req.body || {};
+
+        const rubric = new rubricModel({
+            teacherId: req.user.userId,
+            name,
+            description,
+            weights,
+            targetWcpm
+        });
+
+        await rubric.save();
+
+        return res.status(201).json({ success: true, message: 'Successfully added new rubric', data: rubric });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// UPDATE
+// ----------------------------------------------------------------------
+
+/**
+ * Updates a rubric. Quizzes keep the copy they were given; set the rubric on a quiz again to use the new weights.
+ *
+ * @async
+ * @function update
+ * @memberof module:RubricsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the updated rubric.
+ * @throws {422} If a field fails validation.
+ */
+exports.update = async (req, res) => {
+    try {
+        const rubric = await rubricModel.findById(req.params.id);
+        if (!rubric) return res.status(404).json({ success: false, message: 'Rubric not found' });
+
+        const data = req.body || {};
+        RUBRIC_FIELDS.forEach(field => {
+            if (data[field] === undefined) return;
+            rubric[field] = field === 'weights' ? { ...rubric.toObject().weights, ...data.weights } : data[field];
+        });
+
+        await rubric.save();
+
+        return res.status(200).json({ success: true, message: 'Rubric successfully updated', data: rubric });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// DESTROY
+// ----------------------------------------------------------------------
+
+/**
+ * Deletes a rubric. Quizzes scored with it keep their copy.
+ *
+ * @async
+ * @function destroy
+ * @memberof module:RubricsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ */
+exports.destroy = async (req, res) => {
+    try {
+        const result = await rubricModel.deleteOne({ _id: req.params.id });
+        if (result.deletedCount === 0) return res.status(404).json({ success: false, message: 'Rubric not found' });
+
+        return res.status(200).json({ success: true, message: 'Rubric successfully deleted' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
@@ -0,0 +1,197 @@
+const schoolModel = require("../models/schoolModel");
+const classModel = require("../models/classModel");
+const userModel = require("../models/userModel");
+const { errorHandling } = require("../helpers/errorHandling");
+const { generateUniqueCode } = require("../helpers/codeGenerator");
+const { isObjectIdString } = require("../helpers/objectId");
+const { ROLES } = require("../policies/roles");
+
+/**
+ * Controller module for Schools (tenants).
+ * All actions work on the school of the authenticated user.
+ *
+ * Roles:
+ * 1: Teacher (view, join)
+ * 4: School Admin (view, manage)
+ *
+ * @module SchoolsController
+ */
+
+// ----------------------------------------------------------------------
+// SHOW: Current School
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the school of the authenticated user with its teachers and classes.
+ * The join code is only included for school admins.
+ *
+ * @async
+ * @function show
+ * @memberof module:SchoolsController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the school, teachers and classes.
+ */
+exports.show = async (req, res) => {
+    try {
+        const school = await schoolModel.findById(req.user.schoolId).lean();
+        if (!school) return res.status(404).json({ success: false, message: 'School not found' });
+
+        if (req.user.role !== ROLES.SCHOOL_ADMIN) delete school.joinCode;
+
+        const teachers = await userModel.find({ schoolId: school._id, role: ROLES.TEACHER }).select('fullName email phone');
+        const classes = await classModel.find({ schoolId: school._id }).sort({ name: 1 });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: { school, teachers, classes }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// UPDATE
+// ----------------------------------------------------------------------
+
+/**
+ * Updates the school profile.
+ *
+ * @async
+ * @function update
+ * @memberof module:SchoolsController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.name - Name of the school.
+ * @param {string} [req.body.address] - Address of the school.
+ * @param {string} [req.body.phone] - Phone number of the school.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the updated school.
+ */
+exports.update = async (req, res) => {
+    try {
+        const school = await schoolModel.findById(req.user.schoolId);
+        if (!school) return res.status(404).json({ success: false, message: 'School not found' });
+
+        const fields = ['name', 'address', 'phone'];
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) school[field] = req.body[field];
+        });
+
+        await school.save();
+
+        return res.status(200).json({ success: true, message: 'School successfully updated', data: school });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Replaces the join code of the school, e.g. when the old one was shared too widely.
+ *
+ * @async
+ * @function regenerateJoinCode
+ * @memberof module:SchoolsController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the new `{ joinCode }`.
+ */
+exports.regenerateJoinCode = async (req, res) => {
+    try {
+        const school = await schoolModel.findById(req.user.schoolId);
+        if (!school) return res.status(404).json({ success: false, message: 'School not found' });
+
+        school.joinCode = await generateUniqueCode(schoolModel, 'joinCode', 8);
+        await school.save();
+
+        return res.status(200).json({ success: true, message: 'Join code successfully updated', data: { joinCode: school.joinCode } });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// TEACHERS
+// ----------------------------------------------------------------------
+
+/**
+ * Adds the authenticated teacher to a school using the school's join code.
+ * The teacher's children move into the school too. A new access token (via `/v1/auth/refresh`)
+ * is needed before the new school applies to the teacher's requests.
+ *
+ * @async
+ * @function join
+ * @memberof module:SchoolsController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.code - Join code of the school.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the joined school.
+ * @throws {422} If the code is missing or unknown.
+ * @throws {409} If the teacher already belongs to a school.
+ */
+exports.join = async (req, res) => {
+    try {
+        const code = String(req.body?.code || '').trim().toUpperCase();
+        const school = code ? await schoolModel.findOne({ joinCode: code }) : null;
+
+        if (!school) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { code: 'Kode sekolah tidak ditemukan' } });
+        }
+
+        const teacher = await userModel.findById(req.user.userId);
+        if (teacher.schoolId && teacher.schoolId.toString() !== school._id.toString()) {
+            return res.status(409).json({ success: false, message: 'Teacher already belongs to another school' });
+        }
+
+        teacher.schoolId = school._id;
+        await teacher.save({ validateBeforeSave: false });
+
+        await userModel.updateMany({ teacherId: teacher._id, role: ROLES.CHILD }, { $set: { schoolId: school._id } });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully joined school',
+            data: { _id: school._id, name: school.name }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Removes a teacher from the school and from all of its classes.
+ * The teacher keeps their children, which leave the school with them.
+ *
+ * @async
+ * @function destroyTeacher
+ * @memberof module:SchoolsController
+ * @param {object} req - Express request object. Expects `req.params.teacherId`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ * @throws {422} If the teacher ID is not a valid ID.
+ * @throws {404} If the teacher is not in the school.
+ */
+exports.destroyTeacher = async (req, res) => {
+    try {
+        if (!isObjectIdString(req.params.teacherId)) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { teacherId: 'ID tidak valid' } });
+        }
+
+        const teacher = await userModel.findOne({ _id: req.params.teacherId, schoolId: req.user.schoolId, role: ROLES.TEACHER });
+        if (!teacher) return res.status(404).json({ success: false, message: 'Teacher not found' });
+
+        await classModel.updateMany({ schoolId: req.user.schoolId }, { $pull: { teacherIds: teacher._id } });
+        await userModel.updateMany(
+            { teacherId: teacher._id, role: ROLES.CHILD },
+            { $unset: { schoolId: 1, classId: 1 } }
+        );
+
+        teacher.schoolId = undefined;
+        await teacher.save({ validateBeforeSave: false });
+
+        return res.status(200).json({ success: true, message: 'Teacher successfully removed from school' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
@@ -0,0 +1,280 @@
+const userModel = require("../models/userModel");
+const screeningSessionModel = require("../models/screeningSessionModel");
+const screeningService = require("../services/screeningService");
+const answerScoringService = require("../services/answerScoringService");
+const storageService = require("../services/storageService");
+const screening = require("../config/screening");
+const { errorHandling } = require("../helpers/errorHandling");
+const { ROLES } = require("../policies/roles");
+
+/**
+ * Controller module for the dyslexia screening.
+ * A teacher starts a session for a child, the child answers the battery items, and completing the
+ * session scores it against the age norms and writes the level and skill profile onto the child.
+ *
+ * @module ScreeningsController
+ */
+
+/**
+ * Formats a session for the response. Children do not get the answer keys.
+ *
+ * @private
+ * @function present
+ * @memberof module:ScreeningsController
+ * @param {object} session - Screening session document.
+ * @param {object} user - Token payload.
+ * @returns {object}
+ */
+const present = (session, user) => {
+    const data = session.toObject();
+    if (user.role === ROLES.CHILD) {
+        data.items = screeningService.publicItems(session);
+        data.answers = data.answers.map(({ code, duration }) => ({ code, duration }));
+    }
+    return data;
+};
+
+// ----------------------------------------------------------------------
+// BATTERY
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the screening battery, skills, age norms and level thresholds.
+ *
+ * @async
+ * @function battery
+ * @memberof module:ScreeningsController
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the screening configuration.
+ */
+exports.battery = async (req, res) => {
+    try {
+        return res.status(200).json({
+            success: true,
+            message: 'Successfully received data',
+            data: {
+                version: screening.version,
+                skills: screening.SKILLS,
+                items: screening.BATTERY,
+                norms: screening.AGE_NORMS,
+                levels: screening.LEVELS
+            }
+        });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// INDEX
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves the screening sessions of a child, newest first.
+ *
+ * @async
+ * @function index
+ * @memberof module:ScreeningsController
+ * @param {object} req - Express request object.
+ * @param {string} req.query.childId - Child ID.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the sessions (without items and answers).
+ */
+exports.index = async (req, res) => {
+    try {
+        const childId = req.query?.childId;
+        if (!childId) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { childId: 'Harap memilih siswa terlebih dahulu' } });
+        }
+
+        const sessions = await screeningSessionModel.find({ childId: childId })
+            .select('-items -answers')
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: sessions });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// STORE: Start session
+// ----------------------------------------------------------------------
+
+/**
+ * Starts a screening session for a child. An unfinished session of the child is cancelled.
+ *
+ * @async
+ * @function store
+ * @memberof module:ScreeningsController
+ * @param {object} req - Express request object.
+ * @param {string} req.body.childId - Child to screen.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the new session.
+ * @throws {422} If the child is missing or has no date of birth.
+ */
+exports.store = async (req, res) => {
+    try {
+        const child = await userModel.findOne({ _id: req.body?.childId, role: ROLES.CHILD });
+        if (!child) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { childId: 'Siswa tidak ditemukan' } });
+        }
+        if (!child.dateOfBirth) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { childId: 'Tanggal lahir siswa wajib diisi untuk skrining' } });
+        }
+
+        await screeningSessionModel.updateMany(
+            { childId: child._id, status: 'in_progress' },
+            { $set: { status: 'cancelled' } }
+        );
+
+        const session = await screeningService.startSession(child, req.user.userId);
+
+        return res.status(201).json({ success: true, message: 'Screening session started', data: present(session, req.user) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// SHOW
+// ----------------------------------------------------------------------
+
+/**
+ * Retrieves a screening session.
+ *
+ * @async
+ * @function show
+ * @memberof module:ScreeningsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the session.
+ */
+exports.show = async (req, res) => {
+    try {
+        const session = await screeningSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Screening session not found' });
+
+        return res.status(200).json({ success: true, message: 'Successfully received data', data: present(session, req.user) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// ANSWER
+// ----------------------------------------------------------------------
+
+/**
+ * Scores and stores answers of a session. Answers can be sent one by one or all at once.
+ *
+ * @async
+ * @function answer
+ * @memberof module:ScreeningsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {Array} req.body.answers - `{ code, answer, fileType, duration, timeOpened, timeAnswered }`, `duration` in milliseconds.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the session.
+ * @throws {422} If answers are missing, reference unknown items or contain an invalid recording.
+ * @throws {409} If the session is not in progress.
+ */
+exports.answer = async (req, res) => {
+    try {
+        const session = await screeningSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Screening session not found' });
+
+        if (session.status !== 'in_progress') {
+            return res.status(409).json({ success: false, message: 'Screening session is no longer in progress' });
+        }
+
+        const answers = req.body?.answers;
+        if (!Array.isArray(answers) || answers.length === 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: { answers: 'Jawaban wajib diisi' } });
+        }
+
+        let errors = {};
+        answers.forEach((input, index) => {
+            // Semua soal diperiksa dulu supaya tidak ada jawaban yang tersimpan sebagian
+            if (!session.items.some(i => i.code === input?.code)) {
+                errors[`answers[${index}].code`] = 'Soal tidak ditemukan';
+                return;
+            }
+            if (!answerScoringService.isRecording(input)) return;
+            const message = storageService.validateUpload(input.answer, input.fileType);
+            if (message) errors[`answers[${index}].answer`] = message;
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(422).json({ success: false, message: 'Validation error', errors: errors });
+        }
+
+        await screeningService.submitAnswers(session, answers, req.user.userId);
+
+        return res.status(200).json({ success: true, message: 'Answers processed successfully', data: present(session, req.user) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+// ----------------------------------------------------------------------
+// COMPLETE / CANCEL
+// ----------------------------------------------------------------------
+
+/**
+ * Completes a session: scores it against the age norms and writes the level and skill profile onto the child.
+ * Unanswered items count as wrong.
+ *
+ * @async
+ * @function complete
+ * @memberof module:ScreeningsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with the completed session and its result.
+ * @throws {409} If the session is not in progress.
+ */
+exports.complete = async (req, res) => {
+    try {
+        const session = await screeningSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Screening session not found' });
+
+        if (session.status !== 'in_progress') {
+            return res.status(409).json({ success: false, message: 'Screening session is no longer in progress' });
+        }
+
+        await screeningService.completeSession(session);
+
+        return res.status(200).json({ success: true, message: 'Screening completed', data: present(session, req.user) });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
+
+/**
+ * Cancels an unfinished session. The child's level is not changed.
+ *
+ * @async
+ * @function destroy
+ * @memberof module:ScreeningsController
+ * @param {object} req - Express request object. Expects `req.params.id`.
+ * @param {object} res - Express response object.
+ * @returns {Promise<void>} Responds with success message.
+ * @throws {409} If the session is already completed.
+ */
+exports.destroy = async (req, res) => {
+    try {
+        const session = await screeningSessionModel.findById(req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Screening session not found' });
+
+        if (session.status === 'completed') {
+            return res.status(409).json({ success: false, message: 'Completed screening cannot be cancelled' });
+        }
+
+        session.status = 'cancelled';
+        await session.save();
+
+        return res.status(200).json({ success: true, message: 'Screening session cancelled' });
+    } catch (error) {
+        errorHandling(error, req, res);
+    }
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * @file Utility module for generating short human-readable codes.
+ * @module CodeGenerator
+ */
+
+// Tanpa huruf/angka yang mirip (0/O, 1/I) supaya mudah dibaca guru, orang tua dan anak
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generates a random uppercase code, e.g. `K7MP2Q`.
+ *
+ * @function generateCode
+ * @memberof module:CodeGenerator
+ * @param {number} length - Length of the code.
+ * @returns {string} The code.
+ */
+const generateCode = (length) => {
+    let code = '';
+    for (let i = 0; i < length; i++) code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+    return code;
+};
+
+/**
+ * Generates a code that is not used yet in a collection field.
+ *
+ * @async
+ * @function generateUniqueCode
+ * @memberof module:CodeGenerator
+ * @param {mongoose.Model} model - Model holding the codes.
+ * @param {string} field - Field that must be unique.
+ * @param {number} length - Length of the code.
+ * @returns {Promise<string>} The code.
+ */
+const generateUniqueCode = async (model, field, length) => {
+    let code;
+    do {
+        code = generateCode(length);
+    } while (await model.exists({ [field]: code }));
+    return code;
+};
+
+module.exports = { generateCode, generateUniqueCode }
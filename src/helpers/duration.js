@@ -0,0 +1,46 @@
+/**
+ * Mengubah durasi menjawab menjadi milidetik. Durasi lama tersimpan sebagai teks dari aplikasi dengan beberapa
+ * format: angka milidetik ("4500"), jam ("00:04", "1:02:03", boleh pecahan detik "00:04.5"), atau bersatuan
+ * ("4.5s", "4 detik", "4500ms").
+ * @param {number|string} value Durasi.
+ * @returns {number|null} Durasi dalam milidetik, atau null jika tidak bisa dibaca.
+ */
+exports.parseDuration = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+
+    const text = String(value ?? '').trim().toLowerCase().replace(',', '.');
+    if (!text) return null;
+
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text));
+
+    // Format jam: mm:ss atau hh:mm:ss
+    if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) {
+        return Math.round(text.split(':').reduce((total, part) => total * 60 + Number(part), 0) * 1000);
+    }
+
+    const matches = /^(\d+(?:\.\d+)?)\s*(ms|s|detik|dtk|m|menit)$/.exec(text);
+    if (!matches) return null;
+
+    const multipliers = { ms: 1, s: 1000, detik: 1000, dtk: 1000, m: 60000, menit: 60000 };
+    return Math.round(Number(matches[1]) * multipliers[matches[2]]);
+};
+
+/**
+ * Selisih dua waktu dalam milidetik.
+ * @param {Date|string} from Waktu mulai, misalnya saat soal dibuka.
+ * @param {Date|string} to Waktu selesai, misalnya saat soal dijawab.
+ * @returns {number|null} Selisih, atau null jika salah satu waktu tidak ada atau urutannya terbalik.
+ */
+exports.elapsed = (from, to) => {
+    if (!from || !to) return null;
+    const ms = new Date(to).getTime() - new Date(from).getTime();
+    return Number.isFinite(ms) && ms >= 0 ? ms : null;
+};
+
+/**
+ * Lama menjawab satu soal dalam milidetik: dari `timeOpened` sampai `timeAnswered` jika keduanya ada,
+ * jika tidak dari `duration` yang dikirim aplikasi.
+ * @param {object} answer Jawaban dengan `duration`, `timeOpened` dan `timeAnswered`.
+ * @returns {number|null}
+ */
+exports.answerDuration = (answer) => exports.elapsed(answer.timeOpened, answer.timeAnswered) ?? exports.parseDuration(answer.duration);
@@ -0,0 +1,230 @@
+/**
+ * Jenis kesalahan yang dikenali, urutannya dipakai juga untuk ringkasan.
+ * * reversal: huruf tertukar bentuk cerminnya (b/d, p/q, b/p, d/q, m/w, n/u).
+ * * omission: huruf atau kata terlewat.
+ * * insertion: huruf atau kata tambahan.
+ * * transposition: dua huruf bersebelahan tertukar urutan ("sapi" -> "spai").
+ * * substitution: satu huruf diganti huruf lain.
+ * * syllableSubstitution: satu suku kata diganti suku kata lain ("kupu" -> "kuda").
+ */
+const ERROR_TYPES = ['reversal', 'omission', 'insertion', 'transposition', 'substitution', 'syllableSubstitution'];
+
+// Pasangan huruf yang sering tertukar oleh anak disleksia (bentuk cermin / terbalik)
+const REVERSALS = new Set(['bd', 'pq', 'bp', 'dq', 'mw', 'nu']);
+
+// Batas rincian yang disimpan per jawaban, teks bacaan panjang bisa punya banyak kesalahan
+const MAX_DETAILS = 50;
+
+const VOWELS = /[aiueo]/;
+const DIGRAPHS = ['ng', 'ny', 'kh', 'sy'];
+const DIPHTHONGS = ['ai', 'au', 'oi', 'ei'];
+
+const isReversal = (a, b) => REVERSALS.has([a, b].sort().join(''));
+
+/**
+ * Merapikan teks menjadi daftar kata: huruf kecil, tanpa tanda baca.
+ * @param {string} text Teks.
+ * @returns {string[]}
+ */
+const wordsOf = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+
+/**
+ * Memenggal kata bahasa Indonesia menjadi suku kata.
+ * Aturan: V-KV, VK-KV, VK-KKV (konsonan ganda ng, ny, kh, sy dihitung satu), diftong ai/au/oi/ei di akhir kata tidak dipenggal.
+ * @param {string} word Kata dalam huruf kecil.
+ * @returns {Array<{start: number, end: number}>} Rentang huruf tiap suku kata.
+ */
+exports.syllabify = (word) => {
+    // 1. Pecah menjadi bunyi: konsonan ganda menjadi satu unit
+    const units = [];
+    for (let i = 0; i < word.length;) {
+        const pair = word.slice(i, i + 2);
+        const length = DIGRAPHS.includes(pair) ? 2 : 1;
+        units.push({ start: i, end: i + length, vowel: length === 1 && VOWELS.test(word[i]) });
+        i += length;
+    }
+
+    // 2. Diftong di akhir kata dihitung satu inti suku kata ("pan-tai")
+    const nuclei = units.map((u, i) => (u.vowel ? i : -1)).filter(i => i !== -1);
+    const last = nuclei[nuclei.length - 1];
+    if (nuclei.length > 1 && last === units.length - 1 && nuclei[nuclei.length - 2] === last - 1
+        && DIPHTHONGS.includes(word.slice(units[last - 1].start, units[last].end))) {
+        nuclei.pop();
+    }
+    if (nuclei.length <= 1) return [{ start: 0, end: word.length }];
+
+    // 3. Tentukan batas di antara dua inti
+    const breaks = [];
+    for (let n = 1; n < nuclei.length; n++) {
+        const consonants = nuclei[n] - nuclei[n - 1] - 1;
+        const unit = consonants === 0 ? nuclei[n] : nuclei[n - 1] + Math.min(consonants, 2);
+        breaks.push(units[unit].start);
+    }
+
+    return [0, ...breaks].map((start, i) => ({ start, end: i < breaks.length ? breaks[i] : word.length }));
+};
+
+/**
+ * Menyejajarkan dua kata huruf demi huruf (jarak Damerau-Levenshtein terbatas) dan mengembalikan langkah-langkahnya.
+ * @param {string} key Kata kunci.
+ * @param {string} actual Kata jawaban.
+ * @returns {Array<{op: string, index: number, expected: string, actual: string}>} `op`: match, sub, del, ins atau swap;
+ * `index` adalah posisi huruf pada kata kunci.
+ */
+const alignCharacters = (key, actual) => {
+    const n = key.length;
+    const m = actual.length;
+    const d = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + (key[i - 1] === actual[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && key[i - 1] === actual[j - 2] && key[i - 2] === actual[j - 1] && key[i - 1] !== actual[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    // Telusuri balik dari ujung untuk mendapatkan langkah-langkahnya
+    const ops = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && key[i - 1] === actual[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+            ops.push({ op: 'match', index: i - 1, expected: key[i - 1], actual: actual[j - 1] });
+            i--; j--;
+        } else if (i > 1 && j > 1 && key[i - 1] === actual[j - 2] && key[i - 2] === actual[j - 1] && d[i][j] === d[i - 2][j - 2] + 1) {
+            ops.push({ op: 'swap', index: i - 2, expected: key.slice(i - 2, i), actual: actual.slice(j - 2, j) });
+            i -= 2; j -= 2;
+        } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + 1) {
+            ops.push({ op: 'sub', index: i - 1, expected: key[i - 1], actual: actual[j - 1] });
+            i--; j--;
+        } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+            ops.push({ op: 'del', index: i - 1, expected: key[i - 1], actual: '' });
+            i--;
+        } else {
+            ops.push({ op: 'ins', index: i, expected: '', actual: actual[j - 1] });
+            j--;
+        }
+    }
+
+    return ops.reverse();
+};
+
+/**
+ * Mengklasifikasikan kesalahan dalam satu kata.
+ * Suku kata yang dua hurufnya atau lebih diganti dihitung satu penggantian suku kata, bukan beberapa penggantian huruf.
+ * @param {string} key Kata kunci.
+ * @param {string} actual Kata jawaban.
+ * @returns {Array<{type: string, expected: string, actual: string, word: string}>}
+ */
+const analyzeWord = (key, actual) => {
+    if (key === actual) return [];
+
+    let ops = alignCharacters(key, actual);
+    const errors = [];
+
+    for (const { start, end } of exports.syllabify(key)) {
+        // Sisipan di awal suku kata dianggap milik suku kata sebelumnya
+        const inSyllable = (op) => (op.op === 'ins' ? op.index > start && op.index < end : op.index >= start && op.index < end);
+        const syllableOps = ops.filter(inSyllable);
+        if (syllableOps.filter(op => op.op === 'sub').length < 2) continue;
+
+        errors.push({
+            type: 'syllableSubstitution',
+            expected: key.slice(start, end),
+            actual: syllableOps.map(op => op.actual).join(''),
+            word: key
+        });
+        ops = ops.filter(op => !inSyllable(op));
+    }
+
+    for (const op of ops) {
+        if (op.op === 'match') continue;
+
+        const type = {
+            sub: isReversal(op.expected, op.actual) ? 'reversal' : 'substitution',
+            del: 'omission',
+            ins: 'insertion',
+            swap: 'transposition'
+        }[op.op];
+        errors.push({ type, expected: op.expected, actual: op.actual, word: key });
+    }
+
+    return errors;
+};
+
+/**
+ * Menyejajarkan kata-kata kunci dan jawaban. Kata yang mirip dipasangkan, kata yang tidak punya pasangan
+ * menjadi kata terlewat atau kata tambahan.
+ * @param {string[]} keyWords Kata kunci.
+ * @param {string[]} answerWords Kata jawaban.
+ * @returns {Array<[string|null, string|null]>} Pasangan kata kunci dan kata jawaban.
+ */
+const alignWords = (keyWords, answerWords) => {
+    const n = keyWords.length;
+    const m = answerWords.length;
+    // Biaya mengganti kata: proporsi huruf yang berbeda, jadi kata yang mirip lebih murah daripada lewati + sisipkan
+    const cost = (a, b) => {
+        if (a === b) return 0;
+        const distance = alignCharacters(a, b).filter(op => op.op !== 'match').length;
+        return Math.min(1.5, distance / Math.max(a.length, b.length) * 2);
+    };
+    const d = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+    const costs = Array.from({ length: n }, (_, i) => answerWords.map(word => cost(keyWords[i], word)));
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + costs[i - 1][j - 1]);
+        }
+    }
+
+    const pairs = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && Math.abs(d[i][j] - (d[i - 1][j - 1] + costs[i - 1][j - 1])) < 1e-9) {
+            pairs.push([keyWords[i - 1], answerWords[j - 1]]);
+            i--; j--;
+        } else if (i > 0 && (j === 0 || Math.abs(d[i][j] - (d[i - 1][j] + 1)) < 1e-9)) {
+            pairs.push([keyWords[i - 1], null]);
+            i--;
+        } else {
+            pairs.push([null, answerWords[j - 1]]);
+            j--;
+        }
+    }
+
+    return pairs.reverse();
+};
+
+/**
+ * Menganalisis kesalahan jawaban terhadap kunci dan mengelompokkannya menurut jenis kesalahan khas disleksia.
+ * @param {string} key Kunci jawaban.
+ * @param {string} transcript Jawaban yang diketik atau hasil transkripsi.
+ * @returns {{counts: Object<string, number>, total: number, details: Array<{type: string, expected: string, actual: string, word: string}>}}
+ * `counts` per jenis kesalahan (lihat `ERROR_TYPES`), `details` paling banyak 50 kesalahan pertama.
+ */
+exports.analyzeErrors = (key, transcript) => {
+    const details = [];
+
+    for (const [keyWord, answerWord] of alignWords(wordsOf(key), wordsOf(transcript))) {
+        if (keyWord === null) {
+            details.push({ type: 'insertion', expected: '', actual: answerWord, word: '' });
+        } else if (answerWord === null) {
+            details.push({ type: 'omission', expected: keyWord, actual: '', word: keyWord });
+        } else {
+            details.push(...analyzeWord(keyWord, answerWord));
+        }
+    }
+
+    const counts = Object.fromEntries(ERROR_TYPES.map(type => [type, details.filter(e => e.type === type).length]));
+
+    return { counts, total: details.length, details: details.slice(0, MAX_DETAILS) };
+};
+
+exports.ERROR_TYPES = ERROR_TYPES;
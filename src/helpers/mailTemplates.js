@@ -0,0 +1,68 @@
+/**
+ * @file Email templates for account related messages.
+ * @description Links point to the frontend configured in `APP_URL` (default `http://localhost:5173`).
+ * @module MailTemplates
+ */
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:5173';
+
+/**
+ * Escapes text for use in the HTML body, so user input (e.g. the name) cannot add markup.
+ *
+ * @private
+ * @function escapeHtml
+ * @memberof module:MailTemplates
+ * @param {string} value - Text to escape.
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[char]);
+
+/**
+ * Builds the password reset email.
+ *
+ * @function passwordResetMail
+ * @memberof module:MailTemplates
+ * @param {object} params
+ * @param {string} params.fullName - Name of the recipient.
+ * @param {string} params.token - Raw password reset token.
+ * @param {number} params.ttlMinutes - Validity of the token in minutes.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+const passwordResetMail = ({ fullName, token, ttlMinutes }) => {
+    const url = `${appUrl()}/reset-password?token=${token}`;
+
+    return {
+        subject: 'Atur ulang password akun Aksara',
+        text: `Halo ${fullName},\n\nKami menerima permintaan untuk mengatur ulang password akun Anda. Buka tautan berikut untuk membuat password baru:\n\n${url}\n\nTautan berlaku selama ${ttlMinutes} menit dan hanya bisa digunakan satu kali. Abaikan email ini jika Anda tidak meminta atur ulang password.`,
+        html: `<p>Halo ${escapeHtml(fullName)},</p><p>Kami menerima permintaan untuk mengatur ulang password akun Anda. Klik tautan berikut untuk membuat password baru:</p><p><a href="${escapeHtml(url)}">Atur ulang password</a></p><p>Tautan berlaku selama ${ttlMinutes} menit dan hanya bisa digunakan satu kali. Abaikan email ini jika Anda tidak meminta atur ulang password.</p>`
+    };
+};
+
+/**
+ * Builds the email address verification email.
+ *
+ * @function emailVerificationMail
+ * @memberof module:MailTemplates
+ * @param {object} params
+ * @param {string} params.fullName - Name of the recipient.
+ * @param {string} params.token - Raw email verification token.
+ * @param {number} params.ttlMinutes - Validity of the token in minutes.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+const emailVerificationMail = ({ fullName, token, ttlMinutes }) => {
+    const url = `${appUrl()}/verify-email?token=${token}`;
+
+    return {
+        subject: 'Verifikasi email akun Aksara',
+        text: `Halo ${fullName},\n\nTerima kasih telah mendaftar di Aksara. Buka tautan berikut untuk memverifikasi alamat email Anda:\n\n${url}\n\nTautan berlaku selama ${Math.round(ttlMinutes / 60)} jam.`,
+        html: `<p>Halo ${escapeHtml(fullName)},</p><p>Terima kasih telah mendaftar di Aksara. Klik tautan berikut untuk memverifikasi alamat email Anda:</p><p><a href="${escapeHtml(url)}">Verifikasi email</a></p><p>Tautan berlaku selama ${Math.round(ttlMinutes / 60)} jam.</p>`
+    };
+};
+
+module.exports = { passwordResetMail, emailVerificationMail }
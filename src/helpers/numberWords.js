@@ -0,0 +1,106 @@
+/**
+ * Angka satuan dalam bahasa Indonesia.
+ */
+const UNITS = {
+    nol: 0, kosong: 0, satu: 1, dua: 2, tiga: 3, empat: 4, lima: 5,
+    enam: 6, tujuh: 7, delapan: 8, sembilan: 9
+};
+
+/**
+ * Pengali ribuan ke atas, menutup satu kelompok angka.
+ */
+const SCALES = { ribu: 1e3, juta: 1e6, miliar: 1e9 };
+
+/**
+ * Mengubah angka yang ditulis dengan digit ke Number.
+ * Koma adalah pemisah desimal, titik di antara kelompok tiga digit adalah pemisah ribuan ("1.000", "2,5").
+ * @param {string} text Teks yang sudah dirapikan.
+ * @returns {number|null} Null jika teks bukan angka.
+ */
+const parseDigits = (text) => {
+    const value = text.replace(/\s/g, '');
+    if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(value)) return Number(value.replace(/\./g, '').replace(',', '.'));
+    if (/^-?\d+([.,]\d+)?$/.test(value)) return Number(value.replace(',', '.'));
+    return null;
+};
+
+/**
+ * Mengubah bilangan bulat yang ditulis dengan kata ke Number, misalnya "dua ratus lima belas".
+ * @param {string[]} words Kata-kata bilangan.
+ * @returns {number|null} Null jika ada kata yang bukan bagian bilangan.
+ */
+const parseWholeWords = (words) => {
+    let total = 0;
+    let group = 0;   // Nilai di bawah seribu yang sedang disusun
+    let unit = null; // Angka satuan yang belum diberi pengali
+
+    for (const word of words) {
+        if (word in UNITS) {
+            if (unit !== null) return null;
+            unit = UNITS[word];
+        } else if (/^\d$/.test(word)) {
+            if (unit !== null) return null;
+            unit = Number(word);
+        } else if (word === 'belas') {
+            group += 10 + (unit ?? 1);
+            unit = null;
+        } else if (word === 'puluh') {
+            group += (unit ?? 1) * 10;
+            unit = null;
+        } else if (word === 'ratus') {
+            group += (unit ?? 1) * 100;
+            unit = null;
+        } else if (word in SCALES) {
+            total += (group + (unit ?? 0) || 1) * SCALES[word];
+            group = 0;
+            unit = null;
+        } else {
+            return null;
+        }
+    }
+
+    return total + group + (unit ?? 0);
+};
+
+/**
+ * Membaca bilangan dari jawaban anak, baik ditulis dengan digit ("5", "2,5") maupun kata ("lima", "dua koma lima",
+ * "minus tiga", "seratus dua puluh"). Berguna untuk soal berhitung yang dijawab lisan atau ditulis dengan kata.
+ * @param {string|number} text Jawaban atau kunci jawaban.
+ * @returns {number|null} Bilangan, atau null jika teks bukan bilangan.
+ */
+exports.parseNumber = (text) => {
+    if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+
+    const cleaned = String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s.,-]/gu, ' ').replace(/\s+/g, ' ').trim().replace(/[.,]$/, '');
+    if (!cleaned) return null;
+
+    const digits = parseDigits(cleaned);
+    if (digits !== null) return digits;
+
+    let words = cleaned.split(/[\s-]+/).filter(Boolean);
+    let sign = 1;
+    if (words[0] === 'minus' || words[0] === 'negatif') {
+        sign = -1;
+        words = words.slice(1);
+    }
+
+    // "sepuluh", "sebelas", "seratus", "seribu" = satu puluh, satu belas, ...
+    words = words.flatMap(word => /^se(puluh|belas|ratus|ribu|juta|miliar)$/.test(word) ? ['satu', word.slice(2)] : [word]);
+
+    const comma = words.indexOf('koma');
+    const wholeWords = comma === -1 ? words : words.slice(0, comma);
+    if (wholeWords.length === 0) return null;
+
+    const whole = parseWholeWords(wholeWords);
+    if (whole === null) return null;
+
+    let fraction = 0;
+    if (comma !== -1) {
+        // Setelah "koma" angka dibaca satu per satu: "dua koma nol lima" = 2,05
+        const decimals = words.slice(comma + 1).map(word => word in UNITS ? UNITS[word] : (/^\d$/.test(word) ? Number(word) : null));
+        if (decimals.length === 0 || decimals.includes(null)) return null;
+        fraction = Number(`0.${decimals.join('')}`);
+    }
+
+    return sign * (whole + fraction);
+};
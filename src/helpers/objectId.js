@@ -0,0 +1,18 @@
+/**
+ * @file Utility module for validating record IDs taken from the request.
+ * @module ObjectId
+ */
+
+/**
+ * Checks whether a request value is one ObjectId in its 24 character hex form.
+ * Arrays and objects are rejected: mongoose would turn them into `$in` or operator queries,
+ * and other strings would fail with a CastError.
+ *
+ * @function isObjectIdString
+ * @memberof module:ObjectId
+ * @param {*} value - Value from the request (params, body or query).
+ * @returns {boolean}
+ */
+const isObjectIdString = (value) => typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+
+module.exports = { isObjectIdString }
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const bcryptjs = require('bcryptjs');
+
+/**
+ * @file Utility module for the child-friendly login (class code, avatar and picture password).
+ * @module PictureLogin
+ */
+
+/**
+ * @constant {Array<{id: string, emoji: string, label: string}>} PICTURES
+ * @memberof module:PictureLogin
+ * @description Pictures a child can tap to enter their picture password. The `id` is what the client sends.
+ */
+const PICTURES = [
+    { id: 'kucing', emoji: '🐱', label: 'Kucing' },
+    { id: 'anjing', emoji: '🐶', label: 'Anjing' },
+    { id: 'ikan', emoji: '🐟', label: 'Ikan' },
+    { id: 'burung', emoji: '🐦', label: 'Burung' },
+    { id: 'apel', emoji: '🍎', label: 'Apel' },
+    { id: 'pisang', emoji: '🍌', label: 'Pisang' },
+    { id: 'bola', emoji: '⚽', label: 'Bola' },
+    { id: 'mobil', emoji: '🚗', label: 'Mobil' },
+    { id: 'bunga', emoji: '🌸', label: 'Bunga' },
+    { id: 'matahari', emoji: '🌞', label: 'Matahari' },
+    { id: 'bulan', emoji: '🌙', label: 'Bulan' },
+    { id: 'bintang', emoji: '⭐', label: 'Bintang' },
+];
+
+/**
+ * @constant {Array<{id: string, emoji: string}>} AVATARS
+ * @memberof module:PictureLogin
+ * @description Avatars a child is recognised by on the class login screen.
+ */
+const AVATARS = [
+    { id: 'singa', emoji: '🦁' },
+    { id: 'panda', emoji: '🐼' },
+    { id: 'kelinci', emoji: '🐰' },
+    { id: 'rubah', emoji: '🦊' },
+    { id: 'katak', emoji: '🐸' },
+    { id: 'penguin', emoji: '🐧' },
+    { id: 'gajah', emoji: '🐘' },
+    { id: 'jerapah', emoji: '🦒' },
+    { id: 'kura-kura', emoji: '🐢' },
+    { id: 'kupu-kupu', emoji: '🦋' },
+    { id: 'lebah', emoji: '🐝' },
+    { id: 'dinosaurus', emoji: '🦕' },
+];
+
+/**
+ * @constant {number} PIN_LENGTH - Number of pictures in a picture password.
+ * @memberof module:PictureLogin
+ */
+const PIN_LENGTH = 4;
+
+/**
+ * @constant {number} CLASS_CODE_LENGTH - Length of a class code, e.g. `K7MP2Q` (see CodeGenerator).
+ * @memberof module:PictureLogin
+ */
+const CLASS_CODE_LENGTH = 6;
+
+const randomItem = (list) => list[crypto.randomInt(list.length)];
+
+
+/**
+ * Picks a random avatar id.
+ *
+ * @function randomAvatar
+ * @memberof module:PictureLogin
+ * @returns {string} Avatar id.
+ */
+const randomAvatar = () => randomItem(AVATARS).id;
+
+/**
+ * Checks that an avatar id exists.
+ *
+ * @function isValidAvatar
+ * @memberof module:PictureLogin
+ * @param {string} avatar - Avatar id.
+ * @returns {boolean}
+ */
+const isValidAvatar = (avatar) => AVATARS.some(a => a.id === avatar);
+
+/**
+ * Checks that a picture password has the right length and only contains known pictures.
+ *
+ * @function isValidPin
+ * @memberof module:PictureLogin
+ * @param {string[]} pin - Sequence of picture ids.
+ * @returns {boolean}
+ */
+const isValidPin = (pin) => Array.isArray(pin)
+    && pin.length === PIN_LENGTH
+    && pin.every(p => PICTURES.some(picture => picture.id === p));
+
+/**
+ * Generates a random picture password.
+ *
+ * @function generatePin
+ * @memberof module:PictureLogin
+ * @returns {string[]} Sequence of picture ids.
+ */
+const generatePin = () => Array.from({ length: PIN_LENGTH }, () => randomItem(PICTURES).id);
+
+/**
+ * Hashes a picture password for storage. The order of the pictures matters.
+ *
+ * @async
+ * @function hashPin
+ * @memberof module:PictureLogin
+ * @param {string[]} pin - Sequence of picture ids.
+ * @returns {Promise<string>} bcrypt hash.
+ */
+const hashPin = (pin) => bcryptjs.hash(pin.join('|'), 10);
+
+/**
+ * Compares a picture password with a stored hash.
+ *
+ * @async
+ * @function comparePin
+ * @memberof module:PictureLogin
+ * @param {string[]} pin - Sequence of picture ids entered by the child.
+ * @param {string} hash - Stored hash.
+ * @returns {Promise<boolean>}
+ */
+const comparePin = async (pin, hash) => {
+    if (!hash || !isValidPin(pin)) return false;
+    return bcryptjs.compare(pin.join('|'), hash);
+};
+
+/**
+ * Maps picture ids to their picture objects, for showing a new password to the teacher.
+ *
+ * @function describePin
+ * @memberof module:PictureLogin
+ * @param {string[]} pin - Sequence of picture ids.
+ * @returns {Array<{id: string, emoji: string, label: string}>}
+ */
+const describePin = (pin) => pin.map(id => PICTURES.find(p => p.id === id));
+
+module.exports = {
+    PICTURES,
+    AVATARS,
+    PIN_LENGTH,
+    CLASS_CODE_LENGTH,
+    randomAvatar,
+    isValidAvatar,
+    isValidPin,
+    generatePin,
+    hashPin,
+    comparePin,
+    describePin
+}
@@ -1,4 +1,4 @@
-function exercisePrompt({ quantity, method, quizHistory, assessment, listImages }) {
+function exercisePrompt({ quantity, method, quizHistory, assessment, listImages, level }) {
   return `
 You are an Advanced AI Special Education Needs Learning Platform for children with dyslexia and intellectual disabilities (tunagrahita) in Indonesia.
 Language: **Indonesian**.
@@ -28,7 +28,10 @@ Language: **Indonesian**.
 - **JSON Only**: Return ONLY a raw JSON array. No markdown blocks, no intro, no "Here is your JSON".
 - **Field Consistency**: "key" must always be a String. Never an array.
 - **Quantity**: Generate exactly ${quantity} items.
-
+${level ? `
+### DIFFICULTY:
+- Generate items of level ${level} (1 = easiest, 3 = hardest), based on the child's assessment_data: level 1 uses short, common words and small numbers, level 3 uses longer words, consonant clusters and longer sentences.
+` : ''}
 ### JSON STRUCTURE:
 [
   {
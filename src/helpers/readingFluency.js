@@ -0,0 +1,111 @@
+const { editSimilarity, phoneticKey } = require('./similarity');
+
+/**
+ * Jeda minimal antar kata (milidetik) yang dihitung sebagai jeda membaca.
+ */
+exports.PAUSE_MS = 1000;
+
+/**
+ * Memecah teks menjadi kata dengan kunci bunyinya, supaya ejaan hasil transkripsi ("ruma") tetap cocok dengan kunci ("rumah").
+ * @param {string} text Teks.
+ * @returns {Array<{word: string, sound: string}>}
+ */
+const wordsOf = (text) => String(text || '')
+    .split(/\s+/)
+    .map(word => ({ word, sound: phoneticKey(word) }))
+    .filter(w => w.sound);
+
+/**
+ * Jumlah kata kunci yang terbaca berurutan (longest common subsequence berdasarkan bunyi). Kata yang diulang
+ * atau dibetulkan sendiri hanya menjadi sisipan, jadi tidak mengurangi jumlah kata benar.
+ * @param {Array<{sound: string}>} keyWords Kata kunci.
+ * @param {Array<{sound: string}>} readWords Kata yang terbaca.
+ * @returns {number}
+ */
+const countCorrect = (keyWords, readWords) => {
+    let previous = new Array(readWords.length + 1).fill(0);
+    for (const key of keyWords) {
+        const row = [0];
+        readWords.forEach((read, j) => {
+            row.push(key.sound === read.sound ? previous[j] + 1 : Math.max(previous[j + 1], row[j]));
+        });
+        previous = row;
+    }
+    return previous[readWords.length];
+};
+
+/**
+ * Menghitung pengulangan kata dan pembetulan sendiri dalam transkrip.
+ * * Pengulangan: kata yang sama dibaca dua kali berturut-turut ("bola bola"), kecuali memang ada di kunci.
+ * * Pembetulan sendiri: kata yang bukan kata kunci langsung diikuti kata kunci yang mirip atau diawali
+ *   kata tersebut ("ru rumah", "bapu bapak").
+ * @param {Array<{word: string, sound: string}>} keyWords Kata kunci.
+ * @param {Array<{word: string, sound: string}>} readWords Kata yang terbaca.
+ * @returns {{repetitions: number, selfCorrections: number}}
+ */
+const countRereadings = (keyWords, readWords) => {
+    const keySounds = new Set(keyWords.map(w => w.sound));
+    const keyPairs = new Set(keyWords.slice(1).map((w, i) => `${keyWords[i].sound} ${w.sound}`));
+    let repetitions = 0;
+    let selfCorrections = 0;
+
+    for (let i = 0; i < readWords.length - 1; i++) {
+        const current = readWords[i].sound;
+        const next = readWords[i + 1].sound;
+
+        if (current === next) {
+            if (!keyPairs.has(`${current} ${next}`)) repetitions++;
+        } else if (!keySounds.has(current) && keySounds.has(next) && (next.startsWith(current) || editSimilarity(current, next) >= 0.5)) {
+            selfCorrections++;
+        }
+    }
+
+    return { repetitions, selfCorrections };
+};
+
+/**
+ * Menghitung jeda membaca. Memakai waktu tiap kata dari server AI (`[{ word, start, end }]` dalam detik) jika ada;
+ * tanpa itu, tanda jeda di transkrip ("...", "…") yang dihitung.
+ * @param {string} transcript Transkrip.
+ * @param {object[]} [words] Waktu tiap kata dari server AI.
+ * @param {number} pauseMs Jeda minimal dalam milidetik.
+ * @returns {number}
+ */
+const countPauses = (transcript, words, pauseMs) => {
+    const timed = (words || []).filter(w => Number.isFinite(Number(w.start)) && Number.isFinite(Number(w.end)));
+    if (timed.length > 1) {
+        return timed.slice(1).filter((w, i) => (Number(w.start) - Number(timed[i].end)) * 1000 >= pauseMs).length;
+    }
+
+    return (String(transcript || '').match(/\.{3,}|…/g) || []).length;
+};
+
+/**
+ * Mengukur kelancaran membaca nyaring dari transkrip dan durasi: kata benar per menit (WCPM), akurasi,
+ * jeda, pengulangan dan pembetulan sendiri.
+ * @param {string} key Teks yang dibaca (kunci jawaban).
+ * @param {string} transcript Transkrip bacaan anak.
+ * @param {object} [options]
+ * @param {number} [options.durationMs] Lama membaca dalam milidetik; tanpa durasi WCPM tidak dihitung.
+ * @param {object[]} [options.words] Waktu tiap kata dari server AI, untuk menghitung jeda.
+ * @param {number} [options.pauseMs=PAUSE_MS] Jeda minimal dalam milidetik.
+ * @returns {{totalWords: number, wordsRead: number, wordsCorrect: number, accuracy: number, durationMs: number|null,
+ * wcpm: number|null, pauses: number, repetitions: number, selfCorrections: number}}
+ */
+exports.measureFluency = (key, transcript, { durationMs, words, pauseMs = exports.PAUSE_MS } = {}) => {
+    const keyWords = wordsOf(key);
+    const readWords = wordsOf(transcript);
+    const wordsCorrect = countCorrect(keyWords, readWords);
+    const duration = Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null;
+
+    return {
+        totalWords: keyWords.length,
+        wordsRead: readWords.length,
+        wordsCorrect,
+        accuracy: keyWords.length > 0 ? Math.round(wordsCorrect / keyWords.length * 100) : 0,
+        durationMs: duration,
+        wcpm: duration ? Math.round(wordsCorrect / (duration / 60000) * 10) / 10 : null,
+        pauses: countPauses(transcript, words, pauseMs),
+        ...countRereadings(keyWords, readWords)
+    };
+};
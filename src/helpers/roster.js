@@ -0,0 +1,186 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+/**
+ * @file Utility module for reading and writing student rosters as CSV or XLSX.
+ * @module Roster
+ */
+
+/**
+ * @constant {Array<{key: string, header: string}>} ROSTER_COLUMNS
+ * @memberof module:Roster
+ * @description Columns of a roster file. Import accepts either the `key` or the `header` as column title
+ * (case and spaces are ignored), export writes the `header`.
+ */
+const ROSTER_COLUMNS = [
+    { key: 'fullName', header: 'Nama Lengkap' },
+    { key: 'username', header: 'Username' },
+    { key: 'deafness', header: 'Ketunaan' },
+    { key: 'dateOfBirth', header: 'Tanggal Lahir' },
+    { key: 'parentName', header: 'Nama Orang Tua' },
+    { key: 'parentPhone', header: 'Telepon Orang Tua' },
+    { key: 'parentAddress', header: 'Alamat Orang Tua' },
+    { key: 'parentWork', header: 'Pekerjaan Orang Tua' },
+    { key: 'className', header: 'Kelas' },
+    { key: 'avatar', header: 'Avatar' },
+];
+
+/**
+ * @constant {string[]} ROSTER_FORMATS - Supported file formats.
+ * @memberof module:Roster
+ */
+const ROSTER_FORMATS = ['csv', 'xlsx'];
+
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[\s_]+/g, '');
+
+const columnByTitle = new Map(ROSTER_COLUMNS.flatMap(c => [
+    [normalizeTitle(c.key), c.key],
+    [normalizeTitle(c.header), c.key],
+]));
+
+/**
+ * Converts an ExcelJS cell value (text, number, date, rich text, hyperlink or formula) to a plain value.
+ *
+ * @private
+ * @function cellValue
+ * @memberof module:Roster
+ * @param {*} value - Raw cell value.
+ * @returns {string|Date|undefined}
+ */
+const cellValue = (value) => {
+    if (value === null || value === undefined) return undefined;
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('').trim();
+        if (value.text !== undefined) return String(value.text).trim();
+        if (value.result !== undefined) return cellValue(value.result);
+        return undefined;
+    }
+
+    const text = String(value).trim();
+    return text === '' ? undefined : text;
+};
+
+/**
+ * Parses a date from a roster cell: a real date (XLSX), `YYYY-MM-DD`, or `DD/MM/YYYY` / `DD-MM-YYYY`.
+ *
+ * @function parseDate
+ * @memberof module:Roster
+ * @param {string|Date} value - Cell value.
+ * @returns {Date|null} The date, or null if it cannot be read.
+ */
+const parseDate = (value) => {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    if (typeof value !== 'string') return null;
+
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return validDate(+match[1], +match[2], +match[3]);
+
+    match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (match) return validDate(+match[3], +match[2], +match[1]);
+
+    return null;
+};
+
+const validDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Detects the roster format from a file name.
+ *
+ * @function formatOf
+ * @memberof module:Roster
+ * @param {string} filename - Original file name.
+ * @returns {string|null} `csv`, `xlsx`, or null if unsupported.
+ */
+const formatOf = (filename) => {
+    const extension = String(filename || '').split('.').pop().toLowerCase();
+    return ROSTER_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Reads the rows of a roster file. The first row holds the column titles, unknown columns are ignored
+ * and empty rows are skipped.
+ *
+ * @async
+ * @function parseRoster
+ * @memberof module:Roster
+ * @param {Buffer} buffer - File content.
+ * @param {string} format - `csv` or `xlsx`.
+ * @returns {Promise<{columns: string[], rows: Array<{row: number, values: object}>}>} Recognised column keys and
+ * the rows with their line number in the file.
+ */
+const parseRoster = async (buffer, format) => {
+    const workbook = new ExcelJS.Workbook();
+    let sheet;
+
+    if (format === 'csv') {
+        sheet = await workbook.csv.read(Readable.from(buffer), { parserOptions: { trim: true } });
+    } else {
+        await workbook.xlsx.load(buffer);
+        sheet = workbook.worksheets[0];
+    }
+
+    if (!sheet || sheet.rowCount === 0) return { columns: [], rows: [] };
+
+    const keys = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+        keys[col] = columnByTitle.get(normalizeTitle(cellValue(cell.value)));
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const values = {};
+        row.eachCell((cell, col) => {
+            const value = cellValue(cell.value);
+            if (keys[col] && value !== undefined) values[keys[col]] = value;
+        });
+
+        if (Object.keys(values).length > 0) rows.push({ row: rowNumber, values });
+    });
+
+    return { columns: keys.filter(Boolean), rows };
+};
+
+/**
+ * Writes a roster file.
+ *
+ * @async
+ * @function buildRoster
+ * @memberof module:Roster
+ * @param {object[]} rows - Objects keyed by `ROSTER_COLUMNS` keys.
+ * @param {string} format - `csv` or `xlsx`.
+ * @returns {Promise<Buffer>} File content.
+ */
+const buildRoster = async (rows, format) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Siswa');
+
+    sheet.columns = ROSTER_COLUMNS.map(c => ({
+        key: c.key,
+        header: c.header,
+        width: 22,
+        style: c.key === 'dateOfBirth' ? { numFmt: 'yyyy-mm-dd' } : undefined
+    }));
+    rows.forEach(row => sheet.addRow(row));
+
+    if (format === 'csv') {
+        return workbook.csv.writeBuffer({ dateFormat: 'YYYY-MM-DD', dateUTC: true });
+    }
+
+    sheet.getRow(1).font = { bold: true };
+    return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+    ROSTER_COLUMNS,
+    ROSTER_FORMATS,
+    parseDate,
+    formatOf,
+    parseRoster,
+    buildRoster
+};
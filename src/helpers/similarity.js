@@ -1,31 +1,128 @@
+const natural = require('natural');
+
+/**
+ * Merapikan teks untuk dibandingkan: huruf kecil, tanpa tanda baca dan spasi berlebih.
+ * @param {string} text Teks.
+ * @returns {string}
+ */
+const clean = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Kemiripan berdasarkan jarak edit (Levenshtein): satu huruf terlewat di awal kata hanya mengurangi satu langkah,
+ * tidak menggeser semua huruf setelahnya.
+ * @param {string} a Teks pertama (kunci jawaban).
+ * @param {string} b Teks kedua (jawaban anak).
+ * @returns {number} Kemiripan dari 0 hingga 1.
+ */
+exports.editSimilarity = (a, b) => {
+    const x = clean(a);
+    const y = clean(b);
+    if (!x && !y) return 1;
+    if (!x || !y) return 0;
+
+    return 1 - natural.LevenshteinDistance(x, y) / Math.max(x.length, y.length);
+};
+
 /**
- * Menghitung skor berdasarkan persentase karakter yang cocok.
+ * Kemiripan Jaro-Winkler: memberi bobot lebih pada awal kata yang sama, cocok untuk kata tunggal yang pendek.
+ * @param {string} a Teks pertama (kunci jawaban).
+ * @param {string} b Teks kedua (jawaban anak).
+ * @returns {number} Kemiripan dari 0 hingga 1.
+ */
+exports.jaroWinklerSimilarity = (a, b) => {
+    const x = clean(a);
+    const y = clean(b);
+    if (!x && !y) return 1;
+    if (!x || !y) return 0;
+
+    return natural.JaroWinklerDistance(x, y);
+};
+
+/**
+ * Kemiripan per kata untuk kalimat: tiap kata kunci dipasangkan dengan kata jawaban yang paling mirip
+ * (jarak edit), lalu dirata-rata atas jumlah kata terbanyak. Kata terlewat atau tambahan bernilai 0,
+ * urutan kata tidak dinilai.
+ * @param {string} a Teks pertama (kunci jawaban).
+ * @param {string} b Teks kedua (jawaban anak).
+ * @returns {number} Kemiripan dari 0 hingga 1.
+ */
+exports.tokenSimilarity = (a, b) => {
+    const keyWords = clean(a).split(' ').filter(Boolean);
+    const answerWords = clean(b).split(' ').filter(Boolean);
+    if (keyWords.length === 0 && answerWords.length === 0) return 1;
+    if (keyWords.length === 0 || answerWords.length === 0) return 0;
+
+    // Pasangkan mulai dari pasangan paling mirip, tiap kata hanya dipakai sekali
+    const pairs = keyWords.flatMap((key, i) => answerWords.map((answer, j) => ({ i, j, score: exports.editSimilarity(key, answer) })))
+        .sort((x, y) => y.score - x.score);
+    const usedKeys = new Set();
+    const usedAnswers = new Set();
+    let total = 0;
+
+    for (const { i, j, score } of pairs) {
+        if (usedKeys.has(i) || usedAnswers.has(j)) continue;
+        usedKeys.add(i);
+        usedAnswers.add(j);
+        total += score;
+    }
+
+    return total / Math.max(keyWords.length, answerWords.length);
+};
+
+/**
+ * Kunci bunyi kata bahasa Indonesia: ejaan yang bunyinya sama atau sering tertukar saat diucapkan dibuat sama.
+ * Contoh: ejaan lama (oe, tj, dj), f/v/p, q/k, z/j, kh/h, sy/s, huruf ganda, serta h dan k di akhir kata yang
+ * sering tidak terdengar ("rumah" = "ruma", "bapak" = "bapa").
+ * @param {string} text Teks.
+ * @returns {string}
+ */
+exports.phoneticKey = (text) => clean(text)
+    .replace(/oe/g, 'u')
+    .replace(/tj/g, 'c')
+    .replace(/dj/g, 'j')
+    .replace(/nj/g, 'ny')
+    .replace(/sj/g, 's')
+    .replace(/ch/g, 'kh')
+    .replace(/kh/g, 'h')
+    .replace(/sy/g, 's')
+    .replace(/ph/g, 'f')
+    .replace(/[fv]/g, 'p')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 'j')
+    .replace(/(\p{L})\1+/gu, '$1')
+    .replace(/([aiueo])[hk](?=\s|$)/g, '$1');
+
+/**
+ * Kemiripan bunyi: jarak edit antara kunci bunyi (`phoneticKey`) kedua teks. Cocok untuk jawaban lisan yang
+ * ditranskripsi, di mana ejaan transkripsi tidak mencerminkan kesalahan anak.
+ * @param {string} a Teks pertama (kunci jawaban).
+ * @param {string} b Teks kedua (jawaban anak).
+ * @returns {number} Kemiripan dari 0 hingga 1.
+ */
+exports.phoneticSimilarity = (a, b) => exports.editSimilarity(exports.phoneticKey(a), exports.phoneticKey(b));
+
+/**
+ * Algoritma kemiripan yang tersedia, dipilih per metode di config/similarity.
+ */
+exports.ALGORITHMS = {
+    edit: exports.editSimilarity,
+    jaroWinkler: exports.jaroWinklerSimilarity,
+    token: exports.tokenSimilarity,
+    phonetic: exports.phoneticSimilarity
+};
+
+/**
+ * Menghitung skor kemiripan dua teks dengan algoritma tertentu.
  * @param {string} stringA Teks asli (kunci jawaban).
- * @param {string} stringB Teks yang akan dibandingkan (hasil transkripsi).
+ * @param {string} stringB Teks yang akan dibandingkan (jawaban atau hasil transkripsi).
+ * @param {string} [algorithm='edit'] Nama algoritma, lihat `ALGORITHMS`.
  * @returns {number} Skor dari 0 hingga 100.
+ * @throws {Error} Jika algoritma tidak dikenal.
  */
-exports.calculateCharacterMatchScore = (stringA, stringB) => {
-    if (!stringA || !stringB) return 0;
-
-    // 1. Normalisasi: Hapus spasi berlebih dan ubah ke huruf kecil.
-    // Tanda baca mungkin penting di sini, jadi kita tidak hapus.
-    const a = stringA.toLowerCase().trim();
-    const b = stringB.toLowerCase().trim();
-
-    const longerLength = Math.max(a.length, b.length);
-    if (longerLength === 0) return 100;
-
-    let correctChars = 0;
-    // 2. Bandingkan karakter satu per satu
-    for (let i = 0; i < longerLength; i++) {
-        // Jika karakter di posisi yang sama cocok, atau jika salah satu string sudah habis
-        // (menghitung spasi sebagai "benar" jika jawaban lebih pendek/panjang)
-        if (a[i] === b[i]) {
-            correctChars++;
-        }
-    }
+exports.similarityScore = (stringA, stringB, algorithm = 'edit') => {
+    const compare = exports.ALGORITHMS[algorithm];
+    if (!compare) throw new Error(`Unknown similarity algorithm: ${algorithm}`);
 
-    // 3. Hitung persentase karakter yang benar
-    const score = (correctChars / longerLength) * 100;
-    return score;
-};
\ No newline at end of file
+    return Math.max(0, Math.min(1, compare(stringA, stringB))) * 100;
+};
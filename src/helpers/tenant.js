@@ -0,0 +1,42 @@
+const { ROLES } = require('../policies/roles');
+
+/**
+ * @file Utility module for scoping queries to the tenant (school) of the authenticated user.
+ * @module Tenant
+ */
+
+/**
+ * Builds the query for the children an authenticated user may list.
+ * * School admin: every child of their school.
+ * * Teacher: the children the teacher is responsible for or co-teaches.
+ * * Parent: the children linked through invitation codes.
+ * * Child: only themselves.
+ *
+ * @function childScope
+ * @memberof module:Tenant
+ * @param {object} user - Token payload (`req.user`).
+ * @param {object} [filters]
+ * @param {string} [filters.classId] - Only children enrolled in this class.
+ * @returns {object} MongoDB query on `userModel`. Matches nothing for other roles.
+ */
+const childScope = (user, filters = {}) => {
+    let query;
+
+    if (user.role === ROLES.SCHOOL_ADMIN && user.schoolId) {
+        query = { schoolId: user.schoolId, role: ROLES.CHILD };
+    } else if (user.role === ROLES.TEACHER) {
+        query = { $or: [{ teacherId: user.userId }, { 'coTeachers.teacherId': user.userId }], role: ROLES.CHILD };
+    } else if (user.role === ROLES.PARENT) {
+        query = { parentIds: user.userId, role: ROLES.CHILD };
+    } else if (user.role === ROLES.CHILD) {
+        query = { _id: user.userId, role: ROLES.CHILD };
+    } else {
+        return { _id: null };
+    }
+
+    if (filters.classId) query.classId = filters.classId;
+
+    return query;
+};
+
+module.exports = { childScope }
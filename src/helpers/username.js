@@ -0,0 +1,42 @@
+const userModel = require('../models/userModel');
+
+/**
+ * @file Utility module for generating child usernames.
+ * @module Username
+ */
+
+/**
+ * Turns a full name into a username: lowercase letters and digits only, e.g. `Budi Santoso` -> `budisantoso`.
+ *
+ * @function baseUsername
+ * @memberof module:Username
+ * @param {string} fullName - Full name of the child.
+ * @returns {string} The username base (`siswa` if the name has no usable characters).
+ */
+const baseUsername = (fullName) => String(fullName || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '') || 'siswa';
+
+/**
+ * Finds a username that is not used yet, adding a number when needed (`budi`, `budi2`, `budi3`, ...).
+ * Deleted accounts still hold their username, so they are checked too.
+ *
+ * @async
+ * @function uniqueUsername
+ * @memberof module:Username
+ * @param {string} base - Wanted username.
+ * @param {Set<string>} [reserved] - Usernames already taken in the current batch. The result is added to it.
+ * @returns {Promise<string>} A free username.
+ */
+const uniqueUsername = async (base, reserved = new Set()) => {
+    let username = base;
+    for (let i = 2; reserved.has(username) || await userModel.findOneWithDeleted({ username: username }).select('_id'); i++) {
+        username = `${base}${i}`;
+    }
+
+    reserved.add(username);
+    return username;
+};
+
+module.exports = { baseUsername, uniqueUsername };
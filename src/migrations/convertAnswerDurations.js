@@ -0,0 +1,110 @@
+/**
+ * @file Migration converting the text `duration` of answers into milliseconds.
+ * @description `duration` of exercise answers (`quiz.answers`, `quiz.attempts.answers`) and quiz session answers
+ * used to be free text sent by the app ("4500", "00:04", "4.5s"). It is now a number of milliseconds. This
+ * migration sets every text duration to the time from `timeOpened` to `timeAnswered` when both are known, else
+ * to the parsed text; durations that cannot be read are removed. The documents are updated on the raw collection,
+ * because the text values no longer fit the schema. Safe to run again: converted durations are numbers and skipped.
+ *
+ * Usage: `npm run migrate:answer-durations -- [--dry-run]`
+ * @module ConvertAnswerDurationsMigration
+ */
+require('dotenv').config()
+require('../config/db')
+const mongoose = require('mongoose')
+const exerciseModel = require('../models/exerciseModel')
+const quizSessionModel = require('../models/quizSessionModel')
+const { answerDuration } = require('../helpers/duration')
+
+const dryRun = process.argv.includes('--dry-run')
+
+/**
+ * Collects the update of one answer.
+ *
+ * @private
+ * @function convertAnswer
+ * @memberof module:ConvertAnswerDurationsMigration
+ * @param {object} answer - Raw answer.
+ * @param {string} path - Path of the answer in the document, e.g. `quiz.0.attempts.1.answers.2`.
+ * @param {object} update - `{ $set, $unset }` collected for the document.
+ * @returns {string|null} `converted`, `removed`, or null if the duration is already a number.
+ */
+const convertAnswer = (answer, path, update) => {
+    if (typeof answer.duration !== 'string') return null
+
+    const duration = answerDuration(answer)
+    if (duration === null) {
+        update.$unset[`${path}.duration`] = ''
+        return 'removed'
+    }
+
+    update.$set[`${path}.duration`] = duration
+    return 'converted'
+}
+
+/**
+ * Migrates every document of a collection.
+ *
+ * @private
+ * @async
+ * @function migrate
+ * @memberof module:ConvertAnswerDurationsMigration
+ * @param {object} model - Mongoose model.
+ * @param {object} filter - Documents that may contain text durations.
+ * @param {function(object): Array<{answer: object, path: string}>} answersOf - Returns the raw answers of a document with their paths.
+ * @returns {Promise<{documents: number, converted: number, removed: number}>}
+ */
+const migrate = async (model, filter, answersOf) => {
+    const totals = { documents: 0, converted: 0, removed: 0 }
+    const cursor = model.collection.find(filter)
+
+    for await (const doc of cursor) {
+        const update = { $set: {}, $unset: {} }
+
+        for (const { answer, path } of answersOf(doc)) {
+            const result = convertAnswer(answer, path, update)
+            if (result) totals[result]++
+        }
+
+        if (Object.keys(update.$set).length === 0 && Object.keys(update.$unset).length === 0) continue
+
+        if (!dryRun) {
+            if (Object.keys(update.$unset).length === 0) delete update.$unset
+            if (Object.keys(update.$set).length === 0) delete update.$set
+            await model.collection.updateOne({ _id: doc._id }, update)
+        }
+        totals.documents++
+    }
+
+    return totals
+}
+
+const run = async () => {
+    const text = { $type: 'string' }
+
+    const exercises = await migrate(
+        exerciseModel,
+        { $or: [{ 'quiz.answers.duration': text }, { 'quiz.attempts.answers.duration': text }] },
+        (exercise) => (exercise.quiz || []).flatMap((quiz, i) => [
+            ...(quiz.answers || []).map((answer, j) => ({ answer, path: `quiz.${i}.answers.${j}` })),
+            ...(quiz.attempts || []).flatMap((attempt, k) => (attempt.answers || [])
+                .map((answer, j) => ({ answer, path: `quiz.${i}.attempts.${k}.answers.${j}` })))
+        ])
+    )
+
+    const quizSessions = await migrate(
+        quizSessionModel,
+        { 'answers.duration': text },
+        (session) => (session.answers || []).map((answer, j) => ({ answer, path: `answers.${j}` }))
+    )
+
+    console.log(dryRun ? 'Dry run, nothing was changed.' : 'Answer durations converted to milliseconds.')
+    console.table({ exercises, quizSessions })
+}
+
+run()
+    .catch((error) => {
+        console.error('Migration failed:', error)
+        process.exitCode = 1
+    })
+    .finally(() => mongoose.disconnect())
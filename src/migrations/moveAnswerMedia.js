@@ -0,0 +1,128 @@
+/**
+ * @file Migration moving Base64 answer files out of MongoDB into the storage.
+ * @description Before the storage existed, recorded answers were saved as Base64 data URLs in `answer.file`
+ * of exercises (`quiz.answers`, `quiz.attempts.answers`), quiz sessions and screening sessions. This migration
+ * writes every such file to the storage configured with `STORAGE_DRIVER`, sets `answer.mediaId` and removes
+ * `answer.file`. Identical files within one document are stored once. Safe to run again: migrated answers
+ * no longer have a data URL and are skipped.
+ *
+ * Usage: `npm run migrate:answer-media -- [--dry-run]`
+ * @module MoveAnswerMediaMigration
+ */
+require('dotenv').config()
+require('../config/db')
+const mongoose = require('mongoose')
+const exerciseModel = require('../models/exerciseModel')
+const quizSessionModel = require('../models/quizSessionModel')
+const screeningSessionModel = require('../models/screeningSessionModel')
+const storageService = require('../services/storageService')
+
+const dryRun = process.argv.includes('--dry-run')
+
+const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:')
+
+/**
+ * Moves the data URL of one answer to the storage.
+ *
+ * @private
+ * @async
+ * @function moveAnswer
+ * @memberof module:MoveAnswerMediaMigration
+ * @param {object} answer - Answer sub-document with `answer.file`.
+ * @param {Map<string, object>} stored - Files already stored for this document, by data URL.
+ * @param {object} meta - `purpose` and `childId` of the media.
+ * @returns {Promise<boolean>} True if the answer was changed.
+ */
+const moveAnswer = async (answer, stored, meta) => {
+    const file = answer.answer?.file
+    if (!isDataUrl(file)) return false
+
+    if (!dryRun) {
+        if (!stored.has(file)) stored.set(file, await storageService.saveUpload(file, null, meta))
+        const media = stored.get(file)
+        if (!media) return false
+
+        answer.answer.mediaId = media._id
+        answer.answer.file = undefined
+    }
+
+    return true
+}
+
+/**
+ * Migrates every document of a collection.
+ *
+ * @private
+ * @async
+ * @function migrate
+ * @memberof module:MoveAnswerMediaMigration
+ * @param {object} model - Mongoose model.
+ * @param {object} filter - Documents that may contain data URLs.
+ * @param {function(object): object[]} answersOf - Returns the answer sub-documents of a document.
+ * @param {function(object): object} metaOf - Returns `purpose` and `childId` for the media of a document.
+ * @returns {Promise<{documents: number, answers: number, failed: number}>}
+ */
+const migrate = async (model, filter, answersOf, metaOf) => {
+    const totals = { documents: 0, answers: 0, failed: 0 }
+    const cursor = model.find(filter).cursor()
+
+    for await (const doc of cursor) {
+        const stored = new Map()
+        let changed = 0
+
+        for (const answer of answersOf(doc)) {
+            try {
+                if (await moveAnswer(answer, stored, metaOf(doc))) changed++
+            } catch (error) {
+                totals.failed++
+                console.error(`${model.modelName} ${doc._id}: ${error.message}`)
+            }
+        }
+
+        if (changed > 0) {
+            if (!dryRun) await doc.save({ validateBeforeSave: false })
+            totals.documents++
+            totals.answers += changed
+        }
+    }
+
+    return totals
+}
+
+const run = async () => {
+    const dataUrl = /^data:/
+
+    const exercises = await migrate(
+        exerciseModel,
+        { $or: [{ 'quiz.answers.answer.file': dataUrl }, { 'quiz.attempts.answers.answer.file': dataUrl }] },
+        (exercise) => exercise.quiz.flatMap(quiz => [
+            ...quiz.answers,
+            ...quiz.attempts.flatMap(attempt => attempt.answers)
+        ]),
+        (exercise) => ({ purpose: 'answer', childId: exercise.childrenId })
+    )
+
+    const quizSessions = await migrate(
+        quizSessionModel,
+        { 'answers.answer.file': dataUrl },
+        (session) => session.answers,
+        (session) => ({ purpose: 'answer', childId: session.childId })
+    )
+
+    const screenings = await migrate(
+        screeningSessionModel,
+        { 'answers.answer.file': dataUrl },
+        (session) => session.answers,
+        (session) => ({ purpose: 'screening', childId: session.childId })
+    )
+
+    console.log(dryRun ? 'Dry run, nothing was changed.' : 'Answer media moved to the storage.')
+    console.table({ exercises, quizSessions, screenings })
+}
+
+run()
+    .catch((error) => {
+        console.error('Migration failed:', error)
+        process.exitCode = 1
+    })
+    .finally(() => mongoose.disconnect())
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for the estimated ability of a child per exercise method, used by the adaptive question selection.
+ * @module AbilityModel
+ */
+
+/**
+ * @typedef {object} Ability
+ * @property {mongoose.Types.ObjectId} childId - ObjectID reference to the child. Required.
+ * @property {number} method - Exercise method (1 - 6). Required.
+ * @property {number} rating - Ability on the logit scale of the question difficulty: a question with the same
+ * difficulty is expected to be answered with a score of 50. Starts at 0.
+ * @property {number} answers - Number of rated answers, the rating changes less the more answers it has.
+ * @property {Date} [lastRatedAt] - Timestamp of the last rated answer.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const AbilitySchema = new mongoose.Schema({
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    method: {
+        type: Number,
+        required: true
+    },
+    rating: {
+        type: Number,
+        default: 0
+    },
+    answers: {
+        type: Number,
+        default: 0
+    },
+    lastRatedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+})
+
+AbilitySchema.index({ childId: 1, method: 1 }, { unique: true })
+
+module.exports = mongoose.model('Ability', AbilitySchema)
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for classes inside a school.
+ * @module ClassModel
+ */
+
+/**
+ * @typedef {object} Class
+ * @property {mongoose.Types.ObjectId} schoolId - ObjectID reference to the school the class belongs to. Required.
+ * @property {string} name - Name of the class (e.g. "Kelas 2A"). Required.
+ * @property {string} [description] - Optional description.
+ * @property {string} [academicYear] - Academic year, e.g. "2025/2026".
+ * @property {mongoose.Types.ObjectId[]} teacherIds - Teachers of the class.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ *
+ * Children are enrolled through `classId` on the child (`userModel`).
+ */
+const ClassSchema = new mongoose.Schema({
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Nama kelas wajib diisi']
+    },
+    description: {
+        type: String,
+        required: false
+    },
+    academicYear: {
+        type: String,
+        required: false
+    },
+    teacherIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('Class', ClassSchema)
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Sub-document schema for the error analysis of an answer, shared by the answer schemas of exercises,
+ * quiz sessions and screening sessions. Not a model of its own.
+ * @module ErrorAnalysisSchema
+ */
+
+/**
+ * @typedef {object} ErrorAnalysis
+ * @property {object} counts - Number of errors per type: `reversal`, `omission`, `insertion`, `transposition`,
+ * `substitution`, `syllableSubstitution` (see helpers/errorAnalysis).
+ * @property {number} total - Total number of errors.
+ * @property {Array<{type: string, expected: string, actual: string, word: string}>} details - The first 50 errors,
+ * `word` is the key word the error was made in.
+ */
+const ErrorAnalysisSchema = new mongoose.Schema({
+    counts: {
+        reversal: { type: Number, default: 0 },
+        omission: { type: Number, default: 0 },
+        insertion: { type: Number, default: 0 },
+        transposition: { type: Number, default: 0 },
+        substitution: { type: Number, default: 0 },
+        syllableSubstitution: { type: Number, default: 0 }
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+    details: [{
+        _id: false,
+        type: { type: String },
+        expected: String,
+        actual: String,
+        word: String
+    }]
+}, {
+    _id: false
+})
+
+module.exports = ErrorAnalysisSchema
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose')
+const ErrorAnalysisSchema = require('./errorAnalysisSchema')
+const FluencySchema = require('./fluencySchema')
+const { parseDuration } = require('../helpers/duration')
 
 /**
  * @file Mongoose Schema for Exercise assignments and results.
@@ -8,12 +11,50 @@ const mongoose = require('mongoose')
 /**
  * @typedef {object} ExerciseAnswer
  * @property {object} answer
- * @property {string} answer.file - Path or Base64 content of the child's recorded answer file (audio/image). Required.
- * @property {string} [answer.text] - Transcribed text from the file content (processed by AI).
- * @property {string} duration - Time taken to answer the question. Required.
+ * @property {mongoose.Types.ObjectId} [answer.mediaId] - Recorded answer file (audio/image) in the storage, streamed via `/v1/media/:id`.
+ * @property {string} [answer.file] - Legacy: Base64 content of the recorded answer, moved to the storage by the migration.
+ * @property {string} [answer.text] - Typed answer, or text transcribed from the file content (processed by AI).
+ * @property {number} [duration] - Time taken to answer the question in milliseconds, from `timeOpened` to `timeAnswered`
+ * when both are known. Older text values are read with `parseDuration` until the `migrate:answer-durations` migration converts them.
  * @property {Date} [timeOpened] - Timestamp when the question was opened.
  * @property {Date} [timeAnswered] - Timestamp when the answer was submitted.
  * @property {string} [similarityPoint] - Calculated similarity score/point for this specific answer.
+ * @property {string} scoringStatus - `pending` while the answer waits in the job queue, `scored`, `provisional` when the AI service
+ * was down and the score comes from the client transcript (re-scored later), or `failed` when scoring gave up (counts as 0).
+ * @property {string} [scoringError] - Error message of the last failed or provisional scoring.
+ * @property {string} [fileType] - MIME type of the recorded answer, needed to score it in the background.
+ * @property {module:ErrorAnalysisSchema~ErrorAnalysis} [errorAnalysis] - Errors of the transcript against the key, for text methods.
+ * @property {module:FluencySchema~Fluency} [fluency] - Words correct per minute, pauses and self-corrections, for reading aloud.
+ * @property {number} [confidence] - Confidence of the score (0 - 1): 1 for typed answers, lower when the AI result is doubtful.
+ * @property {boolean} needsReview - True while the answer waits in the teacher review queue (low confidence, provisional or failed).
+ * @property {ExerciseAnswerReview[]} reviews - Audit trail of teacher reviews, oldest first. Reviewed answers are not re-scored automatically.
+ */
+
+/**
+ * @typedef {object} ExerciseAnswerReview
+ * @property {string} action - `override` (score changed) or `confirm` (score kept).
+ * @property {number} from - `similarityPoint` before the review.
+ * @property {number} to - `similarityPoint` after the review.
+ * @property {string} [reason] - Reason given by the teacher, required for overrides.
+ * @property {mongoose.Types.ObjectId} reviewedBy - Teacher who reviewed the answer.
+ * @property {Date} reviewedAt - Timestamp of the review.
+ */
+
+/**
+ * @typedef {object} ExerciseAttempt
+ * @property {number} number - Sequence number of the attempt, starting at 1. Required.
+ * @property {ExerciseAnswer[]} answers - Answers of this attempt with their scores and transcripts.
+ * @property {number} [quizPoint] - Score of this attempt, set once no answer is pending.
+ * @property {object} [criteria] - With a rubric: score per criterion (`accuracy`, `speed`, `attitude`, null when left out).
+ * @property {number} [ageMonths] - Age of the child when the attempt was made, for age-normed rapid naming.
+ * @property {boolean} [rated] - True once the answers updated the ability of the child and the question difficulty.
+ * @property {mongoose.Types.ObjectId[]} [ratedAnswers] - IDs of the answers that updated the ratings (see SettledAttemptService).
+ * @property {boolean} [scheduled] - True once the answers updated the spaced repetition schedule of the child.
+ * @property {mongoose.Types.ObjectId[]} [scheduledAnswers] - IDs of the answers that updated the schedule.
+ * @property {object} [rapidNaming] - Naming speed of the rapid naming answers: `items`, `correctItems`, `totalMs`,
+ * `itemsPerSecond` (correctly named), `meanLatencyMs`, `medianLatencyMs`, age-normed `percentile` and `band`.
+ * @property {Date} [startedAt] - Timestamp when the first question of the attempt was opened.
+ * @property {Date} [submittedAt] - Timestamp when the attempt was submitted.
  */
 
 /**
@@ -23,9 +64,116 @@ const mongoose = require('mongoose')
  * @property {string} question.type - Type of question value ('Path' or 'Text'). Required.
  * @property {string} question.value - The content/value of the question itself. Required.
  * @property {string} key - The correct answer key. Required.
- * @property {ExerciseAnswer[]} answers - Array of submission attempts for this question.
+ * @property {number} [level] - Difficulty level of the question (1 - 3), used by learning plan goals.
+ */
+
+/**
+ * @typedef {object} ExerciseQuiz
+ * @property {string} name - Name of the quiz. Required.
+ * @property {ExerciseQuestion[]} questions - Questions of the quiz.
+ * @property {ExerciseAnswer[]} answers - Answers of the attempt that counts toward `quizPoint`.
+ * @property {ExerciseAttempt[]} attempts - Every submission of the quiz, oldest first.
+ * @property {string} [scoringPolicy] - Which attempt counts: `best`, `latest` or `average`. Defaults to `QUIZ_SCORING_POLICY`.
+ * @property {string} [quizPoint] - Score of the quiz according to the scoring policy.
+ * @property {QuizRubric} [rubric] - Copy of the teacher's rubric the attempts are scored with.
+ * @property {Date} [reviewDate] - Day of a daily review quiz built from the items due for spaced repetition.
+ * @property {object} [attitudePoint] - Attitude point `{ note, point }` (0 - 100) given by the teacher.
  */
 
+/**
+ * @typedef {object} QuizRubric
+ * @property {mongoose.Types.ObjectId} rubricId - ObjectID reference to the rubric it was copied from.
+ * @property {string} name - Name of the rubric.
+ * @property {module:RubricModel~RubricWeights} weights - Weights of accuracy, speed and attitude.
+ * @property {number} targetWcpm - Words correct per minute that earn the full speed score.
+ */
+
+const ExerciseAnswerSchema = new mongoose.Schema({
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'exercise'
+    },
+    answer: {
+        // Rekaman / foto jawaban di storage (lihat StorageService)
+        mediaId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media'
+        },
+        // Jawaban lama: Base64 tersimpan langsung, dipindahkan oleh migrasi moveAnswerMedia
+        file: {
+            type: String,
+            required: false
+        },
+        text: {
+            type: String,
+            required: false
+        }
+    },
+    // Waktu soal dibuka - waktu soal dijawab, dalam milidetik
+    // Teks lama ("00:04", "4.5s") dibaca lewat parseDuration sampai migrasi dijalankan
+    duration: {
+        type: Number,
+        min: 0,
+        cast: (value) => parseDuration(value) ?? undefined
+    },
+    timeOpened: {
+        type: Date
+    },
+    timeAnswered: {
+        type: Date
+    },
+    similarityPoint: {
+        type: String,
+    },
+    // Rekaman dinilai di latar belakang (job queue), jawaban lama sudah dinilai langsung
+    scoringStatus: {
+        type: String,
+        enum: ['pending', 'scored', 'provisional', 'failed'],
+        default: 'scored'
+    },
+    scoringError: {
+        type: String
+    },
+    fileType: {
+        type: String
+    },
+    errorAnalysis: {
+        type: ErrorAnalysisSchema
+    },
+    // Kelancaran membaca (metode 3)
+    fluency: {
+        type: FluencySchema
+    },
+    confidence: {
+        type: Number
+    },
+    // Masuk antrean periksa guru
+    needsReview: {
+        type: Boolean,
+        default: false
+    },
+    // Jejak audit nilai asli vs nilai dari guru
+    reviews: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['override', 'confirm'],
+            required: true
+        },
+        from: Number,
+        to: Number,
+        reason: String,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+})
+
 /**
  * @typedef {object} Exercise
  * @property {mongoose.Types.ObjectId} childrenId - ObjectID reference to the student assigned this exercise.
@@ -39,7 +187,7 @@ const mongoose = require('mongoose')
  * * 4: Word Ordering
  * * 5: Rapid Naming
  * * 6: Numeric
- * @property {ExerciseQuestion[]} questions - Array of questions included in this exercise.
+ * @property {ExerciseQuiz[]} quiz - Quizzes of this exercise.
  * @property {string} [point] - The calculated total final score for the exercise.
  * @property {Date} createdAt - Timestamp of creation.
  * @property {Date} updatedAt - Timestamp of last update.
@@ -108,40 +256,96 @@ const ExerciseSchema = new mongoose.Schema({
                 type: String,
                 required: true
             },
+            // Tingkat kesulitan soal (opsional), dipakai target rencana belajar
+            level: {
+                type: Number,
+                min: 1,
+                max: 3
+            },
         }],
-        answers: [{
-            questionId: {
-                type: mongoose.Schema.Types.ObjectId,
-                ref: 'exercise'
+        // Jawaban dari percobaan yang dihitung (lihat scoringPolicy), riwayat lengkap ada di attempts
+        answers: [ExerciseAnswerSchema],
+        // Setiap pengiriman jawaban disimpan sebagai percobaan tersendiri
+        attempts: [{
+            number: {
+                type: Number,
+                required: true
             },
-            answer: {
-                file: {
-                    type: String,
-                    required: true
-                },
-                text: {
+            answers: [ExerciseAnswerSchema],
+            quizPoint: {
+                type: Number
+            },
+            // Nilai per kriteria rubrik
+            criteria: {
+                accuracy: Number,
+                speed: Number,
+                attitude: Number
+            },
+            // Umur anak saat mengerjakan, untuk norma menamai cepat
+            ageMonths: {
+                type: Number
+            },
+            // Sudah dihitung ke rating kemampuan anak dan tingkat kesulitan soal
+            rated: {
+                type: Boolean
+            },
+            ratedAnswers: [{
+                type: mongoose.Schema.Types.ObjectId
+            }],
+            // Sudah dihitung ke jadwal pengulangan soal (spaced repetition)
+            scheduled: {
+                type: Boolean
+            },
+            scheduledAnswers: [{
+                type: mongoose.Schema.Types.ObjectId
+            }],
+            // Kecepatan menamai cepat (metode 5)
+            rapidNaming: {
+                items: Number,
+                correctItems: Number,
+                totalMs: Number,
+                itemsPerSecond: Number,
+                meanLatencyMs: Number,
+                medianLatencyMs: Number,
+                percentile: Number,
+                band: {
                     type: String,
-                    required: false
+                    enum: ['very_fast', 'fast', 'average', 'slow', 'very_slow']
                 }
             },
-            // Waktu soal dibuka - waktu soal dijawab
-            duration: {
-                type: String,
-                required: true
-            },
-            timeOpened: {
+            startedAt: {
                 type: Date
             },
-            timeAnswered: {
+            submittedAt: {
                 type: Date
-            },
-            similarityPoint: {
-                type: String,
-            },
+            }
         }],
+        // Tanggal kuis pengulangan harian, kosong untuk kuis biasa
+        reviewDate: {
+            type: Date
+        },
+        // Percobaan mana yang dihitung ke quizPoint, kosong = QUIZ_SCORING_POLICY
+        scoringPolicy: {
+            type: String,
+            enum: ['best', 'latest', 'average']
+        },
         quizPoint: {
             type: String
         },
+        // Salinan rubrik guru, perubahan rubrik tidak mengubah nilai yang sudah ada
+        rubric: {
+            rubricId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Rubric'
+            },
+            name: String,
+            weights: {
+                accuracy: Number,
+                speed: Number,
+                attitude: Number
+            },
+            targetWcpm: Number
+        },
         // Nilai Sikap
         attitudePoint: {
             note: {
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Sub-document schema for the reading fluency metrics of a reading (method 1) answer read aloud, shared by the
+ * answer schemas of exercises and quiz sessions. Not a model of its own.
+ * @module FluencySchema
+ */
+
+/**
+ * @typedef {object} Fluency
+ * @property {number} totalWords - Number of words in the key text.
+ * @property {number} wordsRead - Number of words in the transcript.
+ * @property {number} wordsCorrect - Key words read correctly and in order; repeated and self-corrected words are not errors.
+ * @property {number} accuracy - `wordsCorrect` as share of `totalWords` (0 - 100).
+ * @property {number} [durationMs] - Reading time in milliseconds, from the answer `duration`.
+ * @property {number} [wcpm] - Words correct per minute, only with a duration.
+ * @property {number} pauses - Pauses of at least a second between words (from the AI word timings) or pause marks in the transcript.
+ * @property {number} repetitions - Words read twice in a row.
+ * @property {number} selfCorrections - Misread words the child corrected right away.
+ */
+const FluencySchema = new mongoose.Schema({
+    totalWords: { type: Number, default: 0 },
+    wordsRead: { type: Number, default: 0 },
+    wordsCorrect: { type: Number, default: 0 },
+    accuracy: { type: Number, default: 0 },
+    durationMs: Number,
+    wcpm: Number,
+    pauses: { type: Number, default: 0 },
+    repetitions: { type: Number, default: 0 },
+    selfCorrections: { type: Number, default: 0 }
+}, {
+    _id: false
+})
+
+module.exports = FluencySchema
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for parent invitation codes.
+ * @module InvitationModel
+ */
+
+/**
+ * @typedef {object} Invitation
+ * @property {string} code - Code the parent enters to link their account to the child. Unique. Required.
+ * @property {mongoose.Types.ObjectId} childId - ObjectID reference to the child the invitation is for. Required.
+ * @property {mongoose.Types.ObjectId} createdBy - ObjectID reference to the teacher who created the invitation. Required.
+ * @property {Date} expiresAt - The code cannot be redeemed after this time. Required.
+ * @property {mongoose.Types.ObjectId} [redeemedBy] - ObjectID reference to the parent who redeemed the code.
+ * @property {Date} [redeemedAt] - Timestamp of redemption.
+ * @property {Date} [revokedAt] - Timestamp when the teacher cancelled the invitation.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const InvitationSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    redeemedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    redeemedAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('Invitation', InvitationSchema)
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for background jobs (MongoDB backed job queue).
+ * @module JobModel
+ */
+
+/**
+ * @typedef {object} Job
+ * @property {string} type - Job type, selects the registered handler (e.g. `scoreAnswer`). Required.
+ * @property {object} payload - Input of the handler.
+ * @property {mongoose.Types.ObjectId} [childId] - Child the job works for, used for access and purge.
+ * @property {string} status - `queued`, `running`, `completed` or `failed`.
+ * @property {number} attempts - Number of runs so far.
+ * @property {number} maxAttempts - Runs before the job is marked as failed.
+ * @property {Date} runAt - The job is not picked up before this time (retry backoff).
+ * @property {Date} [lockedAt] - Timestamp when a worker picked the job up.
+ * @property {string} [lockedBy] - Worker holding the job.
+ * @property {string} [lastError] - Error message of the last failed run.
+ * @property {object} [result] - Output of the handler.
+ * @property {Date} [completedAt] - Timestamp when the job completed or finally failed.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const JobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lockedBy: {
+        type: String
+    },
+    lastError: {
+        type: String
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    minimize: false
+})
+
+// Pengambilan job berikutnya oleh worker
+JobSchema.index({ status: 1, runAt: 1 })
+
+// Job yang sudah selesai dihapus otomatis setelah 7 hari
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+module.exports = mongoose.model('Job', JobSchema)
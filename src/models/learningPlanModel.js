@@ -0,0 +1,107 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for individual learning plans (Program Pembelajaran Individual).
+ * @module LearningPlanModel
+ */
+
+/**
+ * @typedef {object} LearningGoal
+ * @property {string} description - What the child should reach, e.g. "Membaca kata level 2 dengan akurasi 80%". Required.
+ * @property {number} method - Exercise method the goal is measured on (1 - 6). Required.
+ * @property {number} [level] - Only answers to questions of this level count.
+ * @property {number} targetScore - Average `similarityPoint` (0 - 100) to reach. Required.
+ * @property {number} window - Number of latest answers the average is taken over.
+ * @property {number} minAnswers - Minimum number of answers before the goal can be achieved.
+ * @property {Date} [targetDate] - Date the goal should be reached by.
+ * @property {Date} [achievedAt] - Timestamp when the goal was first reached.
+ */
+
+/**
+ * @typedef {object} LearningPlan
+ * @property {mongoose.Types.ObjectId} childId - ObjectID reference to the child. Required.
+ * @property {mongoose.Types.ObjectId} teacherId - ObjectID reference to the teacher who wrote the plan. Required.
+ * @property {string} title - Title of the plan. Required.
+ * @property {string} [notes] - Notes, e.g. accommodations agreed with the parents.
+ * @property {Date} startDate - Answers from this date on count towards the goals. Required.
+ * @property {Date} [endDate] - End of the plan period.
+ * @property {string} status - `active`, `completed` or `archived`.
+ * @property {LearningGoal[]} goals - Measurable goals of the plan.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const LearningPlanSchema = new mongoose.Schema({
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    teacherId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Judul rencana wajib diisi']
+    },
+    notes: {
+        type: String
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Tanggal mulai wajib diisi']
+    },
+    endDate: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'archived'],
+        default: 'active'
+    },
+    goals: [{
+        description: {
+            type: String,
+            required: [true, 'Deskripsi target wajib diisi']
+        },
+        method: {
+            type: Number,
+            required: [true, 'Metode target wajib dipilih'],
+            min: [1, 'Metode tidak valid'],
+            max: [6, 'Metode tidak valid']
+        },
+        level: {
+            type: Number,
+            min: [1, 'Level tidak valid'],
+            max: [3, 'Level tidak valid']
+        },
+        targetScore: {
+            type: Number,
+            required: [true, 'Nilai target wajib diisi'],
+            min: [1, 'Nilai target minimal 1'],
+            max: [100, 'Nilai target maksimal 100']
+        },
+        window: {
+            type: Number,
+            default: 10,
+            min: [1, 'Jumlah jawaban minimal 1']
+        },
+        minAnswers: {
+            type: Number,
+            default: 5,
+            min: [1, 'Jumlah jawaban minimal 1']
+        },
+        targetDate: {
+            type: Date
+        },
+        achievedAt: {
+            type: Date
+        }
+    }]
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('LearningPlan', LearningPlanSchema)
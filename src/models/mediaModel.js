@@ -0,0 +1,61 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for stored media files (answer recordings and photos).
+ * @description The file itself lives in the storage driver, documents reference it by the media ID.
+ * @module MediaModel
+ */
+
+/**
+ * @typedef {object} Media
+ * @property {string} driver - Storage driver holding the file (`local` or `s3`). Required.
+ * @property {string} key - Key of the file in the driver. Required, unique.
+ * @property {string} contentType - MIME type, e.g. `audio/webm` or `image/png`. Required.
+ * @property {number} size - Size in bytes. Required.
+ * @property {string} checksum - SHA-256 of the content.
+ * @property {string} purpose - What the file is for: `answer` (quiz answers) or `screening`.
+ * @property {mongoose.Types.ObjectId} [childId] - Child the file belongs to, used for access and purge.
+ * @property {mongoose.Types.ObjectId} [uploadedBy] - User who uploaded the file.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const MediaSchema = new mongoose.Schema({
+    driver: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    checksum: {
+        type: String
+    },
+    purpose: {
+        type: String,
+        enum: ['answer', 'screening'],
+        default: 'answer'
+    },
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('Media', MediaSchema)
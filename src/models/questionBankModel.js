@@ -18,6 +18,8 @@ const mongoose = require('mongoose')
  * @property {string} question.type - Type of question value ('Path' or 'Text'). Required.
  * @property {string} question.value - The content/value of the question itself. Required.
  * @property {string} key - The correct answer key. Required.
+ * @property {number} rating - Difficulty on a logit scale, estimated from the answers of all children (see AdaptiveService). Starts at 0.
+ * @property {number} ratingCount - Number of answers the difficulty is estimated from.
  * @property {Date} createdAt - Timestamp of creation.
  * @property {Date} updatedAt - Timestamp of last update.
  */
@@ -55,6 +57,15 @@ const QuestionBankSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Tingkat kesulitan (logit), diperbarui dari jawaban anak
+    rating: {
+        type: Number,
+        default: 0
+    },
+    ratingCount: {
+        type: Number,
+        default: 0
+    },
 }, {
     timestamps: true
 })
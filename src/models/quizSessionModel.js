@@ -0,0 +1,120 @@
+const mongoose = require('mongoose')
+const ErrorAnalysisSchema = require('./errorAnalysisSchema')
+const FluencySchema = require('./fluencySchema')
+const { parseDuration } = require('../helpers/duration')
+
+/**
+ * @file Mongoose Schema for quiz sessions: one run through a quiz, answered question by question.
+ * @module QuizSessionModel
+ */
+
+/**
+ * @typedef {object} QuizSessionAnswer
+ * @property {mongoose.Types.ObjectId} questionId - ID of the question in the quiz. Required.
+ * @property {object} answer
+ * @property {mongoose.Types.ObjectId} [answer.mediaId] - Recorded answer in the storage.
+ * @property {string} [answer.file] - Legacy: Base64 content of the recorded answer, moved to the storage by the migration.
+ * @property {string} [answer.text] - Typed answer, or text transcribed from the recording (processed by AI).
+ * @property {string} [fileType] - MIME type of the recording, kept to retry scoring.
+ * @property {number} [similarityPoint] - Score of the answer (0 - 100), set once scored.
+ * @property {string} scoringStatus - `scored`, `provisional` when the AI service was down and the score comes from the client
+ * transcript (re-scored later), or `failed` when the answer could not be scored.
+ * @property {string} [scoringError] - Error message of the last failed or provisional scoring.
+ * @property {module:ErrorAnalysisSchema~ErrorAnalysis} [errorAnalysis] - Errors of the transcript against the key, for text methods.
+ * @property {module:FluencySchema~Fluency} [fluency] - Reading fluency metrics, for reading aloud.
+ * @property {number} [confidence] - Confidence of the score (0 - 1), decides whether the answer goes to the review queue once completed.
+ * @property {number} [duration] - Time taken to answer the question in milliseconds (older text values are read with `parseDuration`).
+ * @property {Date} [timeOpened] - Timestamp when the question was opened.
+ * @property {Date} [timeAnswered] - Timestamp when the answer was submitted.
+ */
+
+/**
+ * @typedef {object} QuizSession
+ * @property {mongoose.Types.ObjectId} exerciseId - ObjectID reference to the exercise. Required.
+ * @property {mongoose.Types.ObjectId} quizId - ID of the quiz inside the exercise. Required.
+ * @property {mongoose.Types.ObjectId} childId - ObjectID reference to the child answering. Required.
+ * @property {mongoose.Types.ObjectId} startedBy - ObjectID reference to the user who started the session. Required.
+ * @property {string} status - `in_progress`, `completing` (claimed by the request completing it), `completed` or `cancelled`.
+ * @property {QuizSessionAnswer[]} answers - Answers per question, answering a question again replaces the answer.
+ * @property {number} [attemptNumber] - Number of the quiz attempt created when the session was completed.
+ * @property {Date} [completedAt] - Timestamp of completion.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const QuizSessionSchema = new mongoose.Schema({
+    exerciseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exercise',
+        required: true
+    },
+    quizId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'completing', 'completed', 'cancelled'],
+        default: 'in_progress'
+    },
+    answers: [{
+        _id: false,
+        questionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        answer: {
+            mediaId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Media'
+            },
+            // Jawaban lama: Base64 tersimpan langsung, dipindahkan oleh migrasi moveAnswerMedia
+            file: String,
+            text: String
+        },
+        fileType: String,
+        similarityPoint: Number,
+        scoringStatus: {
+            type: String,
+            enum: ['scored', 'provisional', 'failed'],
+            default: 'scored'
+        },
+        scoringError: String,
+        errorAnalysis: ErrorAnalysisSchema,
+        fluency: FluencySchema,
+        confidence: Number,
+        // Waktu soal dibuka - waktu soal dijawab, dalam milidetik
+        // Teks lama ("00:04", "4.5s") dibaca lewat parseDuration sampai migrasi dijalankan
+        duration: {
+            type: Number,
+            min: 0,
+            cast: (value) => parseDuration(value) ?? undefined
+        },
+        timeOpened: Date,
+        timeAnswered: Date
+    }],
+    attemptNumber: {
+        type: Number
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+})
+
+QuizSessionSchema.index({ exerciseId: 1, quizId: 1, childId: 1, status: 1 })
+// Satu sesi berjalan per kuis dan anak
+QuizSessionSchema.index({ exerciseId: 1, quizId: 1, childId: 1 }, { unique: true, partialFilterExpression: { status: 'in_progress' } })
+
+module.exports = mongoose.model('QuizSession', QuizSessionSchema)
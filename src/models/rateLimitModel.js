@@ -0,0 +1,32 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for rate limit counters (used by the MongoDB rate limit store).
+ * @module RateLimitModel
+ */
+
+/**
+ * @typedef {object} RateLimit
+ * @property {string} key - Counter key, `<group>:<ip|user>`. Required.
+ * @property {number} count - Number of hits in the current window.
+ * @property {Date} resetAt - End of the current window, also used as TTL index.
+ */
+const RateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+})
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema)
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for server-side refresh tokens.
+ * @module RefreshTokenModel
+ */
+
+/**
+ * @typedef {object} RefreshToken
+ * @property {mongoose.Types.ObjectId} userId - ObjectID reference to the owner of the session. Required.
+ * @property {string} tokenHash - SHA-256 hash of the opaque refresh token (the raw token is never stored). Required.
+ * @property {string} family - Session identifier shared by every token produced through rotation of the same login. Required.
+ * @property {string} [scope] - Restricted scope of the session (e.g. `student`), carried over to refreshed access tokens.
+ * @property {Date} expiresAt - Expiry of the token, also used as TTL index so expired tokens are removed automatically. Required.
+ * @property {Date} [revokedAt] - Timestamp when the token was rotated or revoked.
+ * @property {string} [replacedBy] - Hash of the token that replaced this one during rotation.
+ * @property {string} [userAgent] - User agent of the device that created the session.
+ * @property {string} [ip] - IP address of the device that created the session.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const RefreshTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Semua token hasil rotasi dari satu login memakai family yang sama
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    scope: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    replacedBy: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    }
+}, {
+    timestamps: true
+})
+
+// Hapus otomatis token yang sudah kadaluarsa
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema)
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for the access token revocation list.
+ * @module RevokedTokenModel
+ */
+
+/**
+ * @typedef {object} RevokedToken
+ * @property {string} jti - Unique identifier (`jti` claim) of the revoked access token. Required.
+ * @property {mongoose.Types.ObjectId} [userId] - ObjectID reference to the owner of the token.
+ * @property {Date} expiresAt - Original expiry of the access token. Entries are removed automatically afterwards. Required.
+ * @property {Date} createdAt - Timestamp of creation.
+ */
+const RevokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+// Setelah access token kadaluarsa, data revokasi tidak dibutuhkan lagi
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema)
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for scoring rubrics defined by teachers.
+ * @module RubricModel
+ */
+
+/**
+ * @typedef {object} RubricWeights
+ * @property {number} accuracy - Weight of the average answer score (`similarityPoint`).
+ * @property {number} speed - Weight of the reading speed: words correct per minute against `targetWcpm`.
+ * @property {number} attitude - Weight of the attitude point given by the teacher.
+ */
+
+/**
+ * @typedef {object} Rubric
+ * @property {mongoose.Types.ObjectId} teacherId - ObjectID reference to the teacher who owns the rubric. Required.
+ * @property {string} name - Name of the rubric. Required.
+ * @property {string} [description] - Description, e.g. for which grade it is meant.
+ * @property {RubricWeights} weights - Weights of the criteria, relative to each other. At least one must be above 0.
+ * @property {number} targetWcpm - Words correct per minute that earn the full speed score.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const RubricSchema = new mongoose.Schema({
+    teacherId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Nama rubrik wajib diisi']
+    },
+    description: {
+        type: String
+    },
+    // Bobot relatif, tidak harus berjumlah 100
+    weights: {
+        accuracy: {
+            type: Number,
+            default: 0,
+            min: [0, 'Bobot tidak boleh negatif']
+        },
+        speed: {
+            type: Number,
+            default: 0,
+            min: [0, 'Bobot tidak boleh negatif']
+        },
+        attitude: {
+            type: Number,
+            default: 0,
+            min: [0, 'Bobot tidak boleh negatif']
+        }
+    },
+    // Kecepatan membaca (kata benar per menit) yang mendapat nilai kecepatan penuh
+    targetWcpm: {
+        type: Number,
+        default: 60,
+        min: [1, 'Target kata per menit minimal 1']
+    }
+}, {
+    timestamps: true
+})
+
+RubricSchema.path('weights.accuracy').validate(function () {
+    const { accuracy, speed, attitude } = this.weights || {}
+    return (accuracy || 0) + (speed || 0) + (attitude || 0) > 0
+}, 'Minimal satu bobot harus lebih dari 0')
+
+module.exports = mongoose.model('Rubric', RubricSchema)
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for schools (tenants).
+ * @module SchoolModel
+ */
+
+/**
+ * @typedef {object} School
+ * @property {string} name - Name of the school. Required.
+ * @property {string} [address] - Address of the school.
+ * @property {string} [phone] - Phone number of the school.
+ * @property {string} joinCode - Code teachers enter to join the school. Unique. Required.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const SchoolSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Nama sekolah wajib diisi']
+    },
+    address: {
+        type: String,
+        required: false
+    },
+    phone: {
+        type: String,
+        required: false
+    },
+    joinCode: {
+        type: String,
+        required: true,
+        unique: true
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('School', SchoolSchema)
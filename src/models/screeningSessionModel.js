@@ -0,0 +1,128 @@
+const mongoose = require('mongoose')
+const ErrorAnalysisSchema = require('./errorAnalysisSchema')
+
+/**
+ * @file Mongoose Schema for dyslexia screening sessions.
+ * @module ScreeningSessionModel
+ */
+
+/**
+ * @typedef {object} ScreeningAnswer
+ * @property {string} code - Code of the battery item. Required.
+ * @property {object} answer
+ * @property {mongoose.Types.ObjectId} [answer.mediaId] - Recorded answer (image/audio) in the storage.
+ * @property {string} [answer.file] - Legacy: Base64 content of the recorded answer, moved to the storage by the migration.
+ * @property {string} [answer.text] - Typed answer, or text transcribed from the file.
+ * @property {number} score - Score of the answer (0 - 100).
+ * @property {string} scoringStatus - `scored`, or `provisional` when the AI service was down and the score comes from the
+ * client transcript (re-scored later, the result of a completed session is then recomputed).
+ * @property {string} [scoringError] - Error message of the AI service for a provisional score.
+ * @property {module:ErrorAnalysisSchema~ErrorAnalysis} [errorAnalysis] - Errors of the transcript against the key, for text methods.
+ * @property {number} [duration] - Time taken to answer in milliseconds.
+ * @property {Date} [timeOpened] - Timestamp when the item was opened.
+ * @property {Date} [timeAnswered] - Timestamp when the answer was submitted.
+ */
+
+/**
+ * @typedef {object} ScreeningSession
+ * @property {mongoose.Types.ObjectId} childId - ObjectID reference to the screened child. Required.
+ * @property {mongoose.Types.ObjectId} teacherId - ObjectID reference to the teacher who started the session. Required.
+ * @property {number} version - Version of the battery and norms (`ScreeningConfig.version`). Required.
+ * @property {number} ageMonths - Age of the child in months when the session started. Required.
+ * @property {string} status - `in_progress`, `completed` or `cancelled`.
+ * @property {object[]} items - Battery items of the session (code, method, question, key).
+ * @property {ScreeningAnswer[]} answers - Answers per item, the last submission of an item wins.
+ * @property {object} [result] - Result, set when the session is completed.
+ * @property {object} result.skills - Per skill `{ score, z, atRisk }`.
+ * @property {number} result.compositeZ - Average z-score over the skills.
+ * @property {number} result.level - Level written to the child (1 - 3).
+ * @property {Date} [completedAt] - Timestamp of completion.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const ScreeningSessionSchema = new mongoose.Schema({
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    teacherId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    ageMonths: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'completed', 'cancelled'],
+        default: 'in_progress'
+    },
+    items: [{
+        _id: false,
+        code: String,
+        method: Number,
+        question: {
+            type: { type: String },
+            value: String
+        },
+        key: String
+    }],
+    answers: [{
+        _id: false,
+        code: {
+            type: String,
+            required: true
+        },
+        answer: {
+            // Rekaman / foto jawaban di storage (lihat StorageService)
+            mediaId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Media'
+            },
+            // Jawaban lama: Base64 tersimpan langsung, dipindahkan oleh migrasi moveAnswerMedia
+            file: String,
+            text: String
+        },
+        score: {
+            type: Number,
+            default: 0
+        },
+        scoringStatus: {
+            type: String,
+            enum: ['scored', 'provisional'],
+            default: 'scored'
+        },
+        scoringError: String,
+        errorAnalysis: ErrorAnalysisSchema,
+        duration: Number,
+        timeOpened: Date,
+        timeAnswered: Date
+    }],
+    result: {
+        skills: {
+            type: Map,
+            of: new mongoose.Schema({
+                score: Number,
+                z: Number,
+                atRisk: Boolean
+            }, { _id: false })
+        },
+        compositeZ: Number,
+        level: Number
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+})
+
+module.exports = mongoose.model('ScreeningSession', ScreeningSessionSchema)
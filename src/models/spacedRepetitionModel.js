@@ -0,0 +1,98 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for the spaced repetition schedule of a question bank item per child (SM-2).
+ * @module SpacedRepetitionModel
+ */
+
+/**
+ * @typedef {object} SpacedRepetition
+ * @property {mongoose.Types.ObjectId} childId - ObjectID reference to the child. Required.
+ * @property {string} code - MD5 hash code of the question (links to QuestionBank). Required.
+ * @property {number} method - Exercise method of the question. Required.
+ * @property {object} question - Question as the child last saw it, copied into the review quiz.
+ * @property {string} question.type - Type of question value ('Path' or 'Text').
+ * @property {string} question.value - The content/value of the question itself.
+ * @property {string} key - The correct answer key. Required.
+ * @property {number} [level] - Difficulty level of the question (1 - 3).
+ * @property {number} repetitions - Number of successful reviews in a row, back to 0 when the item is missed.
+ * @property {number} interval - Days until the next review.
+ * @property {number} ease - Factor the interval grows with after a successful review, at least 1.3.
+ * @property {number} lapses - Number of times the item was missed.
+ * @property {number} reviews - Number of answers the schedule is based on, guards concurrent updates.
+ * @property {number} lastScore - Answer score (`similarityPoint`) of the last review.
+ * @property {Date} lastReviewedAt - Timestamp of the last answer.
+ * @property {Date} dueAt - Date the item is due for review. Required.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const SpacedRepetitionSchema = new mongoose.Schema({
+    childId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    method: {
+        type: Number,
+        required: true
+    },
+    question: {
+        type: {
+            type: String
+        },
+        value: {
+            type: String
+        }
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    level: {
+        type: Number,
+        min: 1,
+        max: 3
+    },
+    repetitions: {
+        type: Number,
+        default: 0
+    },
+    // Jarak ulangan berikutnya dalam hari
+    interval: {
+        type: Number,
+        default: 0
+    },
+    ease: {
+        type: Number,
+        default: 2.5
+    },
+    lapses: {
+        type: Number,
+        default: 0
+    },
+    reviews: {
+        type: Number,
+        default: 0
+    },
+    lastScore: {
+        type: Number
+    },
+    lastReviewedAt: {
+        type: Date
+    },
+    dueAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+})
+
+SpacedRepetitionSchema.index({ childId: 1, code: 1 }, { unique: true })
+SpacedRepetitionSchema.index({ childId: 1, dueAt: 1 })
+
+module.exports = mongoose.model('SpacedRepetition', SpacedRepetitionSchema)
@@ -10,18 +10,32 @@ const MongooseDelete = require('mongoose-delete');
  * @typedef {object} User
  * @property {string} fullName - The user's full name. Required.
  * @property {string} email - The user's email address. Must be unique and valid format. Required.
+ * @property {Date} [emailVerifiedAt] - Timestamp when the email address was verified. Empty while unverified.
  * @property {string} password - The user's password (hashed). Minimum 6 characters. Required.
  * @property {string} phone - The user's phone number. Minimum 6 characters. Required.
  * @property {number} role - The user's role in the system. Required.
  * * 1: Teacher (Guru)
- * * 2: Parent (Orang Tua)
- * * 3: Student (Siswa)
- * @property {boolean} [isScreening] - Indicates if the student has undergone the screening process. Required only if role is 3.
- * @property {number} [level] - The student's dyslexia level, required only if `isScreening` is true.
+ * * 2: Student (Siswa)
+ * * 3: Parent (Orang Tua)
+ * * 4: School Admin (Admin Sekolah)
+ * @property {boolean} [isScreening] - Indicates if the student has completed a screening session (used by Role 2).
+ * @property {number} [level] - The student's level (1 - 3) set by the latest screening, 1 needs the most support.
+ * @property {object} [skillProfile] - Per skill `{ score, z, atRisk }` from the latest screening (see `ScreeningConfig.SKILLS`).
+ * @property {Date} [screenedAt] - Timestamp of the latest completed screening.
  * @property {string} [code] - Unique enrollment code for students, used by teachers to add them. Sparse unique index.
- * @property {mongoose.Types.ObjectId[]} [childIds] - Array of ObjectIDs referring to associated students (used by Role 1 and 2).
- * @property {mongoose.Types.ObjectId} [parentsId] - ObjectID reference to the parent (used by Role 3).
- * @property {mongoose.Types.ObjectId} [teacherId] - ObjectID reference to the teacher (used by Role 3).
+ * @property {mongoose.Types.ObjectId[]} [childIds] - Array of ObjectIDs referring to associated students (used by Role 1 and 3).
+ * @property {mongoose.Types.ObjectId} [schoolId] - ObjectID reference to the school (tenant) of a teacher, school admin or child.
+ * @property {mongoose.Types.ObjectId} [classId] - ObjectID reference to the class a child is enrolled in (used by Role 2).
+ * @property {mongoose.Types.ObjectId[]} [parentIds] - ObjectIDs of the parent accounts linked through invitation codes (used by Role 2).
+ * @property {mongoose.Types.ObjectId} [teacherId] - ObjectID reference to the teacher (used by Role 2).
+ * @property {Array<{teacherId: mongoose.Types.ObjectId, permissions: string[], addedBy: mongoose.Types.ObjectId, addedAt: Date}>} [coTeachers] - Additional teachers the child is shared with and what they may do (used by Role 2).
+ * @property {string} [classCode] - Class code of a teacher, entered by children on the student login screen. Sparse unique index.
+ * @property {string} [avatar] - Avatar id a child recognises on the student login screen (used by Role 2).
+ * @property {string} [picturePin] - Hash of the child's picture password (used by Role 2). Not selected by default.
+ * @property {number} failedLoginAttempts - Consecutive failed logins since the last success or lock.
+ * @property {number} lockoutCount - Number of locks since the last successful login, makes every next lock longer.
+ * @property {Date} [lockedUntil] - Login is refused until this time.
+ * @property {number} tokenVersion - Incremented to invalidate every access token issued before (logout all devices, password change).
  * @property {Date} createdAt - Timestamp of creation.
  * @property {Date} updatedAt - Timestamp of last update.
  * @property {Date} [deletedAt] - Timestamp of soft deletion (due to MongooseDelete plugin).
@@ -39,6 +53,9 @@ const UserSchema = new mongoose.Schema({
         unique: [true, 'Email sudah pernah digunakkan'],
         sparse: true // for unique while filled
     },
+    emailVerifiedAt: {
+        type: Date
+    },
     username: {
         type: String,
         required: [true, "Username wajib diisi"],
@@ -59,6 +76,8 @@ const UserSchema = new mongoose.Schema({
     /**
      * 1 = Guru
      * 2 = Siswa
+     * 3 = Orang Tua
+     * 4 = Admin Sekolah
      */
     role: {
         type: Number,
@@ -86,6 +105,26 @@ const UserSchema = new mongoose.Schema({
             "Tanggal lahir wajib diisi"
         ]
     },
+    // Hasil skrining terakhir (lihat screeningService)
+    isScreening: {
+        type: Boolean
+    },
+    level: {
+        type: Number,
+        min: 1,
+        max: 3
+    },
+    skillProfile: {
+        type: Map,
+        of: new mongoose.Schema({
+            score: Number,
+            z: Number,
+            atRisk: Boolean
+        }, { _id: false })
+    },
+    screenedAt: {
+        type: Date
+    },
     parent: {
         fullName: {
             type: String,
@@ -127,6 +166,79 @@ const UserSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         required: false,
         ref: 'User'
+    },
+    // Guru tambahan (co-teacher / terapis) dengan izin per guru
+    coTeachers: [{
+        _id: false,
+        teacherId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        permissions: [{
+            type: String,
+            enum: ['update', 'assign', 'invite']
+        }],
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Sekolah (tenant) guru, admin sekolah dan anak
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        index: true
+    },
+    // Kelas tempat anak terdaftar
+    classId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        index: true
+    },
+    // Akun orang tua yang terhubung lewat kode undangan
+    parentIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    /**
+     * Student login (kode kelas + avatar + password gambar)
+     */
+    classCode: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    avatar: {
+        type: String
+    },
+    picturePin: {
+        type: String,
+        select: false
+    },
+    /**
+     * Penguncian akun setelah gagal login berulang
+     */
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockoutCount: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date
+    },
+    // Dinaikkan saat logout semua perangkat / ganti password, token lama otomatis tidak berlaku
+    tokenVersion: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true,
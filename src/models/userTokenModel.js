@@ -0,0 +1,50 @@
+const mongoose = require('mongoose')
+
+/**
+ * @file Mongoose Schema for one-time user action tokens (password reset, email verification).
+ * @module UserTokenModel
+ */
+
+/**
+ * @typedef {object} UserToken
+ * @property {mongoose.Types.ObjectId} userId - ObjectID reference to the user the token was issued for. Required.
+ * @property {string} type - Purpose of the token. Required.
+ * * password_reset: Sent by forgot-password, consumed by reset-password.
+ * * email_verification: Sent on register, consumed by verify-email.
+ * @property {string} tokenHash - SHA-256 hash of the token sent by email (the raw token is never stored). Required.
+ * @property {Date} expiresAt - Expiry of the token, also used as TTL index. Required.
+ * @property {Date} [usedAt] - Timestamp when the token was consumed. A used token cannot be used again.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+const UserTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+})
+
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('UserToken', UserTokenSchema)
@@ -0,0 +1,13 @@
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for actions on the authenticated account itself.
+ * @module AccountPolicy
+ */
+
+module.exports = {
+    manageClassCode: (user) => user.role === ROLES.TEACHER,
+    viewDashboard: (user) => [ROLES.TEACHER, ROLES.PARENT, ROLES.SCHOOL_ADMIN].includes(user.role),
+    redeemInvitation: (user) => user.role === ROLES.PARENT,
+    reviewAnswers: (user) => user.role === ROLES.TEACHER,
+}
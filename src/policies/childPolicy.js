@@ -0,0 +1,126 @@
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for child (student) records.
+ * @description Every rule receives the token payload (`req.user`) and, for record level actions, the child document.
+ * @module ChildPolicy
+ */
+
+/**
+ * Checks whether the user is the teacher responsible for the child.
+ *
+ * @function isTeacherOf
+ * @memberof module:ChildPolicy
+ * @param {object} user - Token payload.
+ * @param {object} child - Child user document.
+ * @returns {boolean}
+ */
+const isTeacherOf = (user, child) => user.role === ROLES.TEACHER
+    && child.role === ROLES.CHILD
+    && !!child.teacherId
+    && child.teacherId.toString() === user.userId
+
+/**
+ * @constant {string[]} CO_TEACHER_PERMISSIONS
+ * @memberof module:ChildPolicy
+ * @description Permissions the responsible teacher can give a co-teacher. Every co-teacher can view the child.
+ * * update: change the child's profile.
+ * * assign: give exercises and materials, accompany and grade answers.
+ * * invite: manage parent invitation codes.
+ */
+const CO_TEACHER_PERMISSIONS = ['update', 'assign', 'invite']
+
+/**
+ * Checks whether the user is a co-teacher of the child, optionally with a given permission.
+ *
+ * @function isCoTeacherOf
+ * @memberof module:ChildPolicy
+ * @param {object} user - Token payload.
+ * @param {object} child - Child user document.
+ * @param {string} [permission] - One of `CO_TEACHER_PERMISSIONS`.
+ * @returns {boolean}
+ */
+const isCoTeacherOf = (user, child, permission) => user.role === ROLES.TEACHER
+    && (child.coTeachers || []).some(co => co.teacherId.toString() === user.userId
+        && (!permission || co.permissions.includes(permission)))
+
+/**
+ * Checks whether the user teaches the child: the responsible teacher, or a co-teacher with the permission.
+ *
+ * @function canTeach
+ * @memberof module:ChildPolicy
+ * @param {object} user - Token payload.
+ * @param {object} child - Child user document.
+ * @param {string} permission - One of `CO_TEACHER_PERMISSIONS`.
+ * @returns {boolean}
+ */
+const canTeach = (user, child, permission) => isTeacherOf(user, child) || isCoTeacherOf(user, child, permission)
+
+/**
+ * Checks whether the user is the child itself.
+ *
+ * @function isSelf
+ * @memberof module:ChildPolicy
+ * @param {object} user - Token payload.
+ * @param {object} child - Child user document.
+ * @returns {boolean}
+ */
+const isSelf = (user, child) => user.role === ROLES.CHILD && child._id.toString() === user.userId
+
+/**
+ * Checks whether the user is a parent linked to the child through an invitation.
+ *
+ * @function isParentOf
+ * @memberof module:ChildPolicy
+ * @param {object} user - Token payload.
+ * @param {object} child - Child user document.
+ * @returns {boolean}
+ */
+const isParentOf = (user, child) => user.role === ROLES.PARENT
+    && (child.parentIds || []).some(id => id.toString() === user.userId)
+
+/**
+ * Checks whether the user is an admin of the school the child belongs to.
+ *
+ * @function isSchoolAdminOf
+ * @memberof module:ChildPolicy
+ * @param {object} user - Token payload.
+ * @param {object} child - Child user document.
+ * @returns {boolean}
+ */
+const isSchoolAdminOf = (user, child) => user.role === ROLES.SCHOOL_ADMIN
+    && !!user.schoolId
+    && !!child.schoolId
+    && child.schoolId.toString() === user.schoolId
+
+module.exports = {
+    CO_TEACHER_PERMISSIONS,
+    isTeacherOf,
+    isCoTeacherOf,
+    canTeach,
+    isSelf,
+    isParentOf,
+    isSchoolAdminOf,
+    // Daftar anak milik guru / orang tua / sekolah
+    list: (user) => [ROLES.TEACHER, ROLES.PARENT, ROLES.SCHOOL_ADMIN].includes(user.role),
+    create: (user) => user.role === ROLES.TEACHER,
+    // Orang tua dan admin sekolah hanya bisa melihat (read-only)
+    view: (user, child) => isTeacherOf(user, child)
+        || isCoTeacherOf(user, child)
+        || isSelf(user, child)
+        || isParentOf(user, child)
+        || isSchoolAdminOf(user, child),
+    update: (user, child) => canTeach(user, child, 'update'),
+    delete: (user, child) => isTeacherOf(user, child),
+    // Memberikan latihan / materi ke anak, termasuk generate dengan AI
+    assign: (user, child) => canTeach(user, child, 'assign'),
+    invite: (user, child) => canTeach(user, child, 'invite'),
+    // Berbagi anak dengan guru lain (co-teacher) hanya oleh guru penanggung jawab
+    share: (user, child) => isTeacherOf(user, child),
+    leave: (user, child) => isCoTeacherOf(user, child),
+    transfer: (user, child) => isTeacherOf(user, child) || isSchoolAdminOf(user, child),
+    // Tempat sampah: anak yang sudah dihapus (soft delete)
+    trash: (user) => [ROLES.TEACHER, ROLES.SCHOOL_ADMIN].includes(user.role),
+    restore: (user, child) => isTeacherOf(user, child) || isSchoolAdminOf(user, child),
+    purge: (user, child) => isTeacherOf(user, child) || isSchoolAdminOf(user, child),
+}
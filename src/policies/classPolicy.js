@@ -0,0 +1,24 @@
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for classes.
+ * @description School admins manage every class of their school, teachers manage the classes they teach.
+ * @module ClassPolicy
+ */
+
+const isSameSchool = (user, kelas) => !!user.schoolId && kelas.schoolId.toString() === user.schoolId
+
+const isTeacherIn = (user, kelas) => user.role === ROLES.TEACHER
+    && isSameSchool(user, kelas)
+    && kelas.teacherIds.some(id => id.toString() === user.userId)
+
+const isAdminOf = (user, kelas) => user.role === ROLES.SCHOOL_ADMIN && isSameSchool(user, kelas)
+
+module.exports = {
+    list: (user) => !!user.schoolId && [ROLES.TEACHER, ROLES.SCHOOL_ADMIN].includes(user.role),
+    create: (user) => !!user.schoolId && [ROLES.TEACHER, ROLES.SCHOOL_ADMIN].includes(user.role),
+    view: (user, kelas) => isTeacherIn(user, kelas) || isAdminOf(user, kelas),
+    // Ubah kelas dan daftarkan / keluarkan anak
+    update: (user, kelas) => isTeacherIn(user, kelas) || isAdminOf(user, kelas),
+    delete: (user, kelas) => isAdminOf(user, kelas),
+}
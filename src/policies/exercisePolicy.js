@@ -0,0 +1,42 @@
+const userModel = require('../models/userModel')
+const childPolicy = require('./childPolicy')
+
+/**
+ * @file Authorization rules for exercises and their quizzes.
+ * @description Access to an exercise follows access to the child it is assigned to.
+ * @module ExercisePolicy
+ */
+
+/**
+ * Loads the child an exercise is assigned to.
+ *
+ * @private
+ * @async
+ * @function childOf
+ * @memberof module:ExercisePolicy
+ * @param {object} exercise - Exercise document.
+ * @returns {Promise<object|null>} Child document.
+ */
+const childOf = (exercise) => userModel.findById(exercise.childrenId)
+
+module.exports = {
+    view: async (user, exercise) => {
+        const child = await childOf(exercise)
+        return !!child && await childPolicy.view(user, child)
+    },
+    // Ubah latihan, kuis, visibilitas
+    update: async (user, exercise) => {
+        const child = await childOf(exercise)
+        return !!child && await childPolicy.assign(user, child)
+    },
+    // Anak mengerjakan sendiri, atau guru mendampingi di perangkatnya
+    answer: async (user, exercise) => {
+        const child = await childOf(exercise)
+        return !!child && (childPolicy.isSelf(user, child) || childPolicy.canTeach(user, child, 'assign'))
+    },
+    // Nilai sikap
+    grade: async (user, exercise) => {
+        const child = await childOf(exercise)
+        return !!child && childPolicy.canTeach(user, child, 'assign')
+    },
+}
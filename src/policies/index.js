@@ -0,0 +1,107 @@
+const userModel = require('../models/userModel')
+const exerciseModel = require('../models/exerciseModel')
+const materialModel = require('../models/materialModel')
+const classModel = require('../models/classModel')
+const screeningSessionModel = require('../models/screeningSessionModel')
+const quizSessionModel = require('../models/quizSessionModel')
+const jobModel = require('../models/jobModel')
+const mediaModel = require('../models/mediaModel')
+const rubricModel = require('../models/rubricModel')
+const { ROLES } = require('./roles')
+
+/**
+ * @file Registry of authorization policies.
+ * @description Maps each resource name to its policy and to the query used to load a record of it.
+ * @module Policies
+ */
+
+/**
+ * @constant {object} policies
+ * @memberof module:Policies
+ * @property {object} child - Child records (`userModel` with role Child).
+ * @property {object} deletedChild - Soft-deleted child records in the trash, same rules as `child`.
+ * @property {object} exercise - Exercises (`exerciseModel`).
+ * @property {object} material - Materials (`materialModel`).
+ * @property {object} class - Classes (`classModel`).
+ * @property {object} screening - Screening sessions (`screeningSessionModel`).
+ * @property {object} quizSession - Quiz sessions (`quizSessionModel`).
+ * @property {object} job - Background jobs (`jobModel`).
+ * @property {object} media - Stored answer files (`mediaModel`).
+ * @property {object} rubric - Scoring rubrics of teachers (`rubricModel`).
+ * @property {object} school - The school of the authenticated user (no record level rules).
+ * @property {object} questionBank - Question bank (no record level rules).
+ * @property {object} account - The authenticated account (no record level rules).
+ */
+const policies = {
+    child: {
+        rules: require('./childPolicy'),
+        load: (id) => userModel.findOne({ _id: id, role: ROLES.CHILD }),
+    },
+    deletedChild: {
+        rules: require('./childPolicy'),
+        load: (id) => userModel.findOneDeleted({ _id: id, role: ROLES.CHILD }),
+    },
+    exercise: {
+        rules: require('./exercisePolicy'),
+        load: (id) => exerciseModel.findById(id).select('childrenId teacherId'),
+    },
+    material: {
+        rules: require('./materialPolicy'),
+        load: (id) => materialModel.findById(id).select('childrenId teacherId'),
+    },
+    class: {
+        rules: require('./classPolicy'),
+        load: (id) => classModel.findById(id).select('schoolId teacherIds'),
+    },
+    screening: {
+        rules: require('./screeningPolicy'),
+        load: (id) => screeningSessionModel.findById(id).select('childId status'),
+    },
+    quizSession: {
+        rules: require('./quizSessionPolicy'),
+        load: (id) => quizSessionModel.findById(id).select('childId status'),
+    },
+    job: {
+        rules: require('./jobPolicy'),
+        load: (id) => jobModel.findById(id).select('childId'),
+    },
+    media: {
+        rules: require('./mediaPolicy'),
+        load: (id) => mediaModel.findById(id).select('childId uploadedBy'),
+    },
+    rubric: {
+        rules: require('./rubricPolicy'),
+        load: (id) => rubricModel.findById(id).select('teacherId'),
+    },
+    school: {
+        rules: require('./schoolPolicy'),
+    },
+    questionBank: {
+        rules: require('./questionBankPolicy'),
+    },
+    account: {
+        rules: require('./accountPolicy'),
+    },
+}
+
+/**
+ * Evaluates a policy rule.
+ *
+ * @async
+ * @function can
+ * @memberof module:Policies
+ * @param {object} user - Token payload (`req.user`).
+ * @param {string} resource - Resource name, a key of `policies`.
+ * @param {string} action - Action name, a rule of the resource policy.
+ * @param {object} [record] - Loaded record for record level rules.
+ * @returns {Promise<boolean>} True if the action is allowed.
+ * @throws {Error} If the resource or action is not declared.
+ */
+const can = async (user, resource, action, record) => {
+    const rule = policies[resource]?.rules[action]
+    if (typeof rule !== 'function') throw new Error(`Unknown policy ${resource}.${action}`)
+
+    return !!(await rule(user, record))
+}
+
+module.exports = { policies, can }
@@ -0,0 +1,16 @@
+const userModel = require('../models/userModel')
+const childPolicy = require('./childPolicy')
+
+/**
+ * @file Authorization rules for background jobs.
+ * @description Access to a job follows access to the child it works for. Jobs without a child are not exposed.
+ * @module JobPolicy
+ */
+
+module.exports = {
+    view: async (user, job) => {
+        if (!job.childId) return false
+        const child = await userModel.findById(job.childId)
+        return !!child && await childPolicy.view(user, child)
+    },
+}
@@ -0,0 +1,24 @@
+const userModel = require('../models/userModel')
+const childPolicy = require('./childPolicy')
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for learning materials.
+ * @description Access to a material follows access to the child it is assigned to.
+ * @module MaterialPolicy
+ */
+
+const childOf = (material) => userModel.findById(material.childrenId)
+
+module.exports = {
+    // Generate materi dengan AI belum terikat ke anak tertentu
+    generate: (user) => user.role === ROLES.TEACHER,
+    view: async (user, material) => {
+        const child = await childOf(material)
+        return !!child && await childPolicy.view(user, child)
+    },
+    update: async (user, material) => {
+        const child = await childOf(material)
+        return !!child && await childPolicy.assign(user, child)
+    },
+}
@@ -0,0 +1,16 @@
+const userModel = require('../models/userModel')
+const childPolicy = require('./childPolicy')
+
+/**
+ * @file Authorization rules for stored media files.
+ * @description Access to a file follows access to the child it belongs to; a file without a child only to its uploader.
+ * @module MediaPolicy
+ */
+
+module.exports = {
+    view: async (user, media) => {
+        if (!media.childId) return !!media.uploadedBy && media.uploadedBy.toString() === user.userId
+        const child = await userModel.findById(media.childId)
+        return !!child && await childPolicy.view(user, child)
+    },
+}
@@ -0,0 +1,10 @@
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for the question bank.
+ * @module QuestionBankPolicy
+ */
+
+module.exports = {
+    list: (user) => user.role === ROLES.TEACHER,
+}
@@ -0,0 +1,22 @@
+const userModel = require('../models/userModel')
+const childPolicy = require('./childPolicy')
+
+/**
+ * @file Authorization rules for quiz sessions.
+ * @description Access to a session follows access to the child answering the quiz.
+ * @module QuizSessionPolicy
+ */
+
+const childOf = (session) => userModel.findById(session.childId)
+
+module.exports = {
+    view: async (user, session) => {
+        const child = await childOf(session)
+        return !!child && await childPolicy.view(user, child)
+    },
+    // Menjawab, menyelesaikan dan membatalkan sesi: anak sendiri atau guru yang mendampingi
+    answer: async (user, session) => {
+        const child = await childOf(session)
+        return !!child && (childPolicy.isSelf(user, child) || childPolicy.canTeach(user, child, 'assign'))
+    },
+}
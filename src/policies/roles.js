@@ -0,0 +1,27 @@
+/**
+ * @file User role constants.
+ * @module Roles
+ */
+
+/**
+ * @constant {object} ROLES
+ * @memberof module:Roles
+ * @property {number} TEACHER - Teacher (Guru).
+ * @property {number} CHILD - Child / student (Siswa).
+ * @property {number} PARENT - Parent (Orang Tua), read-only access to linked children.
+ * @property {number} SCHOOL_ADMIN - School admin (Admin Sekolah), sees every class of their school.
+ */
+const ROLES = Object.freeze({
+    TEACHER: 1,
+    CHILD: 2,
+    PARENT: 3,
+    SCHOOL_ADMIN: 4,
+})
+
+/**
+ * @constant {string} STUDENT_SCOPE - Scope of tokens issued by the student (picture password) login.
+ * @memberof module:Roles
+ */
+const STUDENT_SCOPE = 'student'
+
+module.exports = { ROLES, STUDENT_SCOPE }
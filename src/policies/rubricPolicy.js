@@ -0,0 +1,15 @@
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for scoring rubrics.
+ * @description A rubric belongs to the teacher who wrote it; only that teacher can see, edit or use it.
+ * @module RubricPolicy
+ */
+
+const isOwner = (user, rubric) => rubric.teacherId?.toString() === user.userId
+
+module.exports = {
+    create: (user) => user.role === ROLES.TEACHER,
+    view: (user, rubric) => isOwner(user, rubric),
+    update: (user, rubric) => isOwner(user, rubric),
+}
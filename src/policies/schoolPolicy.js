@@ -0,0 +1,14 @@
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for schools.
+ * @description School rules work on the school of the authenticated user (`schoolId` claim).
+ * @module SchoolPolicy
+ */
+
+module.exports = {
+    view: (user) => !!user.schoolId && [ROLES.TEACHER, ROLES.SCHOOL_ADMIN].includes(user.role),
+    // Ubah data sekolah, kode gabung, dan daftar guru
+    manage: (user) => !!user.schoolId && user.role === ROLES.SCHOOL_ADMIN,
+    join: (user) => user.role === ROLES.TEACHER,
+}
@@ -0,0 +1,30 @@
+const userModel = require('../models/userModel')
+const childPolicy = require('./childPolicy')
+const { ROLES } = require('./roles')
+
+/**
+ * @file Authorization rules for screening sessions.
+ * @description Access to a session follows access to the screened child.
+ * @module ScreeningPolicy
+ */
+
+const childOf = (session) => userModel.findById(session.childId)
+
+module.exports = {
+    // Melihat isi battery beserta kunci jawaban
+    battery: (user) => [ROLES.TEACHER, ROLES.SCHOOL_ADMIN].includes(user.role),
+    view: async (user, session) => {
+        const child = await childOf(session)
+        return !!child && await childPolicy.view(user, child)
+    },
+    // Anak mengerjakan sendiri, atau guru mendampingi di perangkatnya
+    answer: async (user, session) => {
+        const child = await childOf(session)
+        return !!child && (childPolicy.isSelf(user, child) || childPolicy.canTeach(user, child, 'assign'))
+    },
+    // Menyelesaikan / membatalkan sesi
+    manage: async (user, session) => {
+        const child = await childOf(session)
+        return !!child && childPolicy.canTeach(user, child, 'assign')
+    },
+}
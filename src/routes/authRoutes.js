@@ -1,25 +1,83 @@
 /**
- * @file Router for user authentication endpoints (Login, Register, Logout).
+ * @file Router for user authentication endpoints (Login, Register, Refresh, Logout, Password Reset, Email Verification).
  * @module AuthRoutes
  */
 const express = require('express')
 const router = express.Router()
 const authController = require('../controllers/authController')
 const middleware = require('./middleware')
+const rateLimit = require('./rateLimit')
+const { authorize } = require('./authorize')
 
 /**
  * @route POST /v1/auth/login
  * @description Authenticates a user and returns a JWT token.
  * @access Public
  */
-router.post('/login', authController.login)
+router.post('/login', rateLimit('auth'), authController.login)
 
 /**
  * @route POST /v1/auth/register
  * @description Registers a new user account.
  * @access Public
  */
-router.post('/register', authController.register)
+router.post('/register', rateLimit('auth'), authController.register)
+
+/**
+ * @route POST /v1/auth/register/school
+ * @description Registers a new school and its first School Admin account.
+ * @access Public
+ */
+router.post('/register/school', rateLimit('auth'), authController.registerSchool)
+
+/**
+ * @route POST /v1/auth/register/parent
+ * @description Registers a parent account with an invitation code and links it to the child.
+ * @access Public
+ */
+router.post('/register/parent', rateLimit('auth'), authController.registerParent)
+
+/**
+ * @route POST /v1/auth/invitations/redeem
+ * @description Links the authenticated parent to a child with an invitation code.
+ * @access Private (Requires Middleware)
+ */
+router.post('/invitations/redeem', middleware, rateLimit('auth'), authorize('account', 'redeemInvitation'), authController.redeemInvitation)
+
+/**
+ * @route GET /v1/auth/student/class/:classCode
+ * @description Lists the children (first name and avatar) of a class for the student login screen.
+ * @access Public
+ */
+router.get('/student/class/:classCode', rateLimit('auth'), authController.studentClass)
+
+/**
+ * @route POST /v1/auth/student/login
+ * @description Logs a child in with class code, avatar and picture password. Returns a token with the `student` scope.
+ * @access Public
+ */
+router.post('/student/login', rateLimit('auth'), authController.studentLogin)
+
+/**
+ * @route GET /v1/auth/class-code
+ * @description Retrieves the class code of the authenticated teacher.
+ * @access Private (Requires Middleware)
+ */
+router.get('/class-code', middleware, authorize('account', 'manageClassCode'), authController.classCode)
+
+/**
+ * @route POST /v1/auth/class-code
+ * @description Generates a new class code for the authenticated teacher.
+ * @access Private (Requires Middleware)
+ */
+router.post('/class-code', middleware, authorize('account', 'manageClassCode'), authController.regenerateClassCode)
+
+/**
+ * @route POST /v1/auth/refresh
+ * @description Exchanges a refresh token for a new access token and a rotated refresh token.
+ * @access Public
+ */
+router.post('/refresh', authController.refresh)
 
 /**
  * @route POST /v1/auth/logout
@@ -28,4 +86,39 @@ router.post('/register', authController.register)
  */
 router.post('/logout', middleware, authController.logout)
 
+/**
+ * @route POST /v1/auth/logout-all
+ * @description Invalidates every session of the user on all devices.
+ * @access Private (Requires Middleware)
+ */
+router.post('/logout-all', middleware, authController.logoutAll)
+
+/**
+ * @route POST /v1/auth/forgot-password
+ * @description Sends a one-time password reset link to the given email.
+ * @access Public
+ */
+router.post('/forgot-password', rateLimit('auth'), authController.forgotPassword)
+
+/**
+ * @route POST /v1/auth/reset-password
+ * @description Sets a new password using a token from the password reset email.
+ * @access Public
+ */
+router.post('/reset-password', rateLimit('auth'), authController.resetPassword)
+
+/**
+ * @route POST /v1/auth/verify-email
+ * @description Verifies the email address using a token from the verification email.
+ * @access Public
+ */
+router.post('/verify-email', rateLimit('auth'), authController.verifyEmail)
+
+/**
+ * @route POST /v1/auth/verify-email/resend
+ * @description Sends a new verification email to the authenticated user.
+ * @access Private (Requires Middleware)
+ */
+router.post('/verify-email/resend', middleware, authController.resendVerification)
+
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * @file Authorization middleware built on the policies in `src/policies`.
+ * @module AuthorizeMiddleware
+ */
+const { policies, can } = require('../policies');
+const fs = require('fs');
+const { isObjectIdString } = require('../helpers/objectId');
+
+/**
+ * Wraps a locator, keeping the request field it reads for validation errors.
+ *
+ * @private
+ * @function locator
+ * @memberof module:AuthorizeMiddleware
+ * @param {string} name - Field name.
+ * @param {function(object): *} read - Reads the value from the request.
+ * @returns {function(object): *}
+ */
+const locator = (name, read) => Object.assign(read, { field: name });
+
+/**
+ * Locator reading the record ID from a route parameter.
+ *
+ * @function fromParam
+ * @memberof module:AuthorizeMiddleware
+ * @param {string} name - Route parameter name.
+ * @returns {function(object): string}
+ */
+const fromParam = (name) => locator(name, (req) => req.params?.[name]);
+
+/**
+ * Locator reading the record ID from the request body.
+ *
+ * @function fromBody
+ * @memberof module:AuthorizeMiddleware
+ * @param {string} name - Body field name.
+ * @returns {function(object): string}
+ */
+const fromBody = (name) => locator(name, (req) => req.body?.[name]);
+
+/**
+ * Locator reading the record ID from the query string.
+ *
+ * @function fromQuery
+ * @memberof module:AuthorizeMiddleware
+ * @param {string} name - Query parameter name.
+ * @returns {function(object): string}
+ */
+const fromQuery = (name) => locator(name, (req) => req.query?.[name]);
+
+/**
+ * Creates a middleware that allows the request only if the policy rule `resource.action` passes.
+ * Must run after the authentication middleware.
+ *
+ * When a locator is given the record is loaded and passed to the rule. The ID must be a single
+ * ObjectId string, otherwise the request is rejected with 422 (missing or invalid ID) before it
+ * reaches the controller, and with 404 when the record does not exist.
+ *
+ * @function authorize
+ * @memberof module:AuthorizeMiddleware
+ * @param {string} resource - Resource name (`child`, `exercise`, `material`, ...).
+ * @param {string} action - Action name declared in the resource policy.
+ * @param {function(object): string} [locate] - Returns the record ID from the request.
+ * @returns {function} Express middleware sending 403 when the rule fails, 422 for an invalid ID and 404 for a missing record.
+ * @example
+ * router.put('/:id', authorize('child', 'update', fromParam('id')), childsController.update)
+ */
+const authorize = (resource, action, locate) => async (req, res, next) => {
+    try {
+        let record;
+
+        if (locate) {
+            const id = locate(req);
+            if (!isObjectIdString(id)) {
+                const field = locate.field || 'id';
+                return res.status(422).json({
+                    success: false,
+                    message: 'Validation error',
+                    errors: { [field]: id === undefined || id === null || id === '' ? 'ID wajib diisi' : 'ID tidak valid' }
+                });
+            }
+
+            record = await policies[resource].load(id);
+            if (!record) return res.status(404).json({ success: false, message: 'Data not found' });
+        }
+
+        if (!(await can(req.user, resource, action, record))) {
+            return res.status(403).json({ success: false, message: 'Forbidden access' });
+        }
+
+        next();
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+/**
+ * Wraps an authorization middleware that runs after an upload middleware (multipart bodies are only
+ * parsed by the upload), removing the uploaded `req.files` when the request is rejected.
+ *
+ * @function discardUploadsOnReject
+ * @memberof module:AuthorizeMiddleware
+ * @param {function} middleware - Middleware created by `authorize`.
+ * @returns {function} Express middleware.
+ * @example
+ * router.post('/', uploadFiles(dir), discardUploadsOnReject(authorize('child', 'assign', fromBody('childrenId'))), controller.store)
+ */
+const discardUploadsOnReject = (middleware) => async (req, res, next) => {
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    if (passed) return next();
+
+    // Berkas sudah tersimpan oleh multer, hapus supaya tidak tertinggal
+    await Promise.all((req.files || []).map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+module.exports = { authorize, discardUploadsOnReject, fromParam, fromBody, fromQuery };
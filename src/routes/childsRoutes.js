@@ -6,42 +6,192 @@
 const express = require('express')
 const router = express.Router()
 const childsController = require('../controllers/childsController')
+const learningPlansController = require('../controllers/learningPlansController')
 const middleware = require('./middleware')
+const { authorize, fromParam } = require('./authorize')
+const uploadRoster = require('../utils/uploadRoster')
 
 /**
  * @route GET /v1/childs
  * @description Retrieves a list of children associated with the authenticated user (Parent or Teacher).
  * @access Private
  */
-router.get('/', childsController.index)
+router.get('/', authorize('child', 'list'), childsController.index)
 
 /**
  * @route POST /v1/childs
  * @description Creates a new student record and links it to the authenticated user (Parent).
  * @access Private
  */
-router.post('/', childsController.store)
+router.post('/', authorize('child', 'create'), childsController.store)
+
+/**
+ * @route POST /v1/childs/import
+ * @description Creates many students at once from a CSV or XLSX roster (`file` field). Use `?dryRun=true` to only validate.
+ * @access Private (Teacher)
+ * @middleware uploadRoster - Keeps the roster file in memory.
+ */
+router.post('/import', authorize('child', 'create'), uploadRoster, childsController.importRoster)
+
+/**
+ * @route GET /v1/childs/export
+ * @description Downloads the roster of the students as CSV or XLSX (`?format=csv|xlsx`, optional `?classId`).
+ * @access Private
+ */
+router.get('/export', authorize('child', 'list'), childsController.exportRoster)
+
+/**
+ * @route GET /v1/childs/trash
+ * @description Lists deleted students that can still be restored, with their purge date.
+ * @access Private (Teacher, School Admin)
+ */
+router.get('/trash', authorize('child', 'trash'), childsController.trash)
+
+/**
+ * @route POST /v1/childs/trash/:id/restore
+ * @description Restores a deleted student and links it again to its teachers and parents.
+ * @access Private (Responsible teacher, School Admin)
+ */
+router.post('/trash/:id/restore', authorize('deletedChild', 'restore', fromParam('id')), childsController.restore)
+
+/**
+ * @route DELETE /v1/childs/trash/:id
+ * @description Permanently deletes a student with its exercises, materials and uploaded files.
+ * @access Private (Responsible teacher, School Admin)
+ */
+router.delete('/trash/:id', authorize('deletedChild', 'purge', fromParam('id')), childsController.purge)
 
 /**
  * @route GET /v1/childs/:id
  * @description Retrieves the detailed profile, exercises, and materials of a student using their unique code.
  * @access Private
  */
-router.get('/:id', childsController.show)
+router.get('/:id', authorize('child', 'view', fromParam('id')), childsController.show)
+
+/**
+ * @route GET /v1/childs/:id/error-profile
+ * @description Summarizes the dyslexia-typical errors of a student (reversals, omissions, transpositions, ...) for the dashboard.
+ * @access Private
+ */
+router.get('/:id/error-profile', authorize('child', 'view', fromParam('id')), childsController.errorProfile)
+
+/**
+ * @route GET /v1/childs/:id/abilities
+ * @description Shows the ability rating of a student per exercise method, used to pick questions of the right difficulty.
+ * @access Private
+ */
+router.get('/:id/abilities', authorize('child', 'view', fromParam('id')), childsController.abilities)
 
 /**
  * @route PUT /v1/childs/:id
  * @description Retrieves the detailed profile, exercises, and materials of a student using their unique code.
  * @access Private
  */
-router.put('/:id', childsController.update)
+router.put('/:id', authorize('child', 'update', fromParam('id')), childsController.update)
 
 /**
  * @route DELETE /v1/childs/:id
  * @description Handles the soft deletion of a student record and unlinks them from Parent/Teacher.
  * @access Private
  */
-router.delete('/:id', childsController.destroy)
+router.delete('/:id', authorize('child', 'delete', fromParam('id')), childsController.destroy)
+
+/**
+ * @route GET /v1/childs/:id/invitations
+ * @description Lists the parent invitation codes of a student and the linked parents.
+ * @access Private
+ */
+router.get('/:id/invitations', authorize('child', 'invite', fromParam('id')), childsController.invitations)
+
+/**
+ * @route POST /v1/childs/:id/invitations
+ * @description Creates an invitation code that gives a parent read-only access to the student.
+ * @access Private
+ */
+router.post('/:id/invitations', authorize('child', 'invite', fromParam('id')), childsController.storeInvitation)
+
+/**
+ * @route DELETE /v1/childs/:id/invitations/:invitationId
+ * @description Revokes an unused invitation code.
+ * @access Private
+ */
+router.delete('/:id/invitations/:invitationId', authorize('child', 'invite', fromParam('id')), childsController.destroyInvitation)
 
+/**
+ * @route DELETE /v1/childs/:id/parents/:parentId
+ * @description Removes a parent's access to the student.
+ * @access Private
+ */
+router.delete('/:id/parents/:parentId', authorize('child', 'invite', fromParam('id')), childsController.destroyParent)
+
+/**
+ * @route GET /v1/childs/:id/teachers
+ * @description Lists the responsible teacher and the co-teachers of a student with their permissions.
+ * @access Private
+ */
+router.get('/:id/teachers', authorize('child', 'view', fromParam('id')), childsController.teachers)
+
+/**
+ * @route POST /v1/childs/:id/teachers
+ * @description Shares a student with another teacher, or changes the permissions of a co-teacher.
+ * @access Private (Responsible teacher)
+ */
+router.post('/:id/teachers', authorize('child', 'share', fromParam('id')), childsController.storeTeacher)
+
+/**
+ * @route DELETE /v1/childs/:id/teachers/:teacherId
+ * @description Removes a co-teacher from a student.
+ * @access Private (Responsible teacher)
+ */
+router.delete('/:id/teachers/:teacherId', authorize('child', 'share', fromParam('id')), childsController.destroyTeacher)
+
+/**
+ * @route POST /v1/childs/:id/leave
+ * @description Lets a co-teacher stop teaching a student.
+ * @access Private (Co-teacher)
+ */
+router.post('/:id/leave', authorize('child', 'leave', fromParam('id')), childsController.leave)
+
+/**
+ * @route POST /v1/childs/:id/transfer
+ * @description Makes another teacher responsible for a student, moving the exercise and material history along.
+ * @access Private (Responsible teacher, School Admin)
+ */
+router.post('/:id/transfer', authorize('child', 'transfer', fromParam('id')), childsController.transfer)
+
+/**
+ * @route GET /v1/childs/:id/plans
+ * @description Lists the learning plans of a student with the progress of every goal.
+ * @access Private
+ */
+router.get('/:id/plans', authorize('child', 'view', fromParam('id')), learningPlansController.index)
+
+/**
+ * @route POST /v1/childs/:id/plans
+ * @description Creates a learning plan with measurable goals for a student.
+ * @access Private (Teacher with assign permission)
+ */
+router.post('/:id/plans', authorize('child', 'assign', fromParam('id')), learningPlansController.store)
+
+/**
+ * @route GET /v1/childs/:id/plans/:planId
+ * @description Retrieves a learning plan of a student with the progress of every goal.
+ * @access Private
+ */
+router.get('/:id/plans/:planId', authorize('child', 'view', fromParam('id')), learningPlansController.show)
+
+/**
+ * @route PUT /v1/childs/:id/plans/:planId
+ * @description Updates a learning plan and its goals.
+ * @access Private (Teacher with assign permission)
+ */
+router.put('/:id/plans/:planId', authorize('child', 'assign', fromParam('id')), learningPlansController.update)
+
+/**
+ * @route DELETE /v1/childs/:id/plans/:planId
+ * @description Deletes a learning plan.
+ * @access Private (Teacher with assign permission)
+ */
+router.delete('/:id/plans/:planId', authorize('child', 'assign', fromParam('id')), learningPlansController.destroy)
 
 module.exports = router
\ No newline at end of file
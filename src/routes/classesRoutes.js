@@ -0,0 +1,60 @@
+/**
+ * @file Router for managing the classes of a school and the children enrolled in them.
+ * @module ClassesRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const classesController = require('../controllers/classesController')
+const { authorize, fromParam } = require('./authorize')
+
+/**
+ * @route GET /v1/classes
+ * @description Retrieves the classes of the school (School Admin) or the classes the teacher teaches.
+ * @access Private (Teacher, School Admin)
+ */
+router.get('/', authorize('class', 'list'), classesController.index)
+
+/**
+ * @route POST /v1/classes
+ * @description Creates a new class in the school of the authenticated user.
+ * @access Private (Teacher, School Admin)
+ */
+router.post('/', authorize('class', 'create'), classesController.store)
+
+/**
+ * @route GET /v1/classes/:id
+ * @description Retrieves a class with its teachers and enrolled children.
+ * @access Private (Teacher of the class, School Admin)
+ */
+router.get('/:id', authorize('class', 'view', fromParam('id')), classesController.show)
+
+/**
+ * @route PUT /v1/classes/:id
+ * @description Updates a class. Only School Admins can change its teachers.
+ * @access Private (Teacher of the class, School Admin)
+ */
+router.put('/:id', authorize('class', 'update', fromParam('id')), classesController.update)
+
+/**
+ * @route DELETE /v1/classes/:id
+ * @description Deletes a class. Its children stay in the school.
+ * @access Private (School Admin)
+ */
+router.delete('/:id', authorize('class', 'delete', fromParam('id')), classesController.destroy)
+
+/**
+ * @route POST /v1/classes/:id/childs
+ * @description Enrolls children in the class.
+ * @access Private (Teacher of the class, School Admin)
+ */
+router.post('/:id/childs', authorize('class', 'update', fromParam('id')), classesController.enroll)
+
+/**
+ * @route DELETE /v1/classes/:id/childs/:childId
+ * @description Removes a child from the class.
+ * @access Private (Teacher of the class, School Admin)
+ */
+router.delete('/:id/childs/:childId', authorize('class', 'update', fromParam('id')), classesController.unenroll)
+
+module.exports = router
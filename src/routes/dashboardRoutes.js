@@ -6,12 +6,13 @@ const express = require('express')
 const router = express.Router()
 const dashboardController = require('../controllers/dashboardController')
 const middleware = require('./middleware')
+const { authorize } = require('./authorize')
 
 /**
  * @route GET /v1/dashboard
  * @description Returned the statistic data.
  * @access Public
  */
-router.get('/', dashboardController.index)
+router.get('/', authorize('account', 'viewDashboard'), dashboardController.index)
 
 module.exports = router
\ No newline at end of file
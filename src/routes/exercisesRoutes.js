@@ -6,7 +6,11 @@
 const express = require('express')
 const router = express.Router()
 const exerciseController = require('../controllers/exerciseController')
+const reviewsController = require('../controllers/reviewsController')
 const middleware = require('./middleware')
+const { authorize, fromParam, fromBody, fromQuery } = require('./authorize')
+const { denyScope } = middleware
+const rateLimit = require('./rateLimit')
 
 /**
  * @route GET /v1/exercise
@@ -14,49 +18,56 @@ const middleware = require('./middleware')
  * @access Private
  * @param {string} children - Query parameter for the child ID.
  */
-router.get('/', exerciseController.index)
+router.get('/', authorize('child', 'view', fromQuery('children')), exerciseController.index)
 
 /**
  * @route POST /v1/exercise
  * @description Creates and assigns a new exercise to a student (Teacher action).
  * @access Private
  */
-router.post('/', exerciseController.storeExercise)
+router.post('/', authorize('child', 'assign', fromBody('childrenId')), exerciseController.storeExercise)
 
 /**
  * @route POST /v1/exercise/quiz
  * @description Creates and assigns a new exercise to a student (Teacher action).
  * @access Private
  */
-router.post('/quiz', exerciseController.storeExerciseQuiz)
+router.post('/quiz', authorize('exercise', 'update', fromBody('exerciseId')), exerciseController.storeExerciseQuiz)
+
+/**
+ * @route POST /v1/exercise/:id/review-quiz
+ * @description Adds today's review quiz to the exercise, built from the questions the student missed that are due for spaced repetition.
+ * @access Private
+ */
+router.post('/:id/review-quiz', authorize('exercise', 'update', fromParam('id')), exerciseController.storeReviewQuiz)
 
 /**
  * @route GET /v1/exercise/:id
  * @description Retrieves details for a specific exercise ID.
  * @access Private
  */
-router.get('/:id', exerciseController.show)
+router.get('/:id', authorize('exercise', 'view', fromParam('id')), exerciseController.show)
 
 /**
  * @route GET /v1/exercise/:id/quiz/:quizId
  * @description Retrieves details for a specific exercise ID.
  * @access Private
  */
-router.get('/:id/quiz/:quizId', exerciseController.quiz)
+router.get('/:id/quiz/:quizId', authorize('exercise', 'view', fromParam('id')), exerciseController.quiz)
 
 /**
  * @route PUT /v1/exercise/:id
  * @description Retrieves details for a specific exercise ID.
  * @access Private
  */
-router.put('/:id', exerciseController.updateExercise)
+router.put('/:id', authorize('exercise', 'update', fromParam('id')), exerciseController.updateExercise)
 
 /**
  * @route PUT /v1/exercise/:id/quiz/:quizId
  * @description Retrieves details for a specific exercise ID.
  * @access Private
  */
-router.put('/:id/quiz/:quizId', exerciseController.updateExerciseQuiz)
+router.put('/:id/quiz/:quizId', authorize('exercise', 'update', fromBody('exerciseId')), exerciseController.updateExerciseQuiz)
 
 /**
  * @route POST /v1/exercise/history
@@ -67,17 +78,24 @@ router.put('/:id/quiz/:quizId', exerciseController.updateExerciseQuiz)
 
 /**
  * @route POST /v1/exercise/answer
- * @description Submits and processes a child's answers, performs AI transcription, and calculates scores.
+ * @description Submits a child's answers as a new attempt; recordings are transcribed and scored in the background.
  * @access Private
  */
-router.post('/answer', exerciseController.answer)
+router.post('/answer', authorize('exercise', 'answer', fromBody('exerciseId')), exerciseController.answer)
 
 /**
  * @route POST /v1/exercise/attitude
  * @description Submits the attitude point of the child while during the exercise.
  * @access Private
  */
-router.post('/attitude', exerciseController.attitude)
+router.post('/attitude', authorize('exercise', 'grade', fromBody('exerciseId')), exerciseController.attitude)
+
+/**
+ * @route PUT /v1/exercise/:id/quiz/:quizId/rubric
+ * @description Sets the teacher's rubric (accuracy, reading speed, attitude) the quiz is scored with, `rubricId: null` removes it.
+ * @access Private (Teacher)
+ */
+router.put('/:id/quiz/:quizId/rubric', denyScope('student'), authorize('exercise', 'grade', fromParam('id')), exerciseController.rubric)
 
 /**
  * @route POST /v1/exercise/:id
@@ -85,9 +103,37 @@ router.post('/attitude', exerciseController.attitude)
  * @access Private
  * @param {string} id - Route parameter for the exercise ID
  */
-router.post('/:id/quiz/:quizId/visibility', exerciseController.visibilty)
+router.post('/:id/quiz/:quizId/visibility', authorize('exercise', 'update', fromParam('id')), exerciseController.visibilty)
+
+/**
+ * @route GET /v1/exercise/:id/quiz/:quizId/attempts
+ * @description Lists the attempts of a quiz and which one counts toward the quiz point.
+ * @access Private
+ */
+router.get('/:id/quiz/:quizId/attempts', authorize('exercise', 'view', fromParam('id')), exerciseController.attempts)
+
+/**
+ * @route GET /v1/exercise/:id/quiz/:quizId/attempts/compare
+ * @description Compares two attempts of a quiz question by question (`?from=1&to=3`).
+ * @access Private
+ */
+router.get('/:id/quiz/:quizId/attempts/compare', authorize('exercise', 'view', fromParam('id')), exerciseController.compareAttempts)
+
+/**
+ * @route GET /v1/exercise/:id/quiz/:quizId/attempts/:number
+ * @description Retrieves one attempt of a quiz with its answers and transcripts.
+ * @access Private
+ */
+router.get('/:id/quiz/:quizId/attempts/:number', authorize('exercise', 'view', fromParam('id')), exerciseController.attempt)
+
+/**
+ * @route POST /v1/exercise/:id/quiz/:quizId/attempts/:number/answers/:answerId/review
+ * @description Confirms or overrides the score of an answer (`{ action, point, reason }`), kept as audit trail.
+ * @access Private (Teacher)
+ */
+router.post('/:id/quiz/:quizId/attempts/:number/answers/:answerId/review', denyScope('student'), authorize('exercise', 'grade', fromParam('id')), reviewsController.update)
 
 
-router.post('/generate', exerciseController.generate)
+router.post('/generate', denyScope('student'), rateLimit('ai'), authorize('exercise', 'update', fromBody('exerciseId')), exerciseController.generate)
 
 module.exports = router
\ No newline at end of file
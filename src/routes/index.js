@@ -10,31 +10,68 @@ const childsRoutes = require('./childsRoutes')
 const exercisesRoutes = require('./exercisesRoutes')
 const questionBankRoutes = require('./questionBankRoutes')
 const materialsRoutes = require('./materialsRoutes')
+const schoolsRoutes = require('./schoolsRoutes')
+const classesRoutes = require('./classesRoutes')
+const screeningsRoutes = require('./screeningsRoutes')
+const quizSessionsRoutes = require('./quizSessionsRoutes')
+const jobsRoutes = require('./jobsRoutes')
+const mediaRoutes = require('./mediaRoutes')
+const reviewsRoutes = require('./reviewsRoutes')
+const rubricsRoutes = require('./rubricsRoutes')
 const middleware = require('./middleware')
+const { denyScope } = middleware
+const rateLimit = require('./rateLimit')
 
 /**
  * @namespace v1
  * @description Base path for Version 1 of the API.
  */
 
+// Global limit per IP for every route
+router.use(rateLimit('api'))
+
 // Route: /v1/auth
 router.use('/v1/auth', authRoutes)
 
 // Route: /v1/dashboard
-router.use('/v1/dashboard', middleware, dashboardRoutes)
+router.use('/v1/dashboard', middleware, denyScope('student'), dashboardRoutes)
 
 // Route: /v1/childs
-router.use('/v1/childs', middleware, childsRoutes)
+router.use('/v1/childs', middleware, denyScope('student'), childsRoutes)
 
 // Route: /v1/exercise
 router.use('/v1/exercise', middleware, exercisesRoutes)
 
+// Route: /v1/quiz-sessions
+router.use('/v1/quiz-sessions', middleware, quizSessionsRoutes)
+
+// Route: /v1/jobs
+router.use('/v1/jobs', middleware, jobsRoutes)
+
+// Route: /v1/media
+router.use('/v1/media', middleware, mediaRoutes)
+
+// Route: /v1/reviews
+router.use('/v1/reviews', middleware, denyScope('student'), reviewsRoutes)
+
+// Route: /v1/rubrics
+router.use('/v1/rubrics', middleware, denyScope('student'), rubricsRoutes)
+
 // Route: /v1/questions
-router.use('/v1/questions', middleware, questionBankRoutes)
+router.use('/v1/questions', middleware, denyScope('student'), questionBankRoutes)
 
 // Route: /v1/materials
 router.use('/v1/materials', middleware, materialsRoutes)
 
+// Route: /v1/schools
+router.use('/v1/schools', middleware, denyScope('student'), schoolsRoutes)
+
+// Route: /v1/classes
+router.use('/v1/classes', middleware, denyScope('student'), classesRoutes)
+
+// Route: /v1/screenings
+router.use('/v1/screenings', middleware, screeningsRoutes)
+
 // Route: /v1/image/material
 router.use('/v1/image/material', express.static('storage/material'))
 
@@ -0,0 +1,18 @@
+/**
+ * @file Router for polling background jobs.
+ * @module JobsRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const jobsController = require('../controllers/jobsController')
+const { authorize, fromParam } = require('./authorize')
+
+/**
+ * @route GET /v1/jobs/:id
+ * @description Retrieves the status of a background job, e.g. the scoring of a submitted answer.
+ * @access Private
+ */
+router.get('/:id', authorize('job', 'view', fromParam('id')), jobsController.show)
+
+module.exports = router
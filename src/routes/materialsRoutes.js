@@ -8,6 +8,9 @@ const router = express.Router()
 const path = require('path');
 const materialsController = require('../controllers/materialsController')
 const middleware = require('./middleware')
+const { authorize, discardUploadsOnReject, fromParam, fromBody, fromQuery } = require('./authorize')
+const { denyScope } = middleware
+const rateLimit = require('./rateLimit')
 const uploadFiles = require('../utils/uploadFiles')
 
 /**
@@ -16,15 +19,16 @@ const uploadFiles = require('../utils/uploadFiles')
  * @access Private
  * @param {string} children - Query parameter for the child ID.
  */
-router.get('/', materialsController.index)
+router.get('/', authorize('child', 'view', fromQuery('children')), materialsController.index)
 
 /**
  * @route POST /v1/materials
  * @description Creates and uploads a new learning material (Teacher action). Includes file upload middleware.
  * @access Private
- * @middleware uploadFiles - Handles file upload to `storage/material`.
+ * @middleware uploadFiles - Handles file upload to `storage/material`. The child is only known from the multipart body,
+ * so the uploaded files are removed again when the child may not be assigned.
  */
-router.post('/', uploadFiles(path.join(__dirname, '../../storage/material')), materialsController.store)
+router.post('/', denyScope('student'), uploadFiles(path.join(__dirname, '../../storage/material')), discardUploadsOnReject(authorize('child', 'assign', fromBody('childrenId'))), materialsController.store)
 
 /**
  * @route GET /v1/materials/:id
@@ -32,16 +36,17 @@ router.post('/', uploadFiles(path.join(__dirname, '../../storage/material')), ma
  * @access Private
  * @param {string} id - Route parameter for the material ID
  */
-router.get('/:id', materialsController.show)
+router.get('/:id', authorize('material', 'view', fromParam('id')), materialsController.show)
 
 /**
  * @route PUT /v1/materials/:id
  * @description Updated a new material (Teacher Action). Includes file upload middleware.
  * @access Private
  * @param {string} id - Route parameter for the material ID
- * @middleware uploadFiles - Handles file upload to `storage/material`.
+ * @middleware uploadFiles - Handles file upload to `storage/material`, after the material is authorized. The uploaded
+ * files are removed again when the new child may not be assigned.
  */
-router.put('/:id', uploadFiles(path.join(__dirname, '../../storage/material')), materialsController.update)
+router.put('/:id', denyScope('student'), authorize('material', 'update', fromParam('id')), uploadFiles(path.join(__dirname, '../../storage/material')), discardUploadsOnReject(authorize('child', 'assign', fromBody('childrenId'))), materialsController.update)
 
 /**
  * @route POST /v1/materials/:id
@@ -50,7 +55,7 @@ router.put('/:id', uploadFiles(path.join(__dirname, '../../storage/material')),
  * @param {string} id - Route parameter for the material ID
  * @
  */
-router.post('/:id', materialsController.visibilty)
+router.post('/:id', denyScope('student'), authorize('material', 'update', fromParam('id')), materialsController.visibilty)
 
 /**
  * @route GET /v1/materials/*
@@ -59,6 +64,6 @@ router.post('/:id', materialsController.visibilty)
 */
 router.use('/', express.static('storage/material'))
 
-router.post('/create/generate', materialsController.generate)
+router.post('/create/generate', denyScope('student'), rateLimit('ai'), authorize('material', 'generate'), materialsController.generate)
 
 module.exports = router
\ No newline at end of file
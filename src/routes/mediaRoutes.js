@@ -0,0 +1,18 @@
+/**
+ * @file Router for stored media files.
+ * @module MediaRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const mediaController = require('../controllers/mediaController')
+const { authorize, fromParam } = require('./authorize')
+
+/**
+ * @route GET /v1/media/:id
+ * @description Streams an answer recording or photo (`answer.mediaId`). Supports `Range` requests.
+ * @access Private
+ */
+router.get('/:id', authorize('media', 'view', fromParam('id')), mediaController.show)
+
+module.exports = router
@@ -4,32 +4,61 @@
  */
 const jwt = require('jsonwebtoken');
 const { getToken } = require('../helpers/authHelpers');
+const { isAccessTokenRevoked } = require('../services/tokenService');
 const clientSecret = process.env.JWT_SECRET;
 
 /**
  * Middleware function to verify JWT token validity and attach user payload to the request.
+ * Tokens that were revoked (logout, logout from all devices, password change) are rejected.
  *
  * @function middleware
  * @memberof module:AuthMiddleware
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {function} next - Callback to pass control to the next handler.
- * @returns {void | object} - Passes control via `next()` or sends a 401 JSON response.
+ * @returns {Promise<void | object>} - Passes control via `next()` or sends a 401 JSON response.
  */
-const middleware = (req, res, next) => {
+const middleware = async (req, res, next) => {
     const token = getToken(req); // Ambil token pakai helper
 
     if (!token) {
         return res.status(401).json({ message: "Unauthorized" });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, clientSecret);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, clientSecret);
     } catch (error) {
         return res.status(401).json({ message: "Invalid Token" });
     }
+
+    try {
+        if (await isAccessTokenRevoked(decoded)) {
+            return res.status(401).json({ message: "Token has been revoked" });
+        }
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+
+    req.user = decoded;
+    next();
+};
+
+/**
+ * Creates a middleware that rejects tokens with one of the given restricted scopes.
+ * Must run after the authentication middleware.
+ *
+ * @function denyScope
+ * @memberof module:AuthMiddleware
+ * @param {...string} scopes - Scopes that are not allowed (e.g. `student`).
+ * @returns {function} Express middleware sending 403 for tokens with a denied scope.
+ */
+const denyScope = (...scopes) => (req, res, next) => {
+    if (req.user?.scope && scopes.includes(req.user.scope)) {
+        return res.status(403).json({ success: false, message: 'Forbidden access' });
+    }
+    next();
 };
 
-module.exports = middleware;
\ No newline at end of file
+module.exports = middleware;
+module.exports.denyScope = denyScope;
\ No newline at end of file
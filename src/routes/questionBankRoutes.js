@@ -7,6 +7,7 @@ const express = require('express')
 const router = express.Router()
 const questionBankController = require('../controllers/questionBankController')
 const middleware = require('./middleware')
+const { authorize } = require('./authorize')
 
 /**
  * @route GET /v1/questions
@@ -15,5 +16,5 @@ const middleware = require('./middleware')
  * @param {string} level - Query parameter for question level.
  * @param {string} method - Query parameter for learning method.
  */
-router.get('/', questionBankController.index)
+router.get('/', authorize('questionBank', 'list'), questionBankController.index)
 module.exports = router
\ No newline at end of file
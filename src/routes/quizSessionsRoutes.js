@@ -0,0 +1,53 @@
+/**
+ * @file Router for quiz sessions, answering a quiz question by question.
+ * @module QuizSessionsRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const quizSessionsController = require('../controllers/quizSessionsController')
+const { authorize, fromParam, fromBody, fromQuery } = require('./authorize')
+
+/**
+ * @route GET /v1/quiz-sessions
+ * @description Retrieves the sessions of an exercise (`?exerciseId=&quizId=&status=`).
+ * @access Private
+ */
+router.get('/', authorize('exercise', 'view', fromQuery('exerciseId')), quizSessionsController.index)
+
+/**
+ * @route POST /v1/quiz-sessions
+ * @description Starts a session for a quiz, or resumes its unfinished session.
+ * @access Private (Child, Teacher)
+ */
+router.post('/', authorize('exercise', 'answer', fromBody('exerciseId')), quizSessionsController.store)
+
+/**
+ * @route GET /v1/quiz-sessions/:id
+ * @description Retrieves a session with its answers and progress.
+ * @access Private
+ */
+router.get('/:id', authorize('quizSession', 'view', fromParam('id')), quizSessionsController.show)
+
+/**
+ * @route POST /v1/quiz-sessions/:id/answers
+ * @description Scores and stores the answer to one question of the session.
+ * @access Private (Child, Teacher)
+ */
+router.post('/:id/answers', authorize('quizSession', 'answer', fromParam('id')), quizSessionsController.answer)
+
+/**
+ * @route POST /v1/quiz-sessions/:id/complete
+ * @description Completes a session, stores it as a quiz attempt and computes the quiz point.
+ * @access Private (Child, Teacher)
+ */
+router.post('/:id/complete', authorize('quizSession', 'answer', fromParam('id')), quizSessionsController.complete)
+
+/**
+ * @route DELETE /v1/quiz-sessions/:id
+ * @description Cancels an unfinished session.
+ * @access Private (Child, Teacher)
+ */
+router.delete('/:id', authorize('quizSession', 'answer', fromParam('id')), quizSessionsController.destroy)
+
+module.exports = router
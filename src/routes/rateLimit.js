@@ -0,0 +1,51 @@
+/**
+ * @file Rate limiting middleware.
+ * @module RateLimitMiddleware
+ */
+const config = require('../config/rateLimit');
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Creates a middleware that limits requests of a route group (see {@link module:RateLimitConfig}).
+ * Groups keyed by `user` must run after the authentication middleware.
+ *
+ * @function rateLimit
+ * @memberof module:RateLimitMiddleware
+ * @param {string} group - Route group name (`api`, `auth`, `ai`).
+ * @returns {function} Express middleware sending 429 when the limit is exceeded.
+ * @example
+ * router.post('/login', rateLimit('auth'), authController.login)
+ */
+const rateLimit = (group) => async (req, res, next) => {
+    if (!config.enabled) return next();
+
+    const keyBy = config.groups[group]?.keyBy;
+    const identifier = keyBy === 'user' && req.user?.userId ? `user:${req.user.userId}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+        result = await rateLimitService.hit(group, identifier);
+    } catch (error) {
+        // Store bermasalah jangan sampai mematikan API
+        console.error('Rate limit store error:', error.message);
+        return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 0);
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (result.limited) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            message: 'Terlalu banyak permintaan, coba lagi nanti',
+            retryAfter: retryAfter
+        });
+    }
+
+    next();
+};
+
+module.exports = rateLimit;
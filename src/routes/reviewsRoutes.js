@@ -0,0 +1,18 @@
+/**
+ * @file Router for the teacher review queue of doubtful answer scores.
+ * @module ReviewsRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const reviewsController = require('../controllers/reviewsController')
+const { authorize } = require('./authorize')
+
+/**
+ * @route GET /v1/reviews
+ * @description Lists the answers with a low-confidence, provisional or failed score of the teacher's children (`?childId=&classId=`).
+ * @access Private (Teacher)
+ */
+router.get('/', authorize('account', 'reviewAnswers'), reviewsController.index)
+
+module.exports = router
@@ -0,0 +1,39 @@
+/**
+ * @file Router for the scoring rubrics of teachers.
+ * @module RubricsRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const rubricsController = require('../controllers/rubricsController')
+const { authorize, fromParam } = require('./authorize')
+
+/**
+ * @route GET /v1/rubrics
+ * @description Retrieves the rubrics of the authenticated teacher.
+ * @access Private (Teacher)
+ */
+router.get('/', authorize('rubric', 'create'), rubricsController.index)
+
+/**
+ * @route POST /v1/rubrics
+ * @description Creates a rubric weighing accuracy, reading speed and attitude (`{ name, weights, targetWcpm }`).
+ * @access Private (Teacher)
+ */
+router.post('/', authorize('rubric', 'create'), rubricsController.store)
+
+/**
+ * @route PUT /v1/rubrics/:id
+ * @description Updates a rubric of the teacher.
+ * @access Private (Teacher)
+ */
+router.put('/:id', authorize('rubric', 'update', fromParam('id')), rubricsController.update)
+
+/**
+ * @route DELETE /v1/rubrics/:id
+ * @description Deletes a rubric of the teacher, quizzes keep their copy.
+ * @access Private (Teacher)
+ */
+router.delete('/:id', authorize('rubric', 'update', fromParam('id')), rubricsController.destroy)
+
+module.exports = router
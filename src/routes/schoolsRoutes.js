@@ -0,0 +1,46 @@
+/**
+ * @file Router for the school (tenant) of the authenticated user and its teachers.
+ * @module SchoolsRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const schoolsController = require('../controllers/schoolsController')
+const { authorize } = require('./authorize')
+
+/**
+ * @route GET /v1/schools/current
+ * @description Retrieves the school of the authenticated user with its teachers and classes.
+ * @access Private (Teacher, School Admin)
+ */
+router.get('/current', authorize('school', 'view'), schoolsController.show)
+
+/**
+ * @route PUT /v1/schools/current
+ * @description Updates the school profile.
+ * @access Private (School Admin)
+ */
+router.put('/current', authorize('school', 'manage'), schoolsController.update)
+
+/**
+ * @route POST /v1/schools/current/join-code
+ * @description Generates a new join code for the school.
+ * @access Private (School Admin)
+ */
+router.post('/current/join-code', authorize('school', 'manage'), schoolsController.regenerateJoinCode)
+
+/**
+ * @route DELETE /v1/schools/current/teachers/:teacherId
+ * @description Removes a teacher (and their children) from the school.
+ * @access Private (School Admin)
+ */
+router.delete('/current/teachers/:teacherId', authorize('school', 'manage'), schoolsController.destroyTeacher)
+
+/**
+ * @route POST /v1/schools/join
+ * @description Adds the authenticated teacher to a school using its join code.
+ * @access Private (Teacher)
+ */
+router.post('/join', authorize('school', 'join'), schoolsController.join)
+
+module.exports = router
@@ -0,0 +1,61 @@
+/**
+ * @file Router for the dyslexia screening sessions.
+ * @module ScreeningsRoutes
+ * @requires module:AuthMiddleware - All routes require authentication.
+ */
+const express = require('express')
+const router = express.Router()
+const screeningsController = require('../controllers/screeningsController')
+const { denyScope } = require('./middleware')
+const { authorize, fromParam, fromBody, fromQuery } = require('./authorize')
+
+/**
+ * @route GET /v1/screenings/battery
+ * @description Retrieves the screening items with their keys, the age norms and the level thresholds.
+ * @access Private (Teacher, School Admin)
+ */
+router.get('/battery', denyScope('student'), authorize('screening', 'battery'), screeningsController.battery)
+
+/**
+ * @route GET /v1/screenings
+ * @description Retrieves the screening sessions of a child (`?childId=`).
+ * @access Private
+ */
+router.get('/', denyScope('student'), authorize('child', 'view', fromQuery('childId')), screeningsController.index)
+
+/**
+ * @route POST /v1/screenings
+ * @description Starts a screening session for a child.
+ * @access Private (Teacher)
+ */
+router.post('/', denyScope('student'), authorize('child', 'assign', fromBody('childId')), screeningsController.store)
+
+/**
+ * @route GET /v1/screenings/:id
+ * @description Retrieves a screening session. Children get the items without answer keys.
+ * @access Private
+ */
+router.get('/:id', authorize('screening', 'view', fromParam('id')), screeningsController.show)
+
+/**
+ * @route POST /v1/screenings/:id/answers
+ * @description Scores and stores answers of a screening session.
+ * @access Private (Child, Teacher)
+ */
+router.post('/:id/answers', authorize('screening', 'answer', fromParam('id')), screeningsController.answer)
+
+/**
+ * @route POST /v1/screenings/:id/complete
+ * @description Completes a session and writes the level and skill profile onto the child.
+ * @access Private (Teacher)
+ */
+router.post('/:id/complete', denyScope('student'), authorize('screening', 'manage', fromParam('id')), screeningsController.complete)
+
+/**
+ * @route DELETE /v1/screenings/:id
+ * @description Cancels an unfinished screening session.
+ * @access Private (Teacher)
+ */
+router.delete('/:id', denyScope('student'), authorize('screening', 'manage', fromParam('id')), screeningsController.destroy)
+
+module.exports = router
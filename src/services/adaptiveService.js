@@ -0,0 +1,281 @@
+const abilityModel = require('../models/abilityModel');
+const exerciseModel = require('../models/exerciseModel');
+const questionBankModel = require('../models/questionBankModel');
+const settledAttemptService = require('./settledAttemptService');
+
+/**
+ * @file Adaptive difficulty engine: estimates the ability of a child per method and the difficulty of every
+ * question bank item from the answer history, and picks bank items at the right difficulty for a new quiz.
+ * @description Ratings follow an Elo-style update of a Rasch (1PL IRT) model on a logit scale. The expected score
+ * of a child with ability `a` on a question with difficulty `d` is `1 / (1 + e^(d - a))`; after an answer with score
+ * `s` (`similarityPoint / 100`, partial credit counts) the ability moves by `K * (s - expected)` and the difficulty by
+ * the same amount in the other direction. `K` shrinks with the number of answers, so new children and new questions
+ * settle quickly and established ratings stay stable. Settled attempts are rated once, oldest first, so the same
+ * history always gives the same ratings. Question bank items are then picked closest to the difficulty where the
+ * child is expected to score `ADAPTIVE_TARGET_SUCCESS`; the LLM only generates the questions the bank cannot supply.
+ * @module AdaptiveService
+ */
+
+/**
+ * @constant {number} TARGET_SUCCESS - Expected score (0 - 1) of the picked questions, from `ADAPTIVE_TARGET_SUCCESS` (default 0.7).
+ * @memberof module:AdaptiveService
+ */
+const TARGET_SUCCESS = Math.min(0.95, Math.max(0.05, parseFloat(process.env.ADAPTIVE_TARGET_SUCCESS) || 0.7));
+
+/**
+ * @constant {number} DIFFICULTY_WINDOW - Largest distance (logits) between a picked question and the target difficulty,
+ * from `ADAPTIVE_DIFFICULTY_WINDOW` (default 1).
+ * @memberof module:AdaptiveService
+ */
+const DIFFICULTY_WINDOW = parseFloat(process.env.ADAPTIVE_DIFFICULTY_WINDOW) || 1;
+
+/**
+ * @constant {number} REPEAT_DAYS - Questions the child answered in this many days are not picked again,
+ * from `ADAPTIVE_REPEAT_DAYS` (default 7).
+ * @memberof module:AdaptiveService
+ */
+const REPEAT_DAYS = parseInt(process.env.ADAPTIVE_REPEAT_DAYS) || 7;
+
+// Faktor K = K_BASE / (1 + K_DECAY * jumlah jawaban)
+const K_BASE = 0.8;
+const K_DECAY = 0.05;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Expected score of a child on a question.
+ *
+ * @function expectedScore
+ * @memberof module:AdaptiveService
+ * @param {number} ability - Ability of the child (logit).
+ * @param {number} difficulty - Difficulty of the question (logit).
+ * @returns {number} Expected score from 0 to 1.
+ */
+const expectedScore = (ability, difficulty) => 1 / (1 + Math.exp(difficulty - ability));
+
+/**
+ * Step size of a rating with a number of answers.
+ *
+ * @function kFactor
+ * @memberof module:AdaptiveService
+ * @param {number} count - Number of answers the rating is based on.
+ * @returns {number}
+ */
+const kFactor = (count) => K_BASE / (1 + K_DECAY * (count || 0));
+
+/**
+ * Updates the ability of a child and the difficulty of a question after one answer.
+ *
+ * @function updateRatings
+ * @memberof module:AdaptiveService
+ * @param {object} input
+ * @param {number} input.ability - Ability of the child before the answer.
+ * @param {number} input.abilityCount - Number of answers of the child so far.
+ * @param {number} input.difficulty - Difficulty of the question before the answer.
+ * @param {number} input.difficultyCount - Number of answers to the question so far.
+ * @param {number} input.score - Score of the answer from 0 to 1.
+ * @returns {{ability: number, difficulty: number}}
+ */
+const updateRatings = ({ ability, abilityCount, difficulty, difficultyCount, score }) => {
+    const surprise = Math.min(1, Math.max(0, score)) - expectedScore(ability, difficulty);
+
+    return {
+        ability: round(ability + kFactor(abilityCount) * surprise),
+        difficulty: round(difficulty - kFactor(difficultyCount) * surprise)
+    };
+};
+
+/**
+ * Difficulty where a child is expected to score `TARGET_SUCCESS`.
+ *
+ * @function targetDifficulty
+ * @memberof module:AdaptiveService
+ * @param {number} ability - Ability of the child.
+ * @returns {number}
+ */
+const targetDifficulty = (ability) => round(ability - Math.log(TARGET_SUCCESS / (1 - TARGET_SUCCESS)));
+
+/**
+ * Maps a difficulty to the question level 1 - 3 used by quizzes and learning plans.
+ *
+ * @function levelOf
+ * @memberof module:AdaptiveService
+ * @param {number} difficulty - Difficulty (logit).
+ * @returns {number}
+ */
+const levelOf = (difficulty) => (difficulty < -0.5 ? 1 : difficulty > 0.5 ? 3 : 2);
+
+/**
+ * Starting difficulty of a new bank question from the level the teacher gave it.
+ *
+ * @function difficultyOfLevel
+ * @memberof module:AdaptiveService
+ * @param {number} [level] - Question level 1 - 3.
+ * @returns {number} -1, 0 or 1; 0 without a level.
+ */
+const difficultyOfLevel = (level) => ({ 1: -1, 2: 0, 3: 1 })[Number(level)] ?? 0;
+
+/**
+ * Loads the ability of a child for a method, creating it at rating 0 on the first answer.
+ *
+ * @private
+ * @async
+ * @function abilityFor
+ * @memberof module:AdaptiveService
+ * @param {string} childId - Child ID.
+ * @param {number} method - Exercise method.
+ * @returns {Promise<object>} Lean ability document.
+ */
+const abilityFor = async (childId, method) => {
+    try {
+        return await abilityModel.findOneAndUpdate({ childId, method }, { $setOnInsert: { rating: 0, answers: 0 } }, { upsert: true, new: true }).lean();
+    } catch (error) {
+        // Permintaan lain membuat dokumen yang sama pada saat bersamaan
+        if (error.code !== 11000) throw error;
+        return abilityModel.findOne({ childId, method }).lean();
+    }
+};
+
+/**
+ * Rates the settled attempts of a child that were not rated yet, oldest first: updates the ability of the child
+ * per method and the difficulty of the answered bank questions. Attempts with pending or provisional answers wait
+ * until they are scored for good; failed answers and questions missing from the bank are skipped.
+ * Each answer is claimed before it is rated (see SettledAttemptService) and every rating moves with an atomic `$inc`
+ * right away, so concurrent requests neither rate an answer twice nor overwrite each other's ratings.
+ *
+ * @async
+ * @function rateChildAnswers
+ * @memberof module:AdaptiveService
+ * @param {string} childId - Child ID.
+ * @returns {Promise<{attempts: number, answers: number}>} Number of rated attempts and answers.
+ */
+const rateChildAnswers = (childId) => settledAttemptService.processAttempts(childId, 'rated', async (answer, quiz, attempt) => {
+    const question = quiz.questions.find(q => q._id.toString() === answer.questionId?.toString());
+    const item = question ? await questionBankModel.findOne({ code: question.code }).select('rating ratingCount').lean() : null;
+    if (!item) return false;
+
+    const ability = await abilityFor(childId, Number(question.method));
+
+    const updated = updateRatings({
+        ability: ability.rating || 0,
+        abilityCount: ability.answers || 0,
+        difficulty: item.rating || 0,
+        difficultyCount: item.ratingCount || 0,
+        score: (parseFloat(answer.similarityPoint) || 0) / 100
+    });
+
+    await questionBankModel.updateOne({ _id: item._id }, { $inc: { rating: round(updated.difficulty - (item.rating || 0)), ratingCount: 1 } });
+    await abilityModel.updateOne({ _id: ability._id }, {
+        $inc: { rating: round(updated.ability - (ability.rating || 0)), answers: 1 },
+        $max: { lastRatedAt: new Date(answer.timeAnswered || attempt.submittedAt || Date.now()) }
+    });
+    return true;
+});
+
+/**
+ * Returns the abilities of a child per method.
+ *
+ * @async
+ * @function abilitiesOf
+ * @memberof module:AdaptiveService
+ * @param {string} childId - Child ID.
+ * @returns {Promise<Array<{method: number, rating: number, answers: number, level: number, targetDifficulty: number, lastRatedAt: Date}>>}
+ */
+const abilitiesOf = async (childId) => {
+    const abilities = await abilityModel.find({ childId }).sort({ method: 1 }).lean();
+
+    return abilities.map(a => ({
+        method: a.method,
+        rating: a.rating,
+        answers: a.answers,
+        level: levelOf(a.rating),
+        targetDifficulty: targetDifficulty(a.rating),
+        lastRatedAt: a.lastRatedAt
+    }));
+};
+
+/**
+ * Collects the codes of the questions a child answered since a date.
+ *
+ * @private
+ * @async
+ * @function recentCodes
+ * @memberof module:AdaptiveService
+ * @param {string} childId - Child ID.
+ * @param {Date} since - Start date.
+ * @returns {Promise<Set<string>>}
+ */
+const recentCodes = async (childId, since) => {
+    const exercises = await exerciseModel.find({ childrenId: childId, 'quiz.attempts.submittedAt': { $gte: since } })
+        .select('quiz.questions quiz.attempts.submittedAt quiz.attempts.answers.questionId')
+        .lean();
+
+    const codes = new Set();
+    for (const quiz of exercises.flatMap(e => e.quiz)) {
+        for (const attempt of (quiz.attempts || []).filter(a => a.submittedAt && new Date(a.submittedAt) >= since)) {
+            for (const answer of attempt.answers) {
+                const question = quiz.questions.find(q => q._id.toString() === answer.questionId?.toString());
+                if (question) codes.add(question.code);
+            }
+        }
+    }
+    return codes;
+};
+
+/**
+ * Picks question bank items for a child at the target difficulty of the child's ability per method: closest to
+ * the target first, within `DIFFICULTY_WINDOW`, ties by code so the same ratings always give the same questions.
+ * Questions answered in the last `REPEAT_DAYS` days are skipped.
+ *
+ * @async
+ * @function selectQuestions
+ * @memberof module:AdaptiveService
+ * @param {string} childId - Child ID.
+ * @param {object} options
+ * @param {number} options.method - Exercise method, 0 for every method.
+ * @param {number} options.quantity - Number of questions wanted.
+ * @returns {Promise<{questions: object[], gap: number, abilities: object[]}>} `questions` are bank documents with
+ * their `difficulty` and `expectedScore`, `gap` the number of questions the bank could not supply.
+ */
+const selectQuestions = async (childId, { method, quantity }) => {
+    const abilities = await abilityModel.find({ childId }).lean();
+    const abilityOf = (m) => abilities.find(a => a.method === Number(m))?.rating || 0;
+
+    const recent = await recentCodes(childId, new Date(Date.now() - REPEAT_DAYS * 24 * 60 * 60 * 1000));
+    const query = Number(method) ? { method: Number(method) } : { method: { $gte: 1, $lte: 6 } };
+    const items = await questionBankModel.find(query).lean();
+
+    const candidates = items
+        .filter(item => !recent.has(item.code))
+        .map(item => {
+            const ability = abilityOf(item.method);
+            const difficulty = item.rating || 0;
+            return { item, difficulty, distance: Math.abs(difficulty - targetDifficulty(ability)), expectedScore: round(expectedScore(ability, difficulty)) };
+        })
+        .filter(c => c.distance <= DIFFICULTY_WINDOW)
+        .sort((a, b) => a.distance - b.distance || a.item.code.localeCompare(b.item.code))
+        .slice(0, Math.max(0, quantity));
+
+    const methods = Number(method) ? [Number(method)] : [...new Set(candidates.map(c => c.item.method))];
+
+    return {
+        questions: candidates.map(c => ({ ...c.item, difficulty: c.difficulty, expectedScore: c.expectedScore })),
+        gap: Math.max(0, quantity - candidates.length),
+        abilities: methods.map(m => ({ method: m, rating: abilityOf(m), level: levelOf(abilityOf(m)), targetDifficulty: targetDifficulty(abilityOf(m)) }))
+    };
+};
+
+module.exports = {
+    TARGET_SUCCESS,
+    DIFFICULTY_WINDOW,
+    REPEAT_DAYS,
+    expectedScore,
+    kFactor,
+    updateRatings,
+    targetDifficulty,
+    levelOf,
+    difficultyOfLevel,
+    rateChildAnswers,
+    abilitiesOf,
+    selectQuestions
+};
@@ -55,6 +55,21 @@ async function processAudioToText(base64Content, keyAnswer) {
     }
 }
 
+/**
+ * Mengecek apakah server AI bisa dihubungi, dipakai sebelum menilai ulang jawaban yang nilainya sementara.
+ * Respons apa pun di bawah 500 berarti server hidup.
+ */
+async function isAvailable() {
+    if (!AI_API_URL) return false;
+
+    try {
+        const response = await axios.get(AI_API_URL, { timeout: 5000, validateStatus: () => true });
+        return response.status < 500;
+    } catch (error) {
+        return false;
+    }
+}
+
 async function processLLM(model, prompt) {
     try {
         // Panggil API LLM
@@ -105,6 +120,7 @@ async function generateLLM({
 module.exports = {
     processImageToText,
     processAudioToText,
+    isAvailable,
     processLLM,
     generateLLM
 };
\ No newline at end of file
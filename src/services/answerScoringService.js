@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const exerciseModel = require('../models/exerciseModel');
+const jobModel = require('../models/jobModel');
+const jobQueueService = require('./jobQueueService');
+const scoringService = require('./scoringService');
+const attemptService = require('./attemptService');
+const storageService = require('./storageService');
+const reviewService = require('./reviewService');
+const adaptiveService = require('./adaptiveService');
+const spacedRepetitionService = require('./spacedRepetitionService');
+
+/**
+ * @file Service scoring recorded quiz answers in the background through the job queue.
+ * @description `exerciseController.answer` stores recorded answers (image / audio) as `pending` and queues one
+ * `scoreAnswer` job per answer. The job transcribes and scores the answer; when the last answer of the attempt
+ * is done the attempt gets its `quizPoint`. When the AI service is still down on the last retry the answer gets a
+ * `provisional` score from the client transcript; `queueProvisional` queues those answers again once the service
+ * is back, and the attempt is settled again with the final score. An answer that fails for another reason is
+ * marked `failed` and counts as 0.
+ * @module AnswerScoringService
+ */
+
+/**
+ * @constant {string} JOB_TYPE - Job type of answer scoring jobs.
+ * @memberof module:AnswerScoringService
+ */
+const JOB_TYPE = 'scoreAnswer';
+
+/**
+ * Checks whether an answer is a recording that has to be transcribed by the AI service.
+ *
+ * @function isRecording
+ * @memberof module:AnswerScoringService
+ * @param {object} input - Submitted answer with `fileType`.
+ * @returns {boolean}
+ */
+const isRecording = (input) => /^(image|audio)\//.test(input.fileType || '');
+
+/**
+ * Path filters addressing one answer of one attempt for positional updates.
+ *
+ * @private
+ * @function answerFilters
+ * @memberof module:AnswerScoringService
+ * @param {object} payload - `{ quizId, attemptId, answerId }`.
+ * @param {object} [answerConditions] - Further conditions on the answer, e.g. `{ 'ans.scoringStatus': 'pending' }`.
+ * @returns {object[]} Mongo `arrayFilters`.
+ */
+const answerFilters = ({ quizId, attemptId, answerId }, answerConditions = {}) => [
+    { 'q._id': new mongoose.Types.ObjectId(quizId) },
+    { 'a._id': new mongoose.Types.ObjectId(attemptId) },
+    { 'ans._id': new mongoose.Types.ObjectId(answerId), ...answerConditions }
+];
+
+/**
+ * Conditions on an answer that was not reviewed by a teacher and still has the given scoring status.
+ * The score of the AI service is only written if both still hold when it arrives, so a teacher override made
+ * while the answer was being scored is never replaced.
+ *
+ * @private
+ * @function unreviewed
+ * @memberof module:AnswerScoringService
+ * @param {string|object} scoringStatus - Expected status, or a query on it.
+ * @returns {object} Conditions for `answerFilters`.
+ */
+const unreviewed = (scoringStatus) => ({ 'ans.reviews.0': { $exists: false }, 'ans.scoringStatus': scoringStatus });
+
+const ANSWER_PATH = 'quiz.$[q].attempts.$[a].answers.$[ans]';
+
+/**
+ * Queues a scoring job for every pending answer of an attempt.
+ *
+ * @async
+ * @function queueAttempt
+ * @memberof module:AnswerScoringService
+ * @param {object} exercise - Exercise document (saved).
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object} attempt - Attempt sub-document.
+ * @returns {Promise<object[]>} The queued jobs.
+ */
+const queueAttempt = async (exercise, quiz, attempt) => {
+    const jobs = [];
+
+    for (const answer of attempt.answers.filter(a => a.scoringStatus === 'pending')) {
+        jobs.push(await jobQueueService.enqueue(JOB_TYPE, {
+            exerciseId: exercise._id.toString(),
+            quizId: quiz._id.toString(),
+            attemptId: attempt._id.toString(),
+            answerId: answer._id.toString()
+        }, { childId: exercise.childrenId }));
+    }
+
+    return jobs;
+};
+
+/**
+ * Queues a scoring job for every provisional answer that has none queued yet. Called when the AI service is back.
+ *
+ * @async
+ * @function queueProvisional
+ * @memberof module:AnswerScoringService
+ * @returns {Promise<number>} Number of queued jobs.
+ */
+const queueProvisional = async () => {
+    const exercises = await exerciseModel.find({ 'quiz.attempts.answers.scoringStatus': 'provisional' })
+        .select('childrenId quiz._id quiz.attempts._id quiz.attempts.answers._id quiz.attempts.answers.scoringStatus')
+        .lean();
+
+    let queued = 0;
+    for (const exercise of exercises) {
+        for (const quiz of exercise.quiz) {
+            for (const attempt of quiz.attempts || []) {
+                for (const answer of attempt.answers.filter(a => a.scoringStatus === 'provisional')) {
+                    const payload = {
+                        exerciseId: exercise._id.toString(),
+                        quizId: quiz._id.toString(),
+                        attemptId: attempt._id.toString(),
+                        answerId: answer._id.toString()
+                    };
+
+                    const waiting = await jobModel.exists({ type: JOB_TYPE, 'payload.answerId': payload.answerId, status: { $in: ['queued', 'running'] } });
+                    if (waiting) continue;
+
+                    await jobQueueService.enqueue(JOB_TYPE, payload, { childId: exercise.childrenId });
+                    queued++;
+                }
+            }
+        }
+    }
+
+    return queued;
+};
+
+/**
+ * Hands the settled attempts of a child to the adaptive ratings and the spaced repetition schedule. Called whenever an
+ * attempt is settled; a failure is only logged, the answers that were not applied are picked up the next time.
+ *
+ * @async
+ * @function applySettled
+ * @memberof module:AnswerScoringService
+ * @param {string} childId - Child ID.
+ * @returns {Promise<void>}
+ */
+const applySettled = async (childId) => {
+    try {
+        await adaptiveService.rateChildAnswers(childId);
+        await spacedRepetitionService.scheduleChildAnswers(childId);
+    } catch (error) {
+        console.error(`Settled attempts of child ${childId} could not be applied:`, error.message);
+    }
+};
+
+/**
+ * Settles an attempt once no answer is pending: computes its `quizPoint` and applies the scoring policy.
+ * Runs again after a provisional answer got its final score. Retried when another job saved the exercise in between.
+ * A settled attempt updates the ratings and the review schedule of the child (see `applySettled`).
+ *
+ * @private
+ * @async
+ * @function settle
+ * @memberof module:AnswerScoringService
+ * @param {object} payload - `{ exerciseId, quizId, attemptId }`.
+ * @returns {Promise<boolean>} True if the attempt is settled, false if it no longer exists or still has pending answers.
+ * @throws {Error} If the exercise was saved by others on every try, so the job queue runs the job again.
+ */
+const settle = async ({ exerciseId, quizId, attemptId }) => {
+    for (let tries = 0; tries < 3; tries++) {
+        const exercise = await exerciseModel.findById(exerciseId);
+        const quiz = exercise?.quiz.id(quizId);
+        const attempt = quiz?.attempts.id(attemptId);
+        if (!attempt) return false;
+
+        if (!attemptService.settleAttempt(quiz, attempt)) return false;
+
+        try {
+            await exercise.save({ validateBeforeSave: false });
+            await applySettled(exercise.childrenId);
+            return true;
+        } catch (error) {
+            if (error.name !== 'VersionError') throw error;
+        }
+    }
+
+    // Dilempar supaya antrean menjalankan ulang job ini; jawaban yang sudah dinilai tidak dinilai ulang
+    throw new Error('Attempt could not be settled, the exercise kept changing');
+};
+
+/**
+ * Job handler: transcribes and scores one pending or provisional answer, then settles its attempt.
+ * Throwing lets the job queue retry the answer. On the last run of a pending answer, and for provisional answers,
+ * an unavailable AI service gives a provisional score instead.
+ *
+ * @async
+ * @function scoreQueuedAnswer
+ * @memberof module:AnswerScoringService
+ * @param {object} payload - `{ exerciseId, quizId, attemptId, answerId }`.
+ * @param {object} [job] - Job document, tells whether this is the last run.
+ * @returns {Promise<{score: number, provisional: boolean, settled: boolean}|null>} Null if the answer no longer exists.
+ */
+const scoreQueuedAnswer = async (payload, job) => {
+    const exercise = await exerciseModel.findById(payload.exerciseId).lean();
+    const quiz = exercise?.quiz.find(q => q._id.toString() === payload.quizId);
+    const attempt = quiz?.attempts.find(a => a._id.toString() === payload.attemptId);
+    const answer = attempt?.answers.find(a => a._id.toString() === payload.answerId);
+    if (!answer) return null;
+
+    const provisional = answer.scoringStatus === 'provisional';
+    // Nilai yang sudah diperiksa guru tidak ditimpa
+    if ((answer.scoringStatus === 'pending' || provisional) && !(answer.reviews?.length > 0)) {
+        const question = quiz.questions.find(q => q._id.toString() === answer.questionId?.toString());
+        if (!question) throw new Error('Question of the answer no longer exists');
+
+        // Jawaban lama masih menyimpan Base64 di dokumen
+        const file = answer.answer.mediaId ? await storageService.readDataUrl(answer.answer.mediaId) : answer.answer.file;
+        if (!file) throw new Error('Answer file no longer exists');
+
+        const lastRun = !job || job.attempts >= job.maxAttempts;
+        const scored = await scoringService.scoreAnswer(
+            question,
+            { answer: file, fileType: answer.fileType, transcript: answer.answer.text, duration: answer.duration },
+            { fallback: provisional || lastRun }
+        );
+
+        // Server AI masih mati: nilai sementara tetap, tunggu dijadwalkan ulang
+        if (provisional && scored.provisional) {
+            return { score: parseFloat(answer.similarityPoint) || 0, provisional: true, settled: false };
+        }
+
+        const updated = await exerciseModel.updateOne({ _id: exercise._id }, scored.provisional ? {
+            $set: {
+                [`${ANSWER_PATH}.similarityPoint`]: scored.score,
+                [`${ANSWER_PATH}.scoringStatus`]: 'provisional',
+                [`${ANSWER_PATH}.scoringError`]: scored.error,
+                [`${ANSWER_PATH}.errorAnalysis`]: scored.errorAnalysis,
+                [`${ANSWER_PATH}.fluency`]: scored.fluency,
+                [`${ANSWER_PATH}.confidence`]: scored.confidence,
+                [`${ANSWER_PATH}.needsReview`]: true
+            }
+        } : {
+            $set: {
+                [`${ANSWER_PATH}.answer.text`]: scored.text,
+                [`${ANSWER_PATH}.similarityPoint`]: scored.score,
+                [`${ANSWER_PATH}.scoringStatus`]: 'scored',
+                [`${ANSWER_PATH}.errorAnalysis`]: scored.errorAnalysis,
+                [`${ANSWER_PATH}.fluency`]: scored.fluency,
+                [`${ANSWER_PATH}.confidence`]: scored.confidence,
+                [`${ANSWER_PATH}.needsReview`]: reviewService.needsReview({ scoringStatus: 'scored', confidence: scored.confidence })
+            },
+            $unset: { [`${ANSWER_PATH}.scoringError`]: '' }
+        }, { arrayFilters: answerFilters(payload, unreviewed(answer.scoringStatus)) });
+
+        // Guru memeriksa jawaban selama penilaian berjalan: nilai guru yang berlaku
+        if (updated.modifiedCount === 0) {
+            return { score: parseFloat(answer.similarityPoint) || 0, provisional, settled: false };
+        }
+
+        answer.similarityPoint = scored.score;
+        answer.scoringStatus = scored.provisional ? 'provisional' : 'scored';
+    }
+
+    return {
+        score: parseFloat(answer.similarityPoint) || 0,
+        provisional: answer.scoringStatus === 'provisional',
+        settled: await settle(payload)
+    };
+};
+
+/**
+ * Job failure handler: marks the answer as failed (scored 0) and settles its attempt,
+ * unless a teacher reviewed the answer in the meantime.
+ *
+ * @async
+ * @function markFailed
+ * @memberof module:AnswerScoringService
+ * @param {object} payload - `{ exerciseId, quizId, attemptId, answerId }`.
+ * @param {Error} error - Error of the last run.
+ * @returns {Promise<void>}
+ */
+const markFailed = async (payload, error) => {
+    const updated = await exerciseModel.updateOne({ _id: payload.exerciseId }, {
+        $set: {
+            [`${ANSWER_PATH}.similarityPoint`]: 0,
+            [`${ANSWER_PATH}.scoringStatus`]: 'failed',
+            [`${ANSWER_PATH}.scoringError`]: error.message,
+            [`${ANSWER_PATH}.needsReview`]: true
+        }
+    }, { arrayFilters: answerFilters(payload, unreviewed({ $in: ['pending', 'provisional'] })) });
+
+    // Sudah diperiksa guru atau sudah dinilai: tidak ditandai gagal
+    if (updated.modifiedCount === 0) return;
+
+    await settle(payload);
+};
+
+jobQueueService.register(JOB_TYPE, scoreQueuedAnswer, { onFailed: markFailed });
+
+module.exports = {
+    JOB_TYPE,
+    isRecording,
+    queueAttempt,
+    applySettled,
+    queueProvisional,
+    scoreQueuedAnswer,
+    markFailed
+};
@@ -0,0 +1,359 @@
+const rubricService = require('./rubricService');
+const rapidNamingService = require('./rapidNamingService');
+const rapidNaming = require('../config/rapidNaming');
+
+/**
+ * @file Service for quiz attempts and the scoring policy deciding which attempt counts toward `quizPoint`.
+ * @description Every submission of a quiz is stored as an attempt. `quiz.answers` and `quiz.quizPoint` always
+ * reflect the policy, so screens that only read those fields keep working.
+ * * `best`: the attempt with the highest score counts.
+ * * `latest`: the most recent attempt counts.
+ * * `average`: `quizPoint` is the average over all attempts, `answers` are those of the latest attempt.
+ * An attempt with answers still waiting to be scored (`scoringStatus: 'pending'`) has no `quizPoint` yet
+ * and is left out until it is settled. A quiz with a rubric scores its attempts with the rubric (see RubricService).
+ * Rapid naming quizzes are also scored on naming speed against the age norms (see RapidNamingService).
+ * @module AttemptService
+ */
+
+/**
+ * @constant {string[]} SCORING_POLICIES - Available scoring policies.
+ * @memberof module:AttemptService
+ */
+const SCORING_POLICIES = ['best', 'latest', 'average'];
+
+/**
+ * @constant {string} DEFAULT_SCORING_POLICY - Policy of quizzes without their own, from `QUIZ_SCORING_POLICY` (default `latest`).
+ * @memberof module:AttemptService
+ */
+const DEFAULT_SCORING_POLICY = SCORING_POLICIES.includes(process.env.QUIZ_SCORING_POLICY)
+    ? process.env.QUIZ_SCORING_POLICY
+    : 'latest';
+
+/**
+ * Returns the scoring policy of a quiz.
+ *
+ * @function policyOf
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {string}
+ */
+const policyOf = (quiz) => quiz.scoringPolicy || DEFAULT_SCORING_POLICY;
+
+/**
+ * Scores one attempt: the average `similarityPoint` over all questions of the quiz, unanswered questions count as 0.
+ * With a rubric the average is the accuracy criterion, combined with speed and attitude. Without a rubric a rapid
+ * naming quiz combines the average with the speed percentile, weighted with `RAPID_NAMING_SPEED_WEIGHT`.
+ *
+ * @private
+ * @function scoreOf
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object[]} answers - Answers of the attempt.
+ * @param {number} [ageMonths] - Age of the child at the attempt, for the rapid naming percentile.
+ * @returns {{point: number, criteria: object|undefined, rapidNaming: object|null}} `criteria` only with a rubric,
+ * `rapidNaming` only with timed rapid naming answers.
+ */
+const scoreOf = (quiz, answers, ageMonths) => {
+    const total = answers.reduce((sum, a) => sum + (parseFloat(a.similarityPoint) || 0), 0);
+    const count = quiz.questions.length || answers.length;
+    const accuracy = count > 0 ? parseInt(total / count) : 0;
+    const naming = rapidNamingService.measure(quiz, answers, ageMonths);
+
+    // Path bertingkat di Mongoose selalu berisi objek, rubrik dipakai jika ada rubricId
+    if (quiz.rubric?.rubricId) {
+        const { point, criteria } = rubricService.scoreAttempt(quiz.rubric, {
+            accuracy,
+            answers,
+            attitude: quiz.attitudePoint?.point,
+            rapidNamingPercentile: naming?.percentile
+        });
+        return { point, criteria, rapidNaming: naming };
+    }
+
+    if (naming?.percentile != null && rapidNamingService.isRapidNamingQuiz(quiz)) {
+        const point = parseInt(accuracy * (1 - rapidNaming.SPEED_WEIGHT) + naming.percentile * rapidNaming.SPEED_WEIGHT);
+        return { point, criteria: undefined, rapidNaming: naming };
+    }
+
+    return { point: accuracy, criteria: undefined, rapidNaming: naming };
+};
+
+/**
+ * Stores the score of a settled attempt.
+ *
+ * @private
+ * @function applyScore
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object} attempt - Attempt sub-document of the quiz.
+ */
+const applyScore = (quiz, attempt) => {
+    const { point, criteria, rapidNaming: naming } = scoreOf(quiz, attempt.answers, attempt.ageMonths);
+    attempt.quizPoint = point;
+    attempt.criteria = criteria;
+    attempt.rapidNaming = naming || undefined;
+};
+
+/**
+ * Computes the score of one attempt, see `scoreOf`.
+ *
+ * @function attemptPoint
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object[]} answers - Answers of the attempt.
+ * @returns {number}
+ */
+const attemptPoint = (quiz, answers) => scoreOf(quiz, answers).point;
+
+const firstDate = (answers, field) => {
+    const dates = answers.map(a => a[field]).filter(Boolean).map(d => new Date(d).getTime());
+    return dates.length ? new Date(Math.min(...dates)) : undefined;
+};
+
+const lastDate = (answers, field) => {
+    const dates = answers.map(a => a[field]).filter(Boolean).map(d => new Date(d).getTime());
+    return dates.length ? new Date(Math.max(...dates)) : undefined;
+};
+
+/**
+ * Checks whether an attempt still has answers waiting to be scored.
+ *
+ * @function isPending
+ * @memberof module:AttemptService
+ * @param {object} attempt - Attempt sub-document.
+ * @returns {boolean}
+ */
+const isPending = (attempt) => attempt.answers.some(a => a.scoringStatus === 'pending');
+
+/**
+ * Turns answers saved before attempts existed into attempt 1, so they are not lost on the next submission.
+ *
+ * @private
+ * @function adoptLegacyAnswers
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ */
+const adoptLegacyAnswers = (quiz) => {
+    if (quiz.attempts.length > 0 || quiz.answers.length === 0) return;
+
+    const answers = quiz.answers.map(a => a.toObject());
+    quiz.attempts.push({
+        number: 1,
+        answers,
+        quizPoint: parseInt(quiz.quizPoint) || attemptPoint(quiz, answers),
+        startedAt: firstDate(answers, 'timeOpened'),
+        submittedAt: lastDate(answers, 'timeAnswered') || quiz.date
+    });
+};
+
+/**
+ * Returns the attempt whose answers are shown as `quiz.answers` under the quiz's policy. Pending attempts are skipped.
+ *
+ * @function countedAttempt
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {object|null} Attempt, or null if the quiz has no settled attempts.
+ */
+const countedAttempt = (quiz) => {
+    const settled = quiz.attempts.filter(a => a.quizPoint !== undefined && a.quizPoint !== null);
+    if (settled.length === 0) return null;
+
+    if (policyOf(quiz) === 'best') {
+        // Nilai sama: percobaan terbaru yang dipakai
+        return settled.reduce((best, a) => (a.quizPoint >= best.quizPoint ? a : best));
+    }
+    return settled[settled.length - 1];
+};
+
+/**
+ * Sets `quiz.answers` and `quiz.quizPoint` from the attempts according to the policy.
+ *
+ * @function applyPolicy
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {object} The quiz.
+ */
+const applyPolicy = (quiz) => {
+    adoptLegacyAnswers(quiz);
+
+    const attempt = countedAttempt(quiz);
+    if (!attempt) return quiz;
+
+    const settled = quiz.attempts.filter(a => a.quizPoint !== undefined && a.quizPoint !== null);
+
+    quiz.answers = attempt.answers.map(a => a.toObject());
+    quiz.quizPoint = policyOf(quiz) === 'average'
+        ? parseInt(settled.reduce((sum, a) => sum + a.quizPoint, 0) / settled.length)
+        : attempt.quizPoint;
+
+    return quiz;
+};
+
+/**
+ * Stores answers as a new attempt and applies the policy.
+ * Answers with `scoringStatus: 'pending'` are scored later, see `settleAttempt`.
+ *
+ * @function recordAttempt
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object[]} answers - Answers `{ questionId, answer, similarityPoint, scoringStatus, fileType, duration, timeOpened, timeAnswered }`.
+ * @param {object} [options]
+ * @param {number} [options.ageMonths] - Age of the child in months, see `RapidNamingService.childAgeMonths`.
+ * @returns {object} The new attempt.
+ */
+const recordAttempt = (quiz, answers, { ageMonths } = {}) => {
+    adoptLegacyAnswers(quiz);
+
+    const number = quiz.attempts.length > 0 ? quiz.attempts[quiz.attempts.length - 1].number + 1 : 1;
+    quiz.attempts.push({
+        number,
+        answers,
+        ageMonths,
+        startedAt: firstDate(answers, 'timeOpened'),
+        submittedAt: new Date()
+    });
+
+    const attempt = quiz.attempts[quiz.attempts.length - 1];
+    settleAttempt(quiz, attempt);
+
+    return attempt;
+};
+
+/**
+ * Computes the score of an attempt once none of its answers is pending and applies the policy.
+ * Failed answers count as 0.
+ *
+ * @function settleAttempt
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object} attempt - Attempt sub-document of the quiz.
+ * @returns {boolean} True if the attempt is settled.
+ */
+const settleAttempt = (quiz, attempt) => {
+    if (isPending(attempt)) return false;
+
+    applyScore(quiz, attempt);
+    applyPolicy(quiz);
+
+    return true;
+};
+
+/**
+ * Scores every settled attempt again, after the rubric or the attitude point of the quiz changed, and applies the policy.
+ *
+ * @function rescoreAttempts
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {object} The quiz.
+ */
+const rescoreAttempts = (quiz) => {
+    adoptLegacyAnswers(quiz);
+
+    for (const attempt of quiz.attempts) {
+        if (!isPending(attempt)) applyScore(quiz, attempt);
+    }
+
+    return applyPolicy(quiz);
+};
+
+/**
+ * Summarizes the attempts of a quiz without the answer files.
+ *
+ * @function summarizeAttempts
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {{policy: string, rubric: object|null, quizPoint: string, counted: number|null, attempts: object[]}}
+ */
+const summarizeAttempts = (quiz) => {
+    adoptLegacyAnswers(quiz);
+    const counted = countedAttempt(quiz);
+
+    return {
+        policy: policyOf(quiz),
+        rubric: quiz.rubric?.rubricId ? quiz.rubric : null,
+        quizPoint: quiz.quizPoint,
+        counted: counted ? counted.number : null,
+        attempts: quiz.attempts.map(a => ({
+            _id: a._id,
+            number: a.number,
+            quizPoint: a.quizPoint,
+            criteria: a.criteria,
+            rapidNaming: a.rapidNaming?.items ? a.rapidNaming : null,
+            scoringStatus: isPending(a) ? 'pending' : 'scored',
+            answered: a.answers.length,
+            startedAt: a.startedAt,
+            submittedAt: a.submittedAt
+        }))
+    };
+};
+
+/**
+ * Finds an attempt of a quiz by its number.
+ *
+ * @function findAttempt
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {number} number - Attempt number.
+ * @returns {object|undefined}
+ */
+const findAttempt = (quiz, number) => {
+    adoptLegacyAnswers(quiz);
+    return quiz.attempts.find(a => a.number === number);
+};
+
+/**
+ * Compares two attempts of a quiz question by question.
+ *
+ * @function compareAttempts
+ * @memberof module:AttemptService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {number} fromNumber - Number of the earlier attempt.
+ * @param {number} toNumber - Number of the later attempt.
+ * @returns {object|null} Comparison, or null if one of the attempts does not exist.
+ * `questions` holds per question the text and score of both attempts and the `change` in score.
+ */
+const compareAttempts = (quiz, fromNumber, toNumber) => {
+    const from = findAttempt(quiz, fromNumber);
+    const to = findAttempt(quiz, toNumber);
+    if (!from || !to) return null;
+
+    const answerOf = (attempt, question) => attempt.answers.find(a => a.questionId?.toString() === question._id.toString());
+    const scoreOf = (answer) => (answer ? parseFloat(answer.similarityPoint) || 0 : null);
+
+    const questions = quiz.questions.map(question => {
+        const before = answerOf(from, question);
+        const after = answerOf(to, question);
+
+        return {
+            questionId: question._id,
+            method: question.method,
+            key: question.key,
+            from: before ? { text: before.answer.text, score: scoreOf(before), scoringStatus: before.scoringStatus, duration: before.duration } : null,
+            to: after ? { text: after.answer.text, score: scoreOf(after), scoringStatus: after.scoringStatus, duration: after.duration } : null,
+            change: before && after ? scoreOf(after) - scoreOf(before) : null
+        };
+    });
+
+    return {
+        from: { number: from.number, quizPoint: from.quizPoint, submittedAt: from.submittedAt },
+        to: { number: to.number, quizPoint: to.quizPoint, submittedAt: to.submittedAt },
+        change: (to.quizPoint || 0) - (from.quizPoint || 0),
+        questions
+    };
+};
+
+module.exports = {
+    SCORING_POLICIES,
+    DEFAULT_SCORING_POLICY,
+    policyOf,
+    attemptPoint,
+    isPending,
+    countedAttempt,
+    applyPolicy,
+    recordAttempt,
+    settleAttempt,
+    rescoreAttempts,
+    summarizeAttempts,
+    findAttempt,
+    compareAttempts
+};
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const userModel = require('../models/userModel');
+const exerciseModel = require('../models/exerciseModel');
+const materialModel = require('../models/materialModel');
+const questionBankModel = require('../models/questionBankModel');
+const invitationModel = require('../models/invitationModel');
+const refreshTokenModel = require('../models/refreshTokenModel');
+const userTokenModel = require('../models/userTokenModel');
+const screeningSessionModel = require('../models/screeningSessionModel');
+const learningPlanModel = require('../models/learningPlanModel');
+const quizSessionModel = require('../models/quizSessionModel');
+const jobModel = require('../models/jobModel');
+const abilityModel = require('../models/abilityModel');
+const spacedRepetitionModel = require('../models/spacedRepetitionModel');
+const storageService = require('./storageService');
+const { ROLES } = require('../policies/roles');
+
+/**
+ * @file Service for soft-deleted children: restore, permanent purge and the scheduled purge.
+ * @description `childsController.destroy` soft-deletes a child (mongoose-delete). The child stays in the trash
+ * for `CHILD_RETENTION_DAYS` and can be restored until it is purged, either by hand or by the scheduled job.
+ * @module ChildTrashService
+ */
+
+/**
+ * @constant {number} CHILD_RETENTION_DAYS - Days a deleted child is kept before the scheduled purge, from `CHILD_RETENTION_DAYS` (default 30).
+ */
+const CHILD_RETENTION_DAYS = parseInt(process.env.CHILD_RETENTION_DAYS) || 30;
+
+/**
+ * @constant {number} CHILD_PURGE_INTERVAL_HOURS - Hours between scheduled purges, from `CHILD_PURGE_INTERVAL_HOURS` (default 24).
+ */
+const CHILD_PURGE_INTERVAL_HOURS = parseInt(process.env.CHILD_PURGE_INTERVAL_HOURS) || 24;
+
+/**
+ * @constant {Array<{model: object, field: string}>} CHILD_RECORDS
+ * @memberof module:ChildTrashService
+ * @description Collections holding records of a child, removed together with the child on purge.
+ * Exercises and materials are handled separately because of their files.
+ */
+const CHILD_RECORDS = [
+    { model: invitationModel, field: 'childId' },
+    { model: refreshTokenModel, field: 'userId' },
+    { model: userTokenModel, field: 'userId' },
+    { model: screeningSessionModel, field: 'childId' },
+    { model: learningPlanModel, field: 'childId' },
+    { model: quizSessionModel, field: 'childId' },
+    { model: jobModel, field: 'childId' },
+    { model: abilityModel, field: 'childId' },
+    { model: spacedRepetitionModel, field: 'childId' },
+];
+
+const STORAGE_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Computes when a deleted child will be purged by the scheduled job.
+ *
+ * @function purgeDate
+ * @memberof module:ChildTrashService
+ * @param {object} child - Soft-deleted child document.
+ * @returns {Date|null} Purge date, or null if the child has no deletion date.
+ */
+const purgeDate = (child) => child.deletedAt
+    ? new Date(child.deletedAt.getTime() + CHILD_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    : null;
+
+/**
+ * Restores a soft-deleted child and links it again to its teacher, co-teachers and parents.
+ *
+ * @async
+ * @function restoreChild
+ * @memberof module:ChildTrashService
+ * @param {object} child - Soft-deleted child document.
+ * @returns {Promise<object>} The restored child.
+ */
+const restoreChild = async (child) => {
+    await userModel.restore({ _id: child._id });
+
+    const linkedIds = [
+        child.teacherId,
+        ...(child.coTeachers || []).map(co => co.teacherId),
+        ...(child.parentIds || [])
+    ].filter(Boolean);
+
+    await userModel.updateMany({ _id: { $in: linkedIds } }, { $addToSet: { childIds: child._id } });
+
+    return userModel.findById(child._id);
+};
+
+/**
+ * Collects the storage paths referenced by exercises and materials.
+ * Inline (Base64) answers are stored in the document and have no file.
+ *
+ * @private
+ * @function collectFiles
+ * @memberof module:ChildTrashService
+ * @param {object[]} exercises - Exercise documents.
+ * @param {object[]} materials - Material documents.
+ * @returns {string[]} Unique relative paths under `storage/`.
+ */
+const collectFiles = (exercises, materials) => {
+    const files = new Set();
+    const add = (value) => {
+        if (typeof value === 'string' && value.startsWith('storage/')) files.add(value);
+    };
+
+    for (const exercise of exercises) {
+        for (const quiz of exercise.quiz || []) {
+            (quiz.questions || []).forEach(q => add(q.question?.value));
+            (quiz.answers || []).forEach(a => add(a.answer?.file));
+            (quiz.attempts || []).forEach(attempt => attempt.answers.forEach(a => add(a.answer?.file)));
+        }
+    }
+    materials.forEach(m => (m.images || []).forEach(add));
+
+    return [...files];
+};
+
+/**
+ * Removes a file unless another exercise, material or question still uses it.
+ * Question images are shared between exercises and the question bank.
+ *
+ * @private
+ * @async
+ * @function removeUnusedFile
+ * @memberof module:ChildTrashService
+ * @param {string} file - Relative path under `storage/`.
+ * @returns {Promise<boolean>} True if the file was removed.
+ */
+const removeUnusedFile = async (file) => {
+    const used = await exerciseModel.exists({ $or: [{ 'quiz.questions.question.value': file }, { 'quiz.answers.answer.file': file }, { 'quiz.attempts.answers.answer.file': file }] })
+        || await materialModel.exists({ images: file })
+        || await questionBankModel.exists({ 'question.value': file });
+    if (used) return false;
+
+    const absolute = path.resolve(STORAGE_ROOT, file);
+    if (!absolute.startsWith(path.join(STORAGE_ROOT, 'storage') + path.sep)) return false;
+
+    try {
+        await fs.promises.unlink(absolute);
+        return true;
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Failed to remove ${file}:`, error.message);
+        return false;
+    }
+};
+
+/**
+ * Permanently deletes a child with its exercises, materials, uploaded files and other records.
+ *
+ * @async
+ * @function purgeChild
+ * @memberof module:ChildTrashService
+ * @param {object} child - Child document (normally soft-deleted).
+ * @returns {Promise<{exercises: number, materials: number, files: number}>} Number of removed exercises, materials and files.
+ */
+const purgeChild = async (child) => {
+    const exercises = await exerciseModel.find({ childrenId: child._id }).lean();
+    const materials = await materialModel.find({ childrenId: child._id }).lean();
+    const files = collectFiles(exercises, materials);
+
+    await exerciseModel.deleteMany({ childrenId: child._id });
+    await materialModel.deleteMany({ childrenId: child._id });
+
+    for (const { model, field } of CHILD_RECORDS) {
+        await model.deleteMany({ [field]: child._id });
+    }
+
+    // Rekaman dan foto jawaban di storage
+    await storageService.removeMedia({ childId: child._id });
+
+    await userModel.updateManyWithDeleted({ childIds: child._id }, { $pull: { childIds: child._id } });
+    await userModel.deleteOne({ _id: child._id });
+
+    let removedFiles = 0;
+    for (const file of files) {
+        if (await removeUnusedFile(file)) removedFiles++;
+    }
+
+    return { exercises: exercises.length, materials: materials.length, files: removedFiles };
+};
+
+/**
+ * Purges every child that has been in the trash longer than the retention period.
+ *
+ * @async
+ * @function purgeExpired
+ * @memberof module:ChildTrashService
+ * @returns {Promise<number>} Number of purged children.
+ */
+const purgeExpired = async () => {
+    const cutoff = new Date(Date.now() - CHILD_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const children = await userModel.findDeleted({ role: ROLES.CHILD, deletedAt: { $lte: cutoff } });
+
+    for (const child of children) {
+        await purgeChild(child);
+    }
+
+    return children.length;
+};
+
+/**
+ * Starts the scheduled purge of expired children: once right away, then every `CHILD_PURGE_INTERVAL_HOURS`.
+ * The first run at startup makes sure servers restarted more often than the interval (e.g. on every deploy)
+ * still purge. The timer does not keep the process alive.
+ *
+ * @function startPurgeSchedule
+ * @memberof module:ChildTrashService
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+const startPurgeSchedule = () => {
+    const run = async () => {
+        try {
+            const total = await purgeExpired();
+            if (total > 0) console.log(`Purged ${total} deleted children`);
+        } catch (error) {
+            console.error('Scheduled purge of deleted children failed:', error.message);
+        }
+    };
+
+    // Langsung jalan sekali, server yang sering restart tidak pernah menunggu interval penuh
+    run();
+
+    const timer = setInterval(run, CHILD_PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    CHILD_RETENTION_DAYS,
+    CHILD_RECORDS,
+    purgeDate,
+    restoreChild,
+    purgeChild,
+    purgeExpired,
+    startPurgeSchedule
+};
@@ -0,0 +1,130 @@
+const userModel = require('../models/userModel');
+const exerciseModel = require('../models/exerciseModel');
+const materialModel = require('../models/materialModel');
+const classModel = require('../models/classModel');
+const { CO_TEACHER_PERMISSIONS } = require('../policies/childPolicy');
+
+/**
+ * @file Service for sharing a child with co-teachers and transferring a child to another teacher.
+ * @description A child has one responsible teacher (`teacherId`) and any number of co-teachers (`coTeachers`)
+ * with their own permissions. Both keep the child in their `childIds` so it shows up in their lists.
+ * @module CoTeachingService
+ */
+
+/**
+ * Keeps only known co-teacher permissions, without duplicates.
+ *
+ * @function normalizePermissions
+ * @memberof module:CoTeachingService
+ * @param {string[]} permissions - Requested permissions.
+ * @returns {string[]|null} The permissions, or null if the input is not an array or contains unknown permissions.
+ */
+const normalizePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) return null;
+    if (!permissions.every(p => CO_TEACHER_PERMISSIONS.includes(p))) return null;
+
+    return [...new Set(permissions)];
+};
+
+/**
+ * Adds a co-teacher to a child, or replaces the permissions of an existing co-teacher.
+ *
+ * @async
+ * @function shareChild
+ * @memberof module:CoTeachingService
+ * @param {object} child - Child user document.
+ * @param {object} teacher - Teacher user document the child is shared with.
+ * @param {string[]} permissions - Normalized permissions.
+ * @param {string} addedBy - Teacher sharing the child.
+ * @returns {Promise<object>} The co-teacher entry.
+ */
+const shareChild = async (child, teacher, permissions, addedBy) => {
+    let entry = child.coTeachers.find(co => co.teacherId.toString() === teacher._id.toString());
+
+    if (entry) {
+        entry.permissions = permissions;
+    } else {
+        child.coTeachers.push({ teacherId: teacher._id, permissions: permissions, addedBy: addedBy });
+        entry = child.coTeachers[child.coTeachers.length - 1];
+    }
+
+    await child.save({ validateBeforeSave: false });
+    await userModel.updateOne({ _id: teacher._id }, { $addToSet: { childIds: child._id } });
+
+    return entry;
+};
+
+/**
+ * Removes a co-teacher from a child.
+ *
+ * @async
+ * @function unshareChild
+ * @memberof module:CoTeachingService
+ * @param {object} child - Child user document.
+ * @param {string} teacherId - Co-teacher to remove.
+ * @returns {Promise<boolean>} False if the teacher was not a co-teacher of the child.
+ */
+const unshareChild = async (child, teacherId) => {
+    const entry = child.coTeachers.find(co => co.teacherId.toString() === teacherId.toString());
+    if (!entry) return false;
+
+    child.coTeachers.pull(entry);
+    await child.save({ validateBeforeSave: false });
+    await userModel.updateOne({ _id: teacherId }, { $pull: { childIds: child._id } });
+
+    return true;
+};
+
+/**
+ * Makes another teacher responsible for a child.
+ * Exercises and materials given by the previous teacher move to the new teacher, so the history
+ * stays with the child. The child leaves its class unless the new teacher teaches that class.
+ * The child keeps its school: the caller must make sure the new teacher belongs to it.
+ *
+ * @async
+ * @function transferChild
+ * @memberof module:CoTeachingService
+ * @param {object} child - Child user document.
+ * @param {object} toTeacher - Teacher user document that becomes responsible.
+ * @param {object} [options]
+ * @param {boolean} [options.keepAccess=false] - Keep the previous teacher as a co-teacher with every permission.
+ * @param {string} [options.by] - User performing the transfer.
+ * @returns {Promise<{exercises: number, materials: number}>} Number of moved exercises and materials.
+ */
+const transferChild = async (child, toTeacher, { keepAccess = false, by } = {}) => {
+    const fromTeacherId = child.teacherId;
+
+    // Guru baru tidak lagi tercatat sebagai co-teacher
+    child.coTeachers = child.coTeachers.filter(co => co.teacherId.toString() !== toTeacher._id.toString());
+
+    if (keepAccess && fromTeacherId) {
+        child.coTeachers.push({ teacherId: fromTeacherId, permissions: [...CO_TEACHER_PERMISSIONS], addedBy: by });
+    }
+
+    if (child.classId && !(await classModel.exists({ _id: child.classId, teacherIds: toTeacher._id }))) {
+        child.classId = undefined;
+    }
+
+    child.teacherId = toTeacher._id;
+    await child.save({ validateBeforeSave: false });
+
+    await userModel.updateOne({ _id: toTeacher._id }, { $addToSet: { childIds: child._id } });
+    if (fromTeacherId && !keepAccess) {
+        await userModel.updateOne({ _id: fromTeacherId }, { $pull: { childIds: child._id } });
+    }
+
+    if (!fromTeacherId) return { exercises: 0, materials: 0 };
+
+    const exercises = await exerciseModel.updateMany(
+        { childrenId: child._id, teacherId: fromTeacherId },
+        { $set: { teacherId: toTeacher._id } }
+    );
+    const materials = await materialModel.updateMany(
+        { childrenId: child._id, teacherId: fromTeacherId },
+        { $set: { teacherId: toTeacher._id } }
+    );
+
+    return { exercises: exercises.modifiedCount, materials: materials.modifiedCount };
+};
+
+module.exports = { normalizePermissions, shareChild, unshareChild, transferChild };
@@ -0,0 +1,125 @@
+const exerciseModel = require('../models/exerciseModel');
+const screeningSessionModel = require('../models/screeningSessionModel');
+const scoringService = require('./scoringService');
+const { ERROR_TYPES } = require('../helpers/errorAnalysis');
+
+/**
+ * @file Service aggregating the error analysis of a child's answers for the dashboard.
+ * @description Collects the `errorAnalysis` of every quiz attempt answer and screening answer of a child
+ * (answers saved before the analysis existed are analysed on the fly from their transcript) and sums them
+ * per error type and per method, with the most frequent letter confusions and missed words.
+ * @module ErrorProfileService
+ */
+
+const emptyCounts = () => Object.fromEntries(ERROR_TYPES.map(type => [type, 0]));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Collects the analysed answers of a child.
+ *
+ * @private
+ * @async
+ * @function collectAnalyses
+ * @memberof module:ErrorProfileService
+ * @param {string} childId - Child ID.
+ * @param {Date} [since] - Only answers given from this date on.
+ * @returns {Promise<Array<{method: number, source: string, analysis: object}>>}
+ */
+const collectAnalyses = async (childId, since) => {
+    const analyses = [];
+    const add = (question, answer, answeredAt, source) => {
+        if (!question || answer.scoringStatus === 'pending') return;
+        if (since && answeredAt && new Date(answeredAt) < since) return;
+
+        const analysis = answer.errorAnalysis || scoringService.analyzeAnswer(question, answer.answer?.text);
+        if (analysis) analyses.push({ method: question.method, source, analysis });
+    };
+
+    const exercises = await exerciseModel.find({ childrenId: childId }).select('quiz updatedAt').lean();
+    for (const exercise of exercises) {
+        for (const quiz of exercise.quiz || []) {
+            // Kuis lama tanpa percobaan hanya punya quiz.answers
+            const attempts = quiz.attempts?.length ? quiz.attempts : [{ answers: quiz.answers || [], submittedAt: quiz.date }];
+
+            for (const attempt of attempts) {
+                for (const answer of attempt.answers) {
+                    const question = (quiz.questions || []).find(q => q._id.toString() === answer.questionId?.toString());
+                    add(question, answer, answer.timeAnswered || attempt.submittedAt || exercise.updatedAt, 'exercise');
+                }
+            }
+        }
+    }
+
+    const screenings = await screeningSessionModel.find({ childId, status: 'completed' }).select('items answers completedAt').lean();
+    for (const session of screenings) {
+        for (const answer of session.answers) {
+            add(session.items.find(i => i.code === answer.code), answer, answer.timeAnswered || session.completedAt, 'screening');
+        }
+    }
+
+    return analyses;
+};
+
+/**
+ * Builds the error profile of a child.
+ *
+ * @async
+ * @function childErrorProfile
+ * @memberof module:ErrorProfileService
+ * @param {string} childId - Child ID.
+ * @param {object} [options]
+ * @param {Date} [options.since] - Only answers given from this date on.
+ * @param {number} [options.top=10] - Number of confusions and missed words to list.
+ * @returns {Promise<object>} `{ answers, total, perAnswer, counts, shares, perMethod, confusions, words }`.
+ * `shares` is the share of each error type in all errors, `confusions` the most frequent
+ * `{ type, expected, actual, count }` substitutions and `words` the key words with the most errors.
+ */
+const childErrorProfile = async (childId, { since, top = 10 } = {}) => {
+    const analyses = await collectAnalyses(childId, since);
+
+    const counts = emptyCounts();
+    const perMethod = {};
+    const confusions = new Map();
+    const words = new Map();
+
+    for (const { method, analysis } of analyses) {
+        perMethod[method] = perMethod[method] || { answers: 0, total: 0, counts: emptyCounts() };
+        perMethod[method].answers++;
+
+        for (const type of ERROR_TYPES) {
+            const count = analysis.counts?.[type] || 0;
+            counts[type] += count;
+            perMethod[method].counts[type] += count;
+            perMethod[method].total += count;
+        }
+
+        for (const error of analysis.details || []) {
+            if (['reversal', 'substitution', 'syllableSubstitution', 'transposition'].includes(error.type)) {
+                const id = `${error.type}:${error.expected}:${error.actual}`;
+                const entry = confusions.get(id) || { type: error.type, expected: error.expected, actual: error.actual, count: 0 };
+                entry.count++;
+                confusions.set(id, entry);
+            }
+            if (error.word) words.set(error.word, (words.get(error.word) || 0) + 1);
+        }
+    }
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const byCount = (a, b) => b.count - a.count;
+
+    return {
+        answers: analyses.length,
+        total,
+        perAnswer: analyses.length > 0 ? round(total / analyses.length) : 0,
+        counts,
+        shares: Object.fromEntries(ERROR_TYPES.map(type => [type, total > 0 ? round(counts[type] / total) : 0])),
+        perMethod,
+        confusions: [...confusions.values()].sort(byCount).slice(0, top),
+        words: [...words.entries()].map(([word, count]) => ({ word, count })).sort(byCount).slice(0, top)
+    };
+};
+
+module.exports = {
+    childErrorProfile
+};
@@ -0,0 +1,87 @@
+const userModel = require('../models/userModel');
+const invitationModel = require('../models/invitationModel');
+const { generateUniqueCode } = require('../helpers/codeGenerator');
+const { ROLES } = require('../policies/roles');
+
+/**
+ * @file Service for parent invitation codes.
+ * @description A teacher creates a code for a child, a parent redeems it once to get read-only access to the child.
+ * @module InvitationService
+ */
+
+/**
+ * @constant {number} INVITATION_EXPIRES_DAYS - Validity of an invitation code in days, from `INVITATION_EXPIRES_DAYS` (default 14).
+ */
+const INVITATION_EXPIRES_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS) || 14;
+
+/**
+ * Creates an invitation code for a child.
+ *
+ * @async
+ * @function createInvitation
+ * @memberof module:InvitationService
+ * @param {object} child - Child user document.
+ * @param {string} teacherId - Teacher creating the invitation.
+ * @returns {Promise<object>} The invitation document.
+ */
+const createInvitation = async (child, teacherId) => {
+    const code = await generateUniqueCode(invitationModel, 'code', 8);
+
+    return invitationModel.create({
+        code: code,
+        childId: child._id,
+        createdBy: teacherId,
+        expiresAt: new Date(Date.now() + INVITATION_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+    });
+};
+
+/**
+ * Finds an invitation that can still be redeemed.
+ *
+ * @async
+ * @function findRedeemable
+ * @memberof module:InvitationService
+ * @param {string} code - Invitation code entered by the parent.
+ * @returns {Promise<object|null>} The invitation, or null if it is unknown, used, revoked or expired.
+ */
+const findRedeemable = (code) => invitationModel.findOne({
+    code: String(code || '').trim().toUpperCase(),
+    redeemedBy: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Redeems an invitation code and links the parent to the child.
+ * The code is marked as used atomically, so it only works once.
+ *
+ * @async
+ * @function redeemInvitation
+ * @memberof module:InvitationService
+ * @param {string} code - Invitation code entered by the parent.
+ * @param {object} parent - Parent user document.
+ * @returns {Promise<object|null>} The linked child, or null if the code cannot be redeemed.
+ */
+const redeemInvitation = async (code, parent) => {
+    const invitation = await invitationModel.findOneAndUpdate(
+        {
+            code: String(code || '').trim().toUpperCase(),
+            redeemedBy: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { redeemedBy: parent._id, redeemedAt: new Date() } },
+        { new: true }
+    );
+    if (!invitation) return null;
+
+    const child = await userModel.findOne({ _id: invitation.childId, role: ROLES.CHILD });
+    if (!child) return null;
+
+    await userModel.updateOne({ _id: child._id }, { $addToSet: { parentIds: parent._id } });
+    await userModel.updateOne({ _id: parent._id }, { $addToSet: { childIds: child._id } });
+
+    return child;
+};
+
+module.exports = { createInvitation, findRedeemable, redeemInvitation };
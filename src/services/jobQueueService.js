@@ -0,0 +1,214 @@
+const os = require('os');
+const jobModel = require('../models/jobModel');
+
+/**
+ * @file MongoDB backed job queue running work outside the HTTP request.
+ * @description Jobs are stored in the `jobs` collection and picked up by a polling worker in the API process,
+ * so no extra service is needed. A job is claimed atomically, which keeps several API instances from running
+ * the same job. A failed run is retried with exponential backoff until `maxAttempts` is reached.
+ * A job whose worker died (locked longer than `JOB_LOCK_TIMEOUT_MS`) is picked up again.
+ * @module JobQueueService
+ */
+
+/**
+ * @constant {number} JOB_POLL_INTERVAL_MS - Milliseconds between polls for new jobs, from `JOB_POLL_INTERVAL_MS` (default 2000).
+ */
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+/**
+ * @constant {number} JOB_CONCURRENCY - Jobs run at the same time per process, from `JOB_CONCURRENCY` (default 2).
+ */
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+/**
+ * @constant {number} JOB_RETRY_DELAY_MS - Delay before the first retry, doubled on every further retry, from `JOB_RETRY_DELAY_MS` (default 5000).
+ */
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000;
+
+/**
+ * @constant {number} JOB_LOCK_TIMEOUT_MS - Running jobs locked longer than this are picked up again, from `JOB_LOCK_TIMEOUT_MS` (default 10 minutes).
+ */
+const JOB_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Registered handlers per job type.
+ * @private
+ * @type {Object<string, {run: function(object, object): Promise<*>, onFailed?: function(object, Error): Promise<void>}>}
+ */
+const handlers = {};
+
+let running = 0;
+
+/**
+ * Registers the handler of a job type.
+ *
+ * @function register
+ * @memberof module:JobQueueService
+ * @param {string} type - Job type.
+ * @param {function(object, object): Promise<*>} run - Called with the payload and the job, its result is stored on the job.
+ * @param {object} [options]
+ * @param {function(object, Error): Promise<void>} [options.onFailed] - Called once when the job has used up its attempts.
+ */
+const register = (type, run, { onFailed } = {}) => {
+    handlers[type] = { run, onFailed };
+};
+
+/**
+ * Adds a job to the queue.
+ *
+ * @async
+ * @function enqueue
+ * @memberof module:JobQueueService
+ * @param {string} type - Job type, must be registered before the worker picks it up.
+ * @param {object} payload - Input of the handler.
+ * @param {object} [options]
+ * @param {string} [options.childId] - Child the job works for.
+ * @param {number} [options.maxAttempts=3] - Runs before the job is marked as failed.
+ * @param {Date} [options.runAt] - Earliest time to run the job.
+ * @returns {Promise<object>} The job document.
+ */
+const enqueue = (type, payload, { childId, maxAttempts, runAt } = {}) => jobModel.create({
+    type,
+    payload,
+    childId,
+    maxAttempts,
+    runAt: runAt || new Date()
+});
+
+/**
+ * Claims the next due job, including jobs whose worker stopped while running them.
+ *
+ * @private
+ * @async
+ * @function claimNext
+ * @memberof module:JobQueueService
+ * @returns {Promise<object|null>} The claimed job, or null if none is due.
+ */
+const claimNext = () => {
+    const now = new Date();
+
+    return jobModel.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', runAt: { $lte: now } },
+                { status: 'running', lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Runs one job and records the outcome: completed, queued again for a retry, or failed.
+ *
+ * @async
+ * @function runJob
+ * @memberof module:JobQueueService
+ * @param {object} job - Claimed job document.
+ * @returns {Promise<object>} The job.
+ */
+const runJob = async (job) => {
+    const handler = handlers[job.type];
+
+    try {
+        if (!handler) throw new Error(`No handler registered for job type ${job.type}`);
+
+        job.result = await handler.run(job.payload, job);
+        job.status = 'completed';
+        job.completedAt = new Date();
+        job.lastError = undefined;
+    } catch (error) {
+        job.lastError = error.message;
+
+        if (job.attempts < job.maxAttempts) {
+            job.status = 'queued';
+            job.runAt = new Date(Date.now() + JOB_RETRY_DELAY_MS * 2 ** (job.attempts - 1));
+        } else {
+            job.status = 'failed';
+            job.completedAt = new Date();
+
+            try {
+                if (handler?.onFailed) await handler.onFailed(job.payload, error);
+            } catch (hookError) {
+                console.error(`Failure handler of job ${job._id} failed:`, hookError.message);
+            }
+        }
+    }
+
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    await job.save();
+
+    return job;
+};
+
+/**
+ * Claims and runs due jobs until the queue is empty or all worker slots are busy.
+ *
+ * @async
+ * @function work
+ * @memberof module:JobQueueService
+ * @returns {Promise<void>}
+ */
+const work = async () => {
+    while (running < JOB_CONCURRENCY) {
+        const job = await claimNext();
+        if (!job) return;
+
+        running++;
+        runJob(job)
+            .catch(error => console.error(`Job ${job._id} could not be saved:`, error.message))
+            .finally(() => {
+                running--;
+                work().catch(error => console.error('Job worker failed:', error.message));
+            });
+    }
+};
+
+/**
+ * Starts polling for jobs. The timer does not keep the process alive.
+ *
+ * @function startWorker
+ * @memberof module:JobQueueService
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+const startWorker = () => {
+    const timer = setInterval(() => {
+        work().catch(error => console.error('Job worker failed:', error.message));
+    }, JOB_POLL_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+/**
+ * Formats a job for status polling.
+ *
+ * @function statusOf
+ * @memberof module:JobQueueService
+ * @param {object} job - Job document.
+ * @returns {{_id: string, type: string, status: string, attempts: number, maxAttempts: number, runAt: Date, lastError: string, result: *, completedAt: Date}}
+ */
+const statusOf = (job) => ({
+    _id: job._id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    lastError: job.lastError,
+    result: job.result,
+    completedAt: job.completedAt
+});
+
+module.exports = {
+    register,
+    enqueue,
+    runJob,
+    work,
+    startWorker,
+    statusOf
+};
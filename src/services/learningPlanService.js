@@ -0,0 +1,130 @@
+const exerciseModel = require('../models/exerciseModel');
+const learningPlanModel = require('../models/learningPlanModel');
+
+/**
+ * @file Service computing the progress of learning plan goals from exercise answers.
+ * @description A goal is measured on the `similarityPoint` of the child's answers to questions of the goal's
+ * method (and level). Progress is the average of the latest `window` answers compared with the target.
+ * @module LearningPlanService
+ */
+
+/**
+ * Collects the scored answers of a child over all quiz attempts, oldest first.
+ *
+ * @async
+ * @function collectAnswers
+ * @memberof module:LearningPlanService
+ * @param {string} childId - Child ID.
+ * @param {Date} [since] - Only answers given from this date on.
+ * @returns {Promise<Array<{method: number, level: number|undefined, score: number, answeredAt: Date}>>}
+ */
+const collectAnswers = async (childId, since) => {
+    const exercises = await exerciseModel.find({ childrenId: childId }).select('quiz updatedAt').lean();
+    const answers = [];
+
+    for (const exercise of exercises) {
+        for (const quiz of exercise.quiz || []) {
+            // Semua percobaan dihitung; kuis lama tanpa percobaan hanya punya quiz.answers
+            const quizAnswers = quiz.attempts?.length
+                ? quiz.attempts.flatMap(attempt => attempt.answers.map(a => ({ ...a, timeAnswered: a.timeAnswered || attempt.submittedAt })))
+                : quiz.answers || [];
+
+            for (const answer of quizAnswers) {
+                const question = (quiz.questions || []).find(q => q._id.toString() === answer.questionId?.toString());
+                const score = parseFloat(answer.similarityPoint);
+                if (!question || Number.isNaN(score)) continue;
+
+                const answeredAt = new Date(answer.timeAnswered || quiz.date || exercise.updatedAt);
+                if (since && answeredAt < since) continue;
+
+                answers.push({ method: question.method, level: question.level, score, answeredAt });
+            }
+        }
+    }
+
+    return answers.sort((a, b) => a.answeredAt - b.answeredAt);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+const average = (list) => list.reduce((sum, a) => sum + a.score, 0) / list.length;
+
+/**
+ * Computes the progress of one goal.
+ * * `not_started`: no answers yet.
+ * * `in_progress`: below target, or fewer than `minAnswers` answers.
+ * * `achieved`: the average of the latest answers reaches the target.
+ * * `overdue`: not achieved and the target date has passed.
+ *
+ * @function goalProgress
+ * @memberof module:LearningPlanService
+ * @param {object} goal - Learning goal.
+ * @param {object[]} answers - Answers from `collectAnswers`.
+ * @param {Date} [now=new Date()] - Reference date for `overdue`.
+ * @returns {{answers: number, baseline: number|null, current: number|null, progress: number, status: string}}
+ * `baseline` is the average of the first answers, `progress` the current average as percentage of the target.
+ */
+const goalProgress = (goal, answers, now = new Date()) => {
+    const matching = answers.filter(a => a.method === goal.method && (!goal.level || a.level === goal.level));
+    const window = goal.window || 10;
+
+    if (matching.length === 0) {
+        const overdue = goal.targetDate && goal.targetDate < now;
+        return { answers: 0, baseline: null, current: null, progress: 0, status: overdue ? 'overdue' : 'not_started' };
+    }
+
+    const baseline = average(matching.slice(0, window));
+    const current = average(matching.slice(-window));
+    const achieved = matching.length >= (goal.minAnswers || 1) && current >= goal.targetScore;
+
+    let status = achieved ? 'achieved' : 'in_progress';
+    if (!achieved && goal.targetDate && goal.targetDate < now) status = 'overdue';
+
+    return {
+        answers: matching.length,
+        baseline: round(baseline),
+        current: round(current),
+        progress: Math.min(100, Math.round(current / goal.targetScore * 100)),
+        status
+    };
+};
+
+/**
+ * Adds the progress of every goal to a plan. Goals reached for the first time get `achievedAt`, which is saved.
+ *
+ * @async
+ * @function withProgress
+ * @memberof module:LearningPlanService
+ * @param {object} plan - Learning plan document.
+ * @param {object[]} [answers] - Answers of the child, loaded when not given (pass them when handling several plans).
+ * @returns {Promise<object>} Plain plan object with `progress` on every goal and the overall `progress` of the plan.
+ */
+const withProgress = async (plan, answers) => {
+    answers = answers || await collectAnswers(plan.childId);
+    const since = new Date(plan.startDate);
+    const planAnswers = answers.filter(a => a.answeredAt >= since);
+
+    let changed = false;
+    const goals = plan.goals.map(goal => {
+        const progress = goalProgress(goal, planAnswers);
+        if (progress.status === 'achieved' && !goal.achievedAt) {
+            goal.achievedAt = new Date();
+            changed = true;
+        }
+        return { ...goal.toObject(), progress };
+    });
+
+    if (changed) await learningPlanModel.updateOne({ _id: plan._id }, { $set: { goals: plan.goals } });
+
+    const achieved = goals.filter(g => g.achievedAt).length;
+    return {
+        ...plan.toObject(),
+        goals,
+        progress: {
+            goals: goals.length,
+            achieved: achieved,
+            percent: goals.length ? Math.round(goals.reduce((sum, g) => sum + g.progress.progress, 0) / goals.length) : 0
+        }
+    };
+};
+
+module.exports = { collectAnswers, goalProgress, withProgress };
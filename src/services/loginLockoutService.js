@@ -0,0 +1,72 @@
+const userModel = require('../models/userModel');
+const { lockout } = require('../config/rateLimit');
+
+/**
+ * @file Progressive account lockout after repeated failed logins.
+ * @description After `threshold` consecutive failures the account is locked for `baseMinutes`.
+ * Every following lock is twice as long (up to `maxMinutes`) until the user logs in successfully.
+ * The state lives on the user document, so it is shared by every process.
+ * @module LoginLockoutService
+ */
+
+/**
+ * Returns the remaining lock time of an account.
+ *
+ * @function lockRemaining
+ * @memberof module:LoginLockoutService
+ * @param {object} user - User document.
+ * @returns {number} Remaining lock time in seconds, 0 when the account is not locked.
+ */
+const lockRemaining = (user) => {
+    if (!user?.lockedUntil) return 0;
+    return Math.max(Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+/**
+ * Records a failed login and locks the account when the threshold is reached.
+ *
+ * @async
+ * @function registerFailure
+ * @memberof module:LoginLockoutService
+ * @param {object} user - User document.
+ * @returns {Promise<number>} Lock time in seconds if this failure locked the account, otherwise 0.
+ */
+const registerFailure = async (user) => {
+    const updated = await userModel.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    );
+    if (!updated || updated.failedLoginAttempts < lockout.threshold) return 0;
+
+    const minutes = Math.min(lockout.baseMinutes * Math.pow(2, updated.lockoutCount || 0), lockout.maxMinutes);
+    await userModel.updateOne(
+        { _id: user._id },
+        {
+            $set: { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + minutes * 60 * 1000) },
+            $inc: { lockoutCount: 1 }
+        }
+    );
+
+    return minutes * 60;
+};
+
+/**
+ * Clears the failure counters after a successful login.
+ *
+ * @async
+ * @function registerSuccess
+ * @memberof module:LoginLockoutService
+ * @param {object} user - User document.
+ * @returns {Promise<void>}
+ */
+const registerSuccess = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+
+    await userModel.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockedUntil: 1 } }
+    );
+};
+
+module.exports = { lockRemaining, registerFailure, registerSuccess };
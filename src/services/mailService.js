@@ -0,0 +1,77 @@
+const smtpTransport = require('./mailTransports/smtpTransport');
+const fileTransport = require('./mailTransports/fileTransport');
+const consoleTransport = require('./mailTransports/consoleTransport');
+
+/**
+ * @file Mail sending service with pluggable transports.
+ * @description The transport is chosen with `MAIL_TRANSPORT`:
+ * * smtp: Real delivery through an SMTP server.
+ * * file: Writes messages to disk (local development, tests).
+ * * console: Prints messages to stdout. Default when `NODE_ENV` is `development`; elsewhere
+ *   `MAIL_TRANSPORT` must be set, so a missing mail setup fails instead of logging reset links.
+ *
+ * The sender address comes from `MAIL_FROM`.
+ * @module MailService
+ */
+
+const transports = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Returns the configured transport, creating it on first use.
+ *
+ * @function getTransport
+ * @memberof module:MailService
+ * @returns {{name: string, send: function(object): Promise<{messageId: string}>}} The active transport.
+ * @throws {Error} If `MAIL_TRANSPORT` names an unknown transport, or is not set outside development.
+ */
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'development' ? 'console' : null);
+        if (!name) throw new Error('MAIL_TRANSPORT is not set (smtp, file or console)');
+        if (!transports[name]) throw new Error(`Unknown mail transport: ${name}`);
+        activeTransport = transports[name]();
+    }
+    return activeTransport;
+};
+
+/**
+ * Replaces the active transport, e.g. with a stub that records messages in tests.
+ *
+ * @function setTransport
+ * @memberof module:MailService
+ * @param {{send: function(object): Promise<object>}|null} transport - Transport to use, or null to fall back to `MAIL_TRANSPORT`.
+ */
+const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+/**
+ * Sends an email through the active transport.
+ *
+ * @async
+ * @function sendMail
+ * @memberof module:MailService
+ * @param {object} message
+ * @param {string} message.to - Recipient address.
+ * @param {string} message.subject - Subject line.
+ * @param {string} message.text - Plain text body.
+ * @param {string} [message.html] - HTML body.
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'Aksara <no-reply@aksaralearning.com>',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = { getTransport, setTransport, sendMail };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+/**
+ * @file Console mail transport for local development.
+ * @description Prints every message to stdout instead of sending it. The body (with its one-time links) is only
+ * printed when `NODE_ENV` is `development`, so tokens never end up in production logs.
+ * @module ConsoleTransport
+ */
+
+/**
+ * Creates a console transport.
+ *
+ * @function consoleTransport
+ * @memberof module:ConsoleTransport
+ * @returns {{name: string, send: function(object): Promise<{messageId: string}>}} The transport.
+ */
+const consoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+        console.log('📧 Email (console transport)');
+        console.log(`To: ${message.to}`);
+        console.log(`Subject: ${message.subject}`);
+        console.log(process.env.NODE_ENV === 'development' ? message.text : '(isi email disembunyikan di luar development)');
+
+        return { messageId };
+    }
+});
+
+module.exports = consoleTransport;
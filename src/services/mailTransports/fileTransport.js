@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * @file File mail transport for local development and tests.
+ * @description Writes every message as a JSON file instead of sending it, so links in the email can be
+ * opened by hand. The directory comes from `MAIL_FILE_DIR` (default `storage/mail`).
+ * @module FileTransport
+ */
+
+/**
+ * Creates a file transport.
+ *
+ * @function fileTransport
+ * @memberof module:FileTransport
+ * @param {string} [directory] - Target directory for the message files.
+ * @returns {{name: string, send: function(object): Promise<{messageId: string}>}} The transport.
+ */
+const fileTransport = (directory = process.env.MAIL_FILE_DIR || path.resolve(__dirname, '..', '..', '..', 'storage', 'mail')) => ({
+    name: 'file',
+    send: async (message) => {
+        if (!fs.existsSync(directory)) fs.mkdirSync(directory, { recursive: true });
+
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const content = { messageId, date: new Date(), ...message };
+        await fs.promises.writeFile(path.join(directory, `${messageId}.json`), JSON.stringify(content, null, 2));
+
+        return { messageId };
+    }
+});
+
+module.exports = fileTransport;
@@ -0,0 +1,36 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * @file SMTP mail transport backed by nodemailer.
+ * @description Configured from `SMTP_HOST`, `SMTP_PORT`, `SMTP_SECURE`, `SMTP_USER` and `SMTP_PASSWORD`.
+ * @module SmtpTransport
+ */
+
+/**
+ * Creates an SMTP transport.
+ *
+ * @function smtpTransport
+ * @memberof module:SmtpTransport
+ * @returns {{name: string, send: function(object): Promise<{messageId: string}>}} The transport.
+ */
+const smtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+module.exports = smtpTransport;
@@ -0,0 +1,306 @@
+const quizSessionModel = require('../models/quizSessionModel');
+const exerciseModel = require('../models/exerciseModel');
+const scoringService = require('./scoringService');
+const attemptService = require('./attemptService');
+const rapidNamingService = require('./rapidNamingService');
+const { answerDuration } = require('../helpers/duration');
+const storageService = require('./storageService');
+const answerScoringService = require('./answerScoringService');
+const reviewService = require('./reviewService');
+
+/**
+ * @file Service for quiz sessions: answering a quiz question by question and resuming it later.
+ * @description A session collects scored answers of one run through a quiz. Completing the session stores
+ * its answers as a new attempt of the quiz (see AttemptService), which sets `quizPoint`.
+ * While the AI service is down a recording gets a `provisional` score from the client transcript; it is retried on
+ * completion and re-scored by RescoringService once the service is back. An answer that cannot be scored for
+ * another reason is kept with `scoringStatus: 'failed'` and blocks completion until it is answered again.
+ * @module QuizSessionService
+ */
+
+/**
+ * Finds the unfinished session of a quiz for the child of the exercise, or starts a new one.
+ * A unique index allows one session in progress per quiz and child, so concurrent requests resume the same session.
+ *
+ * @async
+ * @function startSession
+ * @memberof module:QuizSessionService
+ * @param {object} exercise - Exercise document.
+ * @param {object} quiz - Quiz sub-document.
+ * @param {string} userId - User starting the session.
+ * @returns {Promise<{session: object, resumed: boolean}>}
+ */
+const startSession = async (exercise, quiz, userId) => {
+    const existing = await quizSessionModel.findOne({
+        exerciseId: exercise._id,
+        quizId: quiz._id,
+        childId: exercise.childrenId,
+        status: 'in_progress'
+    });
+    if (existing) return { session: existing, resumed: true };
+
+    try {
+        const session = await quizSessionModel.create({
+            exerciseId: exercise._id,
+            quizId: quiz._id,
+            childId: exercise.childrenId,
+            startedBy: userId
+        });
+
+        return { session, resumed: false };
+    } catch (error) {
+        // Permintaan lain memulai sesi yang sama pada saat bersamaan, lanjutkan sesi itu
+        if (error.code !== 11000) throw error;
+        return startSession(exercise, quiz, userId);
+    }
+};
+
+/**
+ * Scores a session answer. An unavailable AI service gives a provisional score, other failures are recorded
+ * on the answer instead of thrown.
+ *
+ * @private
+ * @async
+ * @function scoreSessionAnswer
+ * @memberof module:QuizSessionService
+ * @param {object} question - Quiz question.
+ * @param {object} answer - Session answer, updated in place.
+ * @param {string} [file] - Recording as data URL or the typed answer; read from the answer when not given.
+ * @returns {Promise<object>} The answer.
+ */
+const scoreSessionAnswer = async (question, answer, file) => {
+    try {
+        if (file === undefined) {
+            file = answer.answer.mediaId
+                ? await storageService.readDataUrl(answer.answer.mediaId)
+                : answer.answer.file || answer.answer.text;
+        }
+
+        const scored = await scoringService.scoreAnswer(question, {
+            answer: file,
+            fileType: answer.fileType,
+            transcript: answer.answer.text,
+            duration: answer.duration
+        });
+        answer.answer.text = scored.text;
+        answer.similarityPoint = scored.score;
+        answer.scoringStatus = scored.provisional ? 'provisional' : 'scored';
+        answer.scoringError = scored.error;
+        answer.errorAnalysis = scored.errorAnalysis;
+        answer.fluency = scored.fluency;
+        answer.confidence = scored.confidence;
+    } catch (error) {
+        answer.similarityPoint = undefined;
+        answer.scoringStatus = 'failed';
+        answer.scoringError = error.message;
+    }
+    return answer;
+};
+
+/**
+ * Scores and stores the answer to one question. Recordings are written to the storage.
+ * Answering a question again replaces the previous answer and removes its recording.
+ *
+ * @async
+ * @function answerQuestion
+ * @memberof module:QuizSessionService
+ * @param {object} session - In-progress session document.
+ * @param {object} question - Quiz question.
+ * @param {object} input - `{ answer, fileType, transcript, duration, timeOpened, timeAnswered }`, recordings checked with `StorageService.validateUpload`.
+ * The duration is stored in milliseconds, measured from `timeOpened` when given.
+ * @param {string} uploadedBy - User submitting the answer.
+ * @returns {Promise<object>} The stored answer.
+ */
+const answerQuestion = async (session, question, input, uploadedBy) => {
+    const timeAnswered = input.timeAnswered || new Date();
+    const answer = {
+        questionId: question._id,
+        answer: {},
+        fileType: input.fileType,
+        duration: answerDuration({ ...input, timeAnswered }) ?? undefined,
+        timeOpened: input.timeOpened,
+        timeAnswered
+    };
+
+    if (answerScoringService.isRecording(input)) {
+        const media = await storageService.saveUpload(input.answer, input.fileType, { childId: session.childId, uploadedBy });
+        answer.answer.mediaId = media._id;
+        if (input.transcript) answer.answer.text = String(input.transcript);
+    } else {
+        answer.answer.text = String(input.answer);
+    }
+
+    await scoreSessionAnswer(question, answer, input.answer);
+
+    const previous = session.answers.find(a => a.questionId.toString() === question._id.toString());
+
+    session.answers = session.answers.filter(a => a !== previous);
+    session.answers.push(answer);
+    await session.save();
+
+    if (previous?.answer.mediaId) await storageService.removeMedia({ _id: previous.answer.mediaId });
+
+    return session.answers[session.answers.length - 1];
+};
+
+/**
+ * Summarizes how far a session is.
+ *
+ * @function progressOf
+ * @memberof module:QuizSessionService
+ * @param {object} session - Session document.
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {{total: number, answered: number, provisional: number, failed: number, remaining: string[]}} `remaining` holds the IDs of unanswered questions.
+ */
+const progressOf = (session, quiz) => {
+    const answered = new Set(session.answers.map(a => a.questionId.toString()));
+
+    return {
+        total: quiz.questions.length,
+        answered: answered.size,
+        provisional: session.answers.filter(a => a.scoringStatus === 'provisional').length,
+        failed: session.answers.filter(a => a.scoringStatus === 'failed').length,
+        remaining: quiz.questions.filter(q => !answered.has(q._id.toString())).map(q => q._id.toString())
+    };
+};
+
+/**
+ * Gives a claimed session back, so it can be answered and completed again.
+ *
+ * @private
+ * @async
+ * @function releaseSession
+ * @memberof module:QuizSessionService
+ * @param {object} session - Session document claimed by `completeSession`.
+ * @returns {Promise<void>}
+ */
+const releaseSession = async (session) => {
+    await quizSessionModel.updateOne({ _id: session._id, status: 'completing' }, { $set: { status: 'in_progress' } });
+};
+
+/**
+ * Completes a session: retries answers that failed or were scored provisionally, then stores the answers as a new
+ * attempt of the quiz. Unanswered questions count as 0. Provisional answers stay provisional in the attempt and are
+ * re-scored later. Nothing is stored while an answer still failed.
+ * The session is first claimed by setting its status to `completing`, so concurrent requests never store the same
+ * answers as two attempts.
+ *
+ * @async
+ * @function completeSession
+ * @memberof module:QuizSessionService
+ * @param {object} session - In-progress session document.
+ * @param {object} exercise - Exercise document of the session.
+ * @param {object} quiz - Quiz sub-document of the session.
+ * @returns {Promise<{session: object, failed: string[]}|null>} IDs of the questions whose answers still failed (empty
+ * when completed), or null if the session is no longer in progress.
+ */
+const completeSession = async (session, exercise, quiz) => {
+    const claimed = await quizSessionModel.updateOne({ _id: session._id, status: 'in_progress' }, { $set: { status: 'completing' } });
+    if (claimed.modifiedCount === 0) return null;
+
+    try {
+        return await storeAttempt(session, exercise, quiz);
+    } catch (error) {
+        await releaseSession(session);
+        throw error;
+    }
+};
+
+/**
+ * Stores the answers of a claimed session as a new attempt, see `completeSession`.
+ *
+ * @private
+ * @async
+ * @function storeAttempt
+ * @memberof module:QuizSessionService
+ * @param {object} session - Session document claimed by `completeSession`.
+ * @param {object} exercise - Exercise document of the session.
+ * @param {object} quiz - Quiz sub-document of the session.
+ * @returns {Promise<{session: object, failed: string[]}>}
+ */
+const storeAttempt = async (session, exercise, quiz) => {
+    for (const answer of session.answers.filter(a => a.scoringStatus !== 'scored')) {
+        const question = quiz.questions.id(answer.questionId);
+        if (question) await scoreSessionAnswer(question, answer);
+    }
+
+    const failed = session.answers.filter(a => a.scoringStatus === 'failed').map(a => a.questionId.toString());
+    if (failed.length > 0) {
+        await session.save();
+        await releaseSession(session);
+        return { session, failed };
+    }
+
+    // Jawaban untuk soal yang sudah dihapus dari kuis tidak ikut dinilai
+    const answers = session.answers
+        .filter(a => quiz.questions.id(a.questionId))
+        .map(a => ({
+            questionId: a.questionId,
+            answer: { mediaId: a.answer.mediaId, file: a.answer.file, text: a.answer.text },
+            similarityPoint: a.similarityPoint,
+            scoringStatus: a.scoringStatus,
+            scoringError: a.scoringError,
+            errorAnalysis: a.errorAnalysis,
+            fluency: a.fluency,
+            confidence: a.confidence,
+            needsReview: reviewService.needsReview(a),
+            fileType: a.fileType,
+            duration: a.duration,
+            timeOpened: a.timeOpened,
+            timeAnswered: a.timeAnswered
+        }));
+
+    const attempt = attemptService.recordAttempt(quiz, answers, { ageMonths: await rapidNamingService.childAgeMonths(session.childId) });
+    await exercise.save();
+
+    session.status = 'completed';
+    session.attemptNumber = attempt.number;
+    session.completedAt = new Date();
+    await session.save();
+
+    await answerScoringService.applySettled(session.childId);
+
+    return { session, failed };
+};
+
+/**
+ * Re-scores provisional answers of in-progress sessions. Called when the AI service is back; answers of completed
+ * sessions live on in the quiz attempts and are re-scored there (see AnswerScoringService).
+ *
+ * @async
+ * @function rescoreProvisional
+ * @memberof module:QuizSessionService
+ * @returns {Promise<number>} Number of answers that got their final score.
+ */
+const rescoreProvisional = async () => {
+    const sessions = await quizSessionModel.find({ status: 'in_progress', 'answers.scoringStatus': 'provisional' });
+    const exercises = {};
+    let rescored = 0;
+
+    for (const session of sessions) {
+        const exerciseId = session.exerciseId.toString();
+        if (!(exerciseId in exercises)) exercises[exerciseId] = await exerciseModel.findById(exerciseId);
+        const quiz = exercises[exerciseId]?.quiz.id(session.quizId);
+        if (!quiz) continue;
+
+        for (const answer of session.answers.filter(a => a.scoringStatus === 'provisional')) {
+            const question = quiz.questions.id(answer.questionId);
+            if (!question) continue;
+
+            await scoreSessionAnswer(question, answer);
+            if (answer.scoringStatus === 'scored') rescored++;
+        }
+
+        await session.save();
+    }
+
+    return rescored;
+};
+
+module.exports = {
+    startSession,
+    answerQuestion,
+    progressOf,
+    completeSession,
+    rescoreProvisional
+};
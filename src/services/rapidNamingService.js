@@ -0,0 +1,158 @@
+const userModel = require('../models/userModel');
+const rapidNaming = require('../config/rapidNaming');
+const { ageInMonths } = require('./screeningService');
+const { answerDuration, elapsed } = require('../helpers/duration');
+
+/**
+ * @file Service measuring the speed of rapid automatized naming (method 5) attempts against age norms.
+ * @description The latency of an item is the time from `timeOpened` to `timeAnswered` (or the answer `duration`).
+ * Speed is the number of correctly named items per second over the attempt, from the first item opened to the
+ * last item answered, and is ranked as a percentile and band among children of the same age (see RapidNamingConfig).
+ * @module RapidNamingService
+ */
+
+/**
+ * @constant {number} RAPID_NAMING_METHOD - Exercise method of rapid naming.
+ * @memberof module:RapidNamingService
+ */
+const RAPID_NAMING_METHOD = 5;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Checks whether a quiz is a rapid naming quiz: every question is of method 5.
+ *
+ * @function isRapidNamingQuiz
+ * @memberof module:RapidNamingService
+ * @param {object} quiz - Quiz sub-document.
+ * @returns {boolean}
+ */
+const isRapidNamingQuiz = (quiz) => quiz.questions.length > 0 && quiz.questions.every(q => Number(q.method) === RAPID_NAMING_METHOD);
+
+/**
+ * Finds the norms for an age, falling back to the nearest band.
+ *
+ * @private
+ * @function normsFor
+ * @memberof module:RapidNamingService
+ * @param {number} ageMonths - Age in months.
+ * @returns {object} Entry of `AGE_NORMS`.
+ */
+const normsFor = (ageMonths) => {
+    const norms = rapidNaming.AGE_NORMS;
+    return norms.find(n => ageMonths >= n.minMonths && ageMonths <= n.maxMonths)
+        || (ageMonths < norms[0].minMonths ? norms[0] : norms[norms.length - 1]);
+};
+
+/**
+ * Ranks a naming speed among children of the same age, interpolating between the norm percentiles.
+ * Below the 10th and above the 90th percentile the rank is extrapolated linearly, from 1 to 99.
+ *
+ * @function percentileOf
+ * @memberof module:RapidNamingService
+ * @param {number} itemsPerSecond - Correctly named items per second.
+ * @param {number} ageMonths - Age in months.
+ * @returns {number} Percentile from 1 to 99.
+ */
+const percentileOf = (itemsPerSecond, ageMonths) => {
+    const points = Object.entries(normsFor(ageMonths).percentiles)
+        .map(([percentile, value]) => [Number(percentile), value])
+        .sort((a, b) => a[0] - b[0]);
+
+    const [first, last] = [points[0], points[points.length - 1]];
+    let percentile;
+
+    if (itemsPerSecond <= first[1]) {
+        percentile = first[0] * itemsPerSecond / first[1];
+    } else if (itemsPerSecond >= last[1]) {
+        percentile = last[0] + (100 - last[0]) * (itemsPerSecond - last[1]) / last[1];
+    } else {
+        const upper = points.findIndex(([, value]) => itemsPerSecond < value);
+        const [lowP, lowV] = points[upper - 1];
+        const [highP, highV] = points[upper];
+        percentile = lowP + (highP - lowP) * (itemsPerSecond - lowV) / (highV - lowV);
+    }
+
+    return Math.round(Math.min(99, Math.max(1, percentile)));
+};
+
+/**
+ * Returns the band of a percentile.
+ *
+ * @function bandOf
+ * @memberof module:RapidNamingService
+ * @param {number} percentile - Percentile from 1 to 99.
+ * @returns {{band: string, label: string}}
+ */
+const bandOf = (percentile) => {
+    const { band, label } = rapidNaming.BANDS.find(b => percentile >= b.minPercentile);
+    return { band, label };
+};
+
+/**
+ * Measures the naming speed of the rapid naming answers of an attempt.
+ *
+ * @function measure
+ * @memberof module:RapidNamingService
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object[]} answers - Answers of the attempt.
+ * @param {number} [ageMonths] - Age of the child when the attempt was made; without it there is no percentile.
+ * @returns {object|null} `{ items, correctItems, totalMs, itemsPerSecond, meanLatencyMs, medianLatencyMs, percentile, band }`,
+ * or null without timed rapid naming answers. `percentile` and `band` are null without an age.
+ */
+const measure = (quiz, answers, ageMonths) => {
+    const timed = answers
+        .filter(a => Number(quiz.questions.find(q => q._id.toString() === a.questionId?.toString())?.method) === RAPID_NAMING_METHOD)
+        .map(a => ({ answer: a, latency: answerDuration(a) }))
+        .filter(a => a.latency !== null && a.latency > 0);
+    if (timed.length === 0) return null;
+
+    const latencies = timed.map(a => a.latency).sort((a, b) => a - b);
+    const middle = Math.floor(latencies.length / 2);
+    const median = latencies.length % 2 ? latencies[middle] : (latencies[middle - 1] + latencies[middle]) / 2;
+    const sum = latencies.reduce((total, latency) => total + latency, 0);
+
+    // Jeda antar soal ikut dihitung jika waktu buka dan jawab tersedia
+    const opened = timed.map(a => a.answer.timeOpened).filter(Boolean).map(d => new Date(d).getTime());
+    const answered = timed.map(a => a.answer.timeAnswered).filter(Boolean).map(d => new Date(d).getTime());
+    const span = opened.length && answered.length ? elapsed(new Date(Math.min(...opened)), new Date(Math.max(...answered))) : null;
+    const totalMs = span && span >= sum ? span : sum;
+
+    const correctItems = timed.filter(a => (parseFloat(a.answer.similarityPoint) || 0) >= rapidNaming.CORRECT_SCORE).length;
+    const itemsPerSecond = round(correctItems / (totalMs / 1000), 3);
+    const percentile = typeof ageMonths === 'number' ? percentileOf(itemsPerSecond, ageMonths) : null;
+
+    return {
+        items: timed.length,
+        correctItems,
+        totalMs,
+        itemsPerSecond,
+        meanLatencyMs: Math.round(sum / latencies.length),
+        medianLatencyMs: Math.round(median),
+        percentile,
+        band: percentile === null ? null : bandOf(percentile).band
+    };
+};
+
+/**
+ * Returns the age in months of a child today, used to store with a new attempt.
+ *
+ * @async
+ * @function childAgeMonths
+ * @memberof module:RapidNamingService
+ * @param {string} childId - Child ID.
+ * @returns {Promise<number|undefined>} Undefined if the child has no date of birth.
+ */
+const childAgeMonths = async (childId) => {
+    const child = await userModel.findById(childId).select('dateOfBirth');
+    return child?.dateOfBirth ? ageInMonths(child.dateOfBirth) : undefined;
+};
+
+module.exports = {
+    RAPID_NAMING_METHOD,
+    isRapidNamingQuiz,
+    percentileOf,
+    bandOf,
+    measure,
+    childAgeMonths
+};
@@ -0,0 +1,70 @@
+const config = require('../config/rateLimit');
+const memoryStore = require('./rateLimitStores/memoryStore');
+const mongoStore = require('./rateLimitStores/mongoStore');
+
+/**
+ * @file Rate limiting service with pluggable counter stores.
+ * @description The store is chosen with `RATE_LIMIT_STORE` (see {@link module:RateLimitConfig}).
+ * @module RateLimitService
+ */
+
+const stores = {
+    memory: memoryStore,
+    mongo: mongoStore
+};
+
+let activeStore = null;
+
+/**
+ * Returns the configured store, creating it on first use.
+ *
+ * @function getStore
+ * @memberof module:RateLimitService
+ * @returns {object} The active store.
+ * @throws {Error} If `RATE_LIMIT_STORE` names an unknown store.
+ */
+const getStore = () => {
+    if (!activeStore) {
+        if (!stores[config.store]) throw new Error(`Unknown rate limit store: ${config.store}`);
+        activeStore = stores[config.store]();
+    }
+    return activeStore;
+};
+
+/**
+ * Replaces the active store, e.g. with a fresh memory store in tests.
+ *
+ * @function setStore
+ * @memberof module:RateLimitService
+ * @param {object|null} store - Store to use, or null to fall back to `RATE_LIMIT_STORE`.
+ */
+const setStore = (store) => {
+    activeStore = store;
+};
+
+/**
+ * Counts one request of a client in a route group.
+ *
+ * @async
+ * @function hit
+ * @memberof module:RateLimitService
+ * @param {string} group - Route group name, a key of `groups` in the configuration.
+ * @param {string} identifier - Client identifier (IP address or user ID).
+ * @returns {Promise<{limit: number, remaining: number, resetAt: Date, limited: boolean}>}
+ * @throws {Error} If the group is not configured.
+ */
+const hit = async (group, identifier) => {
+    const limits = config.groups[group];
+    if (!limits) throw new Error(`Unknown rate limit group: ${group}`);
+
+    const { count, resetAt } = await getStore().increment(`${group}:${identifier}`, limits.windowMs);
+
+    return {
+        limit: limits.max,
+        remaining: Math.max(limits.max - count, 0),
+        resetAt: resetAt,
+        limited: count > limits.max
+    };
+};
+
+module.exports = { getStore, setStore, hit };
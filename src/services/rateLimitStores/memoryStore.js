@@ -0,0 +1,47 @@
+/**
+ * @file In-memory rate limit store.
+ * @description Fast and dependency free, but counters are per process. Use the MongoDB store when
+ * the API runs in several processes.
+ * @module MemoryStore
+ */
+
+/**
+ * Creates an in-memory store.
+ *
+ * @function memoryStore
+ * @memberof module:MemoryStore
+ * @returns {{name: string, increment: function(string, number): Promise<{count: number, resetAt: Date}>, reset: function(string): Promise<void>}}
+ */
+const memoryStore = () => {
+    const counters = new Map();
+
+    // Bersihkan counter yang window-nya sudah lewat
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, 60 * 1000);
+    cleanup.unref();
+
+    return {
+        name: 'memory',
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let counter = counters.get(key);
+
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        },
+        reset: async (key) => {
+            counters.delete(key);
+        }
+    };
+};
+
+module.exports = memoryStore;
@@ -0,0 +1,51 @@
+const rateLimitModel = require('../../models/rateLimitModel');
+
+/**
+ * @file MongoDB rate limit store.
+ * @description Counters are shared by every process connected to the same database.
+ * @module MongoStore
+ */
+
+/**
+ * Creates a MongoDB store.
+ *
+ * @function mongoStore
+ * @memberof module:MongoStore
+ * @returns {{name: string, increment: function(string, number): Promise<{count: number, resetAt: Date}>, reset: function(string): Promise<void>}}
+ */
+const mongoStore = () => {
+    const increment = async (key, windowMs, retry = true) => {
+        const now = new Date();
+        const isActive = { $gt: ['$resetAt', now] };
+
+        try {
+            // Satu operasi atomik: tambah counter, atau mulai window baru jika sudah lewat
+            const counter = await rateLimitModel.findOneAndUpdate(
+                { key: key },
+                [{
+                    $set: {
+                        count: { $cond: [isActive, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [isActive, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }],
+                { upsert: true, new: true }
+            );
+
+            return { count: counter.count, resetAt: counter.resetAt };
+        } catch (error) {
+            // Dua proses membuat key yang sama bersamaan, ulangi sekali
+            if (error.code === 11000 && retry) return increment(key, windowMs, false);
+            throw error;
+        }
+    };
+
+    return {
+        name: 'mongo',
+        increment: (key, windowMs) => increment(key, windowMs),
+        reset: async (key) => {
+            await rateLimitModel.deleteOne({ key: key });
+        }
+    };
+};
+
+module.exports = mongoStore;
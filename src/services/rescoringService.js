@@ -0,0 +1,70 @@
+const aiService = require('./aiService');
+const answerScoringService = require('./answerScoringService');
+const quizSessionService = require('./quizSessionService');
+const screeningService = require('./screeningService');
+
+/**
+ * @file Service re-scoring provisional answers once the AI service is back.
+ * @description While the AI server (`AI_API_URL`) is down, recorded answers are stored with a `provisional` score
+ * computed locally from the transcript the client sent along (see `ScoringService.fallbackScore`). A scheduled
+ * sweep checks whether the AI server answers again and then re-scores every provisional answer: quiz attempts
+ * through the job queue, quiz and screening sessions directly.
+ * @module RescoringService
+ */
+
+/**
+ * @constant {number} RESCORE_INTERVAL_MS - Milliseconds between checks for provisional answers, from `RESCORE_INTERVAL_MS` (default 5 minutes).
+ */
+const RESCORE_INTERVAL_MS = parseInt(process.env.RESCORE_INTERVAL_MS) || 5 * 60 * 1000;
+
+/**
+ * Re-scores all provisional answers if the AI service is available.
+ *
+ * @async
+ * @function rescoreProvisional
+ * @memberof module:RescoringService
+ * @returns {Promise<{available: boolean, queued: number, quizSessions: number, screenings: number}>}
+ * `queued` counts the attempt answers queued as jobs, the others the session answers re-scored right away.
+ */
+const rescoreProvisional = async () => {
+    const totals = { available: false, queued: 0, quizSessions: 0, screenings: 0 };
+    if (!(await aiService.isAvailable())) return totals;
+
+    totals.available = true;
+    totals.queued = await answerScoringService.queueProvisional();
+    totals.quizSessions = await quizSessionService.rescoreProvisional();
+    totals.screenings = await screeningService.rescoreProvisional();
+
+    return totals;
+};
+
+/**
+ * Starts the scheduled re-scoring of provisional answers. The timer does not keep the process alive.
+ *
+ * @function startRescoreSchedule
+ * @memberof module:RescoringService
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+const startRescoreSchedule = () => {
+    const run = async () => {
+        try {
+            const { available, queued, quizSessions, screenings } = await rescoreProvisional();
+            if (available && queued + quizSessions + screenings > 0) {
+                console.log(`Re-scoring provisional answers: ${queued} queued, ${quizSessions + screenings} re-scored`);
+            }
+        } catch (error) {
+            console.error('Re-scoring of provisional answers failed:', error.message);
+        }
+    };
+
+    const timer = setInterval(run, RESCORE_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    RESCORE_INTERVAL_MS,
+    rescoreProvisional,
+    startRescoreSchedule
+};
@@ -0,0 +1,131 @@
+const userModel = require('../models/userModel');
+const exerciseModel = require('../models/exerciseModel');
+const attemptService = require('./attemptService');
+const childPolicy = require('../policies/childPolicy');
+const { childScope } = require('../helpers/tenant');
+
+/**
+ * @file Service for the teacher review queue of doubtful answer scores.
+ * @description An answer lands in the queue (`needsReview`) when its score has a confidence below
+ * `REVIEW_CONFIDENCE_THRESHOLD`, is provisional or failed. A teacher confirms the score or overrides it with a
+ * reason; every review is kept in `answer.reviews` as audit trail (original vs new score) and the `quizPoint`
+ * of the attempt and the quiz is recomputed. Reviewed answers are not re-scored automatically anymore.
+ * @module ReviewService
+ */
+
+/**
+ * @constant {number} REVIEW_CONFIDENCE_THRESHOLD - Scores with a lower confidence need a review, from `REVIEW_CONFIDENCE_THRESHOLD` (default 0.7).
+ */
+const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.7;
+
+/**
+ * Checks whether a scored answer has to be reviewed by a teacher.
+ *
+ * @function needsReview
+ * @memberof module:ReviewService
+ * @param {object} answer - Answer with `scoringStatus`, `confidence` and `reviews`.
+ * @returns {boolean}
+ */
+const needsReview = (answer) => {
+    if (answer.reviews?.length > 0 || answer.scoringStatus === 'pending') return false;
+    if (answer.scoringStatus === 'provisional' || answer.scoringStatus === 'failed') return true;
+
+    return typeof answer.confidence === 'number' && answer.confidence < REVIEW_CONFIDENCE_THRESHOLD;
+};
+
+/**
+ * Lists the answers waiting for review of the children the user teaches (or co-teaches with `assign`), oldest first.
+ *
+ * @async
+ * @function reviewQueue
+ * @memberof module:ReviewService
+ * @param {object} user - Token payload (`req.user`).
+ * @param {object} [filters]
+ * @param {string} [filters.childId] - Only answers of this child.
+ * @param {string} [filters.classId] - Only answers of children in this class.
+ * @returns {Promise<object[]>} Queue items with the exercise, quiz, attempt, question and answer.
+ */
+const reviewQueue = async (user, { childId, classId } = {}) => {
+    const query = childScope(user, { classId });
+    if (childId) query._id = childId;
+
+    const children = (await userModel.find(query).select('fullName teacherId coTeachers schoolId role'))
+        .filter(child => childPolicy.canTeach(user, child, 'assign'));
+    const names = Object.fromEntries(children.map(child => [child._id.toString(), child.fullName]));
+
+    const exercises = await exerciseModel
+        .find({ childrenId: { $in: children.map(child => child._id) }, 'quiz.attempts.answers.needsReview': true })
+        .select('name childrenId quiz._id quiz.name quiz.questions quiz.attempts')
+        .lean();
+
+    const items = [];
+    for (const exercise of exercises) {
+        for (const quiz of exercise.quiz) {
+            for (const attempt of quiz.attempts || []) {
+                for (const answer of attempt.answers.filter(a => a.needsReview)) {
+                    const question = quiz.questions.find(q => q._id.toString() === answer.questionId?.toString());
+
+                    items.push({
+                        exerciseId: exercise._id,
+                        exerciseName: exercise.name,
+                        childId: exercise.childrenId,
+                        childName: names[exercise.childrenId.toString()],
+                        quizId: quiz._id,
+                        quizName: quiz.name,
+                        attempt: attempt.number,
+                        answerId: answer._id,
+                        question: question ? { method: question.method, question: question.question, key: question.key } : null,
+                        answer: { mediaId: answer.answer?.mediaId, text: answer.answer?.text },
+                        fileType: answer.fileType,
+                        similarityPoint: parseFloat(answer.similarityPoint) || 0,
+                        confidence: answer.confidence,
+                        scoringStatus: answer.scoringStatus,
+                        answeredAt: answer.timeAnswered || attempt.submittedAt
+                    });
+                }
+            }
+        }
+    }
+
+    return items.sort((a, b) => new Date(a.answeredAt) - new Date(b.answeredAt));
+};
+
+/**
+ * Confirms or overrides the score of a scored, provisional or failed answer and recomputes the `quizPoint` of its
+ * attempt and quiz. Saves the exercise.
+ *
+ * @async
+ * @function reviewAnswer
+ * @memberof module:ReviewService
+ * @param {object} exercise - Exercise document.
+ * @param {object} quiz - Quiz sub-document.
+ * @param {object} attempt - Attempt sub-document.
+ * @param {object} answer - Answer sub-document of the attempt.
+ * @param {object} review
+ * @param {string} review.action - `override` or `confirm`.
+ * @param {number} [review.point] - New score (0 - 100), for overrides.
+ * @param {string} [review.reason] - Reason, required for overrides.
+ * @param {string} review.reviewedBy - Reviewing teacher.
+ * @returns {Promise<object>} The added review.
+ */
+const reviewAnswer = async (exercise, quiz, attempt, answer, { action, point, reason, reviewedBy }) => {
+    const from = parseFloat(answer.similarityPoint) || 0;
+    const to = action === 'override' ? Number(point) : from;
+
+    answer.reviews.push({ action, from, to, reason, reviewedBy, reviewedAt: new Date() });
+    answer.similarityPoint = to;
+    answer.scoringStatus = 'scored';
+    answer.needsReview = false;
+
+    attemptService.settleAttempt(quiz, attempt);
+    await exercise.save({ validateBeforeSave: false });
+
+    return answer.reviews[answer.reviews.length - 1];
+};
+
+module.exports = {
+    REVIEW_CONFIDENCE_THRESHOLD,
+    needsReview,
+    reviewQueue,
+    reviewAnswer
+};
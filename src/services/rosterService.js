@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const bcryptjs = require('bcryptjs');
+const userModel = require('../models/userModel');
+const classModel = require('../models/classModel');
+const { ROLES } = require('../policies/roles');
+const { childScope } = require('../helpers/tenant');
+const { parseDate } = require('../helpers/roster');
+const { baseUsername, uniqueUsername } = require('../helpers/username');
+const { generatePin, hashPin, describePin, isValidAvatar, randomAvatar } = require('../helpers/pictureLogin');
+
+/**
+ * @file Service for importing and exporting a teacher's student roster.
+ * @module RosterService
+ */
+
+/**
+ * @constant {number} ROSTER_MAX_ROWS - Maximum number of students in one import, from `ROSTER_MAX_ROWS` (default 200).
+ */
+const ROSTER_MAX_ROWS = parseInt(process.env.ROSTER_MAX_ROWS) || 200;
+
+// Path di userModel -> kolom roster, untuk pesan error per baris
+const FIELD_COLUMNS = {
+    fullName: 'fullName',
+    username: 'username',
+    deafness: 'deafness',
+    dateOfBirth: 'dateOfBirth',
+    'parent.fullName': 'parentName',
+};
+
+/**
+ * Builds and validates the child of one roster row with the same rules as `childsController.store`.
+ *
+ * @private
+ * @async
+ * @function buildChild
+ * @memberof module:RosterService
+ * @param {object} values - Row values keyed by roster column.
+ * @param {object} context
+ * @param {object} context.teacher - Teacher user document.
+ * @param {object[]} context.classes - Classes the teacher teaches.
+ * @param {Set<string>} context.usernames - Usernames reserved by previous rows.
+ * @returns {Promise<{child: object, errors: object}>} The unsaved child and the errors per column.
+ */
+const buildChild = async (values, { teacher, classes, usernames }) => {
+    const errors = {};
+
+    let dateOfBirth;
+    if (values.dateOfBirth !== undefined) {
+        dateOfBirth = parseDate(values.dateOfBirth);
+        if (!dateOfBirth) errors.dateOfBirth = 'Tanggal lahir tidak valid (gunakan YYYY-MM-DD atau DD/MM/YYYY)';
+    }
+
+    let classId;
+    if (values.className) {
+        const kelas = classes.find(c => c.name.toLowerCase() === String(values.className).toLowerCase());
+        if (kelas) classId = kelas._id;
+        else errors.className = 'Kelas tidak ditemukan';
+    }
+
+    if (values.avatar && !isValidAvatar(values.avatar)) errors.avatar = 'Avatar tidak valid';
+
+    let username;
+    if (values.username) {
+        username = baseUsername(values.username);
+        if (usernames.has(username) || await userModel.findOneWithDeleted({ username: username }).select('_id')) {
+            errors.username = 'Username sudah pernah digunakkan';
+        }
+        usernames.add(username);
+    } else if (values.fullName) {
+        username = await uniqueUsername(baseUsername(values.fullName), usernames);
+    }
+
+    const child = new userModel({
+        fullName: values.fullName,
+        username: username,
+        role: ROLES.CHILD,
+        avatar: values.avatar || randomAvatar(),
+        deafness: values.deafness,
+        dateOfBirth: dateOfBirth,
+        parent: {
+            fullName: values.parentName,
+            phone: values.parentPhone,
+            address: values.parentAddress,
+            work: values.parentWork,
+        },
+        teacherId: teacher._id,
+        schoolId: teacher.schoolId,
+        classId: classId
+    });
+
+    try {
+        await child.validate(Object.keys(FIELD_COLUMNS));
+    } catch (error) {
+        if (!error.errors) throw error;
+        for (const [path, err] of Object.entries(error.errors)) {
+            const column = FIELD_COLUMNS[path] || path;
+            if (!errors[column]) errors[column] = err.message;
+        }
+    }
+
+    return { child, errors };
+};
+
+/**
+ * Validates every roster row and, when all rows are valid, creates the children in bulk.
+ * Nothing is created if a single row fails, so a corrected file can simply be uploaded again.
+ * Every child gets a random password and picture password; the picture passwords are only returned here.
+ *
+ * @async
+ * @function importRoster
+ * @memberof module:RosterService
+ * @param {object} teacher - Teacher user document.
+ * @param {Array<{row: number, values: object}>} rows - Parsed roster rows.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only validate, do not create anything.
+ * @returns {Promise<{errors: Array<{row: number, errors: object}>, childs: object[]}>} Errors per row, and the
+ * created (or, for a dry run, validated) children.
+ */
+const importRoster = async (teacher, rows, { dryRun = false } = {}) => {
+    const classes = teacher.schoolId
+        ? await classModel.find({ schoolId: teacher.schoolId, teacherIds: teacher._id }).select('name')
+        : [];
+    const usernames = new Set();
+
+    const built = [];
+    const errors = [];
+    for (const { row, values } of rows) {
+        const { child, errors: rowErrors } = await buildChild(values, { teacher, classes, usernames });
+        if (Object.keys(rowErrors).length > 0) errors.push({ row, errors: rowErrors });
+        built.push({ row, child });
+    }
+
+    if (errors.length > 0 || dryRun) {
+        return {
+            errors,
+            childs: built.map(({ row, child }) => ({ row, fullName: child.fullName, username: child.username }))
+        };
+    }
+
+    const pins = [];
+    for (const { child } of built) {
+        const pin = generatePin();
+        pins.push(pin);
+        // Anak login memakai password gambar, password teks dibuat acak
+        child.password = await bcryptjs.hash(crypto.randomBytes(24).toString('hex'), 10);
+        child.picturePin = await hashPin(pin);
+    }
+
+    await userModel.bulkSave(built.map(b => b.child), { validateBeforeSave: false });
+    await userModel.updateOne({ _id: teacher._id }, { $addToSet: { childIds: { $each: built.map(b => b.child._id) } } });
+
+    return {
+        errors,
+        childs: built.map(({ row, child }, i) => ({
+            row,
+            _id: child._id,
+            fullName: child.fullName,
+            username: child.username,
+            avatar: child.avatar,
+            classId: child.classId,
+            // Password gambar hanya ditampilkan sekali, berikan ke anak
+            picturePin: describePin(pins[i])
+        }))
+    };
+};
+
+/**
+ * Builds the roster rows of the children the user may list.
+ *
+ * @async
+ * @function exportRoster
+ * @memberof module:RosterService
+ * @param {object} user - Token payload (`req.user`).
+ * @param {object} [filters]
+ * @param {string} [filters.classId] - Only children enrolled in this class.
+ * @returns {Promise<object[]>} Rows keyed by roster column, sorted by name.
+ */
+const exportRoster = async (user, filters = {}) => {
+    const children = await userModel.find(childScope(user, filters)).sort({ fullName: 1 }).lean();
+
+    const classIds = [...new Set(children.map(c => c.classId?.toString()).filter(Boolean))];
+    const classes = await classModel.find({ _id: { $in: classIds } }).select('name').lean();
+    const classNames = new Map(classes.map(c => [c._id.toString(), c.name]));
+
+    return children.map(child => ({
+        fullName: child.fullName,
+        username: child.username,
+        deafness: child.deafness,
+        dateOfBirth: child.dateOfBirth,
+        parentName: child.parent?.fullName,
+        parentPhone: child.parent?.phone,
+        parentAddress: child.parent?.address,
+        parentWork: child.parent?.work,
+        className: child.classId ? classNames.get(child.classId.toString()) : undefined,
+        avatar: child.avatar,
+    }));
+};
+
+module.exports = { ROSTER_MAX_ROWS, importRoster, exportRoster };
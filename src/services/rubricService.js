@@ -0,0 +1,100 @@
+/**
+ * @file Service combining the criteria of a teacher's rubric into the score of a quiz attempt.
+ * @description A rubric weighs three criteria, each from 0 to 100:
+ * * `accuracy`: the average answer score (`similarityPoint`) over all questions.
+ * * `speed`: the words correct per minute of the reading (method 1) answers read aloud against the rubric's `targetWcpm`, capped at 100,
+ *   and the age-normed percentile of rapid naming answers; the average when a quiz has both.
+ * * `attitude`: the attitude point the teacher gave the quiz.
+ * A criterion without data (no timed reading answers, no attitude point yet) is left out and the other weights
+ * count proportionally, so the score does not drop while the teacher has not graded the attitude yet.
+ * The quiz keeps a copy of the rubric, so editing a rubric does not change scores already given.
+ * @module RubricService
+ */
+
+/**
+ * @constant {string[]} CRITERIA - Criteria a rubric can weigh.
+ * @memberof module:RubricService
+ */
+const CRITERIA = ['accuracy', 'speed', 'attitude'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Copies a rubric onto a quiz.
+ *
+ * @function snapshotOf
+ * @memberof module:RubricService
+ * @param {object} rubric - Rubric document.
+ * @returns {{rubricId: string, name: string, weights: object, targetWcpm: number}}
+ */
+const snapshotOf = (rubric) => ({
+    rubricId: rubric._id,
+    name: rubric.name,
+    weights: Object.fromEntries(CRITERIA.map(criterion => [criterion, rubric.weights?.[criterion] || 0])),
+    targetWcpm: rubric.targetWcpm
+});
+
+/**
+ * Speed criterion: average words correct per minute of the timed reading answers as share of the target,
+ * averaged with the rapid naming percentile when there is one.
+ *
+ * @private
+ * @function speedOf
+ * @memberof module:RubricService
+ * @param {object[]} answers - Answers of the attempt.
+ * @param {number} targetWcpm - Words correct per minute for the full score.
+ * @param {number} [rapidNamingPercentile] - Age-normed percentile of the rapid naming speed.
+ * @returns {number|null} Score from 0 to 100, or null without timed reading or rapid naming answers.
+ */
+const speedOf = (answers, targetWcpm, rapidNamingPercentile) => {
+    const scores = [];
+
+    const rates = answers.map(a => a.fluency?.wcpm).filter(wcpm => typeof wcpm === 'number');
+    if (rates.length > 0 && targetWcpm > 0) {
+        scores.push(rates.reduce((sum, wcpm) => sum + Math.min(100, wcpm / targetWcpm * 100), 0) / rates.length);
+    }
+    if (typeof rapidNamingPercentile === 'number') scores.push(rapidNamingPercentile);
+
+    return scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+};
+
+/**
+ * Scores an attempt with a rubric.
+ *
+ * @function scoreAttempt
+ * @memberof module:RubricService
+ * @param {object} rubric - Rubric or the copy on the quiz, with `weights` and `targetWcpm`.
+ * @param {object} input
+ * @param {number} input.accuracy - Average answer score of the attempt (0 - 100).
+ * @param {object[]} input.answers - Answers of the attempt, with `fluency` for reading (method 1).
+ * @param {number} [input.attitude] - Attitude point of the quiz (0 - 100).
+ * @param {number} [input.rapidNamingPercentile] - Age-normed percentile of the rapid naming speed (see RapidNamingService).
+ * @returns {{point: number, criteria: {accuracy: number, speed: number|null, attitude: number|null}}}
+ * `point` is the weighted score, `criteria` the score per criterion (null when left out).
+ */
+const scoreAttempt = (rubric, { accuracy, answers, attitude, rapidNamingPercentile }) => {
+    const attitudePoint = parseFloat(attitude);
+    const criteria = {
+        accuracy,
+        speed: speedOf(answers, rubric.targetWcpm, rapidNamingPercentile),
+        attitude: Number.isNaN(attitudePoint) ? null : Math.max(0, Math.min(100, attitudePoint))
+    };
+
+    let total = 0;
+    let weights = 0;
+    for (const criterion of CRITERIA) {
+        const weight = rubric.weights?.[criterion] || 0;
+        if (weight <= 0 || criteria[criterion] === null) continue;
+
+        total += criteria[criterion] * weight;
+        weights += weight;
+    }
+
+    return { point: weights > 0 ? parseInt(total / weights) : accuracy, criteria };
+};
+
+module.exports = {
+    CRITERIA,
+    snapshotOf,
+    scoreAttempt
+};
@@ -0,0 +1,307 @@
+const aiService = require('./aiService');
+const { similarityScore } = require('../helpers/similarity');
+const similarityConfig = require('../config/similarity');
+const { parseNumber } = require('../helpers/numberWords');
+const { analyzeErrors } = require('../helpers/errorAnalysis');
+const { measureFluency } = require('../helpers/readingFluency');
+const { parseDuration } = require('../helpers/duration');
+
+/**
+ * @file Service scoring a single answer against the key of a question.
+ * @description Shared by the exercise quizzes and the screening. Every method has a local scorer; the AI service
+ * is only needed to read handwriting and transcribe speech. Word ordering, arithmetic and counting are scored
+ * locally even for recordings, so "lima" counts as "5". When the AI service is down a recording gets a provisional
+ * score from the transcript the client may send along, and is re-scored once the service is back (see RescoringService).
+ * @module ScoringService
+ */
+
+/**
+ * Normalizes a text for comparison: lower case, without punctuation and repeated spaces.
+ *
+ * @function normalizeText
+ * @memberof module:ScoringService
+ * @param {string} text - Text to normalize.
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * @constant {number} NUMBER_TOLERANCE - Largest difference accepted between a numeric answer and its key,
+ * e.g. "3,33" for 10 / 3. Set with `SCORING_NUMBER_TOLERANCE`.
+ * @memberof module:ScoringService
+ */
+const NUMBER_TOLERANCE = parseFloat(process.env.SCORING_NUMBER_TOLERANCE) || 0.01;
+
+/**
+ * Word ordering: share of key words the answer has in the right order (longest common subsequence),
+ * so one misplaced word does not shift every word after it.
+ *
+ * @private
+ * @function scoreOrdering
+ * @memberof module:ScoringService
+ * @param {string} key - Key sentence.
+ * @param {string} text - Answer.
+ * @returns {number} Score from 0 to 100.
+ */
+const scoreOrdering = (key, text) => {
+    const keyWords = normalizeText(key).split(' ').filter(Boolean);
+    const answerWords = normalizeText(text).split(' ').filter(Boolean);
+    if (keyWords.length === 0 || answerWords.length === 0) return 0;
+
+    let previous = new Array(answerWords.length + 1).fill(0);
+    for (const word of keyWords) {
+        const row = [0];
+        answerWords.forEach((answerWord, j) => {
+            row.push(word === answerWord ? previous[j] + 1 : Math.max(previous[j + 1], row[j]));
+        });
+        previous = row;
+    }
+
+    return Math.round(previous[answerWords.length] / Math.max(keyWords.length, answerWords.length) * 100);
+};
+
+/**
+ * Arithmetic and counting: the number must be equal within `NUMBER_TOLERANCE`, written as digits or words ("lima" = "5").
+ *
+ * @private
+ * @function scoreNumber
+ * @memberof module:ScoringService
+ * @param {string} key - Key number.
+ * @param {string} text - Answer.
+ * @returns {number} 100 or 0.
+ */
+const scoreNumber = (key, text) => {
+    const expected = parseNumber(key);
+    const actual = parseNumber(text);
+    if (expected === null || actual === null) return 0;
+
+    return Math.abs(expected - actual) <= NUMBER_TOLERANCE ? 100 : 0;
+};
+
+/**
+ * Returns the similarity algorithm of a text method (see {@link module:SimilarityConfig}).
+ *
+ * @function algorithmOf
+ * @memberof module:ScoringService
+ * @param {number} method - Exercise method.
+ * @returns {string} Algorithm name of helpers/similarity.
+ */
+const algorithmOf = (method) => similarityConfig.methods[Number(method)] || similarityConfig.default;
+
+/**
+ * Text methods: similarity of the answer to the key with the algorithm configured for the method.
+ *
+ * @private
+ * @function scoreSimilarity
+ * @memberof module:ScoringService
+ * @param {number} method - Exercise method.
+ * @returns {function(string, string): number} Scorer of key and answer, from 0 to 100.
+ */
+const scoreSimilarity = (method) => (key, text) => Math.round(similarityScore(key, text, algorithmOf(method)));
+
+/**
+ * Local scorers by method. A method listed here is scored without the AI service; recordings are only sent
+ * to it to read the handwriting or transcribe the speech.
+ * * 4 word ordering: word order accuracy.
+ * * 6 numeracy: numeric equality.
+ */
+const methodScorers = {
+    4: scoreOrdering,
+    6: scoreNumber
+};
+
+/**
+ * Picks the local scorer of a question. Counting questions of any method have a number as key,
+ * so they are scored as numbers too.
+ *
+ * @private
+ * @function scorerOf
+ * @memberof module:ScoringService
+ * @param {object} question - Question or battery item with `method` and `key`.
+ * @returns {{scorer: function(string, string): number, exact: boolean}} `exact` is false for text similarity,
+ * where the similarity of the AI service is preferred.
+ */
+const scorerOf = (question) => {
+    const method = Number(question.method);
+    if (methodScorers[method]) return { scorer: methodScorers[method], exact: true };
+    if (/^\s*-?\d+([.,]\d+)?\s*$/.test(String(question.key ?? ''))) return { scorer: scoreNumber, exact: true };
+    return { scorer: scoreSimilarity(method), exact: false };
+};
+
+/**
+ * Scores a typed or transcribed answer against the key of a question with the local scorer of its method.
+ *
+ * @function scoreText
+ * @memberof module:ScoringService
+ * @param {object} question - Question or battery item with `method` and `key`.
+ * @param {string} text - Typed or transcribed answer.
+ * @returns {number} Score from 0 to 100.
+ */
+const scoreText = (question, text) => {
+    if (!normalizeText(text)) return 0;
+    return scorerOf(question).scorer(question.key, text);
+};
+
+/**
+ * Analyses the errors of a typed or transcribed answer against the key: letter reversals, omissions, insertions,
+ * transpositions and (syllable) substitutions. Only text methods are analysed; word ordering, arithmetic and
+ * counting answers are right or wrong as a whole.
+ *
+ * @function analyzeAnswer
+ * @memberof module:ScoringService
+ * @param {object} question - Question or battery item with `method` and `key`.
+ * @param {string} text - Typed or transcribed answer.
+ * @returns {object|null} The analysis (see ErrorAnalysisSchema), or null if the answer is empty or not a text method.
+ */
+const analyzeAnswer = (question, text) => {
+    if (!normalizeText(text) || scorerOf(question).exact) return null;
+    return analyzeErrors(question.key, text);
+};
+
+/**
+ * @constant {number} READING_METHOD - Reading (method 1 of the exercise prompt, answered as a recording read aloud),
+ * the method whose answers get fluency metrics. Method 3 is audio dictation the child writes down.
+ * @memberof module:ScoringService
+ */
+const READING_METHOD = 1;
+
+/**
+ * Measures the reading fluency of a reading aloud answer: words correct per minute from the duration and the
+ * transcript, accuracy, pauses, repetitions and self-corrections (see helpers/readingFluency).
+ *
+ * @function fluencyOf
+ * @memberof module:ScoringService
+ * @param {object} question - Question or battery item with `method` and `key`.
+ * @param {string} text - Transcript of the reading.
+ * @param {object} [options]
+ * @param {number|string} [options.duration] - Time taken to answer, in milliseconds or as stored by older apps.
+ * @param {object[]} [options.words] - Word timings `{ word, start, end }` (seconds) of the AI service, used to find pauses.
+ * @returns {object|null} The metrics (see FluencySchema), or null if the question is not read aloud or the transcript is empty.
+ */
+const fluencyOf = (question, text, { duration, words } = {}) => {
+    if (Number(question.method) !== READING_METHOD || !normalizeText(text)) return null;
+    return measureFluency(question.key, text, { durationMs: parseDuration(duration), words });
+};
+
+/**
+ * Provisional score of a recording while the AI service is unavailable, from a transcript made by the client
+ * (e.g. on-device speech recognition), scored with the local scorer of the method. Without a transcript the score is 0.
+ *
+ * @function fallbackScore
+ * @memberof module:ScoringService
+ * @param {object} question - Question or battery item with `method` and `key`.
+ * @param {string} [transcript] - Transcript of the recording made by the client.
+ * @returns {number} Score from 0 to 100.
+ */
+const fallbackScore = (question, transcript) => {
+    if (!normalizeText(transcript) || !normalizeText(question.key)) return 0;
+    return scoreText(question, transcript);
+};
+
+/**
+ * Confidence of a score from the AI service, from 0 to 1. Uses the confidence the AI service reports; otherwise,
+ * for text methods, the agreement between the AI similarity and the local similarity of the transcript, so a
+ * misread photo or a noisy recording where both disagree gets a low confidence.
+ *
+ * @private
+ * @function confidenceOf
+ * @memberof module:ScoringService
+ * @param {object} response - Response of the AI service.
+ * @param {number} score - Score given to the answer.
+ * @param {number} localScore - Local score of the transcript.
+ * @returns {number}
+ */
+const confidenceOf = (response, score, localScore) => {
+    const reported = parseFloat(response.confidence);
+    if (!Number.isNaN(reported)) return Math.round(Math.min(1, Math.max(0, reported > 1 ? reported / 100 : reported)) * 100) / 100;
+
+    return Math.round((1 - Math.abs(score - localScore) / 100) * 100) / 100;
+};
+
+/**
+ * Scores one submitted answer. Typed answers are scored locally. Recordings (handwriting photos, speech) are
+ * transcribed by the AI service; the transcription of word ordering, arithmetic and counting questions is then
+ * scored locally, other methods use the similarity of the AI service.
+ *
+ * @async
+ * @function scoreAnswer
+ * @memberof module:ScoringService
+ * @param {object} question - Question or battery item with `method` and `key`.
+ * @param {object} input - Submitted answer.
+ * @param {string} input.answer - Base64 data URL of the recording, or the typed answer.
+ * @param {string} [input.fileType] - MIME type of the recording.
+ * @param {string} [input.transcript] - Transcript of the recording made by the client, used when the AI service fails.
+ * @param {number|string} [input.duration] - Time taken to answer, for the fluency of reading aloud answers.
+ * @param {object} [options]
+ * @param {boolean} [options.fallback=true] - Give a provisional score when the AI service fails instead of throwing.
+ * @returns {Promise<{file: string|undefined, text: string, score: number, confidence: number, provisional: boolean, errorAnalysis: object|null, fluency: object|null, error?: string}>}
+ * `file` is only set for recordings. `confidence` (0 - 1) is 1 for typed answers and 0 for provisional scores.
+ * `provisional` is true for a fallback score, `error` then holds the AI error. `errorAnalysis` comes from `analyzeAnswer`,
+ * `fluency` from `fluencyOf`.
+ * @throws {Error} If the AI service fails to process the recording and `fallback` is false.
+ */
+const scoreAnswer = async (question, input, { fallback = true } = {}) => {
+    const fileType = input.fileType || '';
+    const base64Content = String(input.answer || '').split(',')[1] || input.answer;
+
+    let response = null;
+    try {
+        if (fileType.startsWith('image/')) {
+            response = await aiService.processImageToText(input.answer, question.key);
+        } else if (fileType.startsWith('audio/')) {
+            response = await aiService.processAudioToText(base64Content, question.key);
+        }
+    } catch (error) {
+        if (!fallback) throw error;
+
+        const text = String(input.transcript || '');
+        return {
+            file: input.answer,
+            text,
+            score: fallbackScore(question, text),
+            confidence: 0,
+            provisional: true,
+            errorAnalysis: analyzeAnswer(question, text),
+            fluency: fluencyOf(question, text, { duration: input.duration }),
+            error: error.message
+        };
+    }
+
+    if (response) {
+        const text = response.text || '';
+        const localScore = scoreText(question, text);
+        const score = scorerOf(question).exact ? localScore : Math.round(response.similarity || localScore);
+        return {
+            file: input.answer,
+            text,
+            score,
+            confidence: confidenceOf(response, score, localScore),
+            provisional: false,
+            errorAnalysis: analyzeAnswer(question, text),
+            fluency: fluencyOf(question, text, { duration: input.duration, words: response.words })
+        };
+    }
+
+    const text = String(input.answer || '');
+    return {
+        file: undefined,
+        text,
+        score: scoreText(question, text),
+        confidence: 1,
+        provisional: false,
+        errorAnalysis: analyzeAnswer(question, text),
+        fluency: fluencyOf(question, text, { duration: input.duration })
+    };
+};
+
+module.exports = {
+    NUMBER_TOLERANCE,
+    normalizeText,
+    algorithmOf,
+    scoreText,
+    analyzeAnswer,
+    READING_METHOD,
+    fluencyOf,
+    fallbackScore,
+    scoreAnswer
+};
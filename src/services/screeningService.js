@@ -0,0 +1,268 @@
+const userModel = require('../models/userModel');
+const screeningSessionModel = require('../models/screeningSessionModel');
+const scoringService = require('./scoringService');
+const storageService = require('./storageService');
+const screening = require('../config/screening');
+const { answerDuration } = require('../helpers/duration');
+
+/**
+ * @file Service for the dyslexia screening: sessions, scoring against age norms and the child's level.
+ * @module ScreeningService
+ */
+
+/**
+ * Computes the age in whole months at a given date.
+ *
+ * @function ageInMonths
+ * @memberof module:ScreeningService
+ * @param {Date} dateOfBirth - Date of birth.
+ * @param {Date} [at=new Date()] - Reference date.
+ * @returns {number} Age in months.
+ */
+const ageInMonths = (dateOfBirth, at = new Date()) => {
+    const birth = new Date(dateOfBirth);
+    let months = (at.getFullYear() - birth.getFullYear()) * 12 + (at.getMonth() - birth.getMonth());
+    if (at.getDate() < birth.getDate()) months--;
+    return Math.max(months, 0);
+};
+
+/**
+ * Finds the age norms for an age, falling back to the nearest band.
+ *
+ * @function normsFor
+ * @memberof module:ScreeningService
+ * @param {number} ageMonths - Age in months.
+ * @returns {object} Entry of `AGE_NORMS`.
+ */
+const normsFor = (ageMonths) => {
+    const norms = screening.AGE_NORMS;
+    return norms.find(n => ageMonths >= n.minMonths && ageMonths <= n.maxMonths)
+        || (ageMonths < norms[0].minMonths ? norms[0] : norms[norms.length - 1]);
+};
+
+/**
+ * Removes the answer keys from the items so the session can be shown to the child.
+ *
+ * @function publicItems
+ * @memberof module:ScreeningService
+ * @param {object} session - Screening session document.
+ * @returns {object[]} Items without `key`.
+ */
+const publicItems = (session) => session.items.map(({ code, method, question }) => ({ code, method, question }));
+
+/**
+ * Starts a screening session for a child with the current battery.
+ *
+ * @async
+ * @function startSession
+ * @memberof module:ScreeningService
+ * @param {object} child - Child user document, must have `dateOfBirth`.
+ * @param {string} teacherId - Teacher starting the session.
+ * @returns {Promise<object>} The session document.
+ */
+const startSession = (child, teacherId) => screeningSessionModel.create({
+    childId: child._id,
+    teacherId: teacherId,
+    version: screening.version,
+    ageMonths: ageInMonths(child.dateOfBirth),
+    items: screening.BATTERY
+});
+
+/**
+ * Scores and stores answers of an in-progress session. Answering an item again replaces the previous answer and its recording.
+ *
+ * @async
+ * @function submitAnswers
+ * @memberof module:ScreeningService
+ * @param {object} session - Screening session document.
+ * @param {object[]} answers - Answers with `code`, `answer`, `fileType`, `transcript`, `duration` (ms), `timeOpened`, `timeAnswered`.
+ * The duration is taken from `timeOpened` to `timeAnswered` when both are sent (see `answerDuration`).
+ * While the AI service is down, recordings get a provisional score from `transcript` (see `rescoreProvisional`).
+ * @param {string} uploadedBy - User submitting the answers, recordings are written to the storage.
+ * @returns {Promise<{session: object, unknown: string[]}>} The saved session and the codes that are not in the battery.
+ */
+const submitAnswers = async (session, answers, uploadedBy) => {
+    const unknown = [];
+    const replaced = [];
+
+    for (const input of answers) {
+        const item = session.items.find(i => i.code === input.code);
+        if (!item) {
+            unknown.push(input.code);
+            continue;
+        }
+
+        const { file, text, score, provisional, errorAnalysis, error } = await scoringService.scoreAnswer(item, input);
+        const media = file
+            ? await storageService.saveUpload(file, input.fileType, { purpose: 'screening', childId: session.childId, uploadedBy })
+            : null;
+
+        const previous = session.answers.find(a => a.code === item.code);
+        if (previous?.answer?.mediaId) replaced.push(previous.answer.mediaId);
+
+        session.answers = session.answers.filter(a => a.code !== item.code);
+        session.answers.push({
+            code: item.code,
+            answer: { mediaId: media?._id, text },
+            score: score,
+            scoringStatus: provisional ? 'provisional' : 'scored',
+            scoringError: error,
+            errorAnalysis: errorAnalysis,
+            duration: answerDuration(input) ?? undefined,
+            timeOpened: input.timeOpened,
+            timeAnswered: input.timeAnswered
+        });
+    }
+
+    await session.save();
+    if (replaced.length > 0) await storageService.removeMedia({ _id: { $in: replaced } });
+
+    return { session, unknown };
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Computes the result of a session: a score per skill (unanswered items count as 0), its z-score against the
+ * age norms, the composite z-score and the level.
+ * Rapid naming is also scored on speed: slower than the expected time per item lowers the score proportionally.
+ *
+ * @function scoreSession
+ * @memberof module:ScreeningService
+ * @param {object} session - Screening session document.
+ * @returns {{skills: object, compositeZ: number, level: number}} The result.
+ */
+const scoreSession = (session) => {
+    const norms = normsFor(session.ageMonths);
+    const skills = {};
+
+    for (const { skill, method } of screening.SKILLS) {
+        // Sesi versi lama menyimpan soal dengan metode lama
+        const sessionMethod = screening.LEGACY_SKILL_METHODS[session.version]?.[skill] ?? method;
+        const items = session.items.filter(i => i.method === sessionMethod);
+        if (items.length === 0) continue;
+
+        const answers = items.map(i => session.answers.find(a => a.code === i.code)).filter(Boolean);
+        let score = answers.reduce((sum, a) => sum + a.score, 0) / items.length;
+
+        if (skill === 'rapidNaming') {
+            const durations = answers.map(a => a.duration).filter(d => d > 0);
+            if (durations.length > 0) {
+                const average = durations.reduce((sum, d) => sum + d, 0) / durations.length;
+                score *= Math.min(1, norms.rapidNamingMsPerItem / average);
+            }
+        }
+
+        const { mean, sd } = norms.skills[skill];
+        const z = (score - mean) / sd;
+        skills[skill] = { score: Math.round(score), z: round(z, 2), atRisk: z < screening.AT_RISK_Z };
+    }
+
+    const zScores = Object.values(skills).map(s => s.z);
+    const compositeZ = round(zScores.reduce((sum, z) => sum + z, 0) / zScores.length, 2);
+    const level = screening.LEVELS.find(l => compositeZ >= l.minZ).level;
+
+    return { skills, compositeZ, level };
+};
+
+/**
+ * Writes the result of a session onto the child: level, skill profile and screening date.
+ *
+ * @private
+ * @async
+ * @function applyResult
+ * @memberof module:ScreeningService
+ * @param {object} session - Completed screening session document.
+ * @returns {Promise<void>}
+ */
+const applyResult = (session) => userModel.updateOne({ _id: session.childId }, {
+    $set: {
+        isScreening: true,
+        level: session.result.level,
+        skillProfile: session.result.skills,
+        screenedAt: session.completedAt
+    }
+});
+
+/**
+ * Completes a session and writes the level and skill profile onto the child.
+ *
+ * @async
+ * @function completeSession
+ * @memberof module:ScreeningService
+ * @param {object} session - In-progress screening session document.
+ * @returns {Promise<object>} The completed session.
+ */
+const completeSession = async (session) => {
+    session.result = scoreSession(session);
+    session.status = 'completed';
+    session.completedAt = new Date();
+    await session.save();
+    await applyResult(session);
+
+    return session;
+};
+
+/**
+ * Re-scores provisional answers once the AI service is back. The result of a completed session is recomputed,
+ * and written to the child again if it is the child's latest screening.
+ *
+ * @async
+ * @function rescoreProvisional
+ * @memberof module:ScreeningService
+ * @returns {Promise<number>} Number of answers that got their final score.
+ */
+const rescoreProvisional = async () => {
+    const sessions = await screeningSessionModel.find({ status: { $ne: 'cancelled' }, 'answers.scoringStatus': 'provisional' });
+    let rescored = 0;
+
+    for (const session of sessions) {
+        let changed = false;
+
+        for (const answer of session.answers.filter(a => a.scoringStatus === 'provisional')) {
+            const item = session.items.find(i => i.code === answer.code);
+            const file = answer.answer?.mediaId ? await storageService.readDataUrl(answer.answer.mediaId) : answer.answer?.file;
+            if (!item || !file) continue;
+
+            const scored = await scoringService.scoreAnswer(item, {
+                answer: file,
+                fileType: storageService.parseDataUrl(file)?.contentType,
+                transcript: answer.answer.text
+            });
+            if (scored.provisional) continue;
+
+            answer.answer.text = scored.text;
+            answer.score = scored.score;
+            answer.scoringStatus = 'scored';
+            answer.scoringError = undefined;
+            answer.errorAnalysis = scored.errorAnalysis;
+            changed = true;
+            rescored++;
+        }
+
+        if (!changed) continue;
+
+        if (session.status === 'completed') {
+            session.result = scoreSession(session);
+            await session.save();
+
+            const latest = await screeningSessionModel.findOne({ childId: session.childId, status: 'completed' }).sort({ completedAt: -1 }).select('_id');
+            if (latest?._id.equals(session._id)) await applyResult(session);
+        } else {
+            await session.save();
+        }
+    }
+
+    return rescored;
+};
+
+module.exports = {
+    ageInMonths,
+    normsFor,
+    publicItems,
+    startSession,
+    submitAnswers,
+    scoreSession,
+    completeSession,
+    rescoreProvisional
+};
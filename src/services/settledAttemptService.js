@@ -0,0 +1,137 @@
+const exerciseModel = require('../models/exerciseModel');
+
+/**
+ * @file Service handing the settled quiz attempts of a child to background consumers, each answer once per consumer.
+ * @description A consumer (the adaptive ratings, the spaced repetition schedule) records the answers it applied in its
+ * own list on the attempt (`ratedAnswers`, `scheduledAnswers`) and marks the attempt with its flag (`rated`,
+ * `scheduled`) once every answer is applied. An attempt is settled once it has a `quizPoint` and no answer is pending or
+ * provisional. Before applying an answer the consumer claims it by adding it to the list atomically, so concurrent
+ * requests never apply the same answer twice; an answer that could not be applied is given back and retried later.
+ * @module SettledAttemptService
+ */
+
+/**
+ * Collects the settled attempts of a child that a consumer has not finished yet, oldest first.
+ *
+ * @async
+ * @function unclaimedAttempts
+ * @memberof module:SettledAttemptService
+ * @param {string} childId - Child ID.
+ * @param {string} flag - Attempt field marking the attempts of the consumer, e.g. `rated`.
+ * @returns {Promise<Array<{exerciseId: string, quiz: object, attempt: object}>>} Lean quiz (`_id`, `questions`) and attempt.
+ */
+const unclaimedAttempts = async (childId, flag) => {
+    const exercises = await exerciseModel
+        .find({ childrenId: childId, 'quiz.attempts': { $elemMatch: { [flag]: { $ne: true }, quizPoint: { $ne: null } } } })
+        .select('quiz._id quiz.questions quiz.attempts')
+        .lean();
+
+    return exercises.flatMap(exercise => exercise.quiz.flatMap(quiz => (quiz.attempts || [])
+        .filter(a => !a[flag] && a.quizPoint !== undefined && a.quizPoint !== null)
+        .filter(a => !a.answers.some(answer => ['pending', 'provisional'].includes(answer.scoringStatus)))
+        .map(attempt => ({ exerciseId: exercise._id, quiz, attempt }))))
+        .sort((x, y) => new Date(x.attempt.submittedAt || 0) - new Date(y.attempt.submittedAt || 0));
+};
+
+/**
+ * Claims an answer of an attempt for a consumer by adding it to the consumer's list, only if no other request
+ * claimed it first.
+ *
+ * @private
+ * @async
+ * @function claimAnswer
+ * @memberof module:SettledAttemptService
+ * @param {{exerciseId: string, quiz: object, attempt: object}} entry - Entry of `unclaimedAttempts`.
+ * @param {object} answer - Answer of the attempt.
+ * @param {string} flag - Attempt field marking the attempts of the consumer.
+ * @returns {Promise<boolean>} False if the answer was already claimed.
+ */
+const claimAnswer = async ({ exerciseId, quiz, attempt }, answer, flag) => {
+    const field = `${flag}Answers`;
+    const claimed = await exerciseModel.updateOne(
+        { _id: exerciseId },
+        { $push: { [`quiz.$[q].attempts.$[a].${field}`]: answer._id } },
+        { arrayFilters: [{ 'q._id': quiz._id }, { 'a._id': attempt._id, [`a.${field}`]: { $ne: answer._id } }] }
+    );
+    return claimed.modifiedCount > 0;
+};
+
+/**
+ * Gives a claimed answer back after the consumer failed to apply it. The flag of the attempt is removed with it, in
+ * case another request marked the attempt in the meantime.
+ *
+ * @private
+ * @async
+ * @function releaseAnswer
+ * @memberof module:SettledAttemptService
+ * @param {{exerciseId: string, quiz: object, attempt: object}} entry - Entry of `unclaimedAttempts`.
+ * @param {object} answer - Answer of the attempt.
+ * @param {string} flag - Attempt field marking the attempts of the consumer.
+ * @returns {Promise<void>}
+ */
+const releaseAnswer = async ({ exerciseId, quiz, attempt }, answer, flag) => {
+    await exerciseModel.updateOne(
+        { _id: exerciseId },
+        {
+            $pull: { [`quiz.$[q].attempts.$[a].${flag}Answers`]: answer._id },
+            $unset: { [`quiz.$[q].attempts.$[a].${flag}`]: '' }
+        },
+        { arrayFilters: [{ 'q._id': quiz._id }, { 'a._id': attempt._id }] }
+    );
+};
+
+/**
+ * Applies every answer of the settled attempts of a child once for a consumer, oldest attempt first.
+ * Failed answers are skipped. An answer is claimed before it is applied and given back when applying it throws,
+ * so the next run retries it; the attempt is marked with the flag once all its answers are claimed.
+ *
+ * @async
+ * @function processAttempts
+ * @memberof module:SettledAttemptService
+ * @param {string} childId - Child ID.
+ * @param {string} flag - Attempt field marking the attempts of the consumer, e.g. `rated`.
+ * @param {function(object, object, object): Promise<boolean>} apply - Applies one answer, called with the answer, the
+ * quiz and the attempt. Returns false if the answer did not change anything.
+ * @returns {Promise<{attempts: number, answers: number}>} Number of finished attempts and of applied answers.
+ */
+const processAttempts = async (childId, flag, apply) => {
+    const attempts = await unclaimedAttempts(childId, flag);
+    const totals = { attempts: 0, answers: 0 };
+
+    for (const entry of attempts) {
+        const { quiz, attempt } = entry;
+        const applied = (attempt[`${flag}Answers`] || []).map(id => id.toString());
+
+        for (const answer of attempt.answers) {
+            if (answer.scoringStatus === 'failed' || applied.includes(answer._id.toString())) continue;
+            // Tandai dulu supaya jawaban yang sama tidak dihitung dua kali oleh permintaan lain
+            if (!(await claimAnswer(entry, answer, flag))) continue;
+
+            try {
+                if (await apply(answer, quiz, attempt)) totals.answers++;
+            } catch (error) {
+                await releaseAnswer(entry, answer, flag);
+                throw error;
+            }
+        }
+
+        // Hanya ditandai jika semua jawaban sudah diklaim, juga oleh permintaan lain
+        const answerIds = attempt.answers.filter(a => a.scoringStatus !== 'failed').map(a => a._id);
+        const filter = { 'a._id': attempt._id, [`a.${flag}`]: { $ne: true } };
+        if (answerIds.length > 0) filter[`a.${flag}Answers`] = { $all: answerIds };
+
+        const marked = await exerciseModel.updateOne(
+            { _id: entry.exerciseId },
+            { $set: { [`quiz.$[q].attempts.$[a].${flag}`]: true } },
+            { arrayFilters: [{ 'q._id': quiz._id }, filter] }
+        );
+        if (marked.modifiedCount > 0) totals.attempts++;
+    }
+
+    return totals;
+};
+
+module.exports = {
+    unclaimedAttempts,
+    processAttempts
+};
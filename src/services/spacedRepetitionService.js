@@ -0,0 +1,165 @@
+const spacedRepetitionModel = require('../models/spacedRepetitionModel');
+const settledAttemptService = require('./settledAttemptService');
+
+/**
+ * @file Spaced repetition scheduler (SM-2) for the question bank items a child missed.
+ * @description An item is tracked for a child from the first time the child misses it: an answer scoring below
+ * `PASS_QUALITY` on the 0 - 5 scale, where the quality of an answer is its `similarityPoint` divided by 20. From then on
+ * every answer to the item moves its schedule: a passed review grows the interval (1 day, 6 days, then the previous
+ * interval times the ease), a missed review starts over at 1 day. The ease goes up after easy answers and down after
+ * hard ones, never below `MIN_EASE`. Settled attempts are scheduled once, oldest first, so the same history always
+ * gives the same schedule. The items due today make up the daily review quiz of a child.
+ * @module SpacedRepetitionService
+ */
+
+/**
+ * @constant {number} PASS_QUALITY - Lowest answer quality (0 - 5) that counts as remembered.
+ * @memberof module:SpacedRepetitionService
+ */
+const PASS_QUALITY = 3;
+
+/**
+ * @constant {number} MIN_EASE - Lowest ease factor of an item.
+ * @memberof module:SpacedRepetitionService
+ */
+const MIN_EASE = 1.3;
+
+/**
+ * @constant {number} REVIEW_QUANTITY - Most questions in a daily review quiz, from `SPACED_REVIEW_QUANTITY` (default 10).
+ * @memberof module:SpacedRepetitionService
+ */
+const REVIEW_QUANTITY = parseInt(process.env.SPACED_REVIEW_QUANTITY) || 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Converts an answer score into the SM-2 answer quality.
+ *
+ * @function qualityOf
+ * @memberof module:SpacedRepetitionService
+ * @param {number|string} similarityPoint - Answer score (0 - 100).
+ * @returns {number} Quality from 0 (blackout) to 5 (perfect).
+ */
+const qualityOf = (similarityPoint) => Math.max(0, Math.min(5, Math.round((parseFloat(similarityPoint) || 0) / 20)));
+
+/**
+ * Computes the next schedule of an item after a review (SM-2).
+ *
+ * @function nextReview
+ * @memberof module:SpacedRepetitionService
+ * @param {object} schedule - Current `{ repetitions, interval, ease, lapses }` of the item.
+ * @param {number} quality - Answer quality (0 - 5).
+ * @param {Date} reviewedAt - Time of the answer.
+ * @returns {{repetitions: number, interval: number, ease: number, lapses: number, dueAt: Date}}
+ */
+const nextReview = ({ repetitions = 0, interval = 0, ease = 2.5, lapses = 0 }, quality, reviewedAt) => {
+    let next;
+    if (quality >= PASS_QUALITY) {
+        const days = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * ease);
+        next = { repetitions: repetitions + 1, interval: days, lapses };
+    } else {
+        next = { repetitions: 0, interval: 1, lapses: lapses + 1 };
+    }
+
+    const miss = 5 - quality;
+    next.ease = round(Math.max(MIN_EASE, ease + 0.1 - miss * (0.08 + miss * 0.02)));
+    next.dueAt = new Date(new Date(reviewedAt).getTime() + next.interval * DAY_MS);
+
+    return next;
+};
+
+/**
+ * Moves the schedule of one item after an answer. The update only applies if no other request moved the schedule
+ * since it was read (`reviews` did not change), otherwise it is read again; a new schedule is inserted with an
+ * upsert, so two requests never create the same item twice.
+ *
+ * @private
+ * @async
+ * @function reviewItem
+ * @memberof module:SpacedRepetitionService
+ * @param {string} childId - Child ID.
+ * @param {object} question - Quiz question that was answered.
+ * @param {object} answer - Answer of the child.
+ * @param {Date} reviewedAt - Time of the answer.
+ * @returns {Promise<boolean>} False if the item is not tracked and the answer passed.
+ */
+const reviewItem = async (childId, question, answer, reviewedAt) => {
+    const quality = qualityOf(answer.similarityPoint);
+
+    for (;;) {
+        const current = await spacedRepetitionModel.findOne({ childId, code: question.code }).lean();
+        // Soal baru dijadwalkan sejak pertama kali salah
+        if (!current && quality >= PASS_QUALITY) return false;
+
+        const schedule = {
+            method: Number(question.method),
+            question: { type: question.question.type, value: question.question.value },
+            key: question.key,
+            level: question.level,
+            ...nextReview(current || {}, quality, reviewedAt),
+            lastScore: parseFloat(answer.similarityPoint) || 0,
+            lastReviewedAt: reviewedAt,
+            reviews: (current?.reviews || 0) + 1
+        };
+
+        try {
+            const result = current
+                ? await spacedRepetitionModel.updateOne({ _id: current._id, reviews: current.reviews || { $in: [0, null] } }, { $set: schedule })
+                : await spacedRepetitionModel.updateOne({ childId, code: question.code }, { $setOnInsert: schedule }, { upsert: true });
+            if (current ? result.modifiedCount > 0 : result.upsertedCount > 0) return true;
+        } catch (error) {
+            // Permintaan lain membuat jadwal yang sama pada saat bersamaan, baca ulang
+            if (error.code !== 11000) throw error;
+        }
+    }
+};
+
+/**
+ * Updates the schedules of a child with the settled attempts that were not scheduled yet, oldest first.
+ * Attempts with pending or provisional answers wait until they are scored for good; failed answers are skipped.
+ * Each answer is claimed before it is scheduled (see SettledAttemptService) and every schedule is written right away
+ * (see `reviewItem`).
+ *
+ * @async
+ * @function scheduleChildAnswers
+ * @memberof module:SpacedRepetitionService
+ * @param {string} childId - Child ID.
+ * @returns {Promise<{attempts: number, answers: number}>} Number of scheduled attempts and of answers that moved a schedule.
+ */
+const scheduleChildAnswers = (childId) => settledAttemptService.processAttempts(childId, 'scheduled', async (answer, quiz, attempt) => {
+    const question = quiz.questions.find(q => q._id.toString() === answer.questionId?.toString());
+    if (!question) return false;
+
+    const reviewedAt = new Date(answer.timeAnswered || attempt.submittedAt || Date.now());
+    return reviewItem(childId, question, answer, reviewedAt);
+});
+
+/**
+ * Returns the items of a child due for review, longest overdue first, then the hardest (lowest ease).
+ *
+ * @async
+ * @function dueItems
+ * @memberof module:SpacedRepetitionService
+ * @param {string} childId - Child ID.
+ * @param {object} [options]
+ * @param {number} [options.quantity] - Most items returned. Defaults to `REVIEW_QUANTITY`.
+ * @param {Date} [options.now] - Items due until this time. Defaults to now.
+ * @returns {Promise<object[]>} Schedule documents.
+ */
+const dueItems = async (childId, { quantity = REVIEW_QUANTITY, now = new Date() } = {}) => spacedRepetitionModel
+    .find({ childId, dueAt: { $lte: now } })
+    .sort({ dueAt: 1, ease: 1, code: 1 })
+    .limit(quantity)
+    .lean();
+
+module.exports = {
+    PASS_QUALITY,
+    MIN_EASE,
+    REVIEW_QUANTITY,
+    qualityOf,
+    nextReview,
+    scheduleChildAnswers,
+    dueItems
+};
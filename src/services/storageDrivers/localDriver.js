@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @file Local disk storage driver.
+ * @description Files are written below one root directory. Fine for a single server; use the S3 driver when
+ * the API runs on several machines.
+ * @module LocalDriver
+ */
+
+/**
+ * Creates a local disk driver.
+ *
+ * @function localDriver
+ * @memberof module:LocalDriver
+ * @param {object} options
+ * @param {string} options.root - Directory of the files, relative to the project root or absolute.
+ * @returns {{name: string, put: function, get: function, remove: function}}
+ */
+const localDriver = ({ root }) => {
+    const base = path.resolve(__dirname, '..', '..', '..', root);
+
+    // Kunci tidak boleh keluar dari folder root
+    const resolve = (key) => {
+        const file = path.resolve(base, key);
+        if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return file;
+    };
+
+    return {
+        name: 'local',
+        put: async (key, buffer) => {
+            const file = resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer);
+        },
+        get: async (key, range) => fs.createReadStream(resolve(key), range || {}),
+        remove: async (key) => {
+            try {
+                await fs.promises.unlink(resolve(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+};
+
+module.exports = localDriver;
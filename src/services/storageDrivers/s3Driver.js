@@ -0,0 +1,54 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * @file S3 compatible storage driver (AWS S3, MinIO, DigitalOcean Spaces, Cloudflare R2, ...).
+ * @description Files are shared by every API instance. Objects are private; they are streamed through the API.
+ * @module S3Driver
+ */
+
+/**
+ * Creates an S3 driver.
+ *
+ * @function s3Driver
+ * @memberof module:S3Driver
+ * @param {object} options - `s3` section of the storage configuration.
+ * @returns {{name: string, put: function, get: function, remove: function}}
+ * @throws {Error} If no bucket is configured.
+ */
+const s3Driver = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix }) => {
+    if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const objectKey = (key) => `${prefix}${key}`;
+
+    return {
+        name: 's3',
+        put: async (key, buffer, contentType) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+        get: async (key, range) => {
+            const response = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined
+            }));
+            return response.Body;
+        },
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        }
+    };
+};
+
+module.exports = s3Driver;
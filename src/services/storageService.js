@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config/storage');
+const mediaModel = require('../models/mediaModel');
+const localDriver = require('./storageDrivers/localDriver');
+
+/**
+ * @file Storage service for answer media with pluggable drivers.
+ * @description New files go to the driver chosen with `STORAGE_DRIVER` (see {@link module:StorageConfig}).
+ * Every file gets a `Media` record and is referenced by its ID; the record remembers the driver, so files
+ * stay readable after switching drivers.
+ * @module StorageService
+ */
+
+const drivers = {
+    local: () => localDriver(config.local),
+    // Dimuat saat dipakai saja, supaya instalasi lokal tidak butuh SDK S3
+    s3: () => require('./storageDrivers/s3Driver')(config.s3)
+};
+
+const activeDrivers = {};
+
+/**
+ * Returns a driver, creating it on first use.
+ *
+ * @function getDriver
+ * @memberof module:StorageService
+ * @param {string} [name=config.driver] - Driver name.
+ * @returns {object} The driver.
+ * @throws {Error} If the driver is unknown.
+ */
+const getDriver = (name = config.driver) => {
+    if (!activeDrivers[name]) {
+        if (!drivers[name]) throw new Error(`Unknown storage driver: ${name}`);
+        activeDrivers[name] = drivers[name]();
+    }
+    return activeDrivers[name];
+};
+
+/**
+ * @constant {string[]} MEDIA_TYPES - Accepted MIME types: recorded audio and raster images.
+ * @memberof module:StorageService
+ * @description An allow-list, not `image/*`: files are served from the API origin, and types like
+ * `image/svg+xml` or `text/html` could run scripts there.
+ */
+const MEDIA_TYPES = [
+    'audio/webm', 'audio/ogg', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/mpeg', 'audio/mp3',
+    'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/flac', 'audio/amr', 'audio/3gpp',
+    'image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif'
+];
+
+/**
+ * Checks whether a MIME type is accepted for media files.
+ *
+ * @function isMediaType
+ * @memberof module:StorageService
+ * @param {string} contentType - MIME type.
+ * @returns {boolean}
+ */
+const isMediaType = (contentType) => MEDIA_TYPES.includes(String(contentType).toLowerCase());
+
+/**
+ * Splits a Base64 data URL into its content type and content.
+ *
+ * @function parseDataUrl
+ * @memberof module:StorageService
+ * @param {string} dataUrl - `data:<type>;base64,<content>`.
+ * @returns {{contentType: string, buffer: Buffer}|null} Null if the value is not a Base64 data URL.
+ */
+const parseDataUrl = (dataUrl) => {
+    const matches = typeof dataUrl === 'string' && dataUrl.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s);
+    if (!matches) return null;
+
+    return { contentType: matches[1].toLowerCase(), buffer: Buffer.from(matches[2], 'base64') };
+};
+
+const extensionOf = (contentType) => (contentType.split('/')[1] || 'bin').replace(/^x-/, '').replace(/[^\w]/g, '').slice(0, 10);
+
+/**
+ * Stores a file and creates its media record.
+ *
+ * @async
+ * @function saveMedia
+ * @memberof module:StorageService
+ * @param {Buffer} buffer - Content.
+ * @param {string} contentType - MIME type, audio or image.
+ * @param {object} [meta]
+ * @param {string} [meta.purpose='answer'] - `answer` or `screening`.
+ * @param {string} [meta.childId] - Child the file belongs to.
+ * @param {string} [meta.uploadedBy] - Uploading user.
+ * @returns {Promise<object>} The media document.
+ * @throws {Error} If the type is not accepted or the file is too large (check uploads with `validateUpload` first).
+ */
+const saveMedia = async (buffer, contentType, { purpose = 'answer', childId, uploadedBy } = {}) => {
+    if (!isMediaType(contentType)) {
+        throw new Error(`Unsupported media type: ${contentType}`);
+    }
+    if (buffer.length > config.maxBytes) {
+        throw new Error(`File is larger than ${config.maxBytes} bytes`);
+    }
+
+    const _id = new mongoose.Types.ObjectId();
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const key = `${purpose}/${now.getFullYear()}/${month}/${_id}.${extensionOf(contentType)}`;
+    const driver = getDriver();
+
+    await driver.put(key, buffer, contentType);
+
+    try {
+        return await mediaModel.create({
+            _id,
+            driver: driver.name,
+            key,
+            contentType,
+            size: buffer.length,
+            checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+            purpose,
+            childId,
+            uploadedBy
+        });
+    } catch (error) {
+        await driver.remove(key).catch(() => {});
+        throw error;
+    }
+};
+
+/**
+ * Turns an uploaded answer into a data URL. Clients send a data URL, or plain Base64 with a separate `fileType`.
+ *
+ * @private
+ * @function toDataUrl
+ * @memberof module:StorageService
+ * @param {string} value - Data URL or plain Base64.
+ * @param {string} [fileType] - MIME type for plain Base64.
+ * @returns {string|null}
+ */
+const toDataUrl = (value, fileType) => {
+    if (typeof value !== 'string') return null;
+    if (value.startsWith('data:')) return value;
+    return fileType ? `data:${fileType};base64,${value}` : null;
+};
+
+/**
+ * Checks an uploaded answer before it is stored.
+ *
+ * @function validateUpload
+ * @memberof module:StorageService
+ * @param {string} value - Data URL or plain Base64.
+ * @param {string} [fileType] - MIME type for plain Base64.
+ * @returns {string|null} Error message, or null if the upload can be stored.
+ */
+const validateUpload = (value, fileType) => {
+    const parsed = parseDataUrl(toDataUrl(value, fileType));
+    if (!parsed || parsed.buffer.length === 0) return 'File jawaban tidak valid';
+    if (!isMediaType(parsed.contentType)) return 'Jenis file jawaban harus audio atau gambar';
+    if (parsed.buffer.length > config.maxBytes) return `Ukuran file jawaban maksimal ${Math.round(config.maxBytes / 1024 / 1024)} MB`;
+    return null;
+};
+
+/**
+ * Stores an uploaded answer (data URL, or plain Base64 with `fileType`).
+ *
+ * @async
+ * @function saveUpload
+ * @memberof module:StorageService
+ * @param {string} value - Data URL or plain Base64.
+ * @param {string} [fileType] - MIME type for plain Base64.
+ * @param {object} [meta] - See `saveMedia`.
+ * @returns {Promise<object|null>} The media document, or null if the value is not a file.
+ */
+const saveUpload = async (value, fileType, meta) => {
+    const parsed = parseDataUrl(toDataUrl(value, fileType));
+    if (!parsed) return null;
+
+    return saveMedia(parsed.buffer, parsed.contentType, meta);
+};
+
+/**
+ * Opens a stored file for reading.
+ *
+ * @async
+ * @function openMedia
+ * @memberof module:StorageService
+ * @param {object} media - Media document.
+ * @param {{start: number, end: number}} [range] - Byte range, both inclusive.
+ * @returns {Promise<import('stream').Readable>}
+ */
+const openMedia = (media, range) => getDriver(media.driver).get(media.key, range);
+
+/**
+ * Reads a stored file as Base64 data URL, the format the AI service expects.
+ *
+ * @async
+ * @function readDataUrl
+ * @memberof module:StorageService
+ * @param {string} mediaId - Media ID.
+ * @returns {Promise<string|null>} The data URL, or null if the media does not exist.
+ */
+const readDataUrl = async (mediaId) => {
+    const media = await mediaModel.findById(mediaId);
+    if (!media) return null;
+
+    const chunks = [];
+    for await (const chunk of await openMedia(media)) chunks.push(chunk);
+
+    return `data:${media.contentType};base64,${Buffer.concat(chunks).toString('base64')}`;
+};
+
+/**
+ * Removes stored files and their media records.
+ *
+ * @async
+ * @function removeMedia
+ * @memberof module:StorageService
+ * @param {object} filter - Query on the media collection, e.g. `{ childId }`.
+ * @returns {Promise<number>} Number of removed files.
+ */
+const removeMedia = async (filter) => {
+    const media = await mediaModel.find(filter);
+
+    for (const item of media) {
+        try {
+            await getDriver(item.driver).remove(item.key);
+        } catch (error) {
+            console.error(`Failed to remove media ${item._id}:`, error.message);
+        }
+    }
+    await mediaModel.deleteMany({ _id: { $in: media.map(m => m._id) } });
+
+    return media.length;
+};
+
+module.exports = {
+    MEDIA_TYPES,
+    isMediaType,
+    getDriver,
+    parseDataUrl,
+    validateUpload,
+    saveMedia,
+    saveUpload,
+    openMedia,
+    readDataUrl,
+    removeMedia
+};
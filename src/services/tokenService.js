@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const userModel = require('../models/userModel');
+const refreshTokenModel = require('../models/refreshTokenModel');
+const revokedTokenModel = require('../models/revokedTokenModel');
+const userTokenModel = require('../models/userTokenModel');
+
+/**
+ * @file Service for issuing, rotating and revoking authentication tokens.
+ * @description Access tokens are short-lived JWTs. Refresh tokens are opaque random strings stored (hashed)
+ * in MongoDB and rotated on every use. Reusing a rotated refresh token revokes the whole session.
+ * One-time tokens for password reset and email verification are stored the same way.
+ * @module TokenService
+ */
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+/**
+ * @constant {string} ACCESS_TOKEN_EXPIRES_IN - Lifetime of access tokens, from `ACCESS_TOKEN_EXPIRES_IN` (default `15m`).
+ */
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+/**
+ * @constant {number} REFRESH_TOKEN_EXPIRES_DAYS - Lifetime of refresh tokens in days, from `REFRESH_TOKEN_EXPIRES_DAYS` (default 30).
+ */
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Signs a short-lived access token for the given user.
+ *
+ * @function signAccessToken
+ * @memberof module:TokenService
+ * @param {object} user - User document.
+ * @param {string} sessionId - Refresh token family the access token belongs to.
+ * @param {object} [claims] - Additional claims to embed in the payload.
+ * @returns {{token: string, expiresIn: number}} The signed token and its lifetime in seconds.
+ */
+const signAccessToken = (user, sessionId, claims = {}) => {
+    const token = jwt.sign(
+        {
+            userId: user._id,
+            fullName: user.fullName,
+            role: user.role,
+            schoolId: user.schoolId,
+            tv: user.tokenVersion || 0,
+            sid: sessionId,
+            ...claims
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+    const { exp, iat } = jwt.decode(token);
+
+    return { token, expiresIn: exp - iat };
+};
+
+/**
+ * Creates and stores a new refresh token.
+ *
+ * @private
+ * @async
+ * @function createRefreshToken
+ * @memberof module:TokenService
+ * @param {object} user - User document.
+ * @param {string} family - Session identifier.
+ * @param {object} [req] - Express request, used to record the device.
+ * @param {string} [scope] - Restricted scope of the session.
+ * @returns {Promise<{raw: string, hash: string}>} The raw token (to send to the client) and its hash.
+ */
+const createRefreshToken = async (user, family, req, scope) => {
+    const raw = crypto.randomBytes(48).toString('hex');
+    const hash = hashToken(raw);
+
+    await refreshTokenModel.create({
+        userId: user._id,
+        tokenHash: hash,
+        family: family,
+        scope: scope,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: req?.headers?.['user-agent'],
+        ip: req?.ip
+    });
+
+    return { raw, hash };
+};
+
+/**
+ * Starts a new session for a user: signs an access token and stores a fresh refresh token.
+ *
+ * @async
+ * @function issueTokens
+ * @memberof module:TokenService
+ * @param {object} user - User document.
+ * @param {object} [req] - Express request, used to record the device.
+ * @param {object} [claims] - Additional claims to embed in the access token. A `scope` claim is kept on refresh.
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>}
+ */
+const issueTokens = async (user, req, claims = {}) => {
+    const family = crypto.randomUUID();
+    const refreshToken = await createRefreshToken(user, family, req, claims.scope);
+    const { token, expiresIn } = signAccessToken(user, family, claims);
+
+    return { token, refreshToken: refreshToken.raw, expiresIn };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The used refresh token is claimed and revoked in one atomic update before the successor is issued.
+ * Presenting an already rotated token, also by a concurrent request, is treated as theft and revokes every
+ * token of that session.
+ *
+ * @async
+ * @function rotateRefreshToken
+ * @memberof module:TokenService
+ * @param {string} rawToken - Refresh token sent by the client.
+ * @param {object} [req] - Express request, used to record the device.
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}|null>} New tokens, or null if the refresh token is not valid.
+ */
+const rotateRefreshToken = async (rawToken, req) => {
+    const tokenHash = hashToken(rawToken);
+    const now = new Date();
+
+    // Klaim token secara atomik: dari dua permintaan bersamaan hanya satu yang mendapat token baru
+    const stored = await refreshTokenModel.findOneAndUpdate(
+        { tokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } }
+    );
+
+    if (!stored) {
+        const used = await refreshTokenModel.findOne({ tokenHash: tokenHash, revokedAt: { $ne: null } });
+        if (used) {
+            // Token lama dipakai ulang, kemungkinan dicuri: matikan seluruh sesi
+            await revokeSession(used.userId, used.family);
+        }
+        return null;
+    }
+
+    const user = await userModel.findById(stored.userId);
+    if (!user) return null;
+
+    const refreshToken = await createRefreshToken(user, stored.family, req, stored.scope);
+    await refreshTokenModel.updateOne({ _id: stored._id }, { $set: { replacedBy: refreshToken.hash } });
+
+    const { token, expiresIn } = signAccessToken(user, stored.family, stored.scope ? { scope: stored.scope } : {});
+
+    return { token, refreshToken: refreshToken.raw, expiresIn };
+};
+
+/**
+ * Adds an access token to the revocation list until it expires.
+ *
+ * @async
+ * @function revokeAccessToken
+ * @memberof module:TokenService
+ * @param {object} decoded - Decoded access token payload (`req.user`).
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (decoded) => {
+    if (!decoded?.jti) return;
+
+    await revokedTokenModel.updateOne(
+        { jti: decoded.jti },
+        { $setOnInsert: { userId: decoded.userId, expiresAt: new Date(decoded.exp * 1000) } },
+        { upsert: true }
+    );
+};
+
+/**
+ * Revokes every refresh token of one session (one logged in device).
+ *
+ * @async
+ * @function revokeSession
+ * @memberof module:TokenService
+ * @param {string} userId - Owner of the session.
+ * @param {string} family - Session identifier (`sid` claim of the access token).
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (userId, family) => {
+    if (!family) return;
+
+    await refreshTokenModel.updateMany(
+        { userId: userId, family: family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+/**
+ * Ends every session of a user: revokes all refresh tokens and bumps `tokenVersion`
+ * so that all previously issued access tokens are rejected by the middleware.
+ *
+ * @async
+ * @function revokeAllSessions
+ * @memberof module:TokenService
+ * @param {string} userId - User whose sessions are revoked.
+ * @returns {Promise<void>}
+ */
+const revokeAllSessions = async (userId) => {
+    await userModel.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    await refreshTokenModel.updateMany(
+        { userId: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+/**
+ * Checks whether a verified access token has been revoked, either individually (logout)
+ * or through a `tokenVersion` bump (logout all devices / password change).
+ *
+ * @async
+ * @function isAccessTokenRevoked
+ * @memberof module:TokenService
+ * @param {object} decoded - Decoded access token payload.
+ * @returns {Promise<boolean>} True if the token must be rejected.
+ */
+const isAccessTokenRevoked = async (decoded) => {
+    // Token lama (sebelum ada revokasi) tidak punya jti, anggap tidak berlaku
+    if (!decoded.jti) return true;
+
+    if (await revokedTokenModel.exists({ jti: decoded.jti })) return true;
+
+    const user = await userModel.findById(decoded.userId).select('tokenVersion');
+    if (!user) return true;
+
+    return (user.tokenVersion || 0) !== (decoded.tv || 0);
+};
+
+/**
+ * Creates a one-time token for an account action (password reset, email verification).
+ * Previous unused tokens of the same type are invalidated so only the latest email works.
+ *
+ * @async
+ * @function createUserToken
+ * @memberof module:TokenService
+ * @param {string} userId - User the token is issued for.
+ * @param {string} type - `password_reset` or `email_verification`.
+ * @param {number} ttlMinutes - Lifetime of the token in minutes.
+ * @returns {Promise<string>} The raw token to send to the user.
+ */
+const createUserToken = async (userId, type, ttlMinutes) => {
+    await userTokenModel.updateMany(
+        { userId: userId, type: type, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+
+    const raw = crypto.randomBytes(32).toString('hex');
+    await userTokenModel.create({
+        userId: userId,
+        type: type,
+        tokenHash: hashToken(raw),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    return raw;
+};
+
+/**
+ * Consumes a one-time token. The token is marked as used atomically, so it can only succeed once.
+ *
+ * @async
+ * @function consumeUserToken
+ * @memberof module:TokenService
+ * @param {string} rawToken - Token received by email.
+ * @param {string} type - Expected token type.
+ * @returns {Promise<object|null>} The consumed token document, or null if it is unknown, used or expired.
+ */
+const consumeUserToken = async (rawToken, type) => {
+    return userTokenModel.findOneAndUpdate(
+        { tokenHash: hashToken(rawToken), type: type, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = {
+    signAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeAccessToken,
+    revokeSession,
+    revokeAllSessions,
+    isAccessTokenRevoked,
+    createUserToken,
+    consumeUserToken
+};
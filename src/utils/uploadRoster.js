@@ -0,0 +1,26 @@
+const multer = require('multer')
+const { formatOf } = require('../helpers/roster')
+
+/**
+ * @file Utility module for configuring Multer to receive a roster file (CSV or XLSX) in memory.
+ * @module UploadRosterUtil
+ */
+
+/**
+ * Multer middleware for a single roster file in the `file` field. The file is kept in memory
+ * (`req.file.buffer`), other file types are dropped so the controller can answer with a validation error.
+ *
+ * @function uploadRoster
+ * @memberof module:UploadRosterUtil
+ * @property {number} limits.fileSize - Maximum file size set to 2MB.
+ * @property {function} fileFilter - Only allows `.csv` and `.xlsx` files.
+ */
+const uploadRoster = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2mb
+    },
+    fileFilter: (req, file, cb) => cb(null, formatOf(file.originalname) !== null)
+}).single('file')
+
+module.exports = uploadRoster